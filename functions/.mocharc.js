@@ -0,0 +1,5 @@
+module.exports = {
+  require: ["test/setup.js"],
+  spec: ["test/**/*.spec.js"],
+  timeout: 20000,
+};
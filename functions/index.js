@@ -13,7 +13,12 @@ const cors = require("cors");
 require("dotenv").config();
 
 const {initializeProviders} = require("./providers");
-const {errorHandler} = require("./middleware");
+const {
+  errorHandler,
+  authenticate,
+  setBusinessId,
+  loadRole,
+} = require("./middleware");
 
 const app = express();
 
@@ -29,12 +34,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// // Mock authentication middleware - replace with actual auth in production
-// app.use((req, res, next) => {
-//   req.user = {businessId: "default"};
-//   next();
-// });
-
 // Default route
 app.get("/", (req, res) => {
   res.send("Biz-Tracker API is running");
@@ -58,13 +57,35 @@ const setupApp = async () => {
     const itemsRoutes = require("./routes/items");
     const healthRoutes = require("./routes/health");
     const assetsRoutes = require("./routes/assets"); // Add assets routes
+    const pricingRulesRoutes = require("./routes/pricingRules");
+    const inventoryRoutes = require("./routes/inventory");
+    const locationsRoutes = require("./routes/locations");
+    const filesRoutes = require("./routes/files");
+    const usersRoutes = require("./routes/users");
+    const customersRoutes = require("./routes/customers");
+    const suppliersRoutes = require("./routes/suppliers");
+    const auditRoutes = require("./routes/audit");
 
     // Routes - notice we're NOT using /api prefix here
+    // Health checks and uploaded images are public
+    app.use("/health", healthRoutes);
+    app.use("/files", filesRoutes);
+
+    // Everything else needs a signed in user and runs inside their business
+    app.use(authenticate);
+    app.use(setBusinessId);
+    app.use(loadRole);
     app.use("/sales", salesRoutes);
+    app.use("/customers", customersRoutes);
     app.use("/purchases", purchasesRoutes);
+    app.use("/suppliers", suppliersRoutes);
     app.use("/items", itemsRoutes);
-    app.use("/health", healthRoutes);
     app.use("/assets", assetsRoutes); // Register assets routes
+    app.use("/pricing-rules", pricingRulesRoutes);
+    app.use("/inventory", inventoryRoutes);
+    app.use("/locations", locationsRoutes);
+    app.use("/users", usersRoutes);
+    app.use("/audit", auditRoutes);
 
     // Error handler
     app.use(errorHandler);
@@ -0,0 +1,113 @@
+const admin = require("firebase-admin");
+const jwt = require("jsonwebtoken");
+const config = require("../providers/config");
+const {UnauthorizedError} = require("../utils/errors");
+
+/**
+ * Get the bearer token from the Authorization header
+ * @param {Object} req Express request object
+ * @return {string|null} Token, or null if there isn't one
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+    return null;
+  }
+  return token.trim();
+};
+
+/**
+ * Verify a Firebase Auth ID token
+ * @param {string} token ID token
+ * @return {Promise<Object>} Decoded token claims
+ */
+const verifyFirebaseToken = async (token) => {
+  if (!admin.apps.length) {
+    admin.initializeApp();
+  }
+  return await admin.auth().verifyIdToken(token);
+};
+
+/**
+ * Verify a JWT signed with the configured secret
+ * @param {string} token JWT
+ * @return {Object} Decoded token claims
+ */
+const verifyJwt = (token) => {
+  if (!config.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+
+  const options = {algorithms: ["HS256"]};
+  if (config.JWT_ISSUER) options.issuer = config.JWT_ISSUER;
+  if (config.JWT_AUDIENCE) options.audience = config.JWT_AUDIENCE;
+
+  return jwt.verify(token, config.JWT_SECRET, options);
+};
+
+/**
+ * Build the request user from verified token claims
+ * @param {Object} claims Token claims
+ * @return {Object} User attached to the request
+ */
+const toUser = (claims) => ({
+  id: claims.uid || claims.sub,
+  email: claims.email || null,
+  name: claims.name || null,
+  businessId: claims.businessId || null,
+  role: claims.role || null,
+  claims,
+});
+
+/**
+ * User attached to every request when SKIP_AUTH is on
+ * @return {Object} Development user
+ */
+const getDevelopmentUser = () => ({
+  id: "dev-user",
+  email: null,
+  name: "Development User",
+  businessId: config.DEFAULT_BUSINESS_ID,
+  role: "owner",
+  claims: {},
+});
+
+/**
+ * Middleware that verifies the request's bearer token, either a Firebase
+ * ID token or a JWT depending on AUTH_PROVIDER, and sets req.user.
+ * With SKIP_AUTH on, every request runs as a development user
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Next middleware function
+ * @return {Promise<void>}
+ */
+const authenticate = async (req, res, next) => {
+  if (config.SKIP_AUTH) {
+    req.user = getDevelopmentUser();
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return next(new UnauthorizedError("Missing bearer token"));
+  }
+
+  try {
+    const claims = config.AUTH_PROVIDER === "jwt" ?
+      verifyJwt(token) :
+      await verifyFirebaseToken(token);
+    req.user = toUser(claims);
+    next();
+  } catch (error) {
+    console.warn(`Authentication failed: ${error.message}`);
+    const expired = error.name === "TokenExpiredError" ||
+      error.code === "auth/id-token-expired";
+    next(new UnauthorizedError(expired ? "Token expired" : "Invalid token"));
+  }
+};
+
+module.exports = {
+  authenticate,
+  getBearerToken,
+};
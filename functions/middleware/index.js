@@ -1,4 +1,8 @@
 const errorHandler = require("./errorHandler");
+const {authenticate} = require("./auth");
+const {loadRole, requirePermission} = require("./permissions");
+const {runWithBusiness} = require("../utils/tenantContext");
+const {ForbiddenError} = require("../utils/errors");
 
 /**
  * Middleware to validate required fields
@@ -39,6 +43,22 @@ const validateRequiredFields = (fields) => {
   };
 };
 
+/**
+ * Run the rest of the request inside the business of the signed-in user,
+ * so every repository call is limited to that business's data. Must come
+ * after authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @return {*} Result of the next middleware
+ */
+const setBusinessId = (req, res, next) => {
+  if (!req.user || !req.user.businessId) {
+    return next(new ForbiddenError("No business is linked to this account"));
+  }
+  return runWithBusiness(req.user.businessId, next);
+};
+
 /**
  * Attach file upload URL to request if needed
  * @param {Object} req - Express request object
@@ -54,7 +74,10 @@ const processFileUpload = (req, res, next) => {
 
 module.exports = {
   errorHandler,
+  authenticate,
+  loadRole,
+  requirePermission,
   validateRequiredFields,
-  // setBusinessId,
+  setBusinessId,
   processFileUpload,
 };
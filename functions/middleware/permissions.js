@@ -0,0 +1,75 @@
+const config = require("../providers/config");
+const {getProviderFactory} = require("../providers");
+const {isRole, hasPermission} = require("../utils/permissions");
+const {UnauthorizedError, ForbiddenError} = require("../utils/errors");
+
+/**
+ * Work out the signed-in user's role in their business. A user record in
+ * the business wins, then a role claim in the token, then DEFAULT_ROLE
+ * @param {Object} user Request user
+ * @return {Promise<Object>} The user record, or null if there is none,
+ * and the role
+ */
+const resolveRole = async (user) => {
+  const providerFactory = getProviderFactory();
+  const record = providerFactory.hasRepository("user") ?
+    await providerFactory.getUserRepository().findByUid(user.id) : null;
+
+  if (record) {
+    return {record, role: record.role};
+  }
+  return {
+    record: null,
+    role: isRole(user.role) ? user.role : config.DEFAULT_ROLE,
+  };
+};
+
+/**
+ * Middleware that sets req.user.role from the user's record in their
+ * business. Must come after setBusinessId so the lookup is scoped
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {Function} next Next middleware function
+ * @return {Promise<void>}
+ */
+const loadRole = async (req, res, next) => {
+  try {
+    if (config.SKIP_AUTH) {
+      return next();
+    }
+
+    const {record, role} = await resolveRole(req.user);
+    if (record && record.isActive === false) {
+      return next(new ForbiddenError("This account has been deactivated"));
+    }
+
+    req.user.role = role;
+    if (record) {
+      req.user.userId = (record._id || record.id).toString();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build middleware that only lets through users whose role grants a
+ * permission
+ * @param {string} permission Permission, e.g. "sales:delete"
+ * @return {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    return next(new ForbiddenError(`Missing permission: ${permission}`));
+  }
+  next();
+};
+
+module.exports = {
+  loadRole,
+  requirePermission,
+};
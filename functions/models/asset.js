@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
 
 const MaintenanceHistorySchema = new mongoose.Schema({
   date: {
@@ -111,4 +112,6 @@ const AssetSchema = new mongoose.Schema({
   },
 }, {timestamps: true});
 
+AssetSchema.plugin(businessScope);
+
 module.exports = mongoose.model("Asset", AssetSchema);
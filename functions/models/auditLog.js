@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const AuditLogSchema = new mongoose.Schema({
+  // User who made the change (the token's uid or sub)
+  actor: {
+    type: String,
+    default: null,
+  },
+  actorEmail: {
+    type: String,
+    default: null,
+  },
+  // Request that made the change
+  method: {
+    type: String,
+    default: null,
+  },
+  path: {
+    type: String,
+    default: null,
+  },
+  entityType: {
+    type: String,
+    required: true,
+  },
+  // Kept as a string so entries outlive the document they describe
+  entityId: {
+    type: String,
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete"],
+    required: true,
+  },
+  // Fields the write changed, with their values before and after
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+}, {timestamps: {createdAt: true, updatedAt: false}});
+
+AuditLogSchema.index({entityType: 1, entityId: 1, createdAt: -1});
+AuditLogSchema.index({actor: 1, createdAt: -1});
+
+// The audit log is append-only
+AuditLogSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return next(new Error("Audit entries cannot be modified"));
+  }
+  next();
+});
+
+AuditLogSchema.plugin(businessScope);
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
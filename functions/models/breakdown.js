@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+// Stock moved from the source item into one derived item, in the source
+// item's tracking unit
+const BreakdownAllocationSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  name: String,
+  // True when the breakdown created the derived item
+  created: {
+    type: Boolean,
+    default: false,
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  // Cost of the derived stock including its share of the waste
+  costPerUnit: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+const BreakdownSchema = new mongoose.Schema({
+  sourceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ["completed", "reversed"],
+    default: "completed",
+  },
+  trackingType: {
+    type: String,
+    default: "quantity",
+  },
+  unit: {
+    type: String,
+    default: null,
+  },
+  // Location the stock was taken from and put into; null for stock not
+  // assigned to a location
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  allocations: [BreakdownAllocationSchema],
+  allocatedAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Offcuts and scrap lost in the breakdown
+  waste: {
+    type: Number,
+    default: 0,
+  },
+  consumedAmount: {
+    type: Number,
+    default: 0,
+  },
+  yieldPercentage: {
+    type: Number,
+    default: 100,
+  },
+  sourceCostPerUnit: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  user: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  reversedAt: {
+    type: Date,
+    default: null,
+  },
+  reversedBy: {
+    type: String,
+    default: null,
+  },
+}, {timestamps: true});
+
+BreakdownSchema.index({"allocations.item": 1});
+
+BreakdownSchema.plugin(businessScope);
+
+module.exports = mongoose.model("Breakdown", BreakdownSchema);
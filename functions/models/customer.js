@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const CustomerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  tags: [{
+    type: String,
+    trim: true,
+  }],
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+CustomerSchema.index({email: 1});
+
+CustomerSchema.plugin(businessScope);
+
+module.exports = mongoose.model("Customer", CustomerSchema);
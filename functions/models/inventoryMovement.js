@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+// Change or balance for each measurement an item can be tracked by
+const MeasurementSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    default: 0,
+  },
+  weight: {
+    type: Number,
+    default: 0,
+  },
+  length: {
+    type: Number,
+    default: 0,
+  },
+  area: {
+    type: Number,
+    default: 0,
+  },
+  volume: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+const InventoryMovementSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      "purchase",
+      "purchase_reversal",
+      "sale",
+      "sale_reversal",
+      "breakdown",
+      "breakdown_reversal",
+      "rebuild",
+      "adjustment",
+      "count",
+      "transfer",
+      "build",
+    ],
+    required: true,
+  },
+  // Document that caused the movement (sale, purchase, source item, count,
+  // production run, breakdown)
+  sourceType: {
+    type: String,
+    enum: [
+      "Sale",
+      "Purchase",
+      "Item",
+      "StockCount",
+      "ProductionRun",
+      "Breakdown",
+    ],
+    default: null,
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "sourceType",
+    default: null,
+  },
+  trackingType: {
+    type: String,
+    default: "quantity",
+  },
+  unit: {
+    type: String,
+    default: null,
+  },
+  delta: {
+    type: MeasurementSchema,
+    default: () => ({}),
+  },
+  balance: {
+    type: MeasurementSchema,
+    default: () => ({}),
+  },
+  // Location whose stock moved, with the change and resulting balance
+  // there in the tracking measurement
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  locationDelta: {
+    type: Number,
+    default: null,
+  },
+  locationBalance: {
+    type: Number,
+    default: null,
+  },
+  // Lots the stock was taken from or put into
+  lots: [{
+    _id: false,
+    lotNumber: String,
+    amount: Number,
+  }],
+  // What each unit cost, in the tracking unit, for stock a sale took out
+  // or put back
+  unitCost: {
+    type: Number,
+    default: null,
+  },
+  // Reason code for manual adjustments and stock counts
+  reason: {
+    type: String,
+    default: null,
+  },
+  user: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: {createdAt: true, updatedAt: false}});
+
+InventoryMovementSchema.index({item: 1, createdAt: -1});
+
+// Movements are an append-only ledger
+InventoryMovementSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return next(new Error("Inventory movements cannot be modified"));
+  }
+  next();
+});
+
+InventoryMovementSchema.plugin(businessScope);
+
+module.exports = mongoose.model("InventoryMovement", InventoryMovementSchema);
@@ -1,4 +1,138 @@
 const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const CostLayerSchema = new mongoose.Schema({
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Purchase",
+    default: null,
+  },
+  receivedAt: {
+    type: Date,
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+  },
+  remaining: {
+    type: Number,
+    default: 0,
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+// Stock held at one location. Item measurements are the roll-up
+// of these balances plus any stock not yet assigned to a location
+const LocationStockSchema = new mongoose.Schema({
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+  },
+  weight: {
+    type: Number,
+    default: 0,
+  },
+  length: {
+    type: Number,
+    default: 0,
+  },
+  area: {
+    type: Number,
+    default: 0,
+  },
+  volume: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+// A batch of stock received together, tracked in the item's
+// tracking unit so it can be sold first-expiring-first-out
+const LotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  expirationDate: {
+    type: Date,
+    default: null,
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  remaining: {
+    type: Number,
+    default: 0,
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {_id: false});
+
+// One event in the life of a serial numbered unit
+const SerialEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ["received", "sold", "returned", "removed"],
+    required: true,
+  },
+  sourceType: {
+    type: String,
+    enum: ["Purchase", "Sale"],
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+}, {_id: false});
+
+// A single unit of a serial tracked item
+const SerialSchema = new mongoose.Schema({
+  serialNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["in_stock", "sold", "removed"],
+    default: "in_stock",
+  },
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Purchase",
+    default: null,
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    default: null,
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  history: [SerialEventSchema],
+}, {_id: false});
 
 const ItemSchema = new mongoose.Schema({
   name: {
@@ -9,7 +143,6 @@ const ItemSchema = new mongoose.Schema({
   sku: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
   },
   category: {
@@ -117,6 +250,46 @@ const ItemSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  costingMethod: {
+    type: String,
+    enum: ["fifo", "lifo", "weighted_average"],
+    default: null,
+  },
+  costLayers: [CostLayerSchema],
+  costOfGoodsSold: {
+    type: Number,
+    default: 0,
+  },
+  stockByLocation: [LocationStockSchema],
+  // Lot tracked items need a lot number on every purchase line
+  trackLots: {
+    type: Boolean,
+    default: false,
+  },
+  lots: [LotSchema],
+  // Serial tracked items are received and sold one numbered unit at a time
+  trackSerials: {
+    type: Boolean,
+    default: false,
+  },
+  serials: [SerialSchema],
+  // Stock at or below the reorder point (in the tracking unit) is low;
+  // items without one are never reported
+  reorderPoint: {
+    type: Number,
+    default: null,
+  },
+  reorderQuantity: {
+    type: Number,
+    default: null,
+  },
+  // Supplier the item is usually ordered from; reorder suggestions for
+  // it go to this supplier
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    default: null,
+  },
   packInfo: {
     isPack: {
       type: Boolean,
@@ -218,4 +391,10 @@ const ItemSchema = new mongoose.Schema({
   }],
 });
 
+ItemSchema.index({"serials.serialNumber": 1});
+
+ItemSchema.plugin(businessScope);
+// SKUs only need to be unique within a business
+ItemSchema.index({businessId: 1, sku: 1}, {unique: true});
+
 module.exports = mongoose.model("Item", ItemSchema);
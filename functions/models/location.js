@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const LocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+  },
+  type: {
+    type: String,
+    enum: ["warehouse", "shop", "storage", "market", "bin", "other"],
+    default: "warehouse",
+  },
+  // Bins and shelves can sit inside another location
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  // Used for sales and purchases that don't name a location
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+LocationSchema.plugin(businessScope);
+
+module.exports = mongoose.model("Location", LocationSchema);
@@ -0,0 +1,61 @@
+const {getBusinessId} = require("../../utils/tenantContext");
+
+// Query middleware that reads or writes existing documents
+const SCOPED_QUERIES = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+/**
+ * Mongoose plugin that gives a model a businessId and, inside a business
+ * context, limits every query and aggregation to that business and stamps
+ * it on every document saved
+ * @param {mongoose.Schema} schema Schema to scope
+ */
+function businessScope(schema) {
+  schema.add({
+    businessId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+  });
+
+  schema.pre(SCOPED_QUERIES, function() {
+    const businessId = getBusinessId();
+    if (!businessId) return;
+
+    this.where({businessId});
+    const update = this.getUpdate();
+    if (update) {
+      delete update.businessId;
+      if (update.$set) delete update.$set.businessId;
+    }
+  });
+
+  schema.pre("aggregate", function() {
+    const businessId = getBusinessId();
+    if (businessId) {
+      this.pipeline().unshift({$match: {businessId}});
+    }
+  });
+
+  schema.pre("validate", function() {
+    const businessId = getBusinessId();
+    if (businessId) {
+      this.businessId = businessId;
+    }
+  });
+}
+
+module.exports = businessScope;
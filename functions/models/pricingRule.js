@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const PricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+  },
+  scope: {
+    type: String,
+    enum: ["item", "category", "global"],
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    default: null,
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  strategy: {
+    type: String,
+    enum: ["markup", "margin"],
+    required: true,
+    default: "markup",
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  roundToNinetyNine: {
+    type: Boolean,
+    default: false,
+  },
+  minimumPrice: {
+    type: Number,
+    default: 0,
+  },
+  autoApply: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+PricingRuleSchema.plugin(businessScope);
+
+module.exports = mongoose.model("PricingRule", PricingRuleSchema);
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+// A component consumed by a production run, in its tracking unit
+const ConsumedComponentSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  name: String,
+  trackingType: {
+    type: String,
+    default: "quantity",
+  },
+  unit: {
+    type: String,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  costPerUnit: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+}, {_id: false});
+
+const ProductionRunSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+    index: true,
+  },
+  // Amount of the product built, in its tracking unit
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  components: [ConsumedComponentSchema],
+  componentCost: {
+    type: Number,
+    default: 0,
+  },
+  laborCost: {
+    type: Number,
+    default: 0,
+  },
+  overheadCost: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  user: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+ProductionRunSchema.index({"components.item": 1});
+
+ProductionRunSchema.plugin(businessScope);
+
+module.exports = mongoose.model("ProductionRun", ProductionRunSchema);
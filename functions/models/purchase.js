@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
 
 // Define a schema for asset info
 const AssetInfoSchema = new mongoose.Schema({
@@ -126,8 +127,95 @@ const PurchaseItemSchema = new mongoose.Schema({
     default: false,
   },
   assetInfo: AssetInfoSchema,
+  // Overrides the purchase's location for this line
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  // Batch the line was received as
+  lotNumber: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  expirationDate: {
+    type: Date,
+    default: null,
+  },
+  // Units received, for serial tracked items
+  serialNumbers: [{
+    type: String,
+    trim: true,
+  }],
 }, {_id: false});
 
+// A line of a receipt: how much of a purchase line arrived
+const ReceiptItemSchema = new mongoose.Schema({
+  // Position of the line on the purchase
+  line: {
+    type: Number,
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  purchasedBy: {
+    type: String,
+    enum: ["quantity", "weight", "length", "area", "volume"],
+    default: "quantity",
+  },
+  // Amount arrived, in the measurement the line was purchased by
+  quantity: Number,
+  weight: Number,
+  length: Number,
+  area: Number,
+  volume: Number,
+  // Overrides the receipt's location for this line
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  lotNumber: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  expirationDate: {
+    type: Date,
+    default: null,
+  },
+  serialNumbers: [{
+    type: String,
+    trim: true,
+  }],
+}, {_id: false});
+
+// A delivery against a purchase
+const ReceiptSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+  // Location the delivery was received into
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  items: [ReceiptItemSchema],
+  user: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
 // Define a schema for suppliers
 const SupplierSchema = new mongoose.Schema({
   name: {
@@ -150,8 +238,22 @@ const SupplierSchema = new mongoose.Schema({
 
 // Define the main purchase schema
 const PurchaseSchema = new mongoose.Schema({
+  // Supplier record, if the vendor has one. The supplier details below keep
+  // them as they were at the time of the purchase
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    default: null,
+    index: true,
+  },
   supplier: SupplierSchema,
   items: [PurchaseItemSchema],
+  // Location stock is received into unless a line says otherwise
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
   invoiceNumber: {
     type: String,
   },
@@ -196,6 +298,16 @@ const PurchaseSchema = new mongoose.Schema({
     enum: ["pending", "received", "partially_received", "cancelled"],
     default: "pending",
   },
+  // Deliveries received so far. A purchase with receipts holds just what
+  // they brought in, and its status follows them
+  receipts: [ReceiptSchema],
+  // When the purchase arrived in full; lead times are measured to it
+  receivedAt: {
+    type: Date,
+    default: null,
+  },
 }, {timestamps: true});
 
+PurchaseSchema.plugin(businessScope);
+
 module.exports = mongoose.model("Purchase", PurchaseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
 
 const SaleItemSchema = new mongoose.Schema({
   item: {
@@ -63,9 +64,34 @@ const SaleItemSchema = new mongoose.Schema({
     enum: ["quantity", "weight", "length", "area", "volume"],
     default: "quantity",
   },
+  // Overrides the sale's location for this line
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  // Sell from this lot instead of the first to expire
+  lotNumber: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  // Units sold, for serial tracked items
+  serialNumbers: [{
+    type: String,
+    trim: true,
+  }],
 });
 
 const SaleSchema = new mongoose.Schema({
+  // Customer record, if the buyer has one. The customer fields below keep
+  // the details as they were at the time of the sale
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    default: null,
+    index: true,
+  },
   customerName: {
     type: String,
     trim: true,
@@ -79,6 +105,12 @@ const SaleSchema = new mongoose.Schema({
     trim: true,
   },
   items: [SaleItemSchema],
+  // Location stock is taken from unless a line says otherwise
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -115,6 +147,11 @@ const SaleSchema = new mongoose.Schema({
     enum: ["completed", "refunded", "partially_refunded"],
     default: "completed",
   },
+  // Money given back through returns
+  refundedTotal: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -131,4 +168,6 @@ SaleSchema.pre("save", function(next) {
   next();
 });
 
+SaleSchema.plugin(businessScope);
+
 module.exports = mongoose.model("Sale", SaleSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+// Part of a sale line brought back, in the measurement it was sold by
+const ReturnItemSchema = new mongoose.Schema({
+  // Position of the line on the sale
+  line: {
+    type: Number,
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  name: String,
+  soldBy: {
+    type: String,
+    enum: ["quantity", "weight", "length", "area", "volume"],
+    default: "quantity",
+  },
+  quantity: Number,
+  weight: Number,
+  weightUnit: String,
+  length: Number,
+  lengthUnit: String,
+  area: Number,
+  areaUnit: String,
+  volume: Number,
+  volumeUnit: String,
+  priceAtSale: {
+    type: Number,
+    default: 0,
+  },
+  // Where the line was sold from, so restocked stock goes back there
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  lotNumber: {
+    type: String,
+    default: null,
+  },
+  serialNumbers: [{
+    type: String,
+    trim: true,
+  }],
+}, {_id: false});
+
+const SaleReturnSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true,
+    index: true,
+  },
+  items: [ReturnItemSchema],
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  refundMethod: {
+    type: String,
+    enum: ["cash", "credit", "debit", "check", "store_credit", "other"],
+    default: "cash",
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+  },
+  // False when the items were not put back in stock, e.g. thrown away
+  restocked: {
+    type: Boolean,
+    default: true,
+  },
+  // Location restocked items were routed to instead of where they were
+  // sold from, e.g. one for damaged goods
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Location",
+    default: null,
+  },
+  user: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+SaleReturnSchema.index({"items.item": 1});
+
+SaleReturnSchema.plugin(businessScope);
+
+module.exports = mongoose.model("SaleReturn", SaleReturnSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const StockCountLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  name: String,
+  sku: String,
+  trackingType: {
+    type: String,
+    default: "quantity",
+  },
+  unit: {
+    type: String,
+    default: null,
+  },
+  // Stock the system held when the session was opened
+  systemValue: {
+    type: Number,
+    default: 0,
+  },
+  countedValue: {
+    type: Number,
+    default: null,
+  },
+  countedAt: {
+    type: Date,
+    default: null,
+  },
+  countedBy: {
+    type: String,
+    default: null,
+  },
+}, {_id: false});
+
+const StockCountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+  },
+  category: {
+    type: String,
+    default: null,
+  },
+  tag: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["open", "posted", "cancelled"],
+    default: "open",
+  },
+  lines: [StockCountLineSchema],
+  openedBy: {
+    type: String,
+    default: null,
+  },
+  postedAt: {
+    type: Date,
+    default: null,
+  },
+  postedBy: {
+    type: String,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {timestamps: true});
+
+StockCountSchema.plugin(businessScope);
+
+module.exports = mongoose.model("StockCount", StockCountSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+
+const SupplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  contactName: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  website: {
+    type: String,
+    trim: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  // Inactive suppliers keep their history but aren't ordered from
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {timestamps: true});
+
+SupplierSchema.index({name: 1});
+
+SupplierSchema.plugin(businessScope);
+
+module.exports = mongoose.model("Supplier", SupplierSchema);
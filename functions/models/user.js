@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const businessScope = require("./plugins/businessScope");
+const {ROLES} = require("../utils/permissions");
+
+const UserSchema = new mongoose.Schema({
+  // ID of the auth account (the token's uid or sub)
+  uid: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "viewer",
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {timestamps: true});
+
+UserSchema.plugin(businessScope);
+// An account is a member of a business at most once
+UserSchema.index({businessId: 1, uid: 1}, {unique: true});
+
+module.exports = mongoose.model("User", UserSchema);
@@ -23,6 +23,23 @@ class BaseAssetRepository extends AssetRepository {
     }
   }
 
+  /**
+   * Get all unique tags
+   * @return {Promise<Array<string>>} List of tags
+   */
+  async getTags() {
+    try {
+      const assets = await this.findAll({});
+      const tags = new Set(
+          assets.flatMap((asset) => asset.tags || []).filter(Boolean),
+      );
+      return [...tags].sort();
+    } catch (error) {
+      console.error("Error getting tags:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get assets by purchase ID - base implementation
    * @param {string} purchaseId Purchase ID
@@ -37,6 +54,57 @@ class BaseAssetRepository extends AssetRepository {
       throw error;
     }
   }
+
+  /**
+   * Add maintenance record to asset - base implementation that rewrites
+   * the asset's maintenance history and schedule
+   * @param {string} id Asset ID
+   * @param {Object} maintenanceData Maintenance record data
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async addMaintenanceRecord(id, maintenanceData) {
+    try {
+      const asset = await this.findById(id);
+      if (!asset) return null;
+
+      const maintenanceHistory =
+        (asset.maintenanceHistory || []).concat(maintenanceData);
+      const maintenanceSchedule = {
+        ...(asset.maintenanceSchedule || {
+          frequency: maintenanceData.frequency || "monthly",
+        }),
+        lastMaintenance: maintenanceData.date,
+      };
+
+      // Calculate next maintenance date based on frequency
+      if (maintenanceSchedule.frequency) {
+        const nextDate = new Date(maintenanceData.date);
+        switch (maintenanceSchedule.frequency) {
+          case "daily":
+            nextDate.setDate(nextDate.getDate() + 1);
+            break;
+          case "weekly":
+            nextDate.setDate(nextDate.getDate() + 7);
+            break;
+          case "monthly":
+            nextDate.setMonth(nextDate.getMonth() + 1);
+            break;
+          case "quarterly":
+            nextDate.setMonth(nextDate.getMonth() + 3);
+            break;
+          case "yearly":
+            nextDate.setFullYear(nextDate.getFullYear() + 1);
+            break;
+        }
+        maintenanceSchedule.nextMaintenance = nextDate;
+      }
+
+      return await this.update(id, {maintenanceHistory, maintenanceSchedule});
+    } catch (error) {
+      console.error(`Error adding maintenance record to asset ${id}:`, error);
+      throw error;
+    }
+  }
 }
 
 module.exports = BaseAssetRepository;
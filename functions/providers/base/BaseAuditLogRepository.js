@@ -0,0 +1,115 @@
+const AuditLogRepository = require("../interfaces/auditLogRepository");
+
+// Bookkeeping fields left out of diffs; they change on every write
+const IGNORED_FIELDS = ["_id", "id", "__v", "businessId", "createdAt",
+  "updatedAt", "lastUpdated"];
+
+/**
+ * Turn a document into plain JSON values so documents from any provider
+ * compare the same way (ObjectIds and dates become strings)
+ * @param {Object|null} doc Document
+ * @return {Object} Plain copy, empty for no document
+ */
+const toComparable = (doc) => doc ? JSON.parse(JSON.stringify(doc)) : {};
+
+/**
+ * Work out which top-level fields differ between two versions of a
+ * document. Nested objects and arrays count as one field
+ * @param {Object|null} before Document before the write, null on create
+ * @param {Object|null} after Document after the write, null on delete
+ * @return {Array<Object>} Changed fields ({field, before, after})
+ */
+const diffDocuments = (before, after) => {
+  const oldValues = toComparable(before);
+  const newValues = toComparable(after);
+  const fields = new Set([...Object.keys(oldValues),
+    ...Object.keys(newValues)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const oldValue = oldValues[field] === undefined ? null : oldValues[field];
+    const newValue = newValues[field] === undefined ? null : newValues[field];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({field, before: oldValue, after: newValue});
+    }
+  }
+  return changes;
+};
+
+/**
+ * Base implementation of AuditLogRepository with common functionality
+ * @abstract
+ */
+class BaseAuditLogRepository extends AuditLogRepository {
+  /**
+   * Find audit entries by entity, actor and date, newest first
+   * @param {Object} [options] Query options
+   * @return {Promise<Array>} List of audit entries
+   */
+  async search(options = {}) {
+    const filter = {};
+    if (options.entityType) {
+      filter.entityType = options.entityType;
+    }
+    if (options.entityId) {
+      filter.entityId = options.entityId.toString();
+    }
+    if (options.actor) {
+      filter.actor = options.actor;
+    }
+    if (options.startDate || options.endDate) {
+      filter.createdAt = {};
+      if (options.startDate) {
+        filter.createdAt.$gte = new Date(options.startDate);
+      }
+      if (options.endDate) {
+        filter.createdAt.$lte = new Date(options.endDate);
+      }
+    }
+
+    return await this.findAll(filter);
+  }
+
+  /**
+   * Record a create, update or delete with the fields it changed
+   * @param {Object} change The write being recorded
+   * @param {string} change.action "create", "update" or "delete"
+   * @param {string} change.entityType Model of the document, e.g. "Sale"
+   * @param {string} [change.entityId] Document ID, taken from the
+   * documents when not given
+   * @param {Object|null} [change.before] Document before the write
+   * @param {Object|null} [change.after] Document after the write
+   * @param {Object} [context] Actor and route that made the change
+   * @param {string} [context.actor] ID of the user who made the change
+   * @param {string} [context.actorEmail] Email of that user
+   * @param {string} [context.method] HTTP method of the request
+   * @param {string} [context.path] Path of the request
+   * @return {Promise<Object|null>} Created entry, or null if an update
+   * changed nothing
+   */
+  async recordChange(change, context = {}) {
+    const {action, entityType, before = null, after = null} = change;
+    const changes = diffDocuments(before, after);
+    if (action === "update" && changes.length === 0) {
+      return null;
+    }
+
+    const doc = after || before || {};
+    const entityId = change.entityId || doc._id || doc.id;
+
+    return await this.create({
+      actor: context.actor || null,
+      actorEmail: context.actorEmail || null,
+      method: context.method || null,
+      path: context.path || null,
+      entityType,
+      entityId: entityId ? entityId.toString() : null,
+      action,
+      changes,
+    });
+  }
+}
+
+module.exports = BaseAuditLogRepository;
@@ -0,0 +1,45 @@
+const BreakdownRepository = require("../interfaces/breakdownRepository");
+
+/**
+ * Base implementation of BreakdownRepository with common functionality
+ * @abstract
+ */
+class BaseBreakdownRepository extends BreakdownRepository {
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findBySourceItem(itemId) {
+    try {
+      const id = itemId.toString();
+      const breakdowns = await this.findAll({});
+      return breakdowns.filter((breakdown) =>
+        breakdown.sourceItem.toString() === id);
+    } catch (error) {
+      console.error("Error getting breakdowns for item:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find breakdowns an item was broken down in or allocated stock by
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findByItem(itemId) {
+    try {
+      const id = itemId.toString();
+      const breakdowns = await this.findAll({});
+      return breakdowns.filter((breakdown) =>
+        breakdown.sourceItem.toString() === id ||
+        (breakdown.allocations || []).some((allocation) =>
+          allocation.item.toString() === id));
+    } catch (error) {
+      console.error("Error getting breakdowns for item:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseBreakdownRepository;
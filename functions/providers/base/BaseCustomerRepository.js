@@ -0,0 +1,33 @@
+const CustomerRepository = require("../interfaces/customerRepository");
+
+/**
+ * Base implementation of CustomerRepository with common functionality
+ * @abstract
+ */
+class BaseCustomerRepository extends CustomerRepository {
+  /**
+   * Find customers whose name, email or phone contains a search term.
+   * Case is ignored, and phone numbers match on their digits alone
+   * @param {string} query Search term
+   * @return {Promise<Array>} Matching customers, by name
+   */
+  async search(query) {
+    try {
+      const term = (query || "").toString().trim().toLowerCase();
+      const digits = term.replace(/\D/g, "");
+      const customers = await this.findAll({});
+      if (!term) return customers;
+
+      return customers.filter((customer) =>
+        [customer.name, customer.email].some((value) =>
+          (value || "").toLowerCase().includes(term)) ||
+        (digits.length > 0 &&
+          (customer.phone || "").replace(/\D/g, "").includes(digits)));
+    } catch (error) {
+      console.error("Error searching customers:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseCustomerRepository;
@@ -0,0 +1,91 @@
+const InventoryMovementRepository =
+  require("../interfaces/inventoryMovementRepository");
+const {
+  MEASUREMENTS,
+  getTrackingMeasurement,
+  getUnitField,
+  roundMeasurement,
+} = require("../../utils/unitConversion");
+const {getLocationStock} = require("../../utils/locationUtils");
+
+/**
+ * Base implementation of InventoryMovementRepository with common
+ * functionality
+ * @abstract
+ */
+class BaseInventoryMovementRepository extends InventoryMovementRepository {
+  /**
+   * Record the change an update makes to an item's stock. Deltas and
+   * balances are kept for every measurement so history stays readable
+   * if the item's tracking type changes later
+   * @param {Object} item Item before the update
+   * @param {Object} updateData Fields being written to the item
+   * @param {string} type Movement type
+   * @param {Object} [context] Source document and user
+   * @param {string} [context.sourceType] Model of the source document
+   * @param {string} [context.sourceId] ID of the source document
+   * @param {string} [context.user] User responsible for the change
+   * @param {string} [context.reason] Reason code for manual changes
+   * @param {string} [context.notes] Free-text notes
+   * @param {string} [context.location] Location the stock moved at
+   * @param {Array<Object>} [context.lots] Lots the stock moved in or out of
+   * @param {number} [context.unitCost] What each unit that moved cost
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Created movement, or null if unchanged
+   */
+  async recordChange(item, updateData, type, context = {}, transaction) {
+    const delta = {};
+    const balance = {};
+    let changed = false;
+
+    for (const measurement of MEASUREMENTS) {
+      const before = parseFloat(item[measurement] || 0);
+      const after = updateData[measurement] !== undefined ?
+        parseFloat(updateData[measurement] || 0) : before;
+
+      balance[measurement] = after;
+      delta[measurement] = roundMeasurement(after - before);
+      if (delta[measurement] !== 0) changed = true;
+    }
+
+    const trackingType = getTrackingMeasurement(item);
+    const unitField = getUnitField(trackingType);
+
+    // Changes at a location are kept alongside the item totals, which
+    // stay the same when stock only moves between locations
+    let locationDelta = null;
+    let locationBalance = null;
+    if (context.location && updateData.stockByLocation) {
+      const before = getLocationStock(item, context.location)[trackingType];
+      locationBalance =
+        getLocationStock(updateData, context.location)[trackingType];
+      locationDelta = roundMeasurement(locationBalance - before);
+      if (locationDelta !== 0) changed = true;
+    }
+
+    if (!changed) {
+      return null;
+    }
+
+    return await this.create({
+      item: item._id || item.id,
+      type,
+      sourceType: context.sourceType || null,
+      sourceId: context.sourceId || null,
+      trackingType,
+      unit: unitField ? item[unitField] || null : null,
+      delta,
+      balance,
+      location: context.location || null,
+      locationDelta,
+      locationBalance,
+      lots: context.lots || [],
+      unitCost: context.unitCost === undefined ? null : context.unitCost,
+      reason: context.reason || null,
+      user: context.user || null,
+      notes: context.notes,
+    }, transaction);
+  }
+}
+
+module.exports = BaseInventoryMovementRepository;
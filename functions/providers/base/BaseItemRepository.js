@@ -1,10 +1,88 @@
 const ItemRepository = require("../interfaces/itemRepository");
+const {NotFoundError, ValidationError} = require("../../utils/errors");
+const {
+  MEASUREMENTS,
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toItemAmount,
+  roundMeasurement,
+  getItemRefId,
+} = require("../../utils/unitConversion");
+const {planStockChange} = require("../../utils/locationUtils");
+
+/**
+ * Describe stock taken from a source item, in the source item's units
+ * @param {string} itemId Item the reference points at
+ * @param {Object} sourceItem Source item
+ * @param {Object} amounts Measurement values
+ * @return {Object} Derivation reference
+ */
+function derivationRef(itemId, sourceItem, amounts) {
+  return {
+    item: itemId,
+    quantity: amounts.quantity || 0,
+    weight: amounts.weight || 0,
+    weightUnit: sourceItem.weightUnit,
+    length: amounts.length || 0,
+    lengthUnit: sourceItem.lengthUnit,
+    area: amounts.area || 0,
+    areaUnit: sourceItem.areaUnit,
+    volume: amounts.volume || 0,
+    volumeUnit: sourceItem.volumeUnit,
+  };
+}
 
 /**
  * Base implementation of ItemRepository with common functionality
  * @abstract
  */
 class BaseItemRepository extends ItemRepository {
+  /**
+   * Creates a new instance of BaseItemRepository
+   */
+  constructor() {
+    super();
+    this.movementRepository = null;
+  }
+
+  /**
+   * Set the inventory movement repository dependency
+   * @param {InventoryMovementRepository} movementRepository The inventory
+   * movement repository implementation
+   */
+  setMovementRepository(movementRepository) {
+    this.movementRepository = movementRepository;
+  }
+
+  /**
+   * Record a stock change in the movement ledger, if one is available
+   * @param {Object} item Item before the update
+   * @param {Object} updateData Fields being written to the item
+   * @param {string} type Movement type
+   * @param {Object} [context] Source document and user
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Created movement or null
+   */
+  async recordMovement(item, updateData, type, context, transaction) {
+    if (!this.movementRepository) {
+      return null;
+    }
+    return await this.movementRepository.recordChange(item, updateData,
+        type, context, transaction);
+  }
+
+  /**
+   * Read an item as part of a transaction. Providers whose transactions
+   * need reads to go through them, or can't read their own pending
+   * writes, override this
+   * @param {string} id Item ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Item or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    return await this.findById(id);
+  }
+
   /**
    * Get all unique categories
    * @return {Promise<Array<string>>} List of categories
@@ -159,10 +237,155 @@ class BaseItemRepository extends ItemRepository {
    * @param {string} sourceItemId ID of the source item
    * @param {Array} derivedItems Array of derived item data
    * @param {Object} [transaction] Optional transaction
+   * @param {Object} [context] User recorded on the inventory movements and
+   * the location the stock is taken from and put into
    * @return {Promise<Object>} Object containing source item and derived items
    */
-  async createDerivedItems(sourceItemId, derivedItems, transaction = null) {
-    throw new Error("Method not implemented: createDerivedItems");
+  async createDerivedItems(sourceItemId, derivedItems, transaction = null,
+      context = {}) {
+    // Read everything first; some backends need all transactional reads
+    // to happen before any write
+    const sourceItem = await this.findForUpdate(sourceItemId, transaction);
+    if (!sourceItem) {
+      throw new NotFoundError("Source item", sourceItemId);
+    }
+
+    const existingItems = [];
+    for (const itemData of derivedItems) {
+      if (!itemData.itemId) {
+        existingItems.push(null);
+        continue;
+      }
+      const existingItem =
+        await this.findForUpdate(itemData.itemId, transaction);
+      if (!existingItem) {
+        throw new NotFoundError("Existing item", itemData.itemId);
+      }
+
+      const existingSourceId = existingItem.derivedFrom ?
+        getItemRefId(existingItem.derivedFrom.item) : null;
+      if (existingSourceId && existingSourceId !== sourceItemId.toString()) {
+        throw new ValidationError(`Item is already derived
+          from a different source item: ${existingSourceId}`);
+      }
+      existingItems.push(existingItem);
+    }
+
+    // Check there's enough of the source to allocate
+    const trackingType = getTrackingMeasurement(sourceItem);
+    const totalAllocated = {};
+    for (const measurement of MEASUREMENTS) {
+      totalAllocated[measurement] = roundMeasurement(derivedItems.reduce(
+          (total, itemData) => total + (itemData[measurement] || 0), 0));
+    }
+
+    const available = sourceItem[trackingType] || 0;
+    if (totalAllocated[trackingType] > available) {
+      throw new ValidationError(`Not enough ${trackingType} in source item.
+        Available: ${available},
+        Requested: ${totalAllocated[trackingType]}`);
+    }
+
+    // Every movement from this breakdown points back at the source item
+    const location = context.location || null;
+    const movementContext = {
+      ...context,
+      sourceType: "Item",
+      sourceId: sourceItemId,
+    };
+
+    const resultItems = [];
+    const derivedItemsRefs = [];
+
+    for (let i = 0; i < derivedItems.length; i++) {
+      const itemData = derivedItems[i];
+      const existingItem = existingItems[i];
+      const allocated = itemData[trackingType] || 0;
+      let derivedItem;
+
+      if (existingItem) {
+        // ALLOCATION TO EXISTING ITEM, in the unit it's tracked in
+        const previous = existingItem.derivedFrom || {};
+        const amounts = {};
+        for (const measurement of MEASUREMENTS) {
+          amounts[measurement] = (previous[measurement] || 0) +
+            (itemData[measurement] || 0);
+        }
+
+        const {updateData, steps} = planStockChange(existingItem, [{
+          location,
+          amount: toItemAmount(allocated, trackingType,
+              getTrackingUnit(sourceItem), existingItem),
+        }]);
+        updateData.derivedFrom = derivationRef(sourceItemId, sourceItem,
+            amounts);
+        updateData.lastUpdated = new Date();
+
+        derivedItem = await this.update(getItemRefId(existingItem), updateData,
+            transaction);
+        for (const step of steps) {
+          await this.recordMovement(step.before, step.updateData, "breakdown",
+              {...movementContext, location: step.location}, transaction);
+        }
+      } else {
+        // CREATE NEW DERIVED ITEM
+        const newItem = {
+          name: itemData.name,
+          sku: itemData.sku,
+          category: itemData.category || sourceItem.category,
+          description: itemData.description,
+          price: itemData.price !== undefined ?
+            itemData.price : sourceItem.price,
+          cost: itemData.cost !== undefined ? itemData.cost : sourceItem.cost,
+          tags: itemData.tags || sourceItem.tags,
+          imageUrl: itemData.imageUrl || sourceItem.imageUrl,
+          derivedFrom: derivationRef(sourceItemId, sourceItem, itemData),
+          trackingType: sourceItem.trackingType,
+          itemType: sourceItem.itemType,
+          weightUnit: sourceItem.weightUnit,
+          lengthUnit: sourceItem.lengthUnit,
+          areaUnit: sourceItem.areaUnit,
+          volumeUnit: sourceItem.volumeUnit,
+          priceType: sourceItem.priceType,
+          // Items measured in other units keep the package count too
+          quantity: itemData.quantity || 0,
+          [trackingType]: 0,
+          stockByLocation: [],
+          lastUpdated: new Date(),
+        };
+        const {updateData} = planStockChange(newItem,
+            [{location, amount: allocated}]);
+
+        derivedItem = await this.create({...newItem, ...updateData},
+            transaction);
+        const empty = {...derivedItem, stockByLocation: []};
+        MEASUREMENTS.forEach((measurement) => empty[measurement] = 0);
+        await this.recordMovement(empty, derivedItem, "breakdown",
+            {...movementContext, location}, transaction);
+      }
+
+      resultItems.push(derivedItem);
+      derivedItemsRefs.push(
+          derivationRef(getItemRefId(derivedItem), sourceItem, itemData));
+    }
+
+    // Take the allocations out of the source item
+    const {updateData: sourceUpdate, steps} = planStockChange(sourceItem,
+        [{location, amount: -totalAllocated[trackingType]}]);
+    sourceUpdate.derivedItems =
+      (sourceItem.derivedItems || []).concat(derivedItemsRefs);
+    sourceUpdate.lastUpdated = new Date();
+    const updatedSource = await this.update(sourceItemId, sourceUpdate,
+        transaction);
+    for (const step of steps) {
+      await this.recordMovement(step.before, step.updateData, "breakdown",
+          {...movementContext, location: step.location}, transaction);
+    }
+
+    return {
+      sourceItem: updatedSource,
+      derivedItems: resultItems,
+    };
   }
 
   /**
@@ -171,7 +394,11 @@ class BaseItemRepository extends ItemRepository {
    * @return {Promise<Array>} Array of derived items
    */
   async getDerivedItems(sourceItemId) {
-    throw new Error("Method not implemented: getDerivedItems");
+    const items = await this.findAll({});
+    return items
+        .filter((item) => item.derivedFrom &&
+          getItemRefId(item.derivedFrom.item) === sourceItemId.toString())
+        .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
   }
 
   /**
@@ -180,7 +407,25 @@ class BaseItemRepository extends ItemRepository {
    * @return {Promise<Object|null>} Parent item or null
    */
   async getParentItem(derivedItemId) {
-    throw new Error("Method not implemented: getParentItem");
+    const derivedItem = await this.findById(derivedItemId);
+    if (!derivedItem || !derivedItem.derivedFrom ||
+        !derivedItem.derivedFrom.item) {
+      return null;
+    }
+
+    return await this.findById(getItemRefId(derivedItem.derivedFrom.item));
+  }
+
+  /**
+   * Find the item a serial numbered unit belongs to by scanning all items.
+   * Providers that can query inside the serials array should override this
+   * @param {string} serialNumber Serial number
+   * @return {Promise<Object|null>} Item or null if no unit has the serial
+   */
+  async findBySerial(serialNumber) {
+    const items = await this.findAll({});
+    return items.find((item) => (item.serials || []).some((serial) =>
+      serial.serialNumber === serialNumber)) || null;
   }
 }
 
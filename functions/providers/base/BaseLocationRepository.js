@@ -0,0 +1,23 @@
+const LocationRepository = require("../interfaces/locationRepository");
+
+/**
+ * Base implementation of LocationRepository with common functionality
+ * @abstract
+ */
+class BaseLocationRepository extends LocationRepository {
+  /**
+   * Find the default location
+   * @return {Promise<Object|null>} Default location or null if none is set
+   */
+  async findDefault() {
+    try {
+      const locations = await this.findAll({isDefault: true, isActive: true});
+      return locations.length > 0 ? locations[0] : null;
+    } catch (error) {
+      console.error("Error getting default location:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseLocationRepository;
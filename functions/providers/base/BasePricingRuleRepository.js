@@ -0,0 +1,35 @@
+const PricingRuleRepository =
+  require("../interfaces/pricingRuleRepository");
+const {resolvePricingRule} = require("../../utils/pricingUtils");
+
+/**
+ * Base implementation of PricingRuleRepository with common functionality
+ * @abstract
+ */
+class BasePricingRuleRepository extends PricingRuleRepository {
+  /**
+   * Get all active pricing rules
+   * @return {Promise<Array>} List of active pricing rules
+   */
+  async findActiveRules() {
+    try {
+      return await this.findAll({isActive: true});
+    } catch (error) {
+      console.error("Error getting active pricing rules:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the rule that applies to an item, preferring item rules
+   * over category rules over global rules
+   * @param {Object} item Item object
+   * @return {Promise<Object|null>} Applicable rule or null if none
+   */
+  async findRuleForItem(item) {
+    const rules = await this.findActiveRules();
+    return resolvePricingRule(item, rules);
+  }
+}
+
+module.exports = BasePricingRuleRepository;
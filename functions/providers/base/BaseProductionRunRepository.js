@@ -0,0 +1,27 @@
+const ProductionRunRepository =
+  require("../interfaces/productionRunRepository");
+
+/**
+ * Base implementation of ProductionRunRepository with common functionality
+ * @abstract
+ */
+class BaseProductionRunRepository extends ProductionRunRepository {
+  /**
+   * Find production runs that built or consumed an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of production runs
+   */
+  async findByItem(itemId) {
+    try {
+      const id = itemId.toString();
+      const runs = await this.findAll({});
+      return runs.filter((run) => run.product.toString() === id ||
+        (run.components || []).some((c) => c.item.toString() === id));
+    } catch (error) {
+      console.error("Error getting production runs for item:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseProductionRunRepository;
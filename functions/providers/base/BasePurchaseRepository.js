@@ -1,4 +1,59 @@
 const PurchaseRepository = require("../interfaces/purchaseRepository");
+const {ValidationError} = require("../../utils/errors");
+const {getAutoPrice} = require("../../utils/pricingUtils");
+const {
+  receiveCost,
+  reverseReceiptCost,
+} = require("../../utils/costingUtils");
+const {groupLinesByItem} = require("../../utils/inventoryUtils");
+const {
+  getTrackingMeasurement,
+  getLineAmount,
+  getLineUnitCost,
+  roundMeasurement,
+  getItemRefId,
+} = require("../../utils/unitConversion");
+const {
+  getDocumentLocation,
+  planStockChange,
+} = require("../../utils/locationUtils");
+const {
+  copyLots,
+  receiveLot,
+  revertLotReceipt,
+  validatePurchaseLots,
+} = require("../../utils/lotUtils");
+const {
+  copySerials,
+  usesSerials,
+  receiveSerials,
+  revertSerialReceipt,
+} = require("../../utils/serialUtils");
+const {
+  purchaseHoldsStock,
+  getReceivedPurchaseLines,
+  planInventoryEffects,
+  readItems,
+} = require("../../utils/inventoryEffectsUtils");
+
+/**
+ * Check planned purchase changes leave every item with some stock. A
+ * purchase's stock can't come back out once some of it has been sold
+ * @param {Array} plans Planned changes
+ * @param {Map} itemsById Items as the plans leave them
+ * @throws {ValidationError} When an item would be left with less than none
+ */
+function checkStockLeft(plans, itemsById) {
+  for (const plan of plans) {
+    const item = itemsById.get(plan.result.itemId);
+    const measurement = getTrackingMeasurement(item);
+    if (parseFloat(item[measurement] || 0) < 0) {
+      throw new ValidationError(`Taking the purchase's stock back out
+        would leave ${item.name} with negative ${measurement}
+        (${item[measurement]}); adjust its stock first`);
+    }
+  }
+}
 
 /**
  * Base implementation of PurchaseRepository with common functionality
@@ -11,6 +66,9 @@ class BasePurchaseRepository extends PurchaseRepository {
   constructor() {
     super();
     this.itemRepository = null;
+    this.pricingRuleRepository = null;
+    this.movementRepository = null;
+    this.locationRepository = null;
   }
 
   /**
@@ -22,190 +80,409 @@ class BasePurchaseRepository extends PurchaseRepository {
   }
 
   /**
-   * Update inventory when creating a purchase
+   * Set the pricing rule repository dependency
+   * @param {PricingRuleRepository} pricingRuleRepository The pricing rule
+   * repository implementation
+   */
+  setPricingRuleRepository(pricingRuleRepository) {
+    this.pricingRuleRepository = pricingRuleRepository;
+  }
+
+  /**
+   * Set the inventory movement repository dependency
+   * @param {InventoryMovementRepository} movementRepository The inventory
+   * movement repository implementation
+   */
+  setMovementRepository(movementRepository) {
+    this.movementRepository = movementRepository;
+  }
+
+  /**
+   * Set the location repository dependency
+   * @param {LocationRepository} locationRepository The location
+   * repository implementation
+   */
+  setLocationRepository(locationRepository) {
+    this.locationRepository = locationRepository;
+  }
+
+  /**
+   * Read a purchase as part of a transaction. Providers whose transactions
+   * need reads to go through them, or can't read their own pending
+   * writes, override this
+   * @param {string} id Purchase ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Purchase or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    return await this.findById(id);
+  }
+
+  /**
+   * Record a stock change in the movement ledger, if one is available
+   * @param {Object} item Item before the update
+   * @param {Object} updateData Fields being written to the item
+   * @param {string} type Movement type
+   * @param {Object} [context] Source document and user
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Created movement or null
+   */
+  async recordMovement(item, updateData, type, context, transaction) {
+    if (!this.movementRepository) {
+      return null;
+    }
+    return await this.movementRepository.recordChange(item, updateData,
+        type, context, transaction);
+  }
+
+  /**
+   * Calculate the new price for an item whose cost changed. The price is
+   * only recalculated when an automatic pricing rule applies to the item
+   * @param {Object} item Item object
+   * @param {number} cost New unit cost
+   * @return {Promise<number|null>} New price, or null to keep the price
+   */
+  async calculateAutoPrice(item, cost) {
+    if (!this.pricingRuleRepository) {
+      return null;
+    }
+
+    const rule = await this.pricingRuleRepository.findRuleForItem(item);
+    return getAutoPrice(cost, rule);
+  }
+
+  /**
+   * Plan an inventory operation for each unique item on a purchase.
+   * Every item is read before any is planned and nothing is written
    * @param {Array} items Items in the purchase
+   * @param {Function} operation Planner called with (item, lines)
+   * @param {string} label Operation name used in log messages
    * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
+   * @param {Map} [itemsById] Items read so far, shared between plans
+   * @return {Promise<Array>} Planned change per item
+   * @throws {NotFoundError} When a line's item isn't the caller's to stock
+   * @protected
    */
-  async updateInventoryForPurchase(items, transaction) {
-    // This is just a base implementation
-    // The MongoDB implementation will override
-    // this with a more efficient version
+  async planForEachPurchasedItem(items, operation, label, transaction,
+      itemsById = new Map()) {
     if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available in BasePurchaseRepository`);
+      throw new Error(`ItemRepository not available
+        in ${this.constructor.name}`);
     }
 
-    console.log(`Base implementation - Starting inventory update for
+    console.log(`Planning inventory ${label} for
       ${items && items.length || 0} purchase items`);
 
     // Exit early if no items to process
     if (!items || items.length === 0) {
-      console.log("No items to update inventory for");
+      console.log(`No items to ${label} inventory for`);
       return [];
     }
 
     // Group items by item ID to consolidate updates for the same item
-    const itemGroups = {};
+    const itemGroups = groupLinesByItem(items);
+    await readItems(this.itemRepository, Object.keys(itemGroups),
+        transaction, itemsById);
 
-    // First pass: group items by their ID
-    for (const purchaseItem of items) {
-      if (!purchaseItem.item) {
-        console.warn("Skipping purchase item with no item reference");
-        continue;
-      }
+    const plans = [];
+    for (const [itemId, purchaseItems] of Object.entries(itemGroups)) {
+      const item = itemsById.get(itemId);
+      const plan = await operation(item, purchaseItems);
+      // A later plan for the same purchase starts from this one's result
+      itemsById.set(itemId, {...item, ...plan.result.updateData});
+      plans.push(plan);
+    }
 
-      const itemId = typeof purchaseItem.item === "object" ?
-        purchaseItem.item._id.toString() : purchaseItem.item.toString();
+    return plans;
+  }
 
-      if (!itemGroups[itemId]) {
-        itemGroups[itemId] = [];
+  /**
+   * Write planned stock changes to their items and the movement ledger
+   * @param {Array} plans Planned changes
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Array>} Results per item
+   * @protected
+   */
+  async writeInventoryChanges(plans, transaction) {
+    for (const {steps, type, context, result} of plans) {
+      await this.itemRepository.update(result.itemId, result.updateData,
+          transaction);
+      for (const step of steps) {
+        await this.recordMovement(step.before, step.updateData, type, {
+          sourceType: "Purchase",
+          ...context,
+          location: step.location,
+          lots: step.lots,
+        }, transaction);
       }
-
-      itemGroups[itemId].push(purchaseItem);
     }
+    return plans.map((plan) => plan.result);
+  }
 
-    console.log(`Grouped purchase items into ${Object.keys(itemGroups).length}
-      unique items`);
-
-    // Use Promise.all to handle all updates in parallel
-    const updatePromises = [];
-
-    for (const [itemId, purchaseItems] of Object.entries(itemGroups)) {
-      updatePromises.push(this.updateInventoryForItem(itemId,
-          purchaseItems, transaction));
-    }
+  /**
+   * Plan the stock a purchase's lines add
+   * @param {Array} items Items in the purchase
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
+   * @param {Map} [itemsById] Items read so far, shared between plans
+   * @return {Promise<Array>} Planned change per item
+   * @protected
+   */
+  async planPurchaseReceipt(items, transaction, context = {}, itemsById) {
+    const location = await getDocumentLocation(context,
+        this.locationRepository);
+    return this.planForEachPurchasedItem(items, (item, purchaseItems) =>
+      this.planItemReceipt(item, purchaseItems, {...context, location}),
+    "update", transaction, itemsById);
+  }
 
-    try {
-      // Execute all update promises and wait for all to complete
-      console.log(`Executing ${updatePromises.length}
-        inventory update operations`);
-      return await Promise.all(updatePromises);
-    } catch (error) {
-      console.error(`Fatal error during inventory update:`, error);
-      throw error;
-    }
+  /**
+   * Update inventory when creating a purchase
+   * @param {Array} items Items in the purchase
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
+   * @return {Promise<Array>} Update results per item
+   */
+  async updateInventoryForPurchase(items, transaction, context = {}) {
+    const plans = await this.planPurchaseReceipt(items, transaction,
+        context);
+    return this.writeInventoryChanges(plans, transaction);
   }
 
   /**
-   * Update inventory for a single item
-   * @param {string} itemId Item ID
+   * Plan the stock purchase lines add to a single item
+   * @param {Object} item Item as read before the purchase
    * @param {Array} purchaseItems Purchase items for this item
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<Object>} Result of the update
+   * @param {Object} [context] Purchase and user recorded on the movement
+   * @return {Promise<Object>} Planned change
    * @private
    */
-  async updateInventoryForItem(itemId, purchaseItems, transaction) {
-    try {
-      console.log(`Processing ${purchaseItems.length}
-        purchases for item ${itemId}`);
-
-      // Get the current state of the item
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for purchase`);
-        return {
-          success: false,
-          itemId,
-          error: "Item not found",
-        };
-      }
-
-      // Aggregate all values from purchase items for this item
-      const aggregate = {
-        quantity: 0,
-        weight: 0,
-        length: 0,
-        area: 0,
-        volume: 0,
-        maxCostPerUnit: 0,
-        totalCost: 0,
-        totalMeasurement: 0,
-      };
-
-      // Calculate totals for all purchase items for this product
-      for (const purchaseItem of purchaseItems) {
-        aggregate.quantity += parseFloat(purchaseItem.quantity || 0);
-        aggregate.weight += parseFloat(purchaseItem.weight || 0);
-        aggregate.length += parseFloat(purchaseItem.length || 0);
-        aggregate.area += parseFloat(purchaseItem.area || 0);
-        aggregate.volume += parseFloat(purchaseItem.volume || 0);
-
-        // Track cost data for cost/price updates
-        const purchaseCost = purchaseItem.costPerUnit ||
-          (purchaseItem.totalCost && purchaseItem.quantity ?
-           purchaseItem.totalCost / purchaseItem.quantity : 0);
-
-        if (purchaseCost > aggregate.maxCostPerUnit) {
-          aggregate.maxCostPerUnit = purchaseCost;
-        }
+  async planItemReceipt(item, purchaseItems, context = {}) {
+    const itemId = getItemRefId(item);
+    console.log(`Processing ${purchaseItems.length}
+      purchases for item ${itemId}`);
+
+    validatePurchaseLots(item, purchaseItems);
+
+    // Aggregate all purchase lines for this item in its tracking unit
+    const measurement = getTrackingMeasurement(item);
+    const lots = copyLots(item);
+    const receipts = [];
+    const changes = [];
+
+    for (const purchaseItem of purchaseItems) {
+      const amount = getLineAmount(purchaseItem, item);
+      const costPerUnit = getLineUnitCost(purchaseItem, item) || 0;
+      receipts.push({
+        purchase: context.sourceId || null,
+        date: new Date(),
+        amount,
+        costPerUnit,
+      });
+      changes.push({
+        location: getItemRefId(purchaseItem.location) || context.location,
+        amount,
+        lots: purchaseItem.lotNumber ?
+          [{lotNumber: purchaseItem.lotNumber, amount}] : [],
+      });
 
-        aggregate.totalCost += parseFloat(purchaseItem.totalCost || 0);
-
-        if (item.trackingType === "weight") {
-          aggregate.totalMeasurement += parseFloat(purchaseItem.weight || 0);
-        } else if (item.trackingType === "length") {
-          aggregate.totalMeasurement += parseFloat(purchaseItem.length || 0);
-        } else if (item.trackingType === "area") {
-          aggregate.totalMeasurement += parseFloat(purchaseItem.area || 0);
-        } else if (item.trackingType === "volume") {
-          aggregate.totalMeasurement += parseFloat(purchaseItem.volume || 0);
-        } else {
-          aggregate.totalMeasurement += parseFloat(purchaseItem.quantity || 0);
-        }
+      // Received batches become lots on the item
+      if (purchaseItem.lotNumber) {
+        receiveLot(lots, {
+          lotNumber: purchaseItem.lotNumber,
+          expirationDate: purchaseItem.expirationDate,
+          amount,
+          costPerUnit,
+        });
       }
+    }
 
-      // Update data to apply to the item
-      const updateData = {};
-
-      // Apply the appropriate measurement value based on tracking type
-      switch (item.trackingType) {
-        case "weight":
-          updateData.weight = (item.weight || 0) + aggregate.weight;
-          break;
-        case "length":
-          updateData.length = (item.length || 0) + aggregate.length;
-          break;
-        case "area":
-          updateData.area = (item.area || 0) + aggregate.area;
-          break;
-        case "volume":
-          updateData.volume = (item.volume || 0) + aggregate.volume;
-          break;
-        default:
-          // Default to quantity tracking
-          updateData.quantity = (item.quantity || 0) + aggregate.quantity;
-          break;
-      }
+    const currentAmount = parseFloat(item[measurement] || 0);
+    const {updateData, steps} = planStockChange(item, changes);
+    if (purchaseItems.some((purchaseItem) => purchaseItem.lotNumber)) {
+      updateData.lots = lots;
+    }
+    if (usesSerials(item, purchaseItems)) {
+      updateData.serials = receiveSerials(copySerials(item), item,
+          purchaseItems, context);
+    }
+    console.log(`Updating ${measurement} for item ${itemId}:
+      ${currentAmount} -> ${updateData[measurement]}`);
+
+    // What arrived becomes cost layers, and the item's costing method
+    // works out its cost from them the same way a rebuild does
+    Object.assign(updateData, receiveCost(item, receipts));
+
+    // The selling price only follows cost when a pricing rule
+    // is set to apply automatically
+    const price = await this.calculateAutoPrice(item, updateData.cost);
+    if (price !== null) {
+      updateData.price = price;
+    }
 
-      // Always update cost and price if we have valid cost data
-      if (aggregate.maxCostPerUnit > 0) {
-        updateData.cost = aggregate.maxCostPerUnit;
-        updateData.price = aggregate.maxCostPerUnit;
-      }
+    // Add last updated timestamp
+    updateData.lastUpdated = new Date();
 
-      // Add last updated timestamp
-      updateData.lastUpdated = new Date();
+    return {
+      steps,
+      type: "purchase",
+      context,
+      result: {
+        success: true,
+        itemId,
+        updateData,
+        originalData: {
+          trackingType: item.trackingType,
+          quantity: item.quantity,
+          weight: item.weight,
+          length: item.length,
+          area: item.area,
+          volume: item.volume,
+          cost: item.cost,
+          price: item.price,
+        },
+      },
+    };
+  }
+
+  /**
+   * Plan taking back out the stock a purchase's lines added
+   * @param {Array} items Items in the purchase
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
+   * @param {Map} [itemsById] Items read so far, shared between plans
+   * @return {Promise<Array>} Planned change per item
+   * @protected
+   */
+  async planPurchaseReversal(items, transaction, context = {}, itemsById) {
+    const location = await getDocumentLocation(context,
+        this.locationRepository);
+    return this.planForEachPurchasedItem(items, (item, purchaseItems) =>
+      this.planItemReversal(item, purchaseItems, {...context, location}),
+    "revert", transaction, itemsById);
+  }
 
-      // Apply the update to the item
-      const result = await this.itemRepository.update(itemId,
-          updateData, transaction);
+  /**
+   * Revert inventory when deleting a purchase
+   * @param {Array} items Items in the purchase
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
+   * @return {Promise<Array>} Revert results per item
+   * @throws {ValidationError} When an item would be left with less than none
+   */
+  async revertInventoryForPurchase(items, transaction, context = {}) {
+    const itemsById = new Map();
+    const plans = await this.planPurchaseReversal(items, transaction,
+        context, itemsById);
+    checkStockLeft(plans, itemsById);
+    return this.writeInventoryChanges(plans, transaction);
+  }
 
+  /**
+   * Plan taking purchase lines back out of a single item
+   * @param {Object} item Item as read before the reversal
+   * @param {Array} purchaseItems Purchase items for this item
+   * @param {Object} [context] Purchase and user recorded on the movement
+   * @return {Object} Planned change
+   * @private
+   */
+  planItemReversal(item, purchaseItems, context = {}) {
+    const itemId = getItemRefId(item);
+    const measurement = getTrackingMeasurement(item);
+    const lots = copyLots(item);
+    const receipts = [];
+    const changes = purchaseItems.map((purchaseItem) => {
+      const lineAmount = getLineAmount(purchaseItem, item);
+      receipts.push({
+        purchase: context.sourceId || null,
+        amount: lineAmount,
+        costPerUnit: getLineUnitCost(purchaseItem, item) || 0,
+      });
+      if (purchaseItem.lotNumber) {
+        revertLotReceipt(lots, purchaseItem.lotNumber, lineAmount);
+      }
       return {
+        location: getItemRefId(purchaseItem.location) || context.location,
+        amount: -lineAmount,
+        lots: purchaseItem.lotNumber ?
+          [{lotNumber: purchaseItem.lotNumber, amount: lineAmount}] : [],
+      };
+    });
+    const amount = roundMeasurement(changes.reduce((total, change) =>
+      total - change.amount, 0));
+    const currentAmount = parseFloat(item[measurement] || 0);
+
+    // Not clamped: applyInventoryEffects refuses a reversal that leaves
+    // less than nothing once any new receipt is added back
+    const {updateData, steps} = planStockChange(item, changes,
+        {allowNegative: true});
+    if (purchaseItems.some((purchaseItem) => purchaseItem.lotNumber)) {
+      updateData.lots = lots;
+    }
+    if (usesSerials(item, purchaseItems)) {
+      updateData.serials = revertSerialReceipt(copySerials(item), item,
+          purchaseItems, context);
+    }
+    // The purchase's cost layers go with the stock it brought in
+    Object.assign(updateData, reverseReceiptCost(item, receipts));
+    updateData.lastUpdated = new Date();
+    console.log(`Reverting ${measurement} for item ${itemId}:
+      ${currentAmount} - ${amount} = ${updateData[measurement]}`);
+
+    return {
+      steps,
+      type: "purchase_reversal",
+      context,
+      result: {
         success: true,
         itemId,
         updateData,
-        item: result,
-      };
-    } catch (error) {
-      console.error(`Error updating inventory for item ${itemId}:`, error);
-      return {
-        success: false,
-        itemId,
-        error: error.message,
-      };
+      },
+    };
+  }
+
+  /**
+   * Move stock for a purchase that was created, changed or deleted. Stock
+   * the old state received is taken back out of where it went, then the
+   * new state's received, and nothing moves unless the lines, location,
+   * status or receipts changed what the purchase holds. A purchase holds
+   * what its receipts brought in, or all its lines once it's marked
+   * received without any, so a new receipt adds just what arrived.
+   * Every item is read before any is written
+   * @param {Object|null} before Purchase before the write, null on create
+   * @param {Object|null} after Purchase after the write, null on delete
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on each movement
+   * @return {Promise<void>}
+   * @throws {ValidationError} When taking the stock back out would leave
+   * an item with less than none, e.g. because some of it was sold
+   */
+  async applyInventoryEffects(before, after, transaction, context = {}) {
+    const {revert, apply} =
+      planInventoryEffects(before, after, purchaseHoldsStock,
+          getReceivedPurchaseLines);
+
+    // Both sides are planned before anything is written
+    const itemsById = new Map();
+    const plans = [];
+    if (revert) {
+      plans.push(...await this.planPurchaseReversal(revert.lines,
+          transaction, {
+            ...context,
+            sourceId: revert.sourceId,
+            location: revert.location,
+          }, itemsById));
+    }
+    if (apply) {
+      plans.push(...await this.planPurchaseReceipt(apply.lines,
+          transaction, {
+            ...context,
+            sourceId: apply.sourceId,
+            location: apply.location,
+          }, itemsById));
     }
+    checkStockLeft(plans, itemsById);
+    await this.writeInventoryChanges(plans, transaction);
   }
 
   /**
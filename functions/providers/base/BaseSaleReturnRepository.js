@@ -0,0 +1,43 @@
+const SaleReturnRepository = require("../interfaces/saleReturnRepository");
+
+/**
+ * Base implementation of SaleReturnRepository with common functionality
+ * @abstract
+ */
+class BaseSaleReturnRepository extends SaleReturnRepository {
+  /**
+   * Find the returns made against a sale
+   * @param {string} saleId Sale ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findBySale(saleId) {
+    try {
+      const id = saleId.toString();
+      const returns = await this.findAll({});
+      return returns.filter((saleReturn) =>
+        saleReturn.sale.toString() === id);
+    } catch (error) {
+      console.error("Error getting returns for sale:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find returns that brought back an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findByItem(itemId) {
+    try {
+      const id = itemId.toString();
+      const returns = await this.findAll({});
+      return returns.filter((saleReturn) => (saleReturn.items || [])
+          .some((line) => line.item.toString() === id));
+    } catch (error) {
+      console.error("Error getting returns for item:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseSaleReturnRepository;
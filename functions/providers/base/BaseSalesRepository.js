@@ -1,4 +1,33 @@
 const SalesRepository = require("../interfaces/salesRepository");
+const {groupLinesByItem} = require("../../utils/inventoryUtils");
+const {
+  getTrackingMeasurement,
+  getLineAmount,
+  roundMeasurement,
+  getItemRefId,
+} = require("../../utils/unitConversion");
+const {issueCost, returnCost} = require("../../utils/costingUtils");
+const {
+  getDocumentLocation,
+  planStockChange,
+} = require("../../utils/locationUtils");
+const {
+  copyLots,
+  allocateLots,
+  returnToLots,
+  limitAllocations,
+} = require("../../utils/lotUtils");
+const {
+  copySerials,
+  usesSerials,
+  sellSerials,
+  returnSerials,
+} = require("../../utils/serialUtils");
+const {
+  saleHoldsStock,
+  planInventoryEffects,
+  readItems,
+} = require("../../utils/inventoryEffectsUtils");
 
 /**
  * Base implementation of SalesRepository with common functionality
@@ -11,6 +40,8 @@ class BaseSalesRepository extends SalesRepository {
   constructor() {
     super();
     this.itemRepository = null;
+    this.movementRepository = null;
+    this.locationRepository = null;
   }
 
   /**
@@ -22,47 +53,339 @@ class BaseSalesRepository extends SalesRepository {
   }
 
   /**
-   * Update inventory when creating a sale
-   * @param {Array} items Items in the sale
+   * Set the inventory movement repository dependency
+   * @param {InventoryMovementRepository} movementRepository The inventory
+   * movement repository implementation
+   */
+  setMovementRepository(movementRepository) {
+    this.movementRepository = movementRepository;
+  }
+
+  /**
+   * Set the location repository dependency
+   * @param {LocationRepository} locationRepository The location
+   * repository implementation
+   */
+  setLocationRepository(locationRepository) {
+    this.locationRepository = locationRepository;
+  }
+
+  /**
+   * Record a stock change in the movement ledger, if one is available
+   * @param {Object} item Item before the update
+   * @param {Object} updateData Fields being written to the item
+   * @param {string} type Movement type
+   * @param {Object} [context] Source document and user
    * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
+   * @return {Promise<Object|null>} Created movement or null
    */
-  async updateInventoryForSale(items, transaction) {
-    try {
-      // This method requires access to the ItemRepository
-      // The specific implementation will need to provide this
-      if (!this.itemRepository) {
-        throw new Error("ItemRepository not available in BaseSalesRepository");
+  async recordMovement(item, updateData, type, context, transaction) {
+    if (!this.movementRepository) {
+      return null;
+    }
+    return await this.movementRepository.recordChange(item, updateData,
+        type, context, transaction);
+  }
+
+  /**
+   * Get the lots a sale took an item from, so they can be put back.
+   * The movement ledger knows where first-expiring sales came from;
+   * without it only lines sold from a named lot can be restored
+   * @param {Object} item Item sold
+   * @param {Array} saleItems Sale lines for the item
+   * @param {Object} [context] Sale recorded on each movement
+   * @return {Promise<Array>} Allocations ({lotNumber, amount})
+   * @protected
+   */
+  async getSoldLots(item, saleItems, context = {}) {
+    if (!this.movementRepository || !context.sourceId) {
+      return saleItems.filter((saleItem) => saleItem.lotNumber)
+          .map((saleItem) => ({
+            lotNumber: saleItem.lotNumber,
+            amount: getLineAmount(saleItem, item),
+          }));
+    }
+
+    const sourceId = context.sourceId.toString();
+    const movements = await this.movementRepository.findByItem(
+        item._id || item.id, {});
+    const net = {};
+
+    for (const movement of movements) {
+      if (!movement.sourceId || movement.sourceId.toString() !== sourceId) {
+        continue;
+      }
+      const sign = {sale: 1, sale_reversal: -1}[movement.type] || 0;
+      for (const lot of movement.lots || []) {
+        net[lot.lotNumber] = (net[lot.lotNumber] || 0) + sign * lot.amount;
       }
+    }
 
-      for (const saleItem of items) {
-        if (!saleItem.item) continue;
+    return Object.entries(net)
+        .filter(([, amount]) => amount > 0)
+        .map(([lotNumber, amount]) =>
+          ({lotNumber, amount: roundMeasurement(amount)}));
+  }
 
-        const itemId = typeof saleItem.item ===
-          "object" ? saleItem.item._id : saleItem.item;
-        const item = await this.itemRepository.findById(itemId);
+  /**
+   * Get what each unit a sale took of an item cost when it went out, so
+   * stock it puts back is costed the same. The movement ledger keeps the
+   * cost of every sale; without it, or for sales from before it did, the
+   * item's current cost is used
+   * @param {Object} item Item sold
+   * @param {Object} [context] Sale recorded on each movement
+   * @return {Promise<number>} Cost per unit in the item's tracking unit
+   * @protected
+   */
+  async getSoldCost(item, context = {}) {
+    if (!this.movementRepository || !context.sourceId) {
+      return item.cost || 0;
+    }
+
+    const sourceId = context.sourceId.toString();
+    const measurement = getTrackingMeasurement(item);
+    const movements = await this.movementRepository.findByItem(
+        item._id || item.id, {});
+    let amount = 0;
+    let value = 0;
+
+    for (const movement of movements) {
+      if (!movement.sourceId || movement.sourceId.toString() !== sourceId ||
+          typeof movement.unitCost !== "number") {
+        continue;
+      }
+      const moved = -parseFloat((movement.delta || {})[measurement] || 0);
+      amount += moved;
+      value += moved * movement.unitCost;
+    }
 
-        if (!item) {
-          console.warn(`Item ${itemId} not found
-            when updating inventory for sale`);
-          continue;
-        }
+    return amount > 0 ? value / amount : item.cost || 0;
+  }
+
+  /**
+   * Plan a change in stock to every item on a sale. Each line is
+   * converted into the unit its item is tracked in, at the line's
+   * location or else the sale's. Items kept in lots are sold from the
+   * line's lot or else the first lot to expire, and serial tracked items
+   * by the serial numbers on the line. Stock taken out is costed from
+   * the item's cost layers and stock put back goes into them at what it
+   * cost when it went out. Every item is read before anything is planned
+   * and nothing is written
+   * @param {Array} items Items in the sale
+   * @param {number} direction -1 to take stock out, 1 to put it back
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
+   * @param {Map} [itemsById] Items read so far, shared between plans
+   * @return {Promise<Array>} Planned change per item
+   * @throws {NotFoundError} When a line's item isn't the caller's to sell
+   * @protected
+   */
+  async planInventoryChange(items, direction, transaction, context = {},
+      itemsById = new Map()) {
+    if (!this.itemRepository) {
+      throw new Error(`ItemRepository not available
+        in ${this.constructor.name}`);
+    }
+
+    const itemGroups = groupLinesByItem(items);
+    await readItems(this.itemRepository, Object.keys(itemGroups),
+        transaction, itemsById);
+    const saleLocation = await getDocumentLocation(context,
+        this.locationRepository);
+
+    const plans = [];
+    for (const [itemId, saleItems] of Object.entries(itemGroups)) {
+      const item = itemsById.get(itemId);
+      const measurement = getTrackingMeasurement(item);
+      const lots = copyLots(item);
+      const tracksLots = lots.length > 0 ||
+        saleItems.some((saleItem) => saleItem.lotNumber);
+
+      const changes = saleItems.map((saleItem) => {
+        const lineAmount = getLineAmount(saleItem, item);
+        return {
+          location: getItemRefId(saleItem.location) || saleLocation,
+          amount: direction * lineAmount,
+          lots: tracksLots && direction < 0 ?
+            allocateLots(lots, lineAmount,
+                {lotNumber: saleItem.lotNumber, itemName: item.name}) :
+            [],
+        };
+      });
+      const amount = roundMeasurement(changes.reduce((total, change) =>
+        total + Math.abs(change.amount), 0));
+      // A return may bring back only part of what the sale took
+      if (tracksLots && direction > 0) {
+        changes[0].lots = returnToLots(lots, limitAllocations(
+            await this.getSoldLots(item, saleItems, context), amount));
+      }
+
+      let unitCost;
+      let costing;
+      if (direction < 0) {
+        costing = issueCost(item, amount);
+        unitCost = amount > 0 ? costing.issuedCost / amount : item.cost || 0;
+      } else {
+        unitCost = await this.getSoldCost(item, context);
+        costing = returnCost(item, amount, unitCost);
+      }
+
+      const {updateData, steps} = planStockChange(item, changes);
+      updateData.costLayers = costing.costLayers;
+      updateData.cost = costing.cost;
+      updateData.costOfGoodsSold = costing.costOfGoodsSold;
+      if (tracksLots) {
+        updateData.lots = lots;
+      }
+      if (usesSerials(item, saleItems)) {
+        updateData.serials = direction < 0 ?
+          sellSerials(copySerials(item), item, saleItems, context) :
+          returnSerials(copySerials(item), saleItems, context);
+      }
+      updateData.lastUpdated = new Date();
 
-        // Decrease quantity by the sold amount
-        const newQuantity = Math.max(0, item.quantity - saleItem.quantity);
+      // A later plan for the same sale starts from this one's result
+      itemsById.set(itemId, {...item, ...updateData});
+      plans.push({
+        itemId,
+        steps,
+        type: direction < 0 ? "sale" : "sale_reversal",
+        unitCost,
+        context,
+        result: {itemId, measurement, amount, updateData},
+      });
+    }
 
-        // Create update payload based on item's tracking type
-        const updateData = {quantity: newQuantity};
+    return plans;
+  }
 
-        // Update the item
-        await this.itemRepository.update(itemId, updateData, transaction);
+  /**
+   * Write planned stock changes to their items and the movement ledger
+   * @param {Array} plans Planned changes from planInventoryChange
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Array>} Update results per item
+   * @protected
+   */
+  async writeInventoryChanges(plans, transaction) {
+    for (const {itemId, steps, type, unitCost, context, result} of plans) {
+      await this.itemRepository.update(itemId, result.updateData,
+          transaction);
+      for (const step of steps) {
+        await this.recordMovement(step.before, step.updateData, type, {
+          sourceType: "Sale",
+          ...context,
+          location: step.location,
+          lots: step.lots,
+          unitCost,
+        }, transaction);
       }
+    }
+    return plans.map((plan) => plan.result);
+  }
+
+  /**
+   * Apply a change in stock to every item on a sale, reading and
+   * planning every item before writing any
+   * @param {Array} items Items in the sale
+   * @param {number} direction -1 to take stock out, 1 to put it back
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
+   * @return {Promise<Array>} Update results per item
+   * @protected
+   */
+  async applyInventoryChange(items, direction, transaction, context = {}) {
+    const plans = await this.planInventoryChange(items, direction,
+        transaction, context);
+    return await this.writeInventoryChanges(plans, transaction);
+  }
+
+  /**
+   * Update inventory when creating a sale
+   * @param {Array} items Items in the sale
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
+   * @return {Promise<Array>} Update results per item
+   */
+  async updateInventoryForSale(items, transaction, context) {
+    try {
+      return await this.applyInventoryChange(items, -1, transaction, context);
     } catch (error) {
       console.error("Error updating inventory for sale:", error);
       throw error;
     }
   }
 
+  /**
+   * Restore inventory when deleting a sale
+   * @param {Array} items Items in the sale
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
+   * @return {Promise<Array>} Update results per item
+   */
+  async restoreInventoryForSale(items, transaction, context) {
+    try {
+      return await this.applyInventoryChange(items, 1, transaction, context);
+    } catch (error) {
+      console.error("Error restoring inventory for sale:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move stock for a sale that was created, changed or deleted. Stock the
+   * old state took is put back where it was sold from, then the new
+   * state's taken out, and nothing moves unless the lines or location
+   * changed what the sale holds. Every item is read before any is written
+   * @param {Object|null} before Sale before the write, null on create
+   * @param {Object|null} after Sale after the write, null on delete
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on each movement
+   * @return {Promise<void>}
+   */
+  async applyInventoryEffects(before, after, transaction, context = {}) {
+    const {revert, apply} =
+      planInventoryEffects(before, after, saleHoldsStock);
+
+    // Both sides are planned before anything is written
+    const itemsById = new Map();
+    const plans = [];
+    if (revert) {
+      plans.push(...await this.planInventoryChange(revert.lines, 1,
+          transaction, {
+            ...context,
+            sourceId: revert.sourceId,
+            location: revert.location,
+          }, itemsById));
+    }
+    if (apply) {
+      plans.push(...await this.planInventoryChange(apply.lines, -1,
+          transaction, {
+            ...context,
+            sourceId: apply.sourceId,
+            location: apply.location,
+          }, itemsById));
+    }
+    await this.writeInventoryChanges(plans, transaction);
+  }
+
+  /**
+   * Get all sales containing a specific item
+   * @param {string} itemId - ID of the item to filter by
+   * @return {Promise<Array>} List of sales containing the item
+   */
+  async getAllByItemId(itemId) {
+    try {
+      // This is a basic implementation that filters in memory
+      const id = itemId.toString();
+      const allSales = await this.findAll({});
+      return allSales.filter((sale) => (sale.items || []).some((item) =>
+        getItemRefId(item.item) === id));
+    } catch (error) {
+      console.error(`Error getting sales by item ID ${itemId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Base implementation of report generation
    * @param {Object} filter Query filters
@@ -93,11 +416,15 @@ class BaseSalesRepository extends SalesRepository {
       const totalSales = sales.length;
       const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
       const averageOrderValue = totalSales > 0 ? totalRevenue / totalSales : 0;
+      const totalRefunds = sales.reduce((sum, sale) =>
+        sum + (sale.refundedTotal || 0), 0);
 
       return {
         totalSales,
         totalRevenue,
         averageOrderValue,
+        totalRefunds,
+        netRevenue: totalRevenue - totalRefunds,
         sales,
       };
     } catch (error) {
@@ -0,0 +1,22 @@
+const StockCountRepository = require("../interfaces/stockCountRepository");
+
+/**
+ * Base implementation of StockCountRepository with common functionality
+ * @abstract
+ */
+class BaseStockCountRepository extends StockCountRepository {
+  /**
+   * Find all stock count sessions that are still open
+   * @return {Promise<Array>} List of open stock count sessions
+   */
+  async findOpen() {
+    try {
+      return await this.findAll({status: "open"});
+    } catch (error) {
+      console.error("Error getting open stock counts:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseStockCountRepository;
@@ -0,0 +1,28 @@
+const SupplierRepository = require("../interfaces/supplierRepository");
+
+/**
+ * Base implementation of SupplierRepository with common functionality
+ * @abstract
+ */
+class BaseSupplierRepository extends SupplierRepository {
+  /**
+   * Find a supplier by name, ignoring case and surrounding spaces
+   * @param {string} name Supplier name
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findByName(name) {
+    try {
+      const wanted = (name || "").toString().trim().toLowerCase();
+      if (!wanted) return null;
+
+      const suppliers = await this.findAll({});
+      return suppliers.find((supplier) =>
+        (supplier.name || "").trim().toLowerCase() === wanted) || null;
+    } catch (error) {
+      console.error("Error finding supplier by name:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseSupplierRepository;
@@ -0,0 +1,24 @@
+const UserRepository = require("../interfaces/userRepository");
+
+/**
+ * Base implementation of UserRepository with common functionality
+ * @abstract
+ */
+class BaseUserRepository extends UserRepository {
+  /**
+   * Find the user signed in with an auth account
+   * @param {string} uid Auth account ID (the token's uid or sub)
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findByUid(uid) {
+    try {
+      const users = await this.findAll({uid});
+      return users.length > 0 ? users[0] : null;
+    } catch (error) {
+      console.error("Error getting user by uid:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BaseUserRepository;
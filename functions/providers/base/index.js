@@ -5,6 +5,18 @@ const BaseStorageProvider = require("./BaseStorageProvider");
 const BaseTransactionProvider = require("./BaseTransactionProvider");
 const BaseDatabaseProvider = require("./BaseDatabaseProvider");
 const BaseAssetRepository = require("./BaseAssetRepository");
+const BasePricingRuleRepository = require("./BasePricingRuleRepository");
+const BaseInventoryMovementRepository =
+  require("./BaseInventoryMovementRepository");
+const BaseStockCountRepository = require("./BaseStockCountRepository");
+const BaseLocationRepository = require("./BaseLocationRepository");
+const BaseProductionRunRepository = require("./BaseProductionRunRepository");
+const BaseBreakdownRepository = require("./BaseBreakdownRepository");
+const BaseSaleReturnRepository = require("./BaseSaleReturnRepository");
+const BaseCustomerRepository = require("./BaseCustomerRepository");
+const BaseSupplierRepository = require("./BaseSupplierRepository");
+const BaseUserRepository = require("./BaseUserRepository");
+const BaseAuditLogRepository = require("./BaseAuditLogRepository");
 
 module.exports = {
   BaseItemRepository,
@@ -14,4 +26,15 @@ module.exports = {
   BaseTransactionProvider,
   BaseDatabaseProvider,
   BaseAssetRepository,
+  BasePricingRuleRepository,
+  BaseInventoryMovementRepository,
+  BaseStockCountRepository,
+  BaseLocationRepository,
+  BaseProductionRunRepository,
+  BaseBreakdownRepository,
+  BaseSaleReturnRepository,
+  BaseCustomerRepository,
+  BaseSupplierRepository,
+  BaseUserRepository,
+  BaseAuditLogRepository,
 };
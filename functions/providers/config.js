@@ -19,11 +19,26 @@ const defaultConfig = {
   NODE_ENV: "development",
   PORT: 3000,
   SKIP_AUTH: false,
+  AUTH_PROVIDER: "firebase",
+  DEFAULT_BUSINESS_ID: "default",
+  DEFAULT_ROLE: "viewer",
   ENABLE_TRANSACTION_LOGGING: false,
+  DEFAULT_COSTING_METHOD: "fifo",
+  LOCAL_STORAGE_DIR: "uploads",
+  LOCAL_STORAGE_URL: "/files",
 };
 
+// The in-memory database has nothing to connect to and local storage
+// has no bucket
+const optionalVars = [];
+if (process.env.DB_PROVIDER === "memory") optionalVars.push("DB_URI");
+if (process.env.STORAGE_PROVIDER === "local") {
+  optionalVars.push("STORAGE_BUCKET");
+}
+
 // Check for missing required variables
-const missingVars = requiredVars.filter((varName) => !process.env[varName]);
+const missingVars = requiredVars.filter((varName) =>
+  !process.env[varName] && !optionalVars.includes(varName));
 if (missingVars.length > 0) {
   console.error(`❌ Missing required environment variables:
     ${missingVars.join(", ")}`);
@@ -42,6 +57,21 @@ const config = {
     defaultConfig.STORAGE_PROVIDER,
   STORAGE_BUCKET: process.env.STORAGE_BUCKET,
 
+  // Local storage configuration (if using local provider)
+  LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR ||
+    defaultConfig.LOCAL_STORAGE_DIR,
+  LOCAL_STORAGE_URL: process.env.LOCAL_STORAGE_URL ||
+    defaultConfig.LOCAL_STORAGE_URL,
+
+  // Firestore configuration (if using Firestore provider)
+  FIREBASE_SERVICE_ACCOUNT: process.env.FIREBASE_SERVICE_ACCOUNT,
+  FIRESTORE_COLLECTION_PREFIX: process.env.FIRESTORE_COLLECTION_PREFIX,
+
+  // DynamoDB configuration (if using DynamoDB provider)
+  DYNAMODB_TABLE_PREFIX: process.env.DYNAMODB_TABLE_PREFIX,
+  DYNAMODB_LOCAL: process.env.DYNAMODB_LOCAL,
+  DYNAMODB_ENDPOINT: process.env.DYNAMODB_ENDPOINT,
+
   // AWS S3 configuration (if using S3 provider)
   AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
   AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
@@ -53,11 +83,27 @@ const config = {
 
   // Security configuration
   SKIP_AUTH: process.env.SKIP_AUTH === "true" || defaultConfig.SKIP_AUTH,
+  // "firebase" for Firebase Auth ID tokens, "jwt" for tokens signed
+  // with JWT_SECRET
+  AUTH_PROVIDER: process.env.AUTH_PROVIDER || defaultConfig.AUTH_PROVIDER,
+  JWT_SECRET: process.env.JWT_SECRET,
+  JWT_ISSUER: process.env.JWT_ISSUER,
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE,
+  // Business the development user belongs to when SKIP_AUTH is on
+  DEFAULT_BUSINESS_ID: process.env.DEFAULT_BUSINESS_ID ||
+    defaultConfig.DEFAULT_BUSINESS_ID,
+  // Role of signed-in users who have neither a user record in their
+  // business nor a role claim in their token
+  DEFAULT_ROLE: process.env.DEFAULT_ROLE || defaultConfig.DEFAULT_ROLE,
 
   // Feature flags
   ENABLE_TRANSACTION_LOGGING:
     process.env.ENABLE_TRANSACTION_LOGGING === "true" ||
       defaultConfig.ENABLE_TRANSACTION_LOGGING,
+
+  // Inventory configuration
+  DEFAULT_COSTING_METHOD: process.env.DEFAULT_COSTING_METHOD ||
+    defaultConfig.DEFAULT_COSTING_METHOD,
 };
 
 // Validate provider-specific required config
@@ -83,4 +129,17 @@ if (config.STORAGE_PROVIDER === "firebase" &&
     Please check your configuration.`);
 }
 
+if (config.SKIP_AUTH && config.NODE_ENV === "production") {
+  console.warn(`⚠️ SKIP_AUTH is on in production;
+    every request runs as the development user`);
+}
+
+if (!config.SKIP_AUTH && config.AUTH_PROVIDER === "jwt" &&
+    !config.JWT_SECRET) {
+  console.warn(`⚠️ Using JWT authentication
+    but JWT_SECRET is not set`);
+  console.warn(`Every authenticated request will be rejected.
+    Please check your configuration.`);
+}
+
 module.exports = config;
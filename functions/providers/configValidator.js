@@ -30,6 +30,7 @@ const validateStorageConfig = (config, providerName) => {
     firebase: ["STORAGE_BUCKET"],
     s3: ["AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY",
       "AWS_REGION", "STORAGE_BUCKET"],
+    local: ["LOCAL_STORAGE_DIR"],
     // Add other providers as they become available
   };
 
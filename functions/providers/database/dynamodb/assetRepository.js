@@ -0,0 +1,247 @@
+const {BaseAssetRepository} = require("../../base");
+const {
+  PutCommand,
+  GetCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+
+/**
+ * DynamoDB implementation of AssetRepository
+ */
+class DynamoAssetRepository extends BaseAssetRepository {
+  /**
+   * Create a new DynamoAssetRepository
+   * @param {Object} documentClient - DynamoDB Document Client
+   * @param {string} tablePrefix - Prefix for table names
+   */
+  constructor(documentClient, tablePrefix) {
+    super();
+    this.documentClient = documentClient;
+    this.tableName = `${tablePrefix}assets`;
+  }
+
+  /**
+   * Find all assets matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of assets
+   */
+  async findAll(filter = {}) {
+    try {
+      // Use query if filtering by purchase
+      if (filter.purchaseId) {
+        return await this.getAssetsByPurchase(filter.purchaseId);
+      }
+
+      const {expressionAttributes, filterExpression} =
+        this._buildFilterExpression(filter);
+
+      const params = {
+        TableName: this.tableName,
+      };
+
+      if (filterExpression) {
+        params.FilterExpression = filterExpression;
+        params.ExpressionAttributeValues = expressionAttributes;
+      }
+
+      const result = await this.documentClient.send(new ScanCommand(params));
+      return (result.Items || []).filter(belongsToBusiness)
+          .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    } catch (error) {
+      console.error("DynamoDB findAll assets error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find asset by ID
+   * @param {string} id Asset ID
+   * @return {Promise<Object|null>} Asset object or null if not found
+   */
+  async findById(id) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: {id},
+      };
+
+      const result = await this.documentClient.send(new GetCommand(params));
+      return result.Item && belongsToBusiness(result.Item) ?
+        result.Item : null;
+    } catch (error) {
+      console.error(`DynamoDB findById error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new asset
+   * @param {Object} assetData Asset data
+   * @return {Promise<Object>} Created asset
+   */
+  async create(assetData) {
+    try {
+      const asset = this._serialize({
+        ...withBusinessId(assetData),
+        id: assetData.id || uuidv4(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+
+      const params = {
+        TableName: this.tableName,
+        Item: asset,
+        ConditionExpression: "attribute_not_exists(id)",
+      };
+
+      await this.documentClient.send(new PutCommand(params));
+      return asset;
+    } catch (error) {
+      console.error("DynamoDB create asset error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing asset
+   * @param {string} id Asset ID
+   * @param {Object} assetData Updated asset data
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async update(id, assetData) {
+    try {
+      const existingAsset = await this.findById(id);
+      if (!existingAsset) {
+        return null;
+      }
+
+      const updatedAsset = this._serialize(withBusinessId({
+        ...existingAsset,
+        ...assetData,
+        updatedAt: new Date().toISOString(),
+      }));
+
+      const params = {
+        TableName: this.tableName,
+        Item: updatedAsset,
+        ConditionExpression: "attribute_exists(id)",
+      };
+
+      await this.documentClient.send(new PutCommand(params));
+      return updatedAsset;
+    } catch (error) {
+      console.error(`DynamoDB update error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update asset image
+   * @param {string} id Asset ID
+   * @param {string} imageUrl URL to the uploaded image
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async updateImage(id, imageUrl) {
+    return this.update(id, {imageUrl});
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} id Asset ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    try {
+      const asset = await this.findById(id);
+      if (!asset) {
+        return false;
+      }
+
+      const params = {
+        TableName: this.tableName,
+        Key: {id},
+      };
+
+      await this.documentClient.send(new DeleteCommand(params));
+      return true;
+    } catch (error) {
+      console.error(`DynamoDB delete error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get assets by purchase ID
+   * @param {string} purchaseId Purchase ID
+   * @return {Promise<Array>} List of assets, newest first
+   */
+  async getAssetsByPurchase(purchaseId) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "PurchaseIdIndex",
+        KeyConditionExpression: "purchaseId = :purchaseId",
+        ExpressionAttributeValues: {
+          ":purchaseId": purchaseId.toString(),
+        },
+      };
+
+      const result = await this.documentClient.send(new QueryCommand(params));
+      return (result.Items || []).filter(belongsToBusiness)
+          .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+    } catch (error) {
+      console.error(`DynamoDB error getting assets
+        for purchase ${purchaseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert dates to ISO strings, which DynamoDB can store and sort, and
+   * drop an empty purchaseId since index keys can't be null
+   * @param {Object} asset Asset data
+   * @return {Object} Asset data safe to write
+   * @private
+   */
+  _serialize(asset) {
+    const serialized = JSON.parse(JSON.stringify(asset));
+    if (!serialized.purchaseId) {
+      delete serialized.purchaseId;
+    }
+    return serialized;
+  }
+
+  /**
+   * Build filter expression for DynamoDB scan
+   * @param {Object} filter Filter criteria
+   * @return {Object} Expression attributes and filter expression
+   * @private
+   */
+  _buildFilterExpression(filter) {
+    const expressionParts = [];
+    const expressionAttributes = {};
+
+    Object.entries(filter).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        const attrKey = `:${key}`;
+        expressionParts.push(`${key} = ${attrKey}`);
+        expressionAttributes[attrKey] = value;
+      }
+    });
+
+    return {
+      expressionAttributes,
+      filterExpression: expressionParts.length >
+        0 ? expressionParts.join(" AND ") : undefined,
+    };
+  }
+}
+
+module.exports = DynamoAssetRepository;
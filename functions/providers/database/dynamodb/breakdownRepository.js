@@ -0,0 +1,244 @@
+const {BaseBreakdownRepository} = require("../../base");
+const {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+
+/**
+ * DynamoDB implementation of BreakdownRepository
+ */
+class DynamoBreakdownRepository extends BaseBreakdownRepository {
+  /**
+   * Create a new DynamoBreakdownRepository
+   * @param {Object} documentClient - DynamoDB Document Client
+   * @param {string} tablePrefix - Prefix for table names
+   */
+  constructor(documentClient, tablePrefix) {
+    super();
+    this.documentClient = documentClient;
+    this.tableName = `${tablePrefix}breakdowns`;
+  }
+
+  /**
+   * Find all breakdowns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findAll(filter = {}) {
+    try {
+      // Use query if filtering by source item
+      if (filter.sourceItem) {
+        return await this.findBySourceItem(filter.sourceItem);
+      }
+
+      const {expressionNames, expressionAttributes, filterExpression} =
+        this._buildFilterExpression(filter);
+
+      const params = {
+        TableName: this.tableName,
+      };
+
+      if (filterExpression) {
+        params.FilterExpression = filterExpression;
+        params.ExpressionAttributeNames = expressionNames;
+        params.ExpressionAttributeValues = expressionAttributes;
+      }
+
+      const result = await this.documentClient.send(new ScanCommand(params));
+      return this._newestFirst((result.Items || []).filter(belongsToBusiness));
+    } catch (error) {
+      console.error("DynamoDB findAll breakdowns error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find breakdown by ID
+   * @param {string} id Breakdown ID
+   * @return {Promise<Object|null>} Breakdown or null if not found
+   */
+  async findById(id) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: {id},
+      };
+
+      const result = await this.documentClient.send(new GetCommand(params));
+      return result.Item && belongsToBusiness(result.Item) ?
+        result.Item : null;
+    } catch (error) {
+      console.error(`DynamoDB findById error for breakdown ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a breakdown
+   * @param {Object} breakdownData Breakdown data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created breakdown
+   */
+  async create(breakdownData, transaction) {
+    try {
+      const breakdown = this._serialize({
+        status: "completed",
+        location: null,
+        ...withBusinessId(breakdownData),
+        id: breakdownData.id || uuidv4(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+
+      if (transaction) {
+        // Add to transaction
+        transaction.addWriteOperation(transaction,
+            "breakdowns", "Put", breakdown);
+      } else {
+        const params = {
+          TableName: this.tableName,
+          Item: breakdown,
+          ConditionExpression: "attribute_not_exists(id)",
+        };
+
+        await this.documentClient.send(new PutCommand(params));
+      }
+      return breakdown;
+    } catch (error) {
+      console.error("DynamoDB create breakdown error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a breakdown
+   * @param {string} id Breakdown ID
+   * @param {Object} breakdownData Fields to update
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated breakdown
+   */
+  async update(id, breakdownData, transaction) {
+    try {
+      // A breakdown recorded in this transaction isn't written yet
+      const pending = transaction && transaction.getPendingItem ?
+        transaction.getPendingItem("breakdowns", id) : undefined;
+      const existingBreakdown = pending !== undefined ?
+        pending : await this.findById(id);
+      if (!existingBreakdown) {
+        return null;
+      }
+
+      const updatedBreakdown = this._serialize(withBusinessId({
+        ...existingBreakdown,
+        ...breakdownData,
+        updatedAt: new Date().toISOString(),
+      }));
+
+      if (transaction) {
+        // Add to transaction
+        transaction.addWriteOperation(transaction,
+            "breakdowns", "Update", updatedBreakdown);
+      } else {
+        const params = {
+          TableName: this.tableName,
+          Item: updatedBreakdown,
+          ConditionExpression: "attribute_exists(id)",
+        };
+
+        await this.documentClient.send(new PutCommand(params));
+      }
+      return updatedBreakdown;
+    } catch (error) {
+      console.error(`DynamoDB update error for breakdown ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findBySourceItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+
+    try {
+      const params = {
+        TableName: this.tableName,
+        IndexName: "SourceItemIndex",
+        KeyConditionExpression: "sourceItem = :sourceItem",
+        ExpressionAttributeValues: {
+          ":sourceItem": itemId.toString(),
+        },
+      };
+
+      const result = await this.documentClient.send(new QueryCommand(params));
+      return this._newestFirst((result.Items || []).filter(belongsToBusiness));
+    } catch (error) {
+      console.error(`DynamoDB error getting breakdowns
+        of item ${itemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sort breakdowns newest first
+   * @param {Array<Object>} breakdowns Breakdowns
+   * @return {Array<Object>} The same breakdowns, sorted
+   * @private
+   */
+  _newestFirst(breakdowns) {
+    return breakdowns.sort((a, b) =>
+      (b.createdAt || "").localeCompare(a.createdAt || ""));
+  }
+
+  /**
+   * Convert dates to ISO strings, which DynamoDB can store and sort
+   * @param {Object} breakdown Breakdown data
+   * @return {Object} Breakdown data safe to write
+   * @private
+   */
+  _serialize(breakdown) {
+    return JSON.parse(JSON.stringify(breakdown));
+  }
+
+  /**
+   * Build filter expression for DynamoDB scan. Field names go through
+   * placeholders since fields such as status are reserved words
+   * @param {Object} filter Filter criteria
+   * @return {Object} Expression names, attributes and filter expression
+   * @private
+   */
+  _buildFilterExpression(filter) {
+    const expressionParts = [];
+    const expressionNames = {};
+    const expressionAttributes = {};
+
+    Object.entries(filter).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        const attrKey = `:${key}`;
+        expressionParts.push(`#${key} = ${attrKey}`);
+        expressionNames[`#${key}`] = key;
+        expressionAttributes[attrKey] = value;
+      }
+    });
+
+    return {
+      expressionNames,
+      expressionAttributes,
+      filterExpression: expressionParts.length >
+        0 ? expressionParts.join(" AND ") : undefined,
+    };
+  }
+}
+
+module.exports = DynamoBreakdownRepository;
@@ -1,8 +1,13 @@
 const {DynamoDBClient} = require("@aws-sdk/client-dynamodb");
 const {DynamoDBDocumentClient, ListTablesCommand, DescribeTableCommand} =
     require("@aws-sdk/lib-dynamodb");
-const {createItemTable, createSalesTable, createPurchasesTable} =
-    require("./schema");
+const {
+  createItemTable,
+  createSalesTable,
+  createPurchasesTable,
+  createAssetsTable,
+  createBreakdownsTable,
+} = require("./schema");
 const config = require("../../config");
 
 let dynamoClient = null;
@@ -135,6 +140,8 @@ const initializeTables = async (client, tablePrefix = "biztracker_") => {
     items: `${tablePrefix}items`,
     sales: `${tablePrefix}sales`,
     purchases: `${tablePrefix}purchases`,
+    assets: `${tablePrefix}assets`,
+    breakdowns: `${tablePrefix}breakdowns`,
   };
 
   // Check and create each table if it doesn't exist
@@ -156,6 +163,18 @@ const initializeTables = async (client, tablePrefix = "biztracker_") => {
     await createPurchasesTable(client, tables.purchases);
   }
 
+  const assetsExists = await tableExists(client, tables.assets);
+  if (!assetsExists) {
+    console.log(`Creating ${tables.assets} table...`);
+    await createAssetsTable(client, tables.assets);
+  }
+
+  const breakdownsExists = await tableExists(client, tables.breakdowns);
+  if (!breakdownsExists) {
+    console.log(`Creating ${tables.breakdowns} table...`);
+    await createBreakdownsTable(client, tables.breakdowns);
+  }
+
   console.log("✅ All DynamoDB tables initialized");
 };
 
@@ -2,17 +2,26 @@ const DynamoDBProvider = require("./provider");
 const DynamoItemRepository = require("./itemRepository");
 const DynamoSalesRepository = require("./salesRepository");
 const DynamoPurchaseRepository = require("./purchaseRepository");
+const DynamoAssetRepository = require("./assetRepository");
+const DynamoBreakdownRepository = require("./breakdownRepository");
 const DynamoTransactionProvider = require("./transactionProvider");
 const {connectToDynamo, checkDynamoHealth, initializeTables} =
   require("./connection");
-const {createItemTable, createSalesTable, createPurchasesTable} =
-  require("./schema");
+const {
+  createItemTable,
+  createSalesTable,
+  createPurchasesTable,
+  createAssetsTable,
+  createBreakdownsTable,
+} = require("./schema");
 
 module.exports = {
   DynamoDBProvider,
   DynamoItemRepository,
   DynamoSalesRepository,
   DynamoPurchaseRepository,
+  DynamoAssetRepository,
+  DynamoBreakdownRepository,
   DynamoTransactionProvider,
   connection: {
     connectToDynamo,
@@ -23,5 +32,7 @@ module.exports = {
     createItemTable,
     createSalesTable,
     createPurchasesTable,
+    createAssetsTable,
+    createBreakdownsTable,
   },
 };
@@ -8,6 +8,10 @@ const {
   // UpdateCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
 
 /**
  * DynamoDB implementation of ItemRepository
@@ -47,7 +51,7 @@ class DynamoItemRepository extends BaseItemRepository {
         };
 
         const result = await this.documentClient.send(new QueryCommand(params));
-        return result.Items || [];
+        return (result.Items || []).filter(belongsToBusiness);
       }
 
       // Otherwise use scan with filter expression
@@ -61,7 +65,7 @@ class DynamoItemRepository extends BaseItemRepository {
       }
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      return result.Items || [];
+      return (result.Items || []).filter(belongsToBusiness);
     } catch (error) {
       console.error("DynamoDB findAll error:", error);
       throw error;
@@ -81,35 +85,59 @@ class DynamoItemRepository extends BaseItemRepository {
       };
 
       const result = await this.documentClient.send(new GetCommand(params));
-      return result.Item || null;
+      return result.Item && belongsToBusiness(result.Item) ?
+        result.Item : null;
     } catch (error) {
       console.error(`DynamoDB findById error for ID ${id}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Read an item as part of a transaction. DynamoDB only applies the
+   * transaction's writes on commit, so pending writes are read back first
+   * @param {string} id Item ID
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object|null>} Item or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    if (transaction && transaction.getPendingItem) {
+      const pending = transaction.getPendingItem("items", id);
+      if (pending !== undefined) {
+        return pending;
+      }
+    }
+    return await this.findById(id);
+  }
+
   /**
    * Create a new item
    * @param {Object} itemData Item data
+   * @param {Object} [transaction] Optional transaction
    * @return {Promise<Object>} Created item
    */
-  async create(itemData) {
+  async create(itemData, transaction = null) {
     try {
       // Generate a new ID if one is not provided
       const item = {
-        ...itemData,
+        ...withBusinessId(itemData),
         id: itemData.id || uuidv4(),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
 
-      const params = {
-        TableName: this.tableName,
-        Item: item,
-        ConditionExpression: "attribute_not_exists(id)",
-      };
+      if (transaction) {
+        // Add to transaction
+        transaction.addWriteOperation(transaction, "items", "Put", item);
+      } else {
+        const params = {
+          TableName: this.tableName,
+          Item: item,
+          ConditionExpression: "attribute_not_exists(id)",
+        };
 
-      await this.documentClient.send(new PutCommand(params));
+        await this.documentClient.send(new PutCommand(params));
+      }
 
       // Handle components relationships
       if (item.itemType === "product" &&
@@ -135,17 +163,17 @@ class DynamoItemRepository extends BaseItemRepository {
   async update(id, itemData, transaction = null) {
     try {
       // Get the existing item first
-      const existingItem = await this.findById(id);
+      const existingItem = await this.findForUpdate(id, transaction);
       if (!existingItem) {
         return null;
       }
 
       // Merge the existing item with the update data
-      const updatedItem = {
+      const updatedItem = withBusinessId({
         ...existingItem,
         ...itemData,
         updatedAt: new Date().toISOString(),
-      };
+      });
 
       if (transaction) {
         // Add to transaction
@@ -246,7 +274,7 @@ class DynamoItemRepository extends BaseItemRepository {
       };
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      const items = result.Items || [];
+      const items = (result.Items || []).filter(belongsToBusiness);
 
       // Extract numeric SKUs and find the maximum
       const numericSkus = items
@@ -275,7 +303,7 @@ class DynamoItemRepository extends BaseItemRepository {
       };
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      const items = result.Items || [];
+      const items = (result.Items || []).filter(belongsToBusiness);
 
       // Extract unique categories
       const categories = [...new Set(items
@@ -301,7 +329,7 @@ class DynamoItemRepository extends BaseItemRepository {
       };
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      const items = result.Items || [];
+      const items = (result.Items || []).filter(belongsToBusiness);
 
       // Extract all tags and flatten the array
       const allTags = items.flatMap((item) => item.tags || []);
@@ -334,7 +362,7 @@ class DynamoItemRepository extends BaseItemRepository {
 
       const productsResult =
         await this.documentClient.send(new ScanCommand(productsParams));
-      const products = productsResult.Items || [];
+      const products = (productsResult.Items || []).filter(belongsToBusiness);
 
       console.log(`Found ${products.length} products with components`);
 
@@ -404,7 +432,8 @@ class DynamoItemRepository extends BaseItemRepository {
 
         const productsResult =
           await this.documentClient.send(new ScanCommand(productsParams));
-        productsUsingItem = productsResult.Items || [];
+        productsUsingItem =
+          (productsResult.Items || []).filter(belongsToBusiness);
       }
 
       // Format relationship data
@@ -435,6 +464,30 @@ class DynamoItemRepository extends BaseItemRepository {
     }
   }
 
+  /**
+   * Get derived items for a source item
+   * @param {string} sourceItemId ID of the source item
+   * @return {Promise<Array>} Array of derived items
+   */
+  async getDerivedItems(sourceItemId) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        FilterExpression: "derivedFrom.#item = :sourceItemId",
+        ExpressionAttributeNames: {"#item": "item"},
+        ExpressionAttributeValues: {":sourceItemId": sourceItemId.toString()},
+      };
+
+      const result = await this.documentClient.send(new ScanCommand(params));
+      return (result.Items || []).filter(belongsToBusiness)
+          .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    } catch (error) {
+      console.error(`DynamoDB getDerivedItems error
+        for item ${sourceItemId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Find items using a complex query
    * @param {Object} query Complex query object
@@ -2,6 +2,8 @@ const {BaseDatabaseProvider} = require("../../base");
 const DynamoItemRepository = require("./itemRepository");
 const DynamoSalesRepository = require("./salesRepository");
 const DynamoPurchaseRepository = require("./purchaseRepository");
+const DynamoAssetRepository = require("./assetRepository");
+const DynamoBreakdownRepository = require("./breakdownRepository");
 const DynamoTransactionProvider = require("./transactionProvider");
 const {connectToDynamo, checkDynamoHealth, initializeTables} =
   require("./connection");
@@ -21,7 +23,13 @@ class DynamoDBProvider extends BaseDatabaseProvider {
     this.client = null;
     this.documentClient = null;
     this.isConnected = false;
-    this.supportedRepositories = ["item", "sales", "purchase"];
+    this.supportedRepositories = [
+      "item",
+      "sales",
+      "purchase",
+      "asset",
+      "breakdown",
+    ];
     this.tablePrefix = config.DYNAMODB_TABLE_PREFIX || "biztracker_";
   }
 
@@ -90,6 +98,23 @@ class DynamoDBProvider extends BaseDatabaseProvider {
     return new DynamoPurchaseRepository(this.documentClient, this.tablePrefix);
   }
 
+  /**
+   * Create an asset repository
+   * @return {Object} DynamoDB asset repository implementation
+   */
+  createAssetRepository() {
+    return new DynamoAssetRepository(this.documentClient, this.tablePrefix);
+  }
+
+  /**
+   * Create a breakdown repository
+   * @return {Object} DynamoDB breakdown repository implementation
+   */
+  createBreakdownRepository() {
+    return new DynamoBreakdownRepository(this.documentClient,
+        this.tablePrefix);
+  }
+
   /**
    * Create a transaction provider
    * @return {Object} DynamoDB transaction provider implementation
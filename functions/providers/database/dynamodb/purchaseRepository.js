@@ -7,6 +7,10 @@ const {
   ScanCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
 
 /**
  * DynamoDB implementation of PurchaseRepository
@@ -53,7 +57,7 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
         };
 
         const result = await this.documentClient.send(new QueryCommand(params));
-        return result.Items || [];
+        return (result.Items || []).filter(belongsToBusiness);
       }
 
       // Use query if filtering by supplier name
@@ -68,7 +72,7 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
         };
 
         const result = await this.documentClient.send(new QueryCommand(params));
-        return result.Items || [];
+        return (result.Items || []).filter(belongsToBusiness);
       }
 
       // Otherwise use scan with filter expression
@@ -85,7 +89,7 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
       }
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      return result.Items || [];
+      return (result.Items || []).filter(belongsToBusiness);
     } catch (error) {
       console.error("DynamoDB findAll purchases error:", error);
       throw error;
@@ -105,24 +109,43 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
       };
 
       const result = await this.documentClient.send(new GetCommand(params));
-      return result.Item || null;
+      return result.Item && belongsToBusiness(result.Item) ?
+        result.Item : null;
     } catch (error) {
       console.error(`DynamoDB findById error for purchase ${id}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Read a purchase as part of a transaction. DynamoDB only applies the
+   * transaction's writes on commit, so pending writes are read back first
+   * @param {string} id Purchase ID
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object|null>} Purchase or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    if (transaction && transaction.getPendingItem) {
+      const pending = transaction.getPendingItem("purchases", id);
+      if (pending !== undefined) {
+        return pending;
+      }
+    }
+    return await this.findById(id);
+  }
+
   /**
    * Create a new purchase
    * @param {Object} purchaseData Purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created purchase
    */
-  async create(purchaseData, transaction) {
+  async create(purchaseData, transaction, context) {
     try {
       // Generate ID and timestamps
       const purchase = {
-        ...purchaseData,
+        ...withBusinessId(purchaseData),
         id: purchaseData.id || uuidv4(),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
@@ -136,6 +159,10 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
         purchase.purchaseDate = new Date(purchase.purchaseDate).toISOString();
       }
 
+      // Stock moves first so a purchase of items that can't be found
+      // isn't kept
+      await this.applyInventoryEffects(null, purchase, transaction, context);
+
       if (transaction) {
         // Add to transaction
         transaction.addWriteOperation(transaction,
@@ -151,11 +178,6 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
         await this.documentClient.send(new PutCommand(params));
       }
 
-      // Update inventory quantities
-      if (purchase.items && purchase.items.length > 0) {
-        await this.updateInventoryForPurchase(purchase.items, transaction);
-      }
-
       return purchase;
     } catch (error) {
       console.error("DynamoDB create purchase error:", error);
@@ -168,12 +190,13 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
    * @param {string} id Purchase ID
    * @param {Object} purchaseData Updated purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated purchase or null if not found
    */
-  async update(id, purchaseData, transaction) {
+  async update(id, purchaseData, transaction, context) {
     try {
       // Get existing purchase first
-      const existingPurchase = await this.findById(id);
+      const existingPurchase = await this.findForUpdate(id, transaction);
       if (!existingPurchase) {
         return null;
       }
@@ -190,20 +213,15 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
           new Date(purchaseData.purchaseDate).toISOString();
       }
 
-      // Update the items inventory if changed
-      if (purchaseData.items &&
-        JSON.stringify(existingPurchase.items) !==
-        JSON.stringify(purchaseData.items)) {
-        await this.updateInventoryForPurchaseUpdate(existingPurchase.items,
-            purchaseData.items, transaction);
-      }
-
       // Merge existing data with updates
-      const updatedPurchase = {
+      const updatedPurchase = withBusinessId({
         ...existingPurchase,
         ...purchaseData,
         updatedAt: new Date().toISOString(),
-      };
+      });
+
+      await this.applyInventoryEffects(existingPurchase, updatedPurchase,
+          transaction, context);
 
       if (transaction) {
         // Add to transaction
@@ -231,20 +249,18 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
    * Delete a purchase
    * @param {string} id Purchase ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     try {
       // Get the purchase first to check if it exists and revert inventory
-      const purchase = await this.findById(id);
+      const purchase = await this.findForUpdate(id, transaction);
       if (!purchase) {
         return false;
       }
 
-      // Revert inventory quantities
-      if (purchase.items && purchase.items.length > 0) {
-        await this.revertInventoryForPurchase(purchase.items, transaction);
-      }
+      await this.applyInventoryEffects(purchase, null, transaction, context);
 
       if (transaction) {
         // Add to transaction
@@ -270,108 +286,6 @@ class DynamoPurchaseRepository extends BasePurchaseRepository {
     }
   }
 
-  /**
-   * Update inventory when creating a purchase
-   * @param {Array} items Items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForPurchase(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in DynamoPurchaseRepository`);
-    }
-
-    for (const purchaseItem of items) {
-      if (!purchaseItem.item) continue;
-
-      const itemId = typeof purchaseItem.item ===
-        "object" ? purchaseItem.item.id : purchaseItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for purchase`);
-        continue;
-      }
-
-      let updateData = {};
-
-      // Handle different tracking types
-      if (purchaseItem.weight && item.trackingType === "weight") {
-        // For weight tracked items
-        const newWeight = (item.weight || 0) + purchaseItem.weight;
-        updateData = {weight: newWeight};
-      } else {
-        // For quantity tracked items (default)
-        const newQuantity = (item.quantity || 0) + purchaseItem.quantity;
-        updateData = {quantity: newQuantity};
-      }
-
-      // Update the item
-      await this.itemRepository.update(itemId, updateData, transaction);
-    }
-  }
-
-  /**
-   * Update inventory when updating a purchase
-   * @param {Array} originalItems Original items in the purchase
-   * @param {Array} updatedItems Updated items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForPurchaseUpdate(originalItems,
-      updatedItems, transaction) {
-    // First, revert the inventory changes from the original purchase
-    await this.revertInventoryForPurchase(originalItems, transaction);
-
-    // Then, apply the inventory changes for the updated purchase
-    await this.updateInventoryForPurchase(updatedItems, transaction);
-  }
-
-  /**
-   * Revert inventory when deleting a purchase
-   * @param {Array} items Items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async revertInventoryForPurchase(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in DynamoPurchaseRepository`);
-    }
-
-    for (const purchaseItem of items) {
-      if (!purchaseItem.item) continue;
-
-      const itemId = typeof purchaseItem.item ===
-        "object" ? purchaseItem.item.id : purchaseItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when reverting inventory for purchase`);
-        continue;
-      }
-
-      let updateData = {};
-
-      if (purchaseItem.weight && item.trackingType === "weight") {
-        // For weight tracked items
-        const newWeight = Math.max(0, (item.weight || 0) - purchaseItem.weight);
-        updateData = {weight: newWeight};
-      } else {
-        // For quantity tracked items (default)
-        const newQuantity = Math.max(0,
-            (item.quantity || 0) - purchaseItem.quantity);
-        updateData = {quantity: newQuantity};
-      }
-
-      // Update the item
-      await this.itemRepository.update(itemId, updateData, transaction);
-    }
-  }
-
   /**
    * Get purchase report
    * @param {Object} filter Query filters
@@ -7,6 +7,10 @@ const {
   ScanCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
 
 /**
  * DynamoDB implementation of SalesRepository
@@ -52,7 +56,7 @@ class DynamoSalesRepository extends BaseSalesRepository {
         };
 
         const result = await this.documentClient.send(new QueryCommand(params));
-        return result.Items || [];
+        return (result.Items || []).filter(belongsToBusiness);
       }
 
       // Use query if filtering by customer email
@@ -67,7 +71,7 @@ class DynamoSalesRepository extends BaseSalesRepository {
         };
 
         const result = await this.documentClient.send(new QueryCommand(params));
-        return result.Items || [];
+        return (result.Items || []).filter(belongsToBusiness);
       }
 
       // Otherwise use scan with filter expression
@@ -84,7 +88,7 @@ class DynamoSalesRepository extends BaseSalesRepository {
       }
 
       const result = await this.documentClient.send(new ScanCommand(params));
-      return result.Items || [];
+      return (result.Items || []).filter(belongsToBusiness);
     } catch (error) {
       console.error("DynamoDB findAll sales error:", error);
       throw error;
@@ -104,7 +108,8 @@ class DynamoSalesRepository extends BaseSalesRepository {
       };
 
       const result = await this.documentClient.send(new GetCommand(params));
-      return result.Item || null;
+      return result.Item && belongsToBusiness(result.Item) ?
+        result.Item : null;
     } catch (error) {
       console.error(`DynamoDB findById error for sale ${id}:`, error);
       throw error;
@@ -115,18 +120,23 @@ class DynamoSalesRepository extends BaseSalesRepository {
    * Create a new sale
    * @param {Object} saleData Sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created sale
    */
-  async create(saleData, transaction) {
+  async create(saleData, transaction, context) {
     try {
       // Generate ID and timestamps
       const sale = {
-        ...saleData,
+        ...withBusinessId(saleData),
         id: saleData.id || uuidv4(),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
 
+      // Stock moves first so a sale of items that can't be found
+      // isn't kept
+      await this.applyInventoryEffects(null, sale, transaction, context);
+
       if (transaction) {
         // Add to transaction
         transaction.addWriteOperation(transaction, "sales", "Put", sale);
@@ -141,11 +151,6 @@ class DynamoSalesRepository extends BaseSalesRepository {
         await this.documentClient.send(new PutCommand(params));
       }
 
-      // Update inventory quantities
-      if (sale.items && sale.items.length > 0) {
-        await this.updateInventoryForSale(sale.items, transaction);
-      }
-
       return sale;
     } catch (error) {
       console.error("DynamoDB create sale error:", error);
@@ -158,9 +163,10 @@ class DynamoSalesRepository extends BaseSalesRepository {
    * @param {string} id Sale ID
    * @param {Object} saleData Updated sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated sale or null if not found
    */
-  async update(id, saleData, transaction) {
+  async update(id, saleData, transaction, context) {
     try {
       // Get existing sale first
       const existingSale = await this.findById(id);
@@ -168,19 +174,15 @@ class DynamoSalesRepository extends BaseSalesRepository {
         return null;
       }
 
-      // Update the items inventory if changed
-      if (saleData.items && JSON.stringify(existingSale.items) !==
-        JSON.stringify(saleData.items)) {
-        await this.updateInventoryForSaleUpdate(existingSale.items,
-            saleData.items, transaction);
-      }
-
       // Merge existing data with updates
-      const updatedSale = {
+      const updatedSale = withBusinessId({
         ...existingSale,
         ...saleData,
         updatedAt: new Date().toISOString(),
-      };
+      });
+
+      await this.applyInventoryEffects(existingSale, updatedSale, transaction,
+          context);
 
       if (transaction) {
         // Add to transaction
@@ -208,9 +210,10 @@ class DynamoSalesRepository extends BaseSalesRepository {
    * Delete a sale
    * @param {string} id Sale ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     try {
       // Get the sale first to check if it exists and restore inventory
       const sale = await this.findById(id);
@@ -218,10 +221,7 @@ class DynamoSalesRepository extends BaseSalesRepository {
         return false;
       }
 
-      // Restore inventory quantities
-      if (sale.items && sale.items.length > 0) {
-        await this.restoreInventoryForSale(sale.items, transaction);
-      }
+      await this.applyInventoryEffects(sale, null, transaction, context);
 
       if (transaction) {
         // Add to transaction
@@ -247,87 +247,6 @@ class DynamoSalesRepository extends BaseSalesRepository {
     }
   }
 
-  /**
-   * Update inventory when creating a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error("ItemRepository not available in DynamoSalesRepository");
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item.id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for sale`);
-        continue;
-      }
-
-      // Decrease quantity by the sold amount
-      const newQuantity = Math.max(0, item.quantity - saleItem.quantity);
-
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
-  }
-
-  /**
-   * Update inventory when updating a sale
-   * @param {Array} originalItems Original items in the sale
-   * @param {Array} updatedItems Updated items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSaleUpdate(originalItems, updatedItems, transaction) {
-    // First, restore inventory for original items
-    await this.restoreInventoryForSale(originalItems, transaction);
-
-    // Then, update inventory for the new items
-    await this.updateInventoryForSale(updatedItems, transaction);
-  }
-
-  /**
-   * Restore inventory when deleting a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async restoreInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error("ItemRepository not available in DynamoSalesRepository");
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item.id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when restoring inventory for sale`);
-        continue;
-      }
-
-      // Increase quantity by the sold amount
-      const newQuantity = (item.quantity || 0) + saleItem.quantity;
-
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
-  }
-
   /**
    * Get sales report
    * @param {Object} filter Query filters
@@ -350,11 +269,15 @@ class DynamoSalesRepository extends BaseSalesRepository {
       const totalSales = sales.length;
       const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
       const averageOrderValue = totalSales > 0 ? totalRevenue / totalSales : 0;
+      const totalRefunds = sales.reduce((sum, sale) =>
+        sum + (sale.refundedTotal || 0), 0);
 
       return {
         totalSales,
         totalRevenue,
         averageOrderValue,
+        totalRefunds,
+        netRevenue: totalRevenue - totalRefunds,
         sales,
       };
     } catch (error) {
@@ -387,10 +310,12 @@ class DynamoSalesRepository extends BaseSalesRepository {
           acc[date] = {
             count: 0,
             total: 0,
+            refunds: 0,
           };
         }
         acc[date].count += 1;
         acc[date].total += sale.total;
+        acc[date].refunds += sale.refundedTotal || 0;
         return acc;
       }, {});
 
@@ -400,6 +325,8 @@ class DynamoSalesRepository extends BaseSalesRepository {
           date,
           sales: data.count,
           revenue: data.total,
+          refunds: data.refunds,
+          netRevenue: data.total - data.refunds,
         })).sort((a, b) => a.date.localeCompare(b.date));
 
       // Calculate summary metrics
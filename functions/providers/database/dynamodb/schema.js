@@ -208,8 +208,124 @@ const createPurchasesTable = async (client, tableName) => {
   }
 };
 
+/**
+ * Create the Assets table in DynamoDB
+ * @param {DynamoDBClient} client - DynamoDB client
+ * @param {string} tableName - Name of the table to create
+ * @return {Promise<Object>} Creation result
+ */
+const createAssetsTable = async (client, tableName) => {
+  const params = {
+    TableName: tableName,
+    KeySchema: [
+      {AttributeName: "id", KeyType: "HASH"}, // Partition key
+    ],
+    AttributeDefinitions: [
+      {AttributeName: "id", AttributeType: "S"},
+      {AttributeName: "purchaseId", AttributeType: "S"},
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: "PurchaseIdIndex",
+        KeySchema: [
+          {AttributeName: "purchaseId", KeyType: "HASH"},
+        ],
+        Projection: {ProjectionType: "ALL"},
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5,
+        },
+      },
+    ],
+    BillingMode: "PROVISIONED",
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5,
+    },
+  };
+
+  try {
+    const command = new CreateTableCommand(params);
+    const result = await client.send(command);
+    console.log(`✅ Created table ${tableName}`);
+
+    // Wait for table to become active
+    let tableStatus = result.TableDescription.TableStatus;
+    while (tableStatus !== "ACTIVE") {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const describeCommand = new DescribeTableCommand({TableName: tableName});
+      const tableDescription = await client.send(describeCommand);
+      tableStatus = tableDescription.Table.TableStatus;
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Error creating table ${tableName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create the Breakdowns table in DynamoDB
+ * @param {DynamoDBClient} client - DynamoDB client
+ * @param {string} tableName - Name of the table to create
+ * @return {Promise<Object>} Creation result
+ */
+const createBreakdownsTable = async (client, tableName) => {
+  const params = {
+    TableName: tableName,
+    KeySchema: [
+      {AttributeName: "id", KeyType: "HASH"}, // Partition key
+    ],
+    AttributeDefinitions: [
+      {AttributeName: "id", AttributeType: "S"},
+      {AttributeName: "sourceItem", AttributeType: "S"},
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: "SourceItemIndex",
+        KeySchema: [
+          {AttributeName: "sourceItem", KeyType: "HASH"},
+        ],
+        Projection: {ProjectionType: "ALL"},
+        ProvisionedThroughput: {
+          ReadCapacityUnits: 5,
+          WriteCapacityUnits: 5,
+        },
+      },
+    ],
+    BillingMode: "PROVISIONED",
+    ProvisionedThroughput: {
+      ReadCapacityUnits: 5,
+      WriteCapacityUnits: 5,
+    },
+  };
+
+  try {
+    const command = new CreateTableCommand(params);
+    const result = await client.send(command);
+    console.log(`✅ Created table ${tableName}`);
+
+    // Wait for table to become active
+    let tableStatus = result.TableDescription.TableStatus;
+    while (tableStatus !== "ACTIVE") {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const describeCommand = new DescribeTableCommand({TableName: tableName});
+      const tableDescription = await client.send(describeCommand);
+      tableStatus = tableDescription.Table.TableStatus;
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Error creating table ${tableName}:`, error);
+    throw error;
+  }
+};
+
 module.exports = {
   createItemTable,
   createSalesTable,
   createPurchasesTable,
+  createAssetsTable,
+  createBreakdownsTable,
 };
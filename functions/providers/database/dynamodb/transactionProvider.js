@@ -3,6 +3,13 @@ const {TransactWriteItemsCommand} = require("@aws-sdk/client-dynamodb");
 const {marshall} = require("@aws-sdk/util-dynamodb");
 const {v4: uuidv4} = require("uuid");
 
+// Match the document client so transactional writes store the same data
+const MARSHALL_OPTIONS = {
+  convertEmptyValues: true,
+  removeUndefinedValues: true,
+  convertClassInstanceToMap: true,
+};
+
 /**
  * DynamoDB implementation of TransactionProvider
  */
@@ -29,8 +36,15 @@ class DynamoTransactionProvider extends BaseTransactionProvider {
       id: transactionId,
       operations: [],
       status: "pending",
+      // Latest pending write to each item, keyed by table and ID
+      pendingItems: new Map(),
     };
 
+    // Repositories queue writes and read them back through the transaction
+    transaction.addWriteOperation = this.addWriteOperation.bind(this);
+    transaction.getPendingItem = (tableName, id) =>
+      this.getPendingItem(transaction, tableName, id);
+
     // Store the transaction
     this.pendingTransactions.set(transactionId, transaction);
 
@@ -52,14 +66,23 @@ class DynamoTransactionProvider extends BaseTransactionProvider {
 
     const fullTableName = `${this.tablePrefix}${tableName}`;
 
+    // DynamoDB rejects a transaction that touches the same item twice, so
+    // a later write replaces the earlier one. An item created in this
+    // transaction is still put, since it doesn't exist yet
+    const key = `${fullTableName}#${item.id}`;
+    const pending = transaction.pendingItems ?
+      transaction.pendingItems.get(key) : null;
+    const effectiveOperation = pending && pending.operation === "Put" &&
+      operation === "Update" ? "Put" : operation;
+
     let operationParams;
 
-    switch (operation) {
+    switch (effectiveOperation) {
       case "Put":
         operationParams = {
           Put: {
             TableName: fullTableName,
-            Item: marshall(item),
+            Item: marshall(item, MARSHALL_OPTIONS),
             ConditionExpression: item.id ?
               "attribute_not_exists(id) OR id = :id" :
               "attribute_not_exists(id)",
@@ -74,7 +97,7 @@ class DynamoTransactionProvider extends BaseTransactionProvider {
         operationParams = {
           Put: {
             TableName: fullTableName,
-            Item: marshall(item),
+            Item: marshall(item, MARSHALL_OPTIONS),
             ConditionExpression: "attribute_exists(id)",
           },
         };
@@ -94,7 +117,36 @@ class DynamoTransactionProvider extends BaseTransactionProvider {
         throw new Error(`Unsupported operation: ${operation}`);
     }
 
-    transaction.operations.push(operationParams);
+    if (pending) {
+      transaction.operations[pending.index] = operationParams;
+    } else {
+      transaction.operations.push(operationParams);
+    }
+
+    if (transaction.pendingItems) {
+      transaction.pendingItems.set(key, {
+        index: pending ? pending.index : transaction.operations.length - 1,
+        operation: effectiveOperation,
+        item: operation === "Delete" ? null : item,
+      });
+    }
+  }
+
+  /**
+   * Get the version of an item a transaction has written but not committed
+   * @param {Object} transaction - Transaction object
+   * @param {string} tableName - Table name without prefix
+   * @param {string} id - Item ID
+   * @return {Object|null|undefined} - Pending item, null if it is being
+   * deleted, or undefined if the transaction hasn't written it
+   */
+  getPendingItem(transaction, tableName, id) {
+    if (!transaction || !transaction.pendingItems) return undefined;
+
+    const pending = transaction.pendingItems.get(
+        `${this.tablePrefix}${tableName}#${id}`);
+    if (!pending) return undefined;
+    return pending.item ? {...pending.item} : null;
   }
 
   /**
@@ -0,0 +1,172 @@
+const {BaseAssetRepository} = require("../../base");
+const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+const {scopedCollection} = require("./scope");
+
+/**
+ * Firestore implementation of AssetRepository
+ */
+class FirestoreAssetRepository extends BaseAssetRepository {
+  /**
+   * Create a new FirestoreAssetRepository
+   * @param {Object} db - Firestore database instance
+   * @param {string} collectionPrefix - Prefix for collection names
+   */
+  constructor(db, collectionPrefix = "") {
+    super();
+    this.db = db;
+    this.collection = `${collectionPrefix}assets`;
+  }
+
+  /**
+   * Find all assets matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of assets
+   */
+  async findAll(filter = {}) {
+    try {
+      let query = scopedCollection(this.db, this.collection);
+
+      // Apply filters
+      Object.entries(filter).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          query = query.where(key, "==", value);
+        }
+      });
+
+      const snapshot = await query.get();
+      return snapshot.docs
+          .map((doc) => ({id: doc.id, ...doc.data()}))
+          .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    } catch (error) {
+      console.error("Firestore findAll assets error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find asset by ID
+   * @param {string} id Asset ID
+   * @return {Promise<Object|null>} Asset object or null if not found
+   */
+  async findById(id) {
+    try {
+      const doc = await this.db.collection(this.collection).doc(id).get();
+      if (!doc.exists || !belongsToBusiness(doc.data())) {
+        return null;
+      }
+      return {
+        id: doc.id,
+        ...doc.data(),
+      };
+    } catch (error) {
+      console.error(`Firestore findById error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new asset
+   * @param {Object} assetData Asset data
+   * @return {Promise<Object>} Created asset
+   */
+  async create(assetData) {
+    try {
+      const id = assetData.id || uuidv4();
+      const asset = {
+        ...withBusinessId(assetData),
+        id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.db.collection(this.collection).doc(id).set(asset);
+      return asset;
+    } catch (error) {
+      console.error("Firestore create asset error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing asset
+   * @param {string} id Asset ID
+   * @param {Object} assetData Updated asset data
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async update(id, assetData) {
+    try {
+      const existingAsset = await this.findById(id);
+      if (!existingAsset) {
+        return null;
+      }
+
+      const updatedAsset = withBusinessId({
+        ...existingAsset,
+        ...assetData,
+        updatedAt: new Date().toISOString(),
+      });
+
+      await this.db.collection(this.collection).doc(id).update(updatedAsset);
+      return updatedAsset;
+    } catch (error) {
+      console.error(`Firestore update error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update asset image
+   * @param {string} id Asset ID
+   * @param {string} imageUrl URL to the uploaded image
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async updateImage(id, imageUrl) {
+    return this.update(id, {imageUrl});
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} id Asset ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    try {
+      const asset = await this.findById(id);
+      if (!asset) {
+        return false;
+      }
+
+      await this.db.collection(this.collection).doc(id).delete();
+      return true;
+    } catch (error) {
+      console.error(`Firestore delete error for asset ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get assets by purchase ID
+   * @param {string} purchaseId Purchase ID
+   * @return {Promise<Array>} List of assets, newest first
+   */
+  async getAssetsByPurchase(purchaseId) {
+    try {
+      const snapshot = await scopedCollection(this.db, this.collection)
+          .where("purchaseId", "==", purchaseId.toString())
+          .get();
+      return snapshot.docs
+          .map((doc) => ({id: doc.id, ...doc.data()}))
+          .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+    } catch (error) {
+      console.error(`Firestore error getting assets
+        for purchase ${purchaseId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FirestoreAssetRepository;
@@ -0,0 +1,149 @@
+const {BaseBreakdownRepository} = require("../../base");
+const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+const {scopedCollection} = require("./scope");
+
+/**
+ * Firestore implementation of BreakdownRepository
+ */
+class FirestoreBreakdownRepository extends BaseBreakdownRepository {
+  /**
+   * Create a new FirestoreBreakdownRepository
+   * @param {Object} db - Firestore database instance
+   * @param {string} collectionPrefix - Prefix for collection names
+   */
+  constructor(db, collectionPrefix = "") {
+    super();
+    this.db = db;
+    this.collection = `${collectionPrefix}breakdowns`;
+  }
+
+  /**
+   * Find all breakdowns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findAll(filter = {}) {
+    try {
+      let query = scopedCollection(this.db, this.collection);
+
+      // Apply filters
+      Object.entries(filter).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          query = query.where(key, "==", value);
+        }
+      });
+
+      const snapshot = await query.get();
+      return snapshot.docs
+          .map((doc) => ({id: doc.id, ...doc.data()}))
+          .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+    } catch (error) {
+      console.error("Firestore findAll breakdowns error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find breakdown by ID
+   * @param {string} id Breakdown ID
+   * @return {Promise<Object|null>} Breakdown or null if not found
+   */
+  async findById(id) {
+    try {
+      const doc = await this.db.collection(this.collection).doc(id).get();
+      if (!doc.exists || !belongsToBusiness(doc.data())) {
+        return null;
+      }
+      return {
+        id: doc.id,
+        ...doc.data(),
+      };
+    } catch (error) {
+      console.error(`Firestore findById error for breakdown ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a breakdown
+   * @param {Object} breakdownData Breakdown data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created breakdown
+   */
+  async create(breakdownData, transaction) {
+    try {
+      const id = breakdownData.id || uuidv4();
+      const breakdown = {
+        status: "completed",
+        location: null,
+        ...withBusinessId(breakdownData),
+        id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const docRef = this.db.collection(this.collection).doc(id);
+      if (transaction && transaction.firestoreTransaction) {
+        transaction.firestoreTransaction.set(docRef, breakdown);
+      } else {
+        await docRef.set(breakdown);
+      }
+      return breakdown;
+    } catch (error) {
+      console.error("Firestore create breakdown error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a breakdown. It's read outside the transaction, since a
+   * reversal only marks it once its stock has been written
+   * @param {string} id Breakdown ID
+   * @param {Object} breakdownData Fields to update
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated breakdown
+   */
+  async update(id, breakdownData, transaction) {
+    try {
+      const existingBreakdown = await this.findById(id);
+      if (!existingBreakdown) {
+        return null;
+      }
+
+      const updatedBreakdown = withBusinessId({
+        ...existingBreakdown,
+        ...breakdownData,
+        updatedAt: new Date().toISOString(),
+      });
+
+      const docRef = this.db.collection(this.collection).doc(id);
+      if (transaction && transaction.firestoreTransaction) {
+        transaction.firestoreTransaction.update(docRef, updatedBreakdown);
+      } else {
+        await docRef.update(updatedBreakdown);
+      }
+      return updatedBreakdown;
+    } catch (error) {
+      console.error(`Firestore update error for breakdown ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findBySourceItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+    return await this.findAll({sourceItem: itemId.toString()});
+  }
+}
+
+module.exports = FirestoreBreakdownRepository;
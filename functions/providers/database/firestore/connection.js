@@ -123,9 +123,17 @@ const createIndexes = async (db, collectionPrefix = "") => {
   console.log(`INFO: Firestore indexes should be created
     using Firebase CLI or console`);
   console.log("Recommended indexes for collections:");
-  console.log(`- ${collectionPrefix}items: (category, name) ascending`);
-  console.log(`- ${collectionPrefix}sales: (createdAt) descending`);
-  console.log(`- ${collectionPrefix}purchases: (purchaseDate) descending`);
+  console.log(`- ${collectionPrefix}items: (businessId, category, name)
+    ascending`);
+  console.log(`- ${collectionPrefix}items: (businessId, sku) ascending`);
+  console.log(`- ${collectionPrefix}sales: (businessId) ascending,
+    (createdAt) descending`);
+  console.log(`- ${collectionPrefix}purchases: (businessId) ascending,
+    (purchaseDate) descending`);
+  console.log(`- ${collectionPrefix}assets: (businessId, purchaseId)
+    ascending`);
+  console.log(`- ${collectionPrefix}breakdowns: (businessId, sourceItem)
+    ascending`);
   console.log(`See Firebase documentation for more details
     on creating indexes`);
 };
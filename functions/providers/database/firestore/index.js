@@ -2,6 +2,8 @@ const FirestoreDBProvider = require("./provider");
 const FirestoreItemRepository = require("./itemRepository");
 const FirestoreSalesRepository = require("./salesRepository");
 const FirestorePurchaseRepository = require("./purchaseRepository");
+const FirestoreAssetRepository = require("./assetRepository");
+const FirestoreBreakdownRepository = require("./breakdownRepository");
 const FirestoreTransactionProvider = require("./transactionProvider");
 const {initializeFirestore, checkFirestoreHealth, createIndexes} =
   require("./connection");
@@ -11,6 +13,8 @@ module.exports = {
   FirestoreItemRepository,
   FirestoreSalesRepository,
   FirestorePurchaseRepository,
+  FirestoreAssetRepository,
+  FirestoreBreakdownRepository,
   FirestoreTransactionProvider,
   connection: {
     initializeFirestore,
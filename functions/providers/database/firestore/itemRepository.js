@@ -1,5 +1,10 @@
 const {BaseItemRepository} = require("../../base");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+const {scopedCollection} = require("./scope");
 
 /**
  * Firestore implementation of ItemRepository
@@ -23,7 +28,7 @@ class FirestoreItemRepository extends BaseItemRepository {
    */
   async findAll(filter = {}) {
     try {
-      let query = this.db.collection(this.collection);
+      let query = scopedCollection(this.db, this.collection);
 
       // Apply filters
       Object.entries(filter).forEach(([key, value]) => {
@@ -52,7 +57,7 @@ class FirestoreItemRepository extends BaseItemRepository {
   async findById(id) {
     try {
       const doc = await this.db.collection(this.collection).doc(id).get();
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToBusiness(doc.data())) {
         return null;
       }
       return {
@@ -65,25 +70,62 @@ class FirestoreItemRepository extends BaseItemRepository {
     }
   }
 
+  /**
+   * Read an item through a transaction. Items already read or written in
+   * the transaction come from its cache, since Firestore doesn't allow
+   * reads after writes
+   * @param {string} id Item ID
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object|null>} Item or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    if (!transaction || !transaction.firestoreTransaction) {
+      return await this.findById(id);
+    }
+
+    const docRef = this.db.collection(this.collection).doc(id);
+    if (transaction.docs && transaction.docs.has(docRef.path)) {
+      const cached = transaction.docs.get(docRef.path);
+      return cached ? {...cached} : null;
+    }
+
+    const doc = await transaction.firestoreTransaction.get(docRef);
+    const item = doc.exists && belongsToBusiness(doc.data()) ?
+      {id: doc.id, ...doc.data()} : null;
+    if (transaction.docs) {
+      transaction.docs.set(docRef.path, item);
+    }
+    return item ? {...item} : null;
+  }
+
   /**
    * Create a new item
    * @param {Object} itemData Item data
+   * @param {Object} [transaction] Optional transaction
    * @return {Promise<Object>} Created item
    */
-  async create(itemData) {
+  async create(itemData, transaction = null) {
     try {
       // Generate a new ID if one is not provided
       const id = itemData.id || uuidv4();
 
       const item = {
-        ...itemData,
+        ...withBusinessId(itemData),
         id,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
 
       // Write to Firestore
-      await this.db.collection(this.collection).doc(id).set(item);
+      const docRef = this.db.collection(this.collection).doc(id);
+      if (transaction && transaction.firestoreTransaction) {
+        transaction.firestoreTransaction.set(docRef, item);
+        if (transaction.docs) {
+          transaction.docs.set(docRef.path, item);
+        }
+        return item;
+      }
+      await docRef.set(item);
 
       // Handle components relationships
       if (item.itemType === "product" &&
@@ -109,31 +151,26 @@ class FirestoreItemRepository extends BaseItemRepository {
   async update(id, itemData, transaction = null) {
     try {
       // Get the existing item
-      let existingItem;
-
-      if (transaction && transaction.firestoreTransaction) {
-        const docRef = this.db.collection(this.collection).doc(id);
-        const doc = await transaction.firestoreTransaction.get(docRef);
-        existingItem = doc.exists ? {id: doc.id, ...doc.data()} : null;
-      } else {
-        existingItem = await this.findById(id);
-      }
+      const existingItem = await this.findForUpdate(id, transaction);
 
       if (!existingItem) {
         return null;
       }
 
       // Merge with updated data
-      const updatedItem = {
+      const updatedItem = withBusinessId({
         ...existingItem,
         ...itemData,
         updatedAt: new Date().toISOString(),
-      };
+      });
 
       // Perform the update
       if (transaction && transaction.firestoreTransaction) {
         const docRef = this.db.collection(this.collection).doc(id);
         transaction.firestoreTransaction.update(docRef, updatedItem);
+        if (transaction.docs) {
+          transaction.docs.set(docRef.path, updatedItem);
+        }
       } else {
         await this.db.collection(this.collection).doc(id).update(updatedItem);
       }
@@ -209,7 +246,7 @@ class FirestoreItemRepository extends BaseItemRepository {
   async getNextSku() {
     try {
       // Query items with numeric SKUs
-      const snapshot = await this.db.collection(this.collection)
+      const snapshot = await scopedCollection(this.db, this.collection)
           .where("sku", ">=", "0")
           .where("sku", "<=", "9999999999")
           .get();
@@ -238,7 +275,7 @@ class FirestoreItemRepository extends BaseItemRepository {
    */
   async getCategories() {
     try {
-      const snapshot = await this.db.collection(this.collection).get();
+      const snapshot = await scopedCollection(this.db, this.collection).get();
       const items = snapshot.docs.map((doc) => doc.data());
 
       // Extract unique categories
@@ -259,7 +296,7 @@ class FirestoreItemRepository extends BaseItemRepository {
    */
   async getTags() {
     try {
-      const snapshot = await this.db.collection(this.collection).get();
+      const snapshot = await scopedCollection(this.db, this.collection).get();
       const items = snapshot.docs.map((doc) => doc.data());
 
       // Extract all tags and flatten the array
@@ -282,7 +319,7 @@ class FirestoreItemRepository extends BaseItemRepository {
   async rebuildRelationships() {
     try {
       // Get all products (items that are products or both)
-      const productsSnapshot = await this.db.collection(this.collection)
+      const productsSnapshot = await scopedCollection(this.db, this.collection)
           .where("itemType", "in", ["product", "both"])
           .get();
 
@@ -346,9 +383,10 @@ class FirestoreItemRepository extends BaseItemRepository {
       // Find products that use this item
       let productsUsingItem = [];
       if (item.usedInProducts && item.usedInProducts.length > 0) {
-        const productsSnapshot = await this.db.collection(this.collection)
-            .where(this.db.FieldPath.documentId(), "in", item.usedInProducts)
-            .get();
+        const productsSnapshot =
+          await scopedCollection(this.db, this.collection)
+              .where(this.db.FieldPath.documentId(), "in", item.usedInProducts)
+              .get();
 
         productsUsingItem = productsSnapshot.docs.map((doc) => ({
           id: doc.id,
@@ -384,6 +422,26 @@ class FirestoreItemRepository extends BaseItemRepository {
     }
   }
 
+  /**
+   * Get derived items for a source item
+   * @param {string} sourceItemId ID of the source item
+   * @return {Promise<Array>} Array of derived items
+   */
+  async getDerivedItems(sourceItemId) {
+    try {
+      const snapshot = await scopedCollection(this.db, this.collection)
+          .where("derivedFrom.item", "==", sourceItemId.toString())
+          .get();
+      return snapshot.docs
+          .map((doc) => ({id: doc.id, ...doc.data()}))
+          .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    } catch (error) {
+      console.error(`Firestore getDerivedItems error
+        for item ${sourceItemId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Find items using a complex query
    * @param {Object} query Complex query object
@@ -391,7 +449,7 @@ class FirestoreItemRepository extends BaseItemRepository {
    */
   async findByQuery(query = {}) {
     try {
-      let firestoreQuery = this.db.collection(this.collection);
+      let firestoreQuery = scopedCollection(this.db, this.collection);
 
       // Process each filter condition
       if (query) {
@@ -2,6 +2,8 @@ const {BaseDatabaseProvider} = require("../../base");
 const FirestoreItemRepository = require("./itemRepository");
 const FirestoreSalesRepository = require("./salesRepository");
 const FirestorePurchaseRepository = require("./purchaseRepository");
+const FirestoreAssetRepository = require("./assetRepository");
+const FirestoreBreakdownRepository = require("./breakdownRepository");
 const FirestoreTransactionProvider = require("./transactionProvider");
 const {initializeFirestore, checkFirestoreHealth} = require("./connection");
 const ProviderRegistry = require("../../registry");
@@ -19,7 +21,13 @@ class FirestoreDBProvider extends BaseDatabaseProvider {
     this.db = null;
     this.admin = null;
     this.isConnected = false;
-    this.supportedRepositories = ["item", "sales", "purchase"];
+    this.supportedRepositories = [
+      "item",
+      "sales",
+      "purchase",
+      "asset",
+      "breakdown",
+    ];
     this.collectionPrefix = config.FIRESTORE_COLLECTION_PREFIX || "";
   }
 
@@ -91,6 +99,22 @@ class FirestoreDBProvider extends BaseDatabaseProvider {
     return new FirestorePurchaseRepository(this.db, this.collectionPrefix);
   }
 
+  /**
+   * Create an asset repository
+   * @return {Object} Firestore asset repository implementation
+   */
+  createAssetRepository() {
+    return new FirestoreAssetRepository(this.db, this.collectionPrefix);
+  }
+
+  /**
+   * Create a breakdown repository
+   * @return {Object} Firestore breakdown repository implementation
+   */
+  createBreakdownRepository() {
+    return new FirestoreBreakdownRepository(this.db, this.collectionPrefix);
+  }
+
   /**
    * Create a transaction provider
    * @return {Object} Firestore transaction provider implementation
@@ -1,5 +1,10 @@
 const {BasePurchaseRepository} = require("../../base");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+const {scopedCollection} = require("./scope");
 
 /**
  * Firestore implementation of PurchaseRepository
@@ -33,7 +38,7 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
    */
   async findAll(filter = {}) {
     try {
-      let query = this.db.collection(this.collection);
+      let query = scopedCollection(this.db, this.collection);
 
       // Handle date range filters
       if (filter.startDate && filter.endDate) {
@@ -80,7 +85,7 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
   async findById(id) {
     try {
       const doc = await this.db.collection(this.collection).doc(id).get();
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToBusiness(doc.data())) {
         return null;
       }
       return {
@@ -93,18 +98,47 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
     }
   }
 
+  /**
+   * Read a purchase through a transaction. Purchases already read or
+   * written in the transaction come from its cache, since Firestore doesn't
+   * allow reads after writes
+   * @param {string} id Purchase ID
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object|null>} Purchase or null if not found
+   */
+  async findForUpdate(id, transaction) {
+    if (!transaction || !transaction.firestoreTransaction) {
+      return await this.findById(id);
+    }
+
+    const docRef = this.db.collection(this.collection).doc(id);
+    if (transaction.docs && transaction.docs.has(docRef.path)) {
+      const cached = transaction.docs.get(docRef.path);
+      return cached ? {...cached} : null;
+    }
+
+    const doc = await transaction.firestoreTransaction.get(docRef);
+    const purchase = doc.exists && belongsToBusiness(doc.data()) ?
+      {id: doc.id, ...doc.data()} : null;
+    if (transaction.docs) {
+      transaction.docs.set(docRef.path, purchase);
+    }
+    return purchase ? {...purchase} : null;
+  }
+
   /**
    * Create a new purchase
    * @param {Object} purchaseData Purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created purchase
    */
-  async create(purchaseData, transaction) {
+  async create(purchaseData, transaction, context) {
     try {
       // Generate ID and timestamps
       const id = purchaseData.id || uuidv4();
       const purchase = {
-        ...purchaseData,
+        ...withBusinessId(purchaseData),
         id,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
@@ -115,25 +149,20 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
         purchase.purchaseDate = new Date(purchase.purchaseDate).toISOString();
       }
 
+      // Stock moves first: its items have to be read before the
+      // transaction writes anything
+      await this.applyInventoryEffects(null, purchase, transaction, context);
+
       if (transaction && transaction.firestoreTransaction) {
         // Using transaction
         const docRef = this.db.collection(this.collection).doc(id);
         transaction.firestoreTransaction.set(docRef, purchase);
-
-        // Update inventory quantities within transaction
-        if (this.itemRepository &&
-            purchase.items && purchase.items.length > 0) {
-          await this.updateInventoryForPurchase(purchase.items, transaction);
+        if (transaction.docs) {
+          transaction.docs.set(docRef.path, purchase);
         }
       } else {
         // Direct insertion
         await this.db.collection(this.collection).doc(id).set(purchase);
-
-        // Update inventory quantities
-        if (this.itemRepository &&
-            purchase.items && purchase.items.length > 0) {
-          await this.updateInventoryForPurchase(purchase.items);
-        }
       }
 
       return purchase;
@@ -148,21 +177,12 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
    * @param {string} id Purchase ID
    * @param {Object} purchaseData Updated purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated purchase or null if not found
    */
-  async update(id, purchaseData, transaction) {
+  async update(id, purchaseData, transaction, context) {
     try {
-      // Get existing purchase
-      let existingPurchase;
-
-      if (transaction && transaction.firestoreTransaction) {
-        const docRef = this.db.collection(this.collection).doc(id);
-        const doc = await transaction.firestoreTransaction.get(docRef);
-        existingPurchase = doc.exists ? {id: doc.id, ...doc.data()} : null;
-      } else {
-        existingPurchase = await this.findById(id);
-      }
-
+      const existingPurchase = await this.findForUpdate(id, transaction);
       if (!existingPurchase) {
         return null;
       }
@@ -174,28 +194,23 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
           new Date(purchaseData.purchaseDate).toISOString();
       }
 
-      // Handle inventory updates if items changed
-      if (this.itemRepository && purchaseData.items &&
-          JSON.stringify(existingPurchase.items) !==
-            JSON.stringify(purchaseData.items)) {
-        await this.updateInventoryForPurchaseUpdate(
-            existingPurchase.items || [],
-            purchaseData.items || [],
-            transaction,
-        );
-      }
-
       // Merge with updated data
-      const updatedPurchase = {
+      const updatedPurchase = withBusinessId({
         ...existingPurchase,
         ...purchaseData,
         updatedAt: new Date().toISOString(),
-      };
+      });
+
+      await this.applyInventoryEffects(existingPurchase, updatedPurchase,
+          transaction, context);
 
       // Save updates
       if (transaction && transaction.firestoreTransaction) {
         const docRef = this.db.collection(this.collection).doc(id);
         transaction.firestoreTransaction.update(docRef, updatedPurchase);
+        if (transaction.docs) {
+          transaction.docs.set(docRef.path, updatedPurchase);
+        }
       } else {
         await
         this.db.collection(this.collection).doc(id).update(updatedPurchase);
@@ -212,25 +227,26 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
    * Delete a purchase
    * @param {string} id Purchase ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     try {
       // Get purchase to revert inventory
-      const purchase = await this.findById(id);
+      const purchase = await this.findForUpdate(id, transaction);
       if (!purchase) {
         return false;
       }
 
-      // Revert inventory quantities
-      if (this.itemRepository && purchase.items && purchase.items.length > 0) {
-        await this.revertInventoryForPurchase(purchase.items, transaction);
-      }
+      await this.applyInventoryEffects(purchase, null, transaction, context);
 
       // Delete the purchase
       if (transaction && transaction.firestoreTransaction) {
         const docRef = this.db.collection(this.collection).doc(id);
         transaction.firestoreTransaction.delete(docRef);
+        if (transaction.docs) {
+          transaction.docs.set(docRef.path, null);
+        }
       } else {
         await this.db.collection(this.collection).doc(id).delete();
       }
@@ -242,108 +258,6 @@ class FirestorePurchaseRepository extends BasePurchaseRepository {
     }
   }
 
-  /**
-   * Update inventory when creating a purchase
-   * @param {Array} items Items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForPurchase(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in FirestorePurchaseRepository`);
-    }
-
-    for (const purchaseItem of items) {
-      if (!purchaseItem.item) continue;
-
-      const itemId = typeof purchaseItem.item ===
-        "object" ? purchaseItem.item.id : purchaseItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for purchase`);
-        continue;
-      }
-
-      let updateData = {};
-
-      // Handle different tracking types
-      if (purchaseItem.weight && item.trackingType === "weight") {
-        // For weight tracked items
-        const newWeight = (item.weight || 0) + purchaseItem.weight;
-        updateData = {weight: newWeight};
-      } else {
-        // For quantity tracked items (default)
-        const newQuantity = (item.quantity || 0) + purchaseItem.quantity;
-        updateData = {quantity: newQuantity};
-      }
-
-      // Update the item
-      await this.itemRepository.update(itemId, updateData, transaction);
-    }
-  }
-
-  /**
-   * Update inventory when updating a purchase
-   * @param {Array} originalItems Original items in the purchase
-   * @param {Array} updatedItems Updated items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForPurchaseUpdate(originalItems,
-      updatedItems, transaction) {
-    // First, revert the inventory changes from the original purchase
-    await this.revertInventoryForPurchase(originalItems, transaction);
-
-    // Then, apply the inventory changes for the updated purchase
-    await this.updateInventoryForPurchase(updatedItems, transaction);
-  }
-
-  /**
-   * Revert inventory when deleting a purchase
-   * @param {Array} items Items in the purchase
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async revertInventoryForPurchase(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in FirestorePurchaseRepository`);
-    }
-
-    for (const purchaseItem of items) {
-      if (!purchaseItem.item) continue;
-
-      const itemId = typeof purchaseItem.item ===
-        "object" ? purchaseItem.item.id : purchaseItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when reverting inventory for purchase`);
-        continue;
-      }
-
-      let updateData = {};
-
-      if (purchaseItem.weight && item.trackingType === "weight") {
-        // For weight tracked items
-        const newWeight = Math.max(0, (item.weight || 0) - purchaseItem.weight);
-        updateData = {weight: newWeight};
-      } else {
-        // For quantity tracked items (default)
-        const newQuantity = Math.max(0, (item.quantity || 0) -
-          purchaseItem.quantity);
-        updateData = {quantity: newQuantity};
-      }
-
-      // Update the item
-      await this.itemRepository.update(itemId, updateData, transaction);
-    }
-  }
-
   /**
    * Get purchase report
    * @param {Object} filter Query filters
@@ -1,5 +1,10 @@
 const {BaseSalesRepository} = require("../../base");
 const {v4: uuidv4} = require("uuid");
+const {
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+const {scopedCollection} = require("./scope");
 
 /**
  * Firestore implementation of SalesRepository
@@ -33,7 +38,7 @@ class FirestoreSalesRepository extends BaseSalesRepository {
    */
   async findAll(filter = {}) {
     try {
-      let query = this.db.collection(this.collection);
+      let query = scopedCollection(this.db, this.collection);
 
       // Handle date range filters
       if (filter.startDate && filter.endDate) {
@@ -74,7 +79,7 @@ class FirestoreSalesRepository extends BaseSalesRepository {
   async findById(id) {
     try {
       const doc = await this.db.collection(this.collection).doc(id).get();
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToBusiness(doc.data())) {
         return null;
       }
       return {
@@ -91,36 +96,31 @@ class FirestoreSalesRepository extends BaseSalesRepository {
    * Create a new sale
    * @param {Object} saleData Sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created sale
    */
-  async create(saleData, transaction) {
+  async create(saleData, transaction, context) {
     try {
       // Generate ID and timestamps
       const id = saleData.id || uuidv4();
       const sale = {
-        ...saleData,
+        ...withBusinessId(saleData),
         id,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
 
+      // Stock moves first: its items have to be read before the
+      // transaction writes anything
+      await this.applyInventoryEffects(null, sale, transaction, context);
+
       if (transaction && transaction.firestoreTransaction) {
         // Using transaction
         const docRef = this.db.collection(this.collection).doc(id);
         transaction.firestoreTransaction.set(docRef, sale);
-
-        // Update inventory quantities within transaction
-        if (this.itemRepository && sale.items && sale.items.length > 0) {
-          await this.updateInventoryForSale(sale.items, transaction);
-        }
       } else {
         // Direct insertion
         await this.db.collection(this.collection).doc(id).set(sale);
-
-        // Update inventory quantities
-        if (this.itemRepository && sale.items && sale.items.length > 0) {
-          await this.updateInventoryForSale(sale.items);
-        }
       }
 
       return sale;
@@ -135,9 +135,10 @@ class FirestoreSalesRepository extends BaseSalesRepository {
    * @param {string} id Sale ID
    * @param {Object} saleData Updated sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated sale or null if not found
    */
-  async update(id, saleData, transaction) {
+  async update(id, saleData, transaction, context) {
     try {
       // Get existing sale
       let existingSale;
@@ -145,7 +146,8 @@ class FirestoreSalesRepository extends BaseSalesRepository {
       if (transaction && transaction.firestoreTransaction) {
         const docRef = this.db.collection(this.collection).doc(id);
         const doc = await transaction.firestoreTransaction.get(docRef);
-        existingSale = doc.exists ? {id: doc.id, ...doc.data()} : null;
+        existingSale = doc.exists && belongsToBusiness(doc.data()) ?
+          {id: doc.id, ...doc.data()} : null;
       } else {
         existingSale = await this.findById(id);
       }
@@ -154,23 +156,15 @@ class FirestoreSalesRepository extends BaseSalesRepository {
         return null;
       }
 
-      // Handle inventory updates if items changed
-      if (this.itemRepository && saleData.items &&
-          JSON.stringify(existingSale.items) !==
-          JSON.stringify(saleData.items)) {
-        await this.updateInventoryForSaleUpdate(
-            existingSale.items || [],
-            saleData.items || [],
-            transaction,
-        );
-      }
-
       // Merge with updated data
-      const updatedSale = {
+      const updatedSale = withBusinessId({
         ...existingSale,
         ...saleData,
         updatedAt: new Date().toISOString(),
-      };
+      });
+
+      await this.applyInventoryEffects(existingSale, updatedSale, transaction,
+          context);
 
       // Save updates
       if (transaction && transaction.firestoreTransaction) {
@@ -191,9 +185,10 @@ class FirestoreSalesRepository extends BaseSalesRepository {
    * Delete a sale
    * @param {string} id Sale ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     try {
       // Get sale to restore inventory
       const sale = await this.findById(id);
@@ -201,10 +196,7 @@ class FirestoreSalesRepository extends BaseSalesRepository {
         return false;
       }
 
-      // Restore inventory quantities
-      if (this.itemRepository && sale.items && sale.items.length > 0) {
-        await this.restoreInventoryForSale(sale.items, transaction);
-      }
+      await this.applyInventoryEffects(sale, null, transaction, context);
 
       // Delete the sale
       if (transaction && transaction.firestoreTransaction) {
@@ -221,89 +213,6 @@ class FirestoreSalesRepository extends BaseSalesRepository {
     }
   }
 
-  /**
-   * Update inventory when creating a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in FirestoreSalesRepository`);
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item.id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for sale`);
-        continue;
-      }
-
-      // Decrease quantity by the sold amount
-      const newQuantity = Math.max(0, item.quantity - saleItem.quantity);
-
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
-  }
-
-  /**
-   * Update inventory when updating a sale
-   * @param {Array} originalItems Original items in the sale
-   * @param {Array} updatedItems Updated items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSaleUpdate(originalItems, updatedItems, transaction) {
-    // First, restore inventory for original items
-    await this.restoreInventoryForSale(originalItems, transaction);
-
-    // Then, update inventory for the new items
-    await this.updateInventoryForSale(updatedItems, transaction);
-  }
-
-  /**
-   * Restore inventory when deleting a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async restoreInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error(`ItemRepository not available
-        in FirestoreSalesRepository`);
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item.id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when restoring inventory for sale`);
-        continue;
-      }
-
-      // Increase quantity by the sold amount
-      const newQuantity = (item.quantity || 0) + saleItem.quantity;
-
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
-  }
-
   /**
    * Get sales report
    * @param {Object} filter Query filters
@@ -327,11 +236,15 @@ class FirestoreSalesRepository extends BaseSalesRepository {
       const totalSales = sales.length;
       const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
       const averageOrderValue = totalSales > 0 ? totalRevenue / totalSales : 0;
+      const totalRefunds = sales.reduce((sum, sale) =>
+        sum + (sale.refundedTotal || 0), 0);
 
       return {
         totalSales,
         totalRevenue,
         averageOrderValue,
+        totalRefunds,
+        netRevenue: totalRevenue - totalRefunds,
         sales,
       };
     } catch (error) {
@@ -368,11 +281,13 @@ class FirestoreSalesRepository extends BaseSalesRepository {
           acc[date] = {
             count: 0,
             total: 0,
+            refunds: 0,
           };
         }
 
         acc[date].count += 1;
         acc[date].total += sale.total;
+        acc[date].refunds += sale.refundedTotal || 0;
         return acc;
       }, {});
 
@@ -382,6 +297,8 @@ class FirestoreSalesRepository extends BaseSalesRepository {
           date,
           sales: data.count,
           revenue: data.total,
+          refunds: data.refunds,
+          netRevenue: data.total - data.refunds,
         })).sort((a, b) => a.date.localeCompare(b.date));
 
       // Calculate summary metrics
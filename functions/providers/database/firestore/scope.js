@@ -0,0 +1,17 @@
+const {getBusinessId} = require("../../../utils/tenantContext");
+
+/**
+ * Get a collection limited to the business of the current request
+ * @param {FirebaseFirestore.Firestore} db Firestore database
+ * @param {string} collection Collection name
+ * @return {FirebaseFirestore.Query} Query scoped to the business
+ */
+const scopedCollection = (db, collection) => {
+  const query = db.collection(collection);
+  const businessId = getBusinessId();
+  return businessId ? query.where("businessId", "==", businessId) : query;
+};
+
+module.exports = {
+  scopedCollection,
+};
@@ -92,6 +92,10 @@ class FirestoreTransactionProvider extends BaseTransactionProvider {
           id: uuidv4(),
           status: "active",
           firestoreTransaction,
+          // Documents read or written so far, keyed by path. Firestore
+          // needs every read before the first write, so repositories
+          // read their own writes back from here
+          docs: new Map(),
           // Helper methods for common operations
           getDoc: async (collectionName, id) => {
             const fullCollection = `${this.collectionPrefix}${collectionName}`;
@@ -0,0 +1,93 @@
+const {BaseAssetRepository} = require("../../base");
+
+// Field defaults from the asset schema
+const ASSET_DEFAULTS = {
+  status: "active",
+  isInventoryItem: false,
+  maintenanceHistory: [],
+  tags: [],
+};
+
+/**
+ * In-memory implementation of AssetRepository
+ */
+class MemoryAssetRepository extends BaseAssetRepository {
+  /**
+   * Create a new MemoryAssetRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "assets";
+  }
+
+  /**
+   * Find all assets matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of assets
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1});
+  }
+
+  /**
+   * Find asset by ID
+   * @param {string} id Asset ID
+   * @return {Promise<Object|null>} Asset object or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new asset
+   * @param {Object} assetData Asset data
+   * @return {Promise<Object>} Created asset
+   */
+  async create(assetData) {
+    return this.store.insert(this.collection,
+        {...ASSET_DEFAULTS, ...assetData});
+  }
+
+  /**
+   * Update an existing asset
+   * @param {string} id Asset ID
+   * @param {Object} assetData Updated asset data
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async update(id, assetData) {
+    return this.store.update(this.collection, id, assetData);
+  }
+
+  /**
+   * Update asset image
+   * @param {string} id Asset ID
+   * @param {string} imageUrl URL to the uploaded image
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async updateImage(id, imageUrl) {
+    return this.update(id, {imageUrl});
+  }
+
+  /**
+   * Delete an asset
+   * @param {string} id Asset ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    return this.store.remove(this.collection, id);
+  }
+
+  /**
+   * Get assets by purchase ID
+   * @param {string} purchaseId Purchase ID
+   * @return {Promise<Array>} List of assets
+   */
+  async getAssetsByPurchase(purchaseId) {
+    return this.store.find(this.collection,
+        {purchaseId: purchaseId.toString()}, {createdAt: -1});
+  }
+}
+
+module.exports = MemoryAssetRepository;
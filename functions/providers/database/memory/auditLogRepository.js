@@ -0,0 +1,36 @@
+const {BaseAuditLogRepository} = require("../../base");
+
+/**
+ * In-memory implementation of AuditLogRepository
+ */
+class MemoryAuditLogRepository extends BaseAuditLogRepository {
+  /**
+   * Create a new MemoryAuditLogRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "auditLog";
+  }
+
+  /**
+   * Find all audit entries matching filter criteria, newest first
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of audit entries
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entryData Audit entry data
+   * @return {Promise<Object>} Created audit entry
+   */
+  async create(entryData) {
+    return this.store.insert(this.collection, entryData);
+  }
+}
+
+module.exports = MemoryAuditLogRepository;
@@ -0,0 +1,85 @@
+const {BaseBreakdownRepository} = require("../../base");
+
+/**
+ * In-memory implementation of BreakdownRepository
+ */
+class MemoryBreakdownRepository extends BaseBreakdownRepository {
+  /**
+   * Create a new MemoryBreakdownRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "breakdowns";
+  }
+
+  /**
+   * Find all breakdowns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find breakdown by ID
+   * @param {string} id Breakdown ID
+   * @return {Promise<Object|null>} Breakdown or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Record a breakdown
+   * @param {Object} breakdownData Breakdown data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created breakdown
+   */
+  async create(breakdownData, transaction) {
+    return this.store.insert(this.collection,
+        {status: "completed", location: null, ...breakdownData});
+  }
+
+  /**
+   * Update a breakdown
+   * @param {string} id Breakdown ID
+   * @param {Object} breakdownData Fields to update
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated breakdown
+   */
+  async update(id, breakdownData, transaction) {
+    return this.store.update(this.collection, id, breakdownData);
+  }
+
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findBySourceItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+    return await this.findAll({sourceItem: itemId.toString()});
+  }
+
+  /**
+   * Find breakdowns an item was broken down in or allocated stock by
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findByItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+    const id = itemId.toString();
+    return await this.findAll({
+      $or: [{sourceItem: id}, {"allocations.item": id}],
+    });
+  }
+}
+
+module.exports = MemoryBreakdownRepository;
@@ -0,0 +1,67 @@
+const {BaseCustomerRepository} = require("../../base");
+
+/**
+ * In-memory implementation of CustomerRepository
+ */
+class MemoryCustomerRepository extends BaseCustomerRepository {
+  /**
+   * Create a new MemoryCustomerRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "customers";
+  }
+
+  /**
+   * Find all customers matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of customers, by name
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1});
+  }
+
+  /**
+   * Find customer by ID
+   * @param {string} id Customer ID
+   * @return {Promise<Object|null>} Customer or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new customer
+   * @param {Object} customerData Customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created customer
+   */
+  async create(customerData, transaction) {
+    return this.store.insert(this.collection, {tags: [], ...customerData});
+  }
+
+  /**
+   * Update an existing customer
+   * @param {string} id Customer ID
+   * @param {Object} customerData Updated customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated customer or null if not found
+   */
+  async update(id, customerData, transaction) {
+    return this.store.update(this.collection, id, customerData);
+  }
+
+  /**
+   * Delete a customer
+   * @param {string} id Customer ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    return this.store.remove(this.collection, id);
+  }
+}
+
+module.exports = MemoryCustomerRepository;
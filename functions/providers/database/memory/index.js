@@ -0,0 +1,41 @@
+const MemoryDBProvider = require("./provider");
+const {MemoryStore, matchesFilter} = require("./store");
+const MemoryItemRepository = require("./itemRepository");
+const MemorySalesRepository = require("./salesRepository");
+const MemoryPurchaseRepository = require("./purchaseRepository");
+const MemoryAssetRepository = require("./assetRepository");
+const MemoryPricingRuleRepository = require("./pricingRuleRepository");
+const MemoryInventoryMovementRepository =
+  require("./inventoryMovementRepository");
+const MemoryStockCountRepository = require("./stockCountRepository");
+const MemoryLocationRepository = require("./locationRepository");
+const MemoryProductionRunRepository = require("./productionRunRepository");
+const MemoryBreakdownRepository = require("./breakdownRepository");
+const MemorySaleReturnRepository = require("./saleReturnRepository");
+const MemoryCustomerRepository = require("./customerRepository");
+const MemorySupplierRepository = require("./supplierRepository");
+const MemoryUserRepository = require("./userRepository");
+const MemoryAuditLogRepository = require("./auditLogRepository");
+const MemoryTransactionProvider = require("./transactionProvider");
+
+module.exports = {
+  MemoryDBProvider,
+  MemoryStore,
+  MemoryItemRepository,
+  MemorySalesRepository,
+  MemoryPurchaseRepository,
+  MemoryAssetRepository,
+  MemoryPricingRuleRepository,
+  MemoryInventoryMovementRepository,
+  MemoryStockCountRepository,
+  MemoryLocationRepository,
+  MemoryProductionRunRepository,
+  MemoryBreakdownRepository,
+  MemorySaleReturnRepository,
+  MemoryCustomerRepository,
+  MemorySupplierRepository,
+  MemoryUserRepository,
+  MemoryAuditLogRepository,
+  MemoryTransactionProvider,
+  matchesFilter,
+};
@@ -0,0 +1,66 @@
+const {BaseInventoryMovementRepository} = require("../../base");
+
+/**
+ * In-memory implementation of InventoryMovementRepository
+ */
+class MemoryInventoryMovementRepository extends
+  BaseInventoryMovementRepository {
+  /**
+   * Create a new MemoryInventoryMovementRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "inventoryMovements";
+  }
+
+  /**
+   * Find all movements matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of movements
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find the movements of a single item, newest first
+   * @param {string} itemId Item ID
+   * @param {Object} [options] Query options
+   * @return {Promise<Array>} List of movements
+   */
+  async findByItem(itemId, options = {}) {
+    if (!itemId) {
+      return [];
+    }
+
+    const filter = {item: itemId.toString()};
+    if (options.type) {
+      filter.type = options.type;
+    }
+    if (options.startDate || options.endDate) {
+      filter.createdAt = {};
+      if (options.startDate) {
+        filter.createdAt.$gte = new Date(options.startDate);
+      }
+      if (options.endDate) {
+        filter.createdAt.$lte = new Date(options.endDate);
+      }
+    }
+
+    return await this.findAll(filter);
+  }
+
+  /**
+   * Append a movement to the ledger
+   * @param {Object} movementData Movement data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created movement
+   */
+  async create(movementData, transaction) {
+    return this.store.insert(this.collection, movementData);
+  }
+}
+
+module.exports = MemoryInventoryMovementRepository;
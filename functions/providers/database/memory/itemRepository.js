@@ -0,0 +1,178 @@
+const {BaseItemRepository} = require("../../base");
+const {
+  extractComponentIds,
+  updateItemRelationships,
+  rebuildAllRelationships,
+} = require("../../../utils/itemRelationships");
+
+// Field defaults from the item schema
+const ITEM_DEFAULTS = {
+  trackingType: "quantity",
+  quantity: 0,
+  weight: 0,
+  weightUnit: "lb",
+  length: 0,
+  lengthUnit: "in",
+  area: 0,
+  areaUnit: "sqft",
+  volume: 0,
+  volumeUnit: "l",
+  priceType: "each",
+  itemType: "product",
+  cost: 0,
+  costOfGoodsSold: 0,
+  costingMethod: null,
+  reorderPoint: null,
+  reorderQuantity: null,
+  trackLots: false,
+  trackSerials: false,
+  imageUrl: null,
+  tags: [],
+  costLayers: [],
+  stockByLocation: [],
+  lots: [],
+  serials: [],
+  usedInProducts: [],
+  components: [],
+  derivedItems: [],
+};
+
+/**
+ * In-memory implementation of ItemRepository
+ */
+class MemoryItemRepository extends BaseItemRepository {
+  /**
+   * Create a new MemoryItemRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "items";
+  }
+
+  /**
+   * Find all items matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of items
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1});
+  }
+
+  /**
+   * Find item by ID
+   * @param {string} id Item ID
+   * @return {Promise<Object|null>} Item object or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new item
+   * @param {Object} itemData Item data
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object>} Created item
+   */
+  async create(itemData, transaction = null) {
+    const item = this.store.insert(this.collection, {
+      ...ITEM_DEFAULTS,
+      lastUpdated: new Date(),
+      ...itemData,
+    });
+
+    // If this is a product with components, handle relationships
+    if (item.itemType === "product" && item.components &&
+        item.components.length > 0) {
+      await updateItemRelationships([], extractComponentIds(item.components),
+          item._id, transaction, this);
+    }
+
+    return item;
+  }
+
+  /**
+   * Update an existing item
+   * @param {string} id Item ID
+   * @param {Object} itemData Updated item data
+   * @param {Object} [transaction] Optional transaction
+   * @return {Promise<Object|null>} Updated item or null if not found
+   */
+  async update(id, itemData, transaction = null) {
+    const existing = this.store.findById(this.collection, id);
+    if (!existing) return null;
+
+    const item = this.store.update(this.collection, id, itemData);
+
+    // Keep usedInProducts on the components in step with the product
+    if (itemData.components && item.itemType === "product") {
+      await updateItemRelationships(
+          extractComponentIds(existing.components),
+          extractComponentIds(item.components),
+          item._id, transaction, this);
+    }
+
+    return item;
+  }
+
+  /**
+   * Update item image
+   * @param {string} id Item ID
+   * @param {string} imageUrl URL to the uploaded image
+   * @return {Promise<Object|null>} Updated item or null if not found
+   */
+  async updateImage(id, imageUrl) {
+    return this.update(id, {imageUrl});
+  }
+
+  /**
+   * Delete an item
+   * @param {string} id Item ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    const item = this.store.findById(this.collection, id);
+    if (!item || !this.store.remove(this.collection, id)) {
+      return false;
+    }
+
+    // Drop the deleted product from the materials it used
+    if (item.components && item.components.length > 0) {
+      await updateItemRelationships(extractComponentIds(item.components),
+          [], item._id, null, this);
+    }
+
+    return true;
+  }
+
+  /**
+   * Rebuild relationships between items
+   * @return {Promise<Object>} Result summary
+   */
+  async rebuildRelationships() {
+    return await rebuildAllRelationships(this);
+  }
+
+  /**
+   * Find items using a complex query
+   * @param {Object} query Complex query object with filters and operators
+   * @return {Promise<Array>} List of matching items
+   */
+  async findByQuery(query = {}) {
+    return this.store.find(this.collection, query, {name: 1});
+  }
+
+  /**
+   * Find the item a serial numbered unit belongs to
+   * @param {string} serialNumber Serial number
+   * @return {Promise<Object|null>} Item or null if no unit has the serial
+   */
+  async findBySerial(serialNumber) {
+    const items = this.store.find(this.collection,
+        {"serials.serialNumber": serialNumber});
+    return items.length > 0 ? items[0] : null;
+  }
+}
+
+module.exports = MemoryItemRepository;
@@ -0,0 +1,96 @@
+const {BaseLocationRepository} = require("../../base");
+
+/**
+ * In-memory implementation of LocationRepository
+ */
+class MemoryLocationRepository extends BaseLocationRepository {
+  /**
+   * Create a new MemoryLocationRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "locations";
+  }
+
+  /**
+   * Find all locations matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of locations
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1});
+  }
+
+  /**
+   * Find location by ID
+   * @param {string} id Location ID
+   * @return {Promise<Object|null>} Location or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new location
+   * @param {Object} locationData Location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created location
+   */
+  async create(locationData, transaction) {
+    const location = this.store.insert(this.collection, {
+      type: "warehouse",
+      parent: null,
+      isDefault: false,
+      isActive: true,
+      ...locationData,
+    });
+
+    if (location.isDefault) {
+      this.clearDefault(location._id);
+    }
+    return location;
+  }
+
+  /**
+   * Update an existing location
+   * @param {string} id Location ID
+   * @param {Object} locationData Updated location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated location or null if not found
+   */
+  async update(id, locationData, transaction) {
+    const location = this.store.update(this.collection, id, locationData);
+
+    if (location && location.isDefault) {
+      this.clearDefault(location._id);
+    }
+    return location;
+  }
+
+  /**
+   * Delete a location
+   * @param {string} id Location ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    return this.store.remove(this.collection, id);
+  }
+
+  /**
+   * Make sure only one location is the default
+   * @param {string} keepId Location that stays the default
+   * @private
+   */
+  clearDefault(keepId) {
+    this.store.find(this.collection, {_id: {$ne: keepId}, isDefault: true})
+        .forEach((location) => {
+          this.store.update(this.collection, location._id,
+              {isDefault: false});
+        });
+  }
+}
+
+module.exports = MemoryLocationRepository;
@@ -0,0 +1,75 @@
+const {BasePricingRuleRepository} = require("../../base");
+
+// Field defaults from the pricing rule schema
+const RULE_DEFAULTS = {
+  item: null,
+  category: null,
+  strategy: "markup",
+  roundToNinetyNine: false,
+  minimumPrice: 0,
+  autoApply: false,
+  isActive: true,
+};
+
+/**
+ * In-memory implementation of PricingRuleRepository
+ */
+class MemoryPricingRuleRepository extends BasePricingRuleRepository {
+  /**
+   * Create a new MemoryPricingRuleRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "pricingRules";
+  }
+
+  /**
+   * Find all pricing rules matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of pricing rules
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {scope: 1, createdAt: 1});
+  }
+
+  /**
+   * Find pricing rule by ID
+   * @param {string} id Pricing rule ID
+   * @return {Promise<Object|null>} Pricing rule or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new pricing rule
+   * @param {Object} ruleData Pricing rule data
+   * @return {Promise<Object>} Created pricing rule
+   */
+  async create(ruleData) {
+    return this.store.insert(this.collection, {...RULE_DEFAULTS, ...ruleData});
+  }
+
+  /**
+   * Update an existing pricing rule
+   * @param {string} id Pricing rule ID
+   * @param {Object} ruleData Updated pricing rule data
+   * @return {Promise<Object|null>} Updated rule or null if not found
+   */
+  async update(id, ruleData) {
+    return this.store.update(this.collection, id, ruleData);
+  }
+
+  /**
+   * Delete a pricing rule
+   * @param {string} id Pricing rule ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    return this.store.remove(this.collection, id);
+  }
+}
+
+module.exports = MemoryPricingRuleRepository;
@@ -0,0 +1,61 @@
+const {BaseProductionRunRepository} = require("../../base");
+
+/**
+ * In-memory implementation of ProductionRunRepository
+ */
+class MemoryProductionRunRepository extends BaseProductionRunRepository {
+  /**
+   * Create a new MemoryProductionRunRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "productionRuns";
+  }
+
+  /**
+   * Find all production runs matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of production runs, newest first
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find production run by ID
+   * @param {string} id Production run ID
+   * @return {Promise<Object|null>} Production run or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Record a production run
+   * @param {Object} runData Production run data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created production run
+   */
+  async create(runData, transaction) {
+    return this.store.insert(this.collection, runData);
+  }
+
+  /**
+   * Find production runs that built or consumed an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of production runs
+   */
+  async findByItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+    const id = itemId.toString();
+    return await this.findAll({
+      $or: [{product: id}, {"components.item": id}],
+    });
+  }
+}
+
+module.exports = MemoryProductionRunRepository;
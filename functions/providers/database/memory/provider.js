@@ -0,0 +1,240 @@
+const {BaseDatabaseProvider} = require("../../base");
+const {MemoryStore} = require("./store");
+const MemoryItemRepository = require("./itemRepository");
+const MemorySalesRepository = require("./salesRepository");
+const MemoryPurchaseRepository = require("./purchaseRepository");
+const MemoryAssetRepository = require("./assetRepository");
+const MemoryPricingRuleRepository = require("./pricingRuleRepository");
+const MemoryInventoryMovementRepository =
+  require("./inventoryMovementRepository");
+const MemoryStockCountRepository = require("./stockCountRepository");
+const MemoryLocationRepository = require("./locationRepository");
+const MemoryProductionRunRepository = require("./productionRunRepository");
+const MemoryBreakdownRepository = require("./breakdownRepository");
+const MemorySaleReturnRepository = require("./saleReturnRepository");
+const MemoryCustomerRepository = require("./customerRepository");
+const MemorySupplierRepository = require("./supplierRepository");
+const MemoryUserRepository = require("./userRepository");
+const MemoryAuditLogRepository = require("./auditLogRepository");
+const MemoryTransactionProvider = require("./transactionProvider");
+const ProviderRegistry = require("../../registry");
+const config = require("../../config");
+
+/**
+ * In-memory implementation of DatabaseProvider for local development and
+ * automated tests. Data lives in the process and is lost when it exits
+ */
+class MemoryDBProvider extends BaseDatabaseProvider {
+  /**
+   * Creates an instance of MemoryDBProvider
+   */
+  constructor() {
+    super(config);
+    this.store = new MemoryStore();
+    this.supportedRepositories = [
+      "item",
+      "sales",
+      "purchase",
+      "asset",
+      "pricingRule",
+      "inventoryMovement",
+      "stockCount",
+      "location",
+      "productionRun",
+      "breakdown",
+      "saleReturn",
+      "customer",
+      "supplier",
+      "user",
+      "auditLog",
+    ];
+  }
+
+  /**
+   * Connect to the store. There is nothing to connect to, so this only
+   * marks the provider as connected
+   * @return {Promise<void>}
+   */
+  async connect() {
+    this.isConnected = true;
+    console.log("✅ Memory provider connected successfully");
+  }
+
+  /**
+   * Disconnect from the store. Stored data is kept
+   * @return {Promise<void>}
+   */
+  async disconnect() {
+    this.isConnected = false;
+    console.log("✅ Memory provider disconnected successfully");
+  }
+
+  /**
+   * Check store health
+   * @return {Promise<Object>} Connection status object
+   */
+  async checkHealth() {
+    const collections = {};
+    this.store.collections.forEach((docs, name) => {
+      collections[name] = docs.size;
+    });
+
+    return {
+      status: this.isConnected ? "connected" : "disconnected",
+      isConnected: this.isConnected,
+      provider: "memory",
+      lastCheck: new Date().toISOString(),
+      collections,
+    };
+  }
+
+  /**
+   * Remove all stored data, e.g. between tests
+   */
+  reset() {
+    this.store.clear();
+  }
+
+  /**
+   * Create an item repository
+   * @return {MemoryItemRepository} In-memory item repository
+   */
+  createItemRepository() {
+    return new MemoryItemRepository(this.store);
+  }
+
+  /**
+   * Create a sales repository
+   * @return {MemorySalesRepository} In-memory sales repository
+   */
+  createSalesRepository() {
+    return new MemorySalesRepository(this.store);
+  }
+
+  /**
+   * Create a purchase repository
+   * @return {MemoryPurchaseRepository} In-memory purchase repository
+   */
+  createPurchaseRepository() {
+    return new MemoryPurchaseRepository(this.store);
+  }
+
+  /**
+   * Create an asset repository
+   * @return {MemoryAssetRepository} In-memory asset repository
+   */
+  createAssetRepository() {
+    return new MemoryAssetRepository(this.store);
+  }
+
+  /**
+   * Create a pricing rule repository
+   * @return {MemoryPricingRuleRepository} In-memory pricing rule repository
+   */
+  createPricingRuleRepository() {
+    return new MemoryPricingRuleRepository(this.store);
+  }
+
+  /**
+   * Create an inventory movement repository
+   * @return {MemoryInventoryMovementRepository} In-memory inventory
+   * movement repository
+   */
+  createInventoryMovementRepository() {
+    return new MemoryInventoryMovementRepository(this.store);
+  }
+
+  /**
+   * Create a stock count repository
+   * @return {MemoryStockCountRepository} In-memory stock count repository
+   */
+  createStockCountRepository() {
+    return new MemoryStockCountRepository(this.store);
+  }
+
+  /**
+   * Create a location repository
+   * @return {MemoryLocationRepository} In-memory location repository
+   */
+  createLocationRepository() {
+    return new MemoryLocationRepository(this.store);
+  }
+
+  /**
+   * Create a production run repository
+   * @return {MemoryProductionRunRepository} In-memory production run
+   * repository
+   */
+  createProductionRunRepository() {
+    return new MemoryProductionRunRepository(this.store);
+  }
+
+  /**
+   * Create a breakdown repository
+   * @return {MemoryBreakdownRepository} In-memory breakdown repository
+   */
+  createBreakdownRepository() {
+    return new MemoryBreakdownRepository(this.store);
+  }
+
+  /**
+   * Create a sale return repository
+   * @return {MemorySaleReturnRepository} In-memory sale return repository
+   */
+  createSaleReturnRepository() {
+    return new MemorySaleReturnRepository(this.store);
+  }
+
+  /**
+   * Create a customer repository
+   * @return {MemoryCustomerRepository} In-memory customer repository
+   */
+  createCustomerRepository() {
+    return new MemoryCustomerRepository(this.store);
+  }
+
+  /**
+   * Create a supplier repository
+   * @return {MemorySupplierRepository} In-memory supplier repository
+   */
+  createSupplierRepository() {
+    return new MemorySupplierRepository(this.store);
+  }
+
+  /**
+   * Create a user repository
+   * @return {MemoryUserRepository} In-memory user repository
+   */
+  createUserRepository() {
+    return new MemoryUserRepository(this.store);
+  }
+
+  /**
+   * Create an audit log repository
+   * @return {MemoryAuditLogRepository} In-memory audit log repository
+   */
+  createAuditLogRepository() {
+    return new MemoryAuditLogRepository(this.store);
+  }
+
+  /**
+   * Create a transaction provider
+   * @return {MemoryTransactionProvider} In-memory transaction provider
+   */
+  createTransactionProvider() {
+    return new MemoryTransactionProvider(this.store);
+  }
+
+  /**
+   * Get provider name
+   * @return {string} Provider name
+   */
+  getProviderName() {
+    return "memory";
+  }
+}
+
+// Register the provider with the registry
+ProviderRegistry.register("database", "memory", new MemoryDBProvider());
+
+module.exports = MemoryDBProvider;
@@ -0,0 +1,191 @@
+const {BasePurchaseRepository} = require("../../base");
+const {v4: uuidv4} = require("uuid");
+const {groupByDay} = require("./store");
+
+// Field defaults from the purchase schema
+const PURCHASE_DEFAULTS = {
+  paymentMethod: "cash",
+  status: "pending",
+  discountAmount: 0,
+  taxRate: 0,
+  taxAmount: 0,
+  shippingCost: 0,
+  supplierId: null,
+  receipts: [],
+  receivedAt: null,
+};
+
+/**
+ * Store purchase dates as dates, the way the purchase schema casts them
+ * @param {Object} purchaseData Purchase data
+ * @return {Object} Purchase data with purchaseDate and receivedAt as Dates
+ */
+function castPurchaseDates(purchaseData) {
+  const cast = {...purchaseData};
+  ["purchaseDate", "receivedAt"].forEach((field) => {
+    if (cast[field]) cast[field] = new Date(cast[field]);
+  });
+  return cast;
+}
+
+/**
+ * In-memory implementation of PurchaseRepository
+ */
+class MemoryPurchaseRepository extends BasePurchaseRepository {
+  /**
+   * Create a new MemoryPurchaseRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "purchases";
+  }
+
+  /**
+   * Find all purchases matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of purchases
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {purchaseDate: -1});
+  }
+
+  /**
+   * Find purchase by ID
+   * @param {string} id Purchase ID
+   * @return {Promise<Object|null>} Purchase object or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new purchase
+   * @param {Object} purchaseData Purchase data
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<Object>} Created purchase
+   */
+  async create(purchaseData, transaction, context) {
+    // Stock moves first so a purchase of items that can't be found
+    // isn't kept
+    const purchase = {
+      ...PURCHASE_DEFAULTS,
+      purchaseDate: new Date(),
+      ...castPurchaseDates(purchaseData),
+      _id: purchaseData._id || uuidv4(),
+    };
+
+    await this.applyInventoryEffects(null, purchase, transaction, context);
+    return this.store.insert(this.collection, purchase);
+  }
+
+  /**
+   * Update an existing purchase
+   * @param {string} id Purchase ID
+   * @param {Object} purchaseData Updated purchase data
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<Object|null>} Updated purchase or null if not found
+   */
+  async update(id, purchaseData, transaction, context) {
+    const before = await this.findById(id);
+    if (!before) return null;
+
+    const changes = castPurchaseDates(purchaseData);
+    await this.applyInventoryEffects(before, {...before, ...changes},
+        transaction, context);
+    return this.store.update(this.collection, id, changes);
+  }
+
+  /**
+   * Delete a purchase
+   * @param {string} id Purchase ID
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction, context) {
+    const purchase = await this.findById(id);
+    if (!purchase) return false;
+
+    await this.applyInventoryEffects(purchase, null, transaction, context);
+    return this.store.remove(this.collection, id);
+  }
+
+  /**
+   * Get purchase report
+   * @param {Object} filter Query filters
+   * @param {string} [startDate] Start date for report
+   * @param {string} [endDate] End date for report
+   * @return {Promise<Object>} Report data
+   */
+  async getReport(filter, startDate, endDate) {
+    const query = {...filter};
+    if (startDate && endDate) {
+      query.purchaseDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      };
+    }
+
+    const purchases = await this.findAll(query);
+    const totalPurchases = purchases.length;
+    const totalSpent = purchases.reduce((sum, purchase) =>
+      sum + purchase.total, 0);
+
+    return {
+      totalPurchases,
+      totalSpent,
+      averagePurchaseValue: totalPurchases > 0 ?
+        totalSpent / totalPurchases : 0,
+      purchases,
+    };
+  }
+
+  /**
+   * Get purchase trends
+   * @param {Object} filter Query filters
+   * @param {string} startDate Start date for trends
+   * @param {string} endDate End date for trends
+   * @return {Promise<Object>} Trends data
+   */
+  async getTrends(filter, startDate, endDate) {
+    const purchases = await this.findAll({
+      ...filter,
+      purchaseDate: {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      },
+    });
+
+    const trends = groupByDay(purchases, "purchaseDate").map((day) => ({
+      date: day.date,
+      purchases: day.count,
+      spent: day.total,
+    }));
+
+    return {
+      trends,
+      summary: {
+        totalDays: trends.length,
+        averageDailyPurchases: trends.reduce((sum, day) =>
+          sum + day.purchases, 0) / Math.max(1, trends.length),
+        averageDailySpend: trends.reduce((sum, day) =>
+          sum + day.spent, 0) / Math.max(1, trends.length),
+      },
+    };
+  }
+
+  /**
+   * Get all purchases containing a specific item
+   * @param {string} itemId - ID of the item to filter by
+   * @return {Promise<Array>} List of purchases containing the item
+   */
+  async getAllByItemId(itemId) {
+    return this.findAll({"items.item": itemId.toString()});
+  }
+}
+
+module.exports = MemoryPurchaseRepository;
@@ -0,0 +1,71 @@
+const {BaseSaleReturnRepository} = require("../../base");
+
+/**
+ * In-memory implementation of SaleReturnRepository
+ */
+class MemorySaleReturnRepository extends BaseSaleReturnRepository {
+  /**
+   * Create a new MemorySaleReturnRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "saleReturns";
+  }
+
+  /**
+   * Find all sale returns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of returns, newest first
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find sale return by ID
+   * @param {string} id Return ID
+   * @return {Promise<Object|null>} Return or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Record a sale return
+   * @param {Object} returnData Return data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created return
+   */
+  async create(returnData, transaction) {
+    return this.store.insert(this.collection,
+        {restocked: true, ...returnData});
+  }
+
+  /**
+   * Find the returns made against a sale
+   * @param {string} saleId Sale ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findBySale(saleId) {
+    if (!saleId) {
+      return [];
+    }
+    return await this.findAll({sale: saleId.toString()});
+  }
+
+  /**
+   * Find returns that brought back an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findByItem(itemId) {
+    if (!itemId) {
+      return [];
+    }
+    return await this.findAll({"items.item": itemId.toString()});
+  }
+}
+
+module.exports = MemorySaleReturnRepository;
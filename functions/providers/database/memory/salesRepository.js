@@ -0,0 +1,144 @@
+const {BaseSalesRepository} = require("../../base");
+const {v4: uuidv4} = require("uuid");
+const {groupByDay} = require("./store");
+
+// Field defaults from the sale schema
+const SALE_DEFAULTS = {
+  paymentMethod: "cash",
+  status: "completed",
+  refundedTotal: 0,
+  customer: null,
+};
+
+/**
+ * In-memory implementation of SalesRepository
+ */
+class MemorySalesRepository extends BaseSalesRepository {
+  /**
+   * Create a new MemorySalesRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "sales";
+  }
+
+  /**
+   * Find all sales matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of sales
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find sale by ID
+   * @param {string} id Sale ID
+   * @return {Promise<Object|null>} Sale object or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new sale
+   * @param {Object} saleData Sale data
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<Object>} Created sale
+   */
+  async create(saleData, transaction, context) {
+    // Stock moves first so a sale of items that can't be found isn't kept
+    const sale = {...SALE_DEFAULTS, ...saleData,
+      _id: saleData._id || uuidv4()};
+    await this.applyInventoryEffects(null, sale, transaction, context);
+    return this.store.insert(this.collection, sale);
+  }
+
+  /**
+   * Update an existing sale
+   * @param {string} id Sale ID
+   * @param {Object} saleData Updated sale data
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<Object|null>} Updated sale or null if not found
+   */
+  async update(id, saleData, transaction, context) {
+    const before = await this.findById(id);
+    if (!before) return null;
+
+    await this.applyInventoryEffects(before, {...before, ...saleData},
+        transaction, context);
+    return this.store.update(this.collection, id, saleData);
+  }
+
+  /**
+   * Delete a sale
+   * @param {string} id Sale ID
+   * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction, context) {
+    const sale = await this.findById(id);
+    if (!sale) return false;
+
+    await this.applyInventoryEffects(sale, null, transaction, context);
+    return this.store.remove(this.collection, id);
+  }
+
+  /**
+   * Get sales trends
+   * @param {Object} filter Query filters
+   * @param {string} startDate Start date for trends
+   * @param {string} endDate End date for trends
+   * @return {Promise<Object>} Trends data
+   */
+  async getTrends(filter, startDate, endDate) {
+    const sales = await this.findAll({
+      ...filter,
+      createdAt: {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      },
+    });
+
+    // Refunds count on the day of their sale, so both groupings have the
+    // same days in the same order
+    const refunds = groupByDay(sales.map((sale) => ({
+      createdAt: sale.createdAt,
+      total: sale.refundedTotal || 0,
+    })), "createdAt");
+    const trends = groupByDay(sales, "createdAt").map((day, index) => ({
+      date: day.date,
+      sales: day.count,
+      revenue: day.total,
+      refunds: refunds[index].total,
+      netRevenue: day.total - refunds[index].total,
+    }));
+
+    return {
+      trends,
+      summary: {
+        totalDays: trends.length,
+        averageDailySales: trends.reduce((sum, day) =>
+          sum + day.sales, 0) / Math.max(1, trends.length),
+        averageDailyRevenue: trends.reduce((sum, day) =>
+          sum + day.revenue, 0) / Math.max(1, trends.length),
+      },
+    };
+  }
+
+  /**
+   * Get all sales containing a specific item
+   * @param {string} itemId - ID of the item to filter by
+   * @return {Promise<Array>} List of sales containing the item
+   */
+  async getAllByItemId(itemId) {
+    return this.findAll({"items.item": itemId.toString()});
+  }
+}
+
+module.exports = MemorySalesRepository;
@@ -0,0 +1,63 @@
+const {BaseStockCountRepository} = require("../../base");
+
+/**
+ * In-memory implementation of StockCountRepository
+ */
+class MemoryStockCountRepository extends BaseStockCountRepository {
+  /**
+   * Create a new MemoryStockCountRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "stockCounts";
+  }
+
+  /**
+   * Find all stock count sessions matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of stock count sessions
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {createdAt: -1});
+  }
+
+  /**
+   * Find stock count session by ID
+   * @param {string} id Stock count ID
+   * @return {Promise<Object|null>} Stock count or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new stock count session
+   * @param {Object} countData Stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created stock count
+   */
+  async create(countData, transaction) {
+    return this.store.insert(this.collection, {
+      category: null,
+      tag: null,
+      status: "open",
+      lines: [],
+      ...countData,
+    });
+  }
+
+  /**
+   * Update an existing stock count session
+   * @param {string} id Stock count ID
+   * @param {Object} countData Updated stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated stock count or null if not found
+   */
+  async update(id, countData, transaction) {
+    return this.store.update(this.collection, id, countData);
+  }
+}
+
+module.exports = MemoryStockCountRepository;
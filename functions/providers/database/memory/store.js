@@ -0,0 +1,400 @@
+const {v4: uuidv4} = require("uuid");
+const {
+  scopeFilter,
+  withBusinessId,
+  belongsToBusiness,
+} = require("../../../utils/tenantContext");
+
+/**
+ * Deep copy a stored value. Dates are copied as dates; anything else that
+ * isn't a plain object or array is kept as is
+ * @param {*} value Value to copy
+ * @return {*} Copy of the value
+ */
+function cloneValue(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (value && typeof value === "object") {
+    const source = value.toObject ? value.toObject() : value;
+    const copy = {};
+    Object.keys(source).forEach((key) => {
+      if (source[key] !== undefined) {
+        copy[key] = cloneValue(source[key]);
+      }
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Get every value at a dotted path, stepping into arrays along the way
+ * so "items.item" finds the item of every line
+ * @param {Object} doc Document
+ * @param {string} path Dotted field path
+ * @return {Array} Values found at the path
+ */
+function getPathValues(doc, path) {
+  let values = [doc];
+  for (const key of path.split(".")) {
+    const next = [];
+    for (const value of values) {
+      if (Array.isArray(value)) {
+        value.forEach((entry) => {
+          if (entry && typeof entry === "object" && key in entry) {
+            next.push(entry[key]);
+          }
+        });
+      } else if (value && typeof value === "object" && key in value) {
+        next.push(value[key]);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+/**
+ * Turn a value into something that can be compared: dates become
+ * timestamps and objects with an ID become the ID
+ * @param {*} value Value
+ * @return {*} Comparable value
+ */
+function toComparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value && typeof value === "object" && (value._id || value.id)) {
+    return (value._id || value.id).toString();
+  }
+  return value;
+}
+
+/**
+ * Compare two values, treating either side being a date as a date
+ * comparison so ISO strings and Date objects can be mixed
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @return {number} Negative, zero or positive like a sort comparator
+ */
+function compareValues(a, b) {
+  let left = toComparable(a);
+  let right = toComparable(b);
+  if (a instanceof Date || b instanceof Date) {
+    left = new Date(a).getTime();
+    right = new Date(b).getTime();
+  }
+
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Check whether two values are equal for filtering
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @return {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if ((a === undefined || a === null) && (b === undefined || b === null)) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((entry, index) => valuesEqual(entry, b[index]));
+  }
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Check whether a condition is an operator object such as {$gte: 5}
+ * @param {*} condition Filter condition
+ * @return {boolean} True if every key is an operator
+ */
+function isOperatorObject(condition) {
+  return Boolean(condition) && typeof condition === "object" &&
+    !(condition instanceof Date) && !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+}
+
+/**
+ * Check a single value against an equality or operator condition
+ * @param {*} value Stored value
+ * @param {*} condition Filter condition
+ * @return {boolean} True if the value matches
+ */
+function valueMatches(value, condition) {
+  if (!isOperatorObject(condition)) {
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some((entry) => valuesEqual(entry, condition));
+    }
+    return valuesEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return valueMatches(value, operand);
+      case "$ne":
+        return !valueMatches(value, operand);
+      case "$gt":
+        return value !== undefined && value !== null &&
+          compareValues(value, operand) > 0;
+      case "$gte":
+        return value !== undefined && value !== null &&
+          compareValues(value, operand) >= 0;
+      case "$lt":
+        return value !== undefined && value !== null &&
+          compareValues(value, operand) < 0;
+      case "$lte":
+        return value !== undefined && value !== null &&
+          compareValues(value, operand) <= 0;
+      case "$in":
+        return operand.some((option) => valueMatches(value, option));
+      case "$nin":
+        return !operand.some((option) => valueMatches(value, option));
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check a document against a MongoDB-style filter. Supports dotted paths,
+ * equality (including array membership), $eq, $ne, $gt, $gte, $lt, $lte,
+ * $in, $nin, $exists, $and and $or
+ * @param {Object} doc Document
+ * @param {Object} filter Filter
+ * @return {boolean} True if the document matches
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === "$and") {
+      return condition.every((part) => matchesFilter(doc, part));
+    }
+    if (key === "$or") {
+      return condition.some((part) => matchesFilter(doc, part));
+    }
+
+    const values = getPathValues(doc, key);
+    if (isOperatorObject(condition) && "$exists" in condition) {
+      const {$exists: exists, ...rest} = condition;
+      const present = values.some((value) =>
+        value !== undefined && value !== null);
+      if (present !== Boolean(exists)) return false;
+      if (Object.keys(rest).length === 0) return true;
+      condition = rest;
+    }
+
+    if (values.length === 0) {
+      return valueMatches(undefined, condition);
+    }
+    if (isOperatorObject(condition) && ("$ne" in condition ||
+        "$nin" in condition)) {
+      return values.every((value) => valueMatches(value, condition));
+    }
+    return values.some((value) => valueMatches(value, condition));
+  });
+}
+
+/**
+ * Group documents by the UTC day of a date field and total them
+ * @param {Array<Object>} docs Documents to group
+ * @param {string} field Date field to group by
+ * @return {Array<Object>} Days ({date, count, total}) in date order
+ */
+function groupByDay(docs, field) {
+  const days = {};
+  docs.forEach((doc) => {
+    const date = new Date(doc[field]).toISOString().split("T")[0];
+    if (!days[date]) {
+      days[date] = {date, count: 0, total: 0};
+    }
+    days[date].count += 1;
+    days[date].total += doc.total || 0;
+  });
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * In-memory document store used by the memory database provider.
+ * Documents are kept per collection, keyed by ID, and copied on the way
+ * in and out so callers can't change stored data by accident. They are
+ * shaped like MongoDB documents (an _id, with id as an alias, and Date
+ * timestamps) since most of the API was written against that shape.
+ * Inside a business context every read and write is limited to that
+ * business's documents
+ */
+class MemoryStore {
+  /**
+   * Create an empty store
+   */
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Get a collection, creating it if needed
+   * @param {string} name Collection name
+   * @return {Map<string, Object>} Documents keyed by ID
+   */
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Find documents matching a filter
+   * @param {string} name Collection name
+   * @param {Object} [filter] MongoDB-style filter
+   * @param {Object} [sort] Sort order, e.g. {createdAt: -1}
+   * @return {Array<Object>} Copies of the matching documents
+   */
+  find(name, filter = {}, sort = null) {
+    const docs = [...this.getCollection(name).values()]
+        .filter((doc) => matchesFilter(doc, scopeFilter(filter || {})));
+
+    if (sort) {
+      const fields = Object.entries(sort);
+      docs.sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const result = compareValues(getPathValues(a, field)[0],
+              getPathValues(b, field)[0]);
+          if (result !== 0) return direction < 0 ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    return docs.map(cloneValue);
+  }
+
+  /**
+   * Get a stored document by ID if it belongs to the current business
+   * @param {string} name Collection name
+   * @param {string} id Document ID
+   * @return {Object|null} Stored document (not a copy) or null
+   * @private
+   */
+  getOwned(name, id) {
+    if (!id) return null;
+    const doc = this.getCollection(name).get(id.toString());
+    return doc && belongsToBusiness(doc) ? doc : null;
+  }
+
+  /**
+   * Find a document by ID
+   * @param {string} name Collection name
+   * @param {string} id Document ID
+   * @return {Object|null} Copy of the document or null if not found
+   */
+  findById(name, id) {
+    const doc = this.getOwned(name, id);
+    return doc ? cloneValue(doc) : null;
+  }
+
+  /**
+   * Insert a new document
+   * @param {string} name Collection name
+   * @param {Object} data Document data; an _id or id is kept if given
+   * @return {Object} Copy of the stored document
+   */
+  insert(name, data) {
+    const collection = this.getCollection(name);
+    const id = (data._id || data.id || uuidv4()).toString();
+    if (collection.has(id)) {
+      throw new Error(`Duplicate ID ${id} in ${name}`);
+    }
+
+    const now = new Date();
+    const doc = {
+      createdAt: now,
+      updatedAt: now,
+      ...cloneValue(withBusinessId(data)),
+      _id: id,
+      id,
+    };
+    collection.set(id, doc);
+    return cloneValue(doc);
+  }
+
+  /**
+   * Update fields of a document. Fields given replace the stored ones
+   * @param {string} name Collection name
+   * @param {string} id Document ID
+   * @param {Object} data Fields to set
+   * @return {Object|null} Copy of the updated document or null if not found
+   */
+  update(name, id, data) {
+    const existing = this.getOwned(name, id);
+    if (!existing) return null;
+
+    const doc = {
+      ...existing,
+      ...cloneValue(data),
+      _id: existing._id,
+      id: existing.id,
+      businessId: existing.businessId,
+      updatedAt: new Date(),
+    };
+    this.getCollection(name).set(existing._id, doc);
+    return cloneValue(doc);
+  }
+
+  /**
+   * Remove a document
+   * @param {string} name Collection name
+   * @param {string} id Document ID
+   * @return {boolean} True if removed, false if not found
+   */
+  remove(name, id) {
+    const existing = this.getOwned(name, id);
+    if (!existing) return false;
+    return this.getCollection(name).delete(existing._id);
+  }
+
+  /**
+   * Take a copy of every collection
+   * @return {Map<string, Map<string, Object>>} Snapshot of the store
+   */
+  snapshot() {
+    const snapshot = new Map();
+    this.collections.forEach((docs, name) => {
+      const copy = new Map();
+      docs.forEach((doc, id) => copy.set(id, cloneValue(doc)));
+      snapshot.set(name, copy);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Put the store back to a snapshot taken earlier
+   * @param {Map<string, Map<string, Object>>} snapshot Snapshot of the store
+   */
+  restore(snapshot) {
+    this.collections = snapshot;
+  }
+
+  /**
+   * Remove every document from every collection
+   */
+  clear() {
+    this.collections = new Map();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  matchesFilter,
+  groupByDay,
+};
@@ -0,0 +1,68 @@
+const {BaseSupplierRepository} = require("../../base");
+
+/**
+ * In-memory implementation of SupplierRepository
+ */
+class MemorySupplierRepository extends BaseSupplierRepository {
+  /**
+   * Create a new MemorySupplierRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "suppliers";
+  }
+
+  /**
+   * Find all suppliers matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of suppliers, by name
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1});
+  }
+
+  /**
+   * Find supplier by ID
+   * @param {string} id Supplier ID
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new supplier
+   * @param {Object} supplierData Supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created supplier
+   */
+  async create(supplierData, transaction) {
+    return this.store.insert(this.collection,
+        {isActive: true, ...supplierData});
+  }
+
+  /**
+   * Update an existing supplier
+   * @param {string} id Supplier ID
+   * @param {Object} supplierData Updated supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated supplier or null if not found
+   */
+  async update(id, supplierData, transaction) {
+    return this.store.update(this.collection, id, supplierData);
+  }
+
+  /**
+   * Delete a supplier
+   * @param {string} id Supplier ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    return this.store.remove(this.collection, id);
+  }
+}
+
+module.exports = MemorySupplierRepository;
@@ -0,0 +1,75 @@
+const {BaseTransactionProvider} = require("../../base");
+const {v4: uuidv4} = require("uuid");
+
+/**
+ * In-memory implementation of TransactionProvider. Starting a transaction
+ * snapshots the whole store and rolling back restores the snapshot.
+ * Transactions run one at a time so a rollback can't undo another
+ * transaction's writes
+ */
+class MemoryTransactionProvider extends BaseTransactionProvider {
+  /**
+   * Create a new MemoryTransactionProvider
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    // Settles when the running transaction, if any, finishes
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Start a new transaction, waiting for the running one to finish
+   * @return {Promise<Object>} Transaction object
+   */
+  async startTransaction() {
+    let release;
+    const previous = this.queue;
+    this.queue = new Promise((resolve) => {
+      release = resolve;
+    });
+    await previous;
+
+    return {
+      id: uuidv4(),
+      status: "pending",
+      snapshot: this.store.snapshot(),
+      release,
+    };
+  }
+
+  /**
+   * Commit a transaction. Writes are already in the store, so this only
+   * drops the snapshot
+   * @param {Object} transaction Transaction object
+   * @return {Promise<void>}
+   */
+  async commitTransaction(transaction) {
+    if (!transaction || transaction.status !== "pending") {
+      throw new Error(`Invalid transaction
+        or transaction already committed/aborted`);
+    }
+
+    transaction.status = "committed";
+    transaction.snapshot = null;
+    transaction.release();
+  }
+
+  /**
+   * Rollback a transaction, putting the store back as it was when the
+   * transaction started
+   * @param {Object} transaction Transaction object
+   * @return {Promise<void>}
+   */
+  async rollbackTransaction(transaction) {
+    if (!transaction || transaction.status !== "pending") return;
+
+    this.store.restore(transaction.snapshot);
+    transaction.status = "aborted";
+    transaction.snapshot = null;
+    transaction.release();
+  }
+}
+
+module.exports = MemoryTransactionProvider;
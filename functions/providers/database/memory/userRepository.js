@@ -0,0 +1,68 @@
+const {BaseUserRepository} = require("../../base");
+
+/**
+ * In-memory implementation of UserRepository
+ */
+class MemoryUserRepository extends BaseUserRepository {
+  /**
+   * Create a new MemoryUserRepository
+   * @param {MemoryStore} store - Shared in-memory store
+   */
+  constructor(store) {
+    super();
+    this.store = store;
+    this.collection = "users";
+  }
+
+  /**
+   * Find all users matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of users
+   */
+  async findAll(filter = {}) {
+    return this.store.find(this.collection, filter, {name: 1, email: 1});
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} id User ID
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findById(id) {
+    return this.store.findById(this.collection, id);
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} userData User data
+   * @return {Promise<Object>} Created user
+   */
+  async create(userData) {
+    return this.store.insert(this.collection, {
+      role: "viewer",
+      isActive: true,
+      ...userData,
+    });
+  }
+
+  /**
+   * Update an existing user
+   * @param {string} id User ID
+   * @param {Object} userData Updated user data
+   * @return {Promise<Object|null>} Updated user or null if not found
+   */
+  async update(id, userData) {
+    return this.store.update(this.collection, id, userData);
+  }
+
+  /**
+   * Delete a user
+   * @param {string} id User ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    return this.store.remove(this.collection, id);
+  }
+}
+
+module.exports = MemoryUserRepository;
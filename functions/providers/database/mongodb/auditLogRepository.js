@@ -0,0 +1,30 @@
+const {BaseAuditLogRepository} = require("../../base");
+const AuditLog = require("../../../models/auditLog");
+
+/**
+ * MongoDB implementation of AuditLogRepository
+ */
+class MongoAuditLogRepository extends BaseAuditLogRepository {
+  /**
+   * Find all audit entries matching filter criteria, newest first
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of audit entries
+   */
+  async findAll(filter = {}) {
+    return await AuditLog.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entryData Audit entry data
+   * @return {Promise<Object>} Created audit entry
+   */
+  async create(entryData) {
+    const entry = new AuditLog(entryData);
+
+    await entry.save();
+    return entry;
+  }
+}
+
+module.exports = MongoAuditLogRepository;
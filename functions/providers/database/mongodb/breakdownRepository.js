@@ -0,0 +1,92 @@
+const {BaseBreakdownRepository} = require("../../base");
+const Breakdown = require("../../../models/breakdown");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of BreakdownRepository
+ */
+class MongoBreakdownRepository extends BaseBreakdownRepository {
+  /**
+   * Find all breakdowns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findAll(filter = {}) {
+    return await Breakdown.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Find breakdown by ID
+   * @param {string} id Breakdown ID
+   * @return {Promise<Object|null>} Breakdown or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await Breakdown.findById(id);
+  }
+
+  /**
+   * Record a breakdown
+   * @param {Object} breakdownData Breakdown data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created breakdown
+   */
+  async create(breakdownData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const breakdown = new Breakdown(breakdownData);
+
+    await breakdown.save(options);
+    return breakdown;
+  }
+
+  /**
+   * Update a breakdown
+   * @param {string} id Breakdown ID
+   * @param {Object} breakdownData Fields to update
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated breakdown
+   */
+  async update(id, breakdownData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+
+    const breakdown = await this.findById(id);
+    if (!breakdown) return null;
+
+    Object.keys(breakdownData).forEach((key) => {
+      breakdown[key] = breakdownData[key];
+    });
+
+    await breakdown.save(options);
+    return breakdown;
+  }
+
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findBySourceItem(itemId) {
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return [];
+    }
+    return await Breakdown.find({sourceItem: itemId}).sort({createdAt: -1});
+  }
+
+  /**
+   * Find breakdowns an item was broken down in or allocated stock by
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findByItem(itemId) {
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return [];
+    }
+    return await Breakdown.find({
+      $or: [{sourceItem: itemId}, {"allocations.item": itemId}],
+    }).sort({createdAt: -1});
+  }
+}
+
+module.exports = MongoBreakdownRepository;
@@ -0,0 +1,106 @@
+const {BaseCustomerRepository} = require("../../base");
+const Customer = require("../../../models/customer");
+const mongoose = require("mongoose");
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value String to escape
+ * @return {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * MongoDB implementation of CustomerRepository
+ */
+class MongoCustomerRepository extends BaseCustomerRepository {
+  /**
+   * Find all customers matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of customers, by name
+   */
+  async findAll(filter = {}) {
+    return await Customer.find(filter).sort({name: 1});
+  }
+
+  /**
+   * Find customer by ID
+   * @param {string} id Customer ID
+   * @return {Promise<Object|null>} Customer or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await Customer.findById(id);
+  }
+
+  /**
+   * Create a new customer
+   * @param {Object} customerData Customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created customer
+   */
+  async create(customerData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const customer = new Customer(customerData);
+
+    await customer.save(options);
+    return customer;
+  }
+
+  /**
+   * Update an existing customer
+   * @param {string} id Customer ID
+   * @param {Object} customerData Updated customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated customer or null if not found
+   */
+  async update(id, customerData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+
+    const customer = await this.findById(id);
+    if (!customer) return null;
+
+    Object.keys(customerData).forEach((key) => {
+      customer[key] = customerData[key];
+    });
+
+    await customer.save(options);
+    return customer;
+  }
+
+  /**
+   * Delete a customer
+   * @param {string} id Customer ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return false;
+    }
+    const options = transaction ? {session: transaction} : {};
+    const result = await Customer.findByIdAndDelete(id, options);
+
+    return !!result;
+  }
+
+  /**
+   * Find customers whose name or email contains a search term. Phone
+   * numbers are stored as entered, so the base search, which matches
+   * their digits, is used for terms with digits in them
+   * @param {string} query Search term
+   * @return {Promise<Array>} Matching customers, by name
+   */
+  async search(query) {
+    const term = (query || "").toString().trim();
+    if (/\d/.test(term)) {
+      return await super.search(term);
+    }
+
+    const pattern = new RegExp(escapeRegExp(term), "i");
+    return await this.findAll({$or: [{name: pattern}, {email: pattern}]});
+  }
+}
+
+module.exports = MongoCustomerRepository;
@@ -4,6 +4,18 @@ const MongoSalesRepository = require("./salesRepository");
 const MongoPurchaseRepository = require("./purchaseRepository");
 const MongoTransactionProvider = require("./transactionProvider");
 const MongoAssetRepository = require("./assetRepository");
+const MongoPricingRuleRepository = require("./pricingRuleRepository");
+const MongoInventoryMovementRepository =
+  require("./inventoryMovementRepository");
+const MongoStockCountRepository = require("./stockCountRepository");
+const MongoLocationRepository = require("./locationRepository");
+const MongoProductionRunRepository = require("./productionRunRepository");
+const MongoBreakdownRepository = require("./breakdownRepository");
+const MongoSaleReturnRepository = require("./saleReturnRepository");
+const MongoCustomerRepository = require("./customerRepository");
+const MongoSupplierRepository = require("./supplierRepository");
+const MongoUserRepository = require("./userRepository");
+const MongoAuditLogRepository = require("./auditLogRepository");
 
 module.exports = {
   MongoDBProvider,
@@ -12,4 +24,15 @@ module.exports = {
   MongoPurchaseRepository,
   MongoTransactionProvider,
   MongoAssetRepository,
+  MongoPricingRuleRepository,
+  MongoInventoryMovementRepository,
+  MongoStockCountRepository,
+  MongoLocationRepository,
+  MongoProductionRunRepository,
+  MongoBreakdownRepository,
+  MongoSaleReturnRepository,
+  MongoCustomerRepository,
+  MongoSupplierRepository,
+  MongoUserRepository,
+  MongoAuditLogRepository,
 };
@@ -0,0 +1,62 @@
+const {BaseInventoryMovementRepository} = require("../../base");
+const InventoryMovement = require("../../../models/inventoryMovement");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of InventoryMovementRepository
+ */
+class MongoInventoryMovementRepository extends
+  BaseInventoryMovementRepository {
+  /**
+   * Find all movements matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of movements
+   */
+  async findAll(filter = {}) {
+    return await InventoryMovement.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Find the movements of a single item, newest first
+   * @param {string} itemId Item ID
+   * @param {Object} [options] Query options
+   * @return {Promise<Array>} List of movements
+   */
+  async findByItem(itemId, options = {}) {
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return [];
+    }
+
+    const filter = {item: itemId};
+    if (options.type) {
+      filter.type = options.type;
+    }
+    if (options.startDate || options.endDate) {
+      filter.createdAt = {};
+      if (options.startDate) {
+        filter.createdAt.$gte = new Date(options.startDate);
+      }
+      if (options.endDate) {
+        filter.createdAt.$lte = new Date(options.endDate);
+      }
+    }
+
+    return await this.findAll(filter);
+  }
+
+  /**
+   * Append a movement to the ledger
+   * @param {Object} movementData Movement data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created movement
+   */
+  async create(movementData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const movement = new InventoryMovement(movementData);
+
+    await movement.save(options);
+    return movement;
+  }
+}
+
+module.exports = MongoInventoryMovementRepository;
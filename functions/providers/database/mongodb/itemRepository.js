@@ -3,6 +3,12 @@ const Item = require("../../../models/item");
 const mongoose = require("mongoose"); // Add this import statement
 const {extractComponentIds, updateItemRelationships} =
   require("../../../utils/itemRelationships");
+const {
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toItemAmount,
+} = require("../../../utils/unitConversion");
+const {planStockChange} = require("../../../utils/locationUtils");
 
 /**
  * MongoDB implementation of ItemRepository
@@ -54,7 +60,7 @@ class MongoItemRepository extends BaseItemRepository {
     if (item.type === "product" && item.components &&
         item.components.length > 0) {
       const componentIds = extractComponentIds(item.components);
-      await updateItemRelationships([], componentIds, item._id);
+      await updateItemRelationships([], componentIds, item._id, null, this);
     }
 
     return item;
@@ -100,7 +106,7 @@ class MongoItemRepository extends BaseItemRepository {
 
         // Update relationships - ensure we pass the transaction
         await updateItemRelationships(
-            oldComponentIds, newComponentIds, item._id, transaction,
+            oldComponentIds, newComponentIds, item._id, transaction, this,
         );
       }
 
@@ -140,7 +146,7 @@ class MongoItemRepository extends BaseItemRepository {
     if (result.usedInProducts && result.usedInProducts.length > 0) {
       // For each product using this item, update its relationships
       for (const productId of result.usedInProducts) {
-        await updateItemRelationships([id], [], productId);
+        await updateItemRelationships([id], [], productId, null, this);
       }
     }
 
@@ -154,8 +160,7 @@ class MongoItemRepository extends BaseItemRepository {
   async rebuildRelationships() {
     const {rebuildAllRelationships} =
       require("../../../utils/itemRelationships");
-    const allItems = await this.findAll({});
-    return await rebuildAllRelationships(allItems);
+    return await rebuildAllRelationships(this);
   }
 
   /**
@@ -243,9 +248,12 @@ class MongoItemRepository extends BaseItemRepository {
    * @param {string} sourceItemId ID of the source item
    * @param {Array} derivedItems Array of derived item data
    * @param {Object} [transaction] Optional transaction
+   * @param {Object} [context] User recorded on the inventory movements and
+   * the location the stock is taken from and put into
    * @return {Promise<Object>} Object containing source item and derived items
    */
-  async createDerivedItems(sourceItemId, derivedItems, transaction = null) {
+  async createDerivedItems(sourceItemId, derivedItems, transaction = null,
+      context = {}) {
     const options = transaction ? {session: transaction} : {};
 
     // Get the source item
@@ -254,6 +262,15 @@ class MongoItemRepository extends BaseItemRepository {
       throw new Error(`Source item with ID ${sourceItemId} not found`);
     }
 
+    // Every movement from this breakdown points back at the source item
+    const location = context.location || null;
+    const movementContext = {
+      ...context,
+      sourceType: "Item",
+      sourceId: sourceItem._id,
+    };
+    const sourceBefore = sourceItem.toObject();
+
     // Debug: Log source item ID
     console.log(`Creating derived items from source item: ${sourceItemId}`, {
       sourceItemName: sourceItem.name,
@@ -280,6 +297,7 @@ class MongoItemRepository extends BaseItemRepository {
 
     // Check if we have enough inventory based on tracking type
     const trackingType = sourceItem.trackingType;
+    const measurement = getTrackingMeasurement(sourceItem);
     if (trackingType === "quantity" &&
         totalAllocated.quantity > sourceItem.quantity) {
       throw new Error(`Not enough quantity in source item.
@@ -323,6 +341,8 @@ class MongoItemRepository extends BaseItemRepository {
             not found for allocation`);
         }
 
+        const existingBefore = existingItem.toObject();
+
         console.log(`Allocating to existing item: ${existingItem._id}`, {
           existingItemName: existingItem.name,
           existingItemSku: existingItem.sku,
@@ -387,31 +407,21 @@ class MongoItemRepository extends BaseItemRepository {
           };
         }
 
-        // Update the measurement values
-        // of the existing item based on allocation
-        switch (trackingType) {
-          case "quantity":
-            existingItem.quantity += itemData.quantity || 0;
-            break;
-          case "weight":
-            existingItem.weight += itemData.weight || 0;
-            break;
-          case "length":
-            existingItem.length += itemData.length || 0;
-            break;
-          case "area":
-            existingItem.area += itemData.area || 0;
-            break;
-          case "volume":
-            existingItem.volume += itemData.volume || 0;
-            break;
-        }
+        // Add the allocation in the unit the existing item is tracked in
+        const {updateData: stock} = planStockChange(existingBefore, [{
+          location,
+          amount: toItemAmount(itemData[measurement] || 0, measurement,
+              getTrackingUnit(sourceItem), existingBefore),
+        }]);
+        Object.keys(stock).forEach((key) => existingItem[key] = stock[key]);
 
         // Update the last updated timestamp
         existingItem.lastUpdated = new Date();
 
         // Save the updated item
         await existingItem.save(options);
+        await this.recordMovement(existingBefore, existingItem, "breakdown",
+            {...movementContext, location}, transaction);
         console.log(`Saved allocation for existing item ${existingItem._id}`, {
           derivedFromItem: existingItem.derivedFrom &&
             existingItem.derivedFrom.item,
@@ -479,28 +489,15 @@ class MongoItemRepository extends BaseItemRepository {
           priceType: sourceItem.priceType,
         });
 
-        // Set the measurement values based on the source item's tracking type
-        switch (sourceItem.trackingType) {
-          case "quantity":
-            derivedItem.quantity = itemData.quantity || 0;
-            break;
-          case "weight":
-            derivedItem.quantity = itemData.quantity || 0; // For package count
-            derivedItem.weight = itemData.weight || 0;
-            break;
-          case "length":
-            derivedItem.quantity = itemData.quantity || 0; // For package count
-            derivedItem.length = itemData.length || 0;
-            break;
-          case "area":
-            derivedItem.quantity = itemData.quantity || 0; // For package count
-            derivedItem.area = itemData.area || 0;
-            break;
-          case "volume":
-            derivedItem.quantity = itemData.quantity || 0; // For package count
-            derivedItem.volume = itemData.volume || 0;
-            break;
-        }
+        // Set the allocated stock at the breakdown's location; items
+        // measured in other units keep the package count too
+        derivedItem.quantity = itemData.quantity || 0;
+        const {updateData: stock} = planStockChange(
+            {trackingType: measurement, [measurement]: 0}, [{
+              location,
+              amount: itemData[measurement] || 0,
+            }]);
+        Object.keys(stock).forEach((key) => derivedItem[key] = stock[key]);
 
         // Log right before saving
         console.log(`About to save new derived item with derivedFrom:`, {
@@ -511,6 +508,15 @@ class MongoItemRepository extends BaseItemRepository {
 
         // Save the new derived item
         await derivedItem.save(options);
+        await this.recordMovement({
+          ...derivedItem.toObject(),
+          quantity: 0,
+          weight: 0,
+          length: 0,
+          area: 0,
+          volume: 0,
+        }, derivedItem, "breakdown", {...movementContext, location},
+        transaction);
         console.log(`Saved new derived item ${derivedItem._id}`, {
           hasDerivation: !!derivedItem.derivedFrom,
           derivedFromItem: derivedItem.derivedFrom ?
@@ -535,24 +541,11 @@ class MongoItemRepository extends BaseItemRepository {
       }
     }
 
-    // Update the source item's inventory based on tracking type
-    switch (trackingType) {
-      case "quantity":
-        sourceItem.quantity -= totalAllocated.quantity;
-        break;
-      case "weight":
-        sourceItem.weight -= totalAllocated.weight;
-        break;
-      case "length":
-        sourceItem.length -= totalAllocated.length;
-        break;
-      case "area":
-        sourceItem.area -= totalAllocated.area;
-        break;
-      case "volume":
-        sourceItem.volume -= totalAllocated.volume;
-        break;
-    }
+    // Take the allocations out of the source item
+    const {updateData: sourceStock} = planStockChange(sourceBefore,
+        [{location, amount: -totalAllocated[measurement]}]);
+    Object.keys(sourceStock).forEach((key) =>
+      sourceItem[key] = sourceStock[key]);
 
     // Update the derived items references and last updated timestamp
     sourceItem.derivedItems =
@@ -566,6 +559,8 @@ class MongoItemRepository extends BaseItemRepository {
 
     // Save the updated source item - THIS IS THE KEY LINE THAT WAS MISSING
     await sourceItem.save(options);
+    await this.recordMovement(sourceBefore, sourceItem, "breakdown",
+        {...movementContext, location}, transaction);
 
     return {
       sourceItem,
@@ -613,6 +608,15 @@ class MongoItemRepository extends BaseItemRepository {
 
     return await Item.findById(derivedItem.derivedFrom.item);
   }
+
+  /**
+   * Find the item a serial numbered unit belongs to
+   * @param {string} serialNumber Serial number
+   * @return {Promise<Object|null>} Item or null if no unit has the serial
+   */
+  async findBySerial(serialNumber) {
+    return await Item.findOne({"serials.serialNumber": serialNumber});
+  }
 }
 
 module.exports = MongoItemRepository;
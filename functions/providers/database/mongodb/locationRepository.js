@@ -0,0 +1,102 @@
+const {BaseLocationRepository} = require("../../base");
+const Location = require("../../../models/location");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of LocationRepository
+ */
+class MongoLocationRepository extends BaseLocationRepository {
+  /**
+   * Find all locations matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of locations
+   */
+  async findAll(filter = {}) {
+    return await Location.find(filter).sort({name: 1});
+  }
+
+  /**
+   * Find location by ID
+   * @param {string} id Location ID
+   * @return {Promise<Object|null>} Location or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await Location.findById(id);
+  }
+
+  /**
+   * Create a new location
+   * @param {Object} locationData Location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created location
+   */
+  async create(locationData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const location = new Location(locationData);
+
+    if (location.isDefault) {
+      await this.clearDefault(location._id, options);
+    }
+
+    await location.save(options);
+    return location;
+  }
+
+  /**
+   * Update an existing location
+   * @param {string} id Location ID
+   * @param {Object} locationData Updated location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated location or null if not found
+   */
+  async update(id, locationData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+
+    const location = await this.findById(id);
+    if (!location) return null;
+
+    Object.keys(locationData).forEach((key) => {
+      location[key] = locationData[key];
+    });
+
+    if (location.isDefault) {
+      await this.clearDefault(location._id, options);
+    }
+
+    await location.save(options);
+    return location;
+  }
+
+  /**
+   * Delete a location
+   * @param {string} id Location ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const result = await Location.findByIdAndDelete(id, options);
+
+    return !!result;
+  }
+
+  /**
+   * Make sure only one location is the default
+   * @param {string} keepId Location that stays the default
+   * @param {Object} options Mongoose query options
+   * @return {Promise<void>}
+   * @private
+   */
+  async clearDefault(keepId, options) {
+    await Location.updateMany(
+        {_id: {$ne: keepId}, isDefault: true},
+        {isDefault: false},
+        options,
+    );
+  }
+}
+
+module.exports = MongoLocationRepository;
@@ -0,0 +1,91 @@
+const {BasePricingRuleRepository} = require("../../base");
+const PricingRule = require("../../../models/pricingRule");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of PricingRuleRepository
+ */
+class MongoPricingRuleRepository extends BasePricingRuleRepository {
+  /**
+   * Find all pricing rules matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of pricing rules
+   */
+  async findAll(filter = {}) {
+    return await PricingRule.find(filter).sort({scope: 1, createdAt: 1});
+  }
+
+  /**
+   * Find pricing rule by ID
+   * @param {string} id Pricing rule ID
+   * @return {Promise<Object|null>} Pricing rule or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    try {
+      return await PricingRule.findById(id);
+    } catch (error) {
+      console.error(`Error finding pricing rule by ID ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a new pricing rule
+   * @param {Object} ruleData Pricing rule data
+   * @return {Promise<Object>} Created pricing rule
+   */
+  async create(ruleData) {
+    try {
+      const rule = new PricingRule(ruleData);
+      await rule.save();
+      return rule;
+    } catch (error) {
+      console.error("Error creating pricing rule:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing pricing rule
+   * @param {string} id Pricing rule ID
+   * @param {Object} ruleData Updated pricing rule data
+   * @return {Promise<Object|null>} Updated rule or null if not found
+   */
+  async update(id, ruleData) {
+    try {
+      const rule = await this.findById(id);
+      if (!rule) return null;
+
+      Object.keys(ruleData).forEach((key) => {
+        rule[key] = ruleData[key];
+      });
+
+      await rule.save();
+      return rule;
+    } catch (error) {
+      console.error(`Error updating pricing rule ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a pricing rule
+   * @param {string} id Pricing rule ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    try {
+      const result = await PricingRule.findByIdAndDelete(id);
+      return !!result;
+    } catch (error) {
+      console.error(`Error deleting pricing rule ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoPricingRuleRepository;
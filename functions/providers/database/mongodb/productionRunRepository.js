@@ -0,0 +1,59 @@
+const {BaseProductionRunRepository} = require("../../base");
+const ProductionRun = require("../../../models/productionRun");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of ProductionRunRepository
+ */
+class MongoProductionRunRepository extends BaseProductionRunRepository {
+  /**
+   * Find all production runs matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of production runs, newest first
+   */
+  async findAll(filter = {}) {
+    return await ProductionRun.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Find production run by ID
+   * @param {string} id Production run ID
+   * @return {Promise<Object|null>} Production run or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await ProductionRun.findById(id);
+  }
+
+  /**
+   * Record a production run
+   * @param {Object} runData Production run data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created production run
+   */
+  async create(runData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const run = new ProductionRun(runData);
+
+    await run.save(options);
+    return run;
+  }
+
+  /**
+   * Find production runs that built or consumed an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of production runs
+   */
+  async findByItem(itemId) {
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return [];
+    }
+    return await ProductionRun.find({
+      $or: [{product: itemId}, {"components.item": itemId}],
+    }).sort({createdAt: -1});
+  }
+}
+
+module.exports = MongoProductionRunRepository;
@@ -5,6 +5,18 @@ const MongoSalesRepository = require("./salesRepository");
 const MongoPurchaseRepository = require("./purchaseRepository");
 const MongoTransactionProvider = require("./transactionProvider");
 const MongoAssetRepository = require("./assetRepository");
+const MongoPricingRuleRepository = require("./pricingRuleRepository");
+const MongoInventoryMovementRepository =
+  require("./inventoryMovementRepository");
+const MongoStockCountRepository = require("./stockCountRepository");
+const MongoLocationRepository = require("./locationRepository");
+const MongoProductionRunRepository = require("./productionRunRepository");
+const MongoBreakdownRepository = require("./breakdownRepository");
+const MongoSaleReturnRepository = require("./saleReturnRepository");
+const MongoCustomerRepository = require("./customerRepository");
+const MongoSupplierRepository = require("./supplierRepository");
+const MongoUserRepository = require("./userRepository");
+const MongoAuditLogRepository = require("./auditLogRepository");
 const ProviderRegistry = require("../../registry");
 
 /**
@@ -18,7 +30,23 @@ class MongoDBProvider extends BaseDatabaseProvider {
     super({}); // Pass empty config object for now
     this.name = "mongodb";
     this.type = "database";
-    this.supportedRepositories = ["item", "sales", "purchase", "asset"];
+    this.supportedRepositories = [
+      "item",
+      "sales",
+      "purchase",
+      "asset",
+      "pricingRule",
+      "inventoryMovement",
+      "stockCount",
+      "location",
+      "productionRun",
+      "breakdown",
+      "saleReturn",
+      "customer",
+      "supplier",
+      "user",
+      "auditLog",
+    ];
   }
 
   /**
@@ -103,6 +131,95 @@ class MongoDBProvider extends BaseDatabaseProvider {
     return new MongoAssetRepository();
   }
 
+  /**
+   * Create a pricing rule repository
+   * @return {MongoPricingRuleRepository} MongoDB pricing rule repository
+   */
+  createPricingRuleRepository() {
+    return new MongoPricingRuleRepository();
+  }
+
+  /**
+   * Create an inventory movement repository
+   * @return {MongoInventoryMovementRepository} MongoDB inventory movement
+   * repository
+   */
+  createInventoryMovementRepository() {
+    return new MongoInventoryMovementRepository();
+  }
+
+  /**
+   * Create a stock count repository
+   * @return {MongoStockCountRepository} MongoDB stock count repository
+   */
+  createStockCountRepository() {
+    return new MongoStockCountRepository();
+  }
+
+  /**
+   * Create a location repository
+   * @return {MongoLocationRepository} MongoDB location repository
+   */
+  createLocationRepository() {
+    return new MongoLocationRepository();
+  }
+
+  /**
+   * Create a production run repository
+   * @return {MongoProductionRunRepository} MongoDB production run repository
+   */
+  createProductionRunRepository() {
+    return new MongoProductionRunRepository();
+  }
+
+  /**
+   * Create a breakdown repository
+   * @return {MongoBreakdownRepository} MongoDB breakdown repository
+   */
+  createBreakdownRepository() {
+    return new MongoBreakdownRepository();
+  }
+
+  /**
+   * Create a sale return repository
+   * @return {MongoSaleReturnRepository} MongoDB sale return repository
+   */
+  createSaleReturnRepository() {
+    return new MongoSaleReturnRepository();
+  }
+
+  /**
+   * Create a customer repository
+   * @return {MongoCustomerRepository} MongoDB customer repository
+   */
+  createCustomerRepository() {
+    return new MongoCustomerRepository();
+  }
+
+  /**
+   * Create a supplier repository
+   * @return {MongoSupplierRepository} MongoDB supplier repository
+   */
+  createSupplierRepository() {
+    return new MongoSupplierRepository();
+  }
+
+  /**
+   * Create a user repository
+   * @return {MongoUserRepository} MongoDB user repository
+   */
+  createUserRepository() {
+    return new MongoUserRepository();
+  }
+
+  /**
+   * Create an audit log repository
+   * @return {MongoAuditLogRepository} MongoDB audit log repository
+   */
+  createAuditLogRepository() {
+    return new MongoAuditLogRepository();
+  }
+
   /**
    * Get the name of this provider implementation
    * @return {string} Provider name/identifier
@@ -0,0 +1,70 @@
+const {BaseSaleReturnRepository} = require("../../base");
+const SaleReturn = require("../../../models/saleReturn");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of SaleReturnRepository
+ */
+class MongoSaleReturnRepository extends BaseSaleReturnRepository {
+  /**
+   * Find all sale returns matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of returns, newest first
+   */
+  async findAll(filter = {}) {
+    return await SaleReturn.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Find sale return by ID
+   * @param {string} id Return ID
+   * @return {Promise<Object|null>} Return or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await SaleReturn.findById(id);
+  }
+
+  /**
+   * Record a sale return
+   * @param {Object} returnData Return data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created return
+   */
+  async create(returnData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const saleReturn = new SaleReturn(returnData);
+
+    await saleReturn.save(options);
+    return saleReturn;
+  }
+
+  /**
+   * Find the returns made against a sale
+   * @param {string} saleId Sale ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findBySale(saleId) {
+    if (!saleId || !mongoose.Types.ObjectId.isValid(saleId)) {
+      return [];
+    }
+    return await SaleReturn.find({sale: saleId}).sort({createdAt: -1});
+  }
+
+  /**
+   * Find returns that brought back an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findByItem(itemId) {
+    if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+      return [];
+    }
+    return await SaleReturn.find({"items.item": itemId})
+        .sort({createdAt: -1});
+  }
+}
+
+module.exports = MongoSaleReturnRepository;
@@ -38,12 +38,16 @@ class MongoSalesRepository extends BaseSalesRepository {
    * Create a new sale
    * @param {Object} saleData Sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created sale
    */
-  async create(saleData, transaction) {
+  async create(saleData, transaction, context) {
     const options = transaction ? {session: transaction} : {};
     const sale = new Sale(saleData);
 
+    // Stock moves first so a sale of items that can't be found isn't kept
+    await sale.validate();
+    await this.applyInventoryEffects(null, sale, transaction, context);
     await sale.save(options);
     return sale;
   }
@@ -53,19 +57,23 @@ class MongoSalesRepository extends BaseSalesRepository {
    * @param {string} id Sale ID
    * @param {Object} saleData Updated sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated sale or null if not found
    */
-  async update(id, saleData, transaction) {
+  async update(id, saleData, transaction, context) {
     const options = transaction ? {session: transaction} : {};
 
     const sale = await Sale.findById(id);
     if (!sale) return null;
+    const before = sale.toObject();
 
     // Update all provided fields
     Object.keys(saleData).forEach((key) => {
       sale[key] = saleData[key];
     });
 
+    await sale.validate();
+    await this.applyInventoryEffects(before, sale, transaction, context);
     await sale.save(options);
     return sale;
   }
@@ -74,94 +82,17 @@ class MongoSalesRepository extends BaseSalesRepository {
    * Delete a sale
    * @param {string} id Sale ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     const options = transaction ? {session: transaction} : {};
-    const result = await Sale.findByIdAndDelete(id, options);
-
-    return !!result;
-  }
-
-  /**
-   * Update inventory when creating a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error("ItemRepository not available in MongoSalesRepository");
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item._id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when updating inventory for sale`);
-        continue;
-      }
-
-      // Decrease quantity by the sold amount
-      const newQuantity = Math.max(0, item.quantity - saleItem.quantity);
-
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
-  }
-
-  /**
-   * Update inventory when updating a sale
-   * @param {Array} originalItems Original items in the sale
-   * @param {Array} updatedItems Updated items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async updateInventoryForSaleUpdate(originalItems, updatedItems, transaction) {
-    // First, restore inventory for original items
-    await this.restoreInventoryForSale(originalItems, transaction);
-
-    // Then, update inventory for the new items
-    await this.updateInventoryForSale(updatedItems, transaction);
-  }
-
-  /**
-   * Restore inventory when deleting a sale
-   * @param {Array} items Items in the sale
-   * @param {Object} [transaction] Database transaction/session
-   * @return {Promise<void>}
-   */
-  async restoreInventoryForSale(items, transaction) {
-    if (!this.itemRepository) {
-      throw new Error("ItemRepository not available in MongoSalesRepository");
-    }
-
-    for (const saleItem of items) {
-      if (!saleItem.item) continue;
-
-      const itemId = typeof saleItem.item ===
-        "object" ? saleItem.item._id : saleItem.item;
-      const item = await this.itemRepository.findById(itemId);
-
-      if (!item) {
-        console.warn(`Item ${itemId} not found
-          when restoring inventory for sale`);
-        continue;
-      }
-
-      // Increase quantity by the sold amount
-      const newQuantity = (item.quantity || 0) + saleItem.quantity;
+    const sale = await Sale.findById(id);
+    if (!sale) return false;
 
-      // Update the item
-      await this.itemRepository.update(itemId,
-          {quantity: newQuantity}, transaction);
-    }
+    await this.applyInventoryEffects(sale, null, transaction, context);
+    await sale.deleteOne(options);
+    return true;
   }
 
   /**
@@ -193,11 +124,15 @@ class MongoSalesRepository extends BaseSalesRepository {
     const totalSales = sales.length;
     const totalRevenue = sales.reduce((sum, sale) => sum + sale.total, 0);
     const averageOrderValue = totalSales > 0 ? totalRevenue / totalSales : 0;
+    const totalRefunds = sales.reduce((sum, sale) =>
+      sum + (sale.refundedTotal || 0), 0);
 
     return {
       totalSales,
       totalRevenue,
       averageOrderValue,
+      totalRefunds,
+      netRevenue: totalRevenue - totalRefunds,
       sales,
     };
   }
@@ -231,6 +166,7 @@ class MongoSalesRepository extends BaseSalesRepository {
           },
           count: {$sum: 1},
           total: {$sum: "$total"},
+          refunds: {$sum: {$ifNull: ["$refundedTotal", 0]}},
         },
       },
       {$sort: {"_id.year": 1, "_id.month": 1, "_id.day": 1}},
@@ -242,6 +178,8 @@ class MongoSalesRepository extends BaseSalesRepository {
         -${day._id.day.toString().padStart(2, "0")}`,
       sales: day.count,
       revenue: day.total,
+      refunds: day.refunds,
+      netRevenue: day.total - day.refunds,
     }));
 
     return {
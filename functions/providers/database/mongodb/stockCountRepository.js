@@ -0,0 +1,66 @@
+const {BaseStockCountRepository} = require("../../base");
+const StockCount = require("../../../models/stockCount");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of StockCountRepository
+ */
+class MongoStockCountRepository extends BaseStockCountRepository {
+  /**
+   * Find all stock count sessions matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of stock count sessions
+   */
+  async findAll(filter = {}) {
+    return await StockCount.find(filter).sort({createdAt: -1});
+  }
+
+  /**
+   * Find stock count session by ID
+   * @param {string} id Stock count ID
+   * @return {Promise<Object|null>} Stock count or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await StockCount.findById(id);
+  }
+
+  /**
+   * Create a new stock count session
+   * @param {Object} countData Stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created stock count
+   */
+  async create(countData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const count = new StockCount(countData);
+
+    await count.save(options);
+    return count;
+  }
+
+  /**
+   * Update an existing stock count session
+   * @param {string} id Stock count ID
+   * @param {Object} countData Updated stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated stock count or null if not found
+   */
+  async update(id, countData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+
+    const count = await this.findById(id);
+    if (!count) return null;
+
+    Object.keys(countData).forEach((key) => {
+      count[key] = countData[key];
+    });
+
+    await count.save(options);
+    return count;
+  }
+}
+
+module.exports = MongoStockCountRepository;
@@ -0,0 +1,103 @@
+const {BaseSupplierRepository} = require("../../base");
+const Supplier = require("../../../models/supplier");
+const mongoose = require("mongoose");
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value String to escape
+ * @return {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * MongoDB implementation of SupplierRepository
+ */
+class MongoSupplierRepository extends BaseSupplierRepository {
+  /**
+   * Find all suppliers matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of suppliers, by name
+   */
+  async findAll(filter = {}) {
+    return await Supplier.find(filter).sort({name: 1});
+  }
+
+  /**
+   * Find supplier by ID
+   * @param {string} id Supplier ID
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await Supplier.findById(id);
+  }
+
+  /**
+   * Create a new supplier
+   * @param {Object} supplierData Supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created supplier
+   */
+  async create(supplierData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+    const supplier = new Supplier(supplierData);
+
+    await supplier.save(options);
+    return supplier;
+  }
+
+  /**
+   * Update an existing supplier
+   * @param {string} id Supplier ID
+   * @param {Object} supplierData Updated supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated supplier or null if not found
+   */
+  async update(id, supplierData, transaction) {
+    const options = transaction ? {session: transaction} : {};
+
+    const supplier = await this.findById(id);
+    if (!supplier) return null;
+
+    Object.keys(supplierData).forEach((key) => {
+      supplier[key] = supplierData[key];
+    });
+
+    await supplier.save(options);
+    return supplier;
+  }
+
+  /**
+   * Delete a supplier
+   * @param {string} id Supplier ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return false;
+    }
+    const options = transaction ? {session: transaction} : {};
+    const result = await Supplier.findByIdAndDelete(id, options);
+
+    return !!result;
+  }
+
+  /**
+   * Find a supplier by name, ignoring case and surrounding spaces
+   * @param {string} name Supplier name
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findByName(name) {
+    const wanted = (name || "").toString().trim();
+    if (!wanted) return null;
+
+    return await Supplier.findOne({
+      name: new RegExp(`^${escapeRegExp(wanted)}$`, "i"),
+    });
+  }
+}
+
+module.exports = MongoSupplierRepository;
@@ -0,0 +1,82 @@
+const {BaseUserRepository} = require("../../base");
+const User = require("../../../models/user");
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB implementation of UserRepository
+ */
+class MongoUserRepository extends BaseUserRepository {
+  /**
+   * Find all users matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of users
+   */
+  async findAll(filter = {}) {
+    return await User.find(filter).sort({name: 1, email: 1});
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} id User ID
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findById(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return await User.findById(id);
+  }
+
+  /**
+   * Find the user signed in with an auth account
+   * @param {string} uid Auth account ID (the token's uid or sub)
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findByUid(uid) {
+    return await User.findOne({uid});
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} userData User data
+   * @return {Promise<Object>} Created user
+   */
+  async create(userData) {
+    const user = new User(userData);
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Update an existing user
+   * @param {string} id User ID
+   * @param {Object} userData Updated user data
+   * @return {Promise<Object|null>} Updated user or null if not found
+   */
+  async update(id, userData) {
+    const user = await this.findById(id);
+    if (!user) return null;
+
+    Object.keys(userData).forEach((key) => {
+      user[key] = userData[key];
+    });
+
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Delete a user
+   * @param {string} id User ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      return false;
+    }
+    const result = await User.findByIdAndDelete(id);
+    return !!result;
+  }
+}
+
+module.exports = MongoUserRepository;
@@ -58,6 +58,14 @@ class AssetRepository {
     throw new Error("Method not implemented");
   }
 
+  /**
+   * Get all unique tags
+   * @return {Promise<Array<string>>} List of tags
+   */
+  async getTags() {
+    throw new Error("Method not implemented");
+  }
+
   /**
    * Update asset image
    * @param {string} id Asset ID
@@ -76,6 +84,16 @@ class AssetRepository {
   async getAssetsByPurchase(purchaseId) {
     throw new Error("Method not implemented");
   }
+
+  /**
+   * Add maintenance record to asset
+   * @param {string} id Asset ID
+   * @param {Object} maintenanceData Maintenance record data
+   * @return {Promise<Object|null>} Updated asset or null if not found
+   */
+  async addMaintenanceRecord(id, maintenanceData) {
+    throw new Error("Method not implemented");
+  }
 }
 
 module.exports = AssetRepository;
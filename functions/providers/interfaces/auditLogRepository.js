@@ -0,0 +1,51 @@
+/**
+ * @interface AuditLogRepository
+ * Interface that defines methods
+ * each audit log repository implementation must provide.
+ * Audit entries are append-only, so there is no update or delete
+ */
+class AuditLogRepository {
+  /**
+   * Find all audit entries matching filter criteria, newest first
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of audit entries
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find audit entries by entity, actor and date, newest first
+   * @param {Object} [options] Query options
+   * @param {string} [options.entityType] Only entries for this entity type
+   * @param {string} [options.entityId] Only entries for this entity
+   * @param {string} [options.actor] Only entries made by this user
+   * @param {string} [options.startDate] Only entries on or after this date
+   * @param {string} [options.endDate] Only entries on or before this date
+   * @return {Promise<Array>} List of audit entries
+   */
+  async search(options = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entryData Audit entry data
+   * @return {Promise<Object>} Created audit entry
+   */
+  async create(entryData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record a create, update or delete with the fields it changed
+   * @param {Object} change The write being recorded
+   * @param {Object} [context] Actor and route that made the change
+   * @return {Promise<Object|null>} Created entry, or null if nothing changed
+   */
+  async recordChange(change, context) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = AuditLogRepository;
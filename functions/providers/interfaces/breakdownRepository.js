@@ -0,0 +1,65 @@
+/**
+ * @interface BreakdownRepository
+ * Interface that defines methods
+ * each breakdown repository implementation must provide
+ */
+class BreakdownRepository {
+  /**
+   * Find all breakdowns
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of breakdowns, newest first
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find breakdown by ID
+   * @param {string} id Breakdown ID
+   * @return {Promise<Object|null>} Breakdown or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record a breakdown
+   * @param {Object} breakdownData Breakdown data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created breakdown
+   */
+  async create(breakdownData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update a breakdown
+   * @param {string} id Breakdown ID
+   * @param {Object} breakdownData Fields to update
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated breakdown
+   */
+  async update(id, breakdownData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find breakdowns of a source item
+   * @param {string} itemId Source item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findBySourceItem(itemId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find breakdowns an item was broken down in or allocated stock by
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of breakdowns
+   */
+  async findByItem(itemId) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = BreakdownRepository;
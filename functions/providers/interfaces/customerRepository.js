@@ -0,0 +1,66 @@
+/**
+ * @interface CustomerRepository
+ * Interface that defines methods
+ * each customer repository implementation must provide
+ */
+class CustomerRepository {
+  /**
+   * Find all customers
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of customers, by name
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find customer by ID
+   * @param {string} id Customer ID
+   * @return {Promise<Object|null>} Customer or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new customer
+   * @param {Object} customerData Customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created customer
+   */
+  async create(customerData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing customer
+   * @param {string} id Customer ID
+   * @param {Object} customerData Updated customer data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated customer or null if not found
+   */
+  async update(id, customerData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a customer
+   * @param {string} id Customer ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find customers whose name, email or phone contains a search term
+   * @param {string} query Search term
+   * @return {Promise<Array>} Matching customers, by name
+   */
+  async search(query) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = CustomerRepository;
@@ -77,6 +77,86 @@ class DatabaseProvider {
     throw new Error("Method not implemented");
   }
 
+  /**
+   * Create a pricing rule repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Pricing rule repository implementation
+   */
+  createPricingRuleRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create an inventory movement repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Inventory movement repository implementation
+   */
+  createInventoryMovementRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a stock count repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Stock count repository implementation
+   */
+  createStockCountRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a location repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Location repository implementation
+   */
+  createLocationRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a production run repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Production run repository implementation
+   */
+  createProductionRunRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a breakdown repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Breakdown repository implementation
+   */
+  createBreakdownRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a user repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} User repository implementation
+   */
+  createUserRepository() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create an audit log repository
+   * @abstract
+   * @throws {Error} When method is not implemented
+   * @return {Object} Audit log repository implementation
+   */
+  createAuditLogRepository() {
+    throw new Error("Method not implemented");
+  }
+
   /**
    * Check if this provider supports a specific repository type
    * @param {string} repositoryType - Type of repository to check
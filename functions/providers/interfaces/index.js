@@ -5,6 +5,18 @@ const StorageProvider = require("./storageProvider");
 const TransactionProvider = require("./transactionProvider");
 const DatabaseProvider = require("./databaseProvider");
 const AssetRepository = require("./assetRepository");
+const PricingRuleRepository = require("./pricingRuleRepository");
+const InventoryMovementRepository =
+  require("./inventoryMovementRepository");
+const StockCountRepository = require("./stockCountRepository");
+const LocationRepository = require("./locationRepository");
+const ProductionRunRepository = require("./productionRunRepository");
+const BreakdownRepository = require("./breakdownRepository");
+const SaleReturnRepository = require("./saleReturnRepository");
+const CustomerRepository = require("./customerRepository");
+const SupplierRepository = require("./supplierRepository");
+const UserRepository = require("./userRepository");
+const AuditLogRepository = require("./auditLogRepository");
 
 module.exports = {
   ItemRepository,
@@ -14,4 +26,15 @@ module.exports = {
   TransactionProvider,
   DatabaseProvider,
   AssetRepository,
+  PricingRuleRepository,
+  InventoryMovementRepository,
+  StockCountRepository,
+  LocationRepository,
+  ProductionRunRepository,
+  BreakdownRepository,
+  SaleReturnRepository,
+  CustomerRepository,
+  SupplierRepository,
+  UserRepository,
+  AuditLogRepository,
 };
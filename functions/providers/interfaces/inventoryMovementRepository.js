@@ -0,0 +1,54 @@
+/**
+ * @interface InventoryMovementRepository
+ * Interface that defines methods
+ * each inventory movement repository implementation must provide.
+ * Movements are append-only, so there is no update or delete
+ */
+class InventoryMovementRepository {
+  /**
+   * Find all movements matching filter criteria
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of movements
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the movements of a single item, newest first
+   * @param {string} itemId Item ID
+   * @param {Object} [options] Query options
+   * @param {string} [options.startDate] Only movements on or after this date
+   * @param {string} [options.endDate] Only movements on or before this date
+   * @param {string} [options.type] Only movements of this type
+   * @return {Promise<Array>} List of movements
+   */
+  async findByItem(itemId, options = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Append a movement to the ledger
+   * @param {Object} movementData Movement data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created movement
+   */
+  async create(movementData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record the change an update makes to an item's stock
+   * @param {Object} item Item before the update
+   * @param {Object} updateData Fields being written to the item
+   * @param {string} type Movement type
+   * @param {Object} [context] Source document and user
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Created movement, or null if unchanged
+   */
+  async recordChange(item, updateData, type, context, transaction) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = InventoryMovementRepository;
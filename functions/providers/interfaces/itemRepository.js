@@ -126,9 +126,11 @@ class ItemRepository {
    * @param {string} sourceItemId ID of the source item
    * @param {Array} derivedItems Array of derived item data
    * @param {Object} [transaction] Optional transaction
+   * @param {Object} [context] User recorded on the inventory movements and
+   * the location the stock is taken from and put into
    * @return {Promise<Object>} Object containing source item and derived items
    */
-  async createDerivedItems(sourceItemId, derivedItems, transaction) {
+  async createDerivedItems(sourceItemId, derivedItems, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -149,6 +151,15 @@ class ItemRepository {
   async getParentItem(derivedItemId) {
     throw new Error("Method not implemented");
   }
+
+  /**
+   * Find the item a serial numbered unit belongs to
+   * @param {string} serialNumber Serial number
+   * @return {Promise<Object|null>} Item or null if no unit has the serial
+   */
+  async findBySerial(serialNumber) {
+    throw new Error("Method not implemented");
+  }
 }
 
 module.exports = ItemRepository;
@@ -0,0 +1,65 @@
+/**
+ * @interface LocationRepository
+ * Interface that defines methods
+ * each location repository implementation must provide
+ */
+class LocationRepository {
+  /**
+   * Find all locations
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of locations
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find location by ID
+   * @param {string} id Location ID
+   * @return {Promise<Object|null>} Location or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new location
+   * @param {Object} locationData Location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created location
+   */
+  async create(locationData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing location
+   * @param {string} id Location ID
+   * @param {Object} locationData Updated location data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated location or null if not found
+   */
+  async update(id, locationData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a location
+   * @param {string} id Location ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the default location
+   * @return {Promise<Object|null>} Default location or null if none is set
+   */
+  async findDefault() {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = LocationRepository;
@@ -0,0 +1,71 @@
+/**
+ * @interface PricingRuleRepository
+ * Interface that defines methods
+ * each pricing rule repository implementation must provide
+ */
+class PricingRuleRepository {
+  /**
+   * Find all pricing rules
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of pricing rules
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find pricing rule by ID
+   * @param {string} id Pricing rule ID
+   * @return {Promise<Object|null>} Pricing rule or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new pricing rule
+   * @param {Object} ruleData Pricing rule data
+   * @return {Promise<Object>} Created pricing rule
+   */
+  async create(ruleData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing pricing rule
+   * @param {string} id Pricing rule ID
+   * @param {Object} ruleData Updated pricing rule data
+   * @return {Promise<Object|null>} Updated rule or null if not found
+   */
+  async update(id, ruleData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a pricing rule
+   * @param {string} id Pricing rule ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Get all active pricing rules
+   * @return {Promise<Array>} List of active pricing rules
+   */
+  async findActiveRules() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the rule that applies to an item
+   * @param {Object} item Item object
+   * @return {Promise<Object|null>} Applicable rule or null if none
+   */
+  async findRuleForItem(item) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = PricingRuleRepository;
@@ -0,0 +1,45 @@
+/**
+ * @interface ProductionRunRepository
+ * Interface that defines methods
+ * each production run repository implementation must provide
+ */
+class ProductionRunRepository {
+  /**
+   * Find all production runs
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of production runs, newest first
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find production run by ID
+   * @param {string} id Production run ID
+   * @return {Promise<Object|null>} Production run or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record a production run
+   * @param {Object} runData Production run data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created production run
+   */
+  async create(runData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find production runs that built or consumed an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of production runs
+   */
+  async findByItem(itemId) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = ProductionRunRepository;
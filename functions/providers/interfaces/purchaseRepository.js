@@ -26,9 +26,10 @@ class PurchaseRepository {
    * Create a new purchase
    * @param {Object} purchaseData Purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created purchase
    */
-  async create(purchaseData, transaction) {
+  async create(purchaseData, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -37,9 +38,10 @@ class PurchaseRepository {
    * @param {string} id Purchase ID
    * @param {Object} purchaseData Updated purchase data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated purchase or null if not found
    */
-  async update(id, purchaseData, transaction) {
+  async update(id, purchaseData, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -47,9 +49,10 @@ class PurchaseRepository {
    * Delete a purchase
    * @param {string} id Purchase ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -57,31 +60,34 @@ class PurchaseRepository {
    * Update inventory when creating a purchase
    * @param {Array} items Items in the purchase
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
    * @return {Promise<void>}
    */
-  async updateInventoryForPurchase(items, transaction) {
+  async updateInventoryForPurchase(items, transaction, context) {
     throw new Error("Method not implemented");
   }
 
   /**
-   * Update inventory when updating a purchase
-   * @param {Array} originalItems Original items in the purchase
-   * @param {Array} updatedItems Updated items in the purchase
+   * Revert inventory when deleting a purchase
+   * @param {Array} items Items in the purchase
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Purchase and user recorded on each movement
    * @return {Promise<void>}
    */
-  async updateInventoryForPurchaseUpdate(originalItems,
-      updatedItems, transaction) {
+  async revertInventoryForPurchase(items, transaction, context) {
     throw new Error("Method not implemented");
   }
 
   /**
-   * Revert inventory when deleting a purchase
-   * @param {Array} items Items in the purchase
+   * Move stock for a purchase that was created, changed or deleted, by
+   * comparing its state before and after the write
+   * @param {Object|null} before Purchase before the write, null on create
+   * @param {Object|null} after Purchase after the write, null on delete
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on each movement
    * @return {Promise<void>}
    */
-  async revertInventoryForPurchase(items, transaction) {
+  async applyInventoryEffects(before, after, transaction, context) {
     throw new Error("Method not implemented");
   }
 
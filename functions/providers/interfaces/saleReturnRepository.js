@@ -0,0 +1,54 @@
+/**
+ * @interface SaleReturnRepository
+ * Interface that defines methods
+ * each sale return repository implementation must provide
+ */
+class SaleReturnRepository {
+  /**
+   * Find all sale returns
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of returns, newest first
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find sale return by ID
+   * @param {string} id Return ID
+   * @return {Promise<Object|null>} Return or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Record a sale return
+   * @param {Object} returnData Return data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created return
+   */
+  async create(returnData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the returns made against a sale
+   * @param {string} saleId Sale ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findBySale(saleId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find returns that brought back an item
+   * @param {string} itemId Item ID
+   * @return {Promise<Array>} List of returns
+   */
+  async findByItem(itemId) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = SaleReturnRepository;
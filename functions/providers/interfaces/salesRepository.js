@@ -26,9 +26,10 @@ class SalesRepository {
    * Create a new sale
    * @param {Object} saleData Sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object>} Created sale
    */
-  async create(saleData, transaction) {
+  async create(saleData, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -37,9 +38,10 @@ class SalesRepository {
    * @param {string} id Sale ID
    * @param {Object} saleData Updated sale data
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<Object|null>} Updated sale or null if not found
    */
-  async update(id, saleData, transaction) {
+  async update(id, saleData, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -47,9 +49,10 @@ class SalesRepository {
    * Delete a sale
    * @param {string} id Sale ID
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on the stock it moves
    * @return {Promise<boolean>} True if deleted, false if not found
    */
-  async delete(id, transaction) {
+  async delete(id, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -57,30 +60,34 @@ class SalesRepository {
    * Update inventory when creating a sale
    * @param {Array} items Items in the sale
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
    * @return {Promise<void>}
    */
-  async updateInventoryForSale(items, transaction) {
+  async updateInventoryForSale(items, transaction, context) {
     throw new Error("Method not implemented");
   }
 
   /**
-   * Update inventory when updating a sale
-   * @param {Array} originalItems Original items in the sale
-   * @param {Array} updatedItems Updated items in the sale
+   * Restore inventory when deleting a sale
+   * @param {Array} items Items in the sale
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] Sale and user recorded on each movement
    * @return {Promise<void>}
    */
-  async updateInventoryForSaleUpdate(originalItems, updatedItems, transaction) {
+  async restoreInventoryForSale(items, transaction, context) {
     throw new Error("Method not implemented");
   }
 
   /**
-   * Restore inventory when deleting a sale
-   * @param {Array} items Items in the sale
+   * Move stock for a sale that was created, changed or deleted, by
+   * comparing its state before and after the write
+   * @param {Object|null} before Sale before the write, null on create
+   * @param {Object|null} after Sale after the write, null on delete
    * @param {Object} [transaction] Database transaction/session
+   * @param {Object} [context] User recorded on each movement
    * @return {Promise<void>}
    */
-  async restoreInventoryForSale(items, transaction) {
+  async applyInventoryEffects(before, after, transaction, context) {
     throw new Error("Method not implemented");
   }
 
@@ -0,0 +1,55 @@
+/**
+ * @interface StockCountRepository
+ * Interface that defines methods
+ * each stock count repository implementation must provide
+ */
+class StockCountRepository {
+  /**
+   * Find all stock count sessions
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of stock count sessions
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find stock count session by ID
+   * @param {string} id Stock count ID
+   * @return {Promise<Object|null>} Stock count or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new stock count session
+   * @param {Object} countData Stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created stock count
+   */
+  async create(countData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing stock count session
+   * @param {string} id Stock count ID
+   * @param {Object} countData Updated stock count data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated stock count or null if not found
+   */
+  async update(id, countData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find all stock count sessions that are still open
+   * @return {Promise<Array>} List of open stock count sessions
+   */
+  async findOpen() {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = StockCountRepository;
@@ -0,0 +1,66 @@
+/**
+ * @interface SupplierRepository
+ * Interface that defines methods
+ * each supplier repository implementation must provide
+ */
+class SupplierRepository {
+  /**
+   * Find all suppliers
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of suppliers, by name
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find supplier by ID
+   * @param {string} id Supplier ID
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new supplier
+   * @param {Object} supplierData Supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object>} Created supplier
+   */
+  async create(supplierData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing supplier
+   * @param {string} id Supplier ID
+   * @param {Object} supplierData Updated supplier data
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<Object|null>} Updated supplier or null if not found
+   */
+  async update(id, supplierData, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a supplier
+   * @param {string} id Supplier ID
+   * @param {Object} [transaction] Database transaction/session
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id, transaction) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find a supplier by name, ignoring case
+   * @param {string} name Supplier name
+   * @return {Promise<Object|null>} Supplier or null if not found
+   */
+  async findByName(name) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = SupplierRepository;
@@ -0,0 +1,64 @@
+/**
+ * @interface UserRepository
+ * Interface that defines methods
+ * each user repository implementation must provide. Users are the
+ * members of a business and the role each one has in it
+ */
+class UserRepository {
+  /**
+   * Find all users
+   * @param {Object} filter Query filters
+   * @return {Promise<Array>} List of users
+   */
+  async findAll(filter = {}) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} id User ID
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the user signed in with an auth account
+   * @param {string} uid Auth account ID (the token's uid or sub)
+   * @return {Promise<Object|null>} User or null if not found
+   */
+  async findByUid(uid) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} userData User data
+   * @return {Promise<Object>} Created user
+   */
+  async create(userData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update an existing user
+   * @param {string} id User ID
+   * @param {Object} userData Updated user data
+   * @return {Promise<Object|null>} Updated user or null if not found
+   */
+  async update(id, userData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a user
+   * @param {string} id User ID
+   * @return {Promise<boolean>} True if deleted, false if not found
+   */
+  async delete(id) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = UserRepository;
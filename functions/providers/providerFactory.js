@@ -2,6 +2,22 @@ const config = require("./config");
 const registry = require("./registry");
 const {AppError} = require("../utils/errors");
 
+// Repositories that not every database provider implements,
+// mapped to the provider method that creates them
+const OPTIONAL_REPOSITORIES = {
+  pricingRule: "createPricingRuleRepository",
+  inventoryMovement: "createInventoryMovementRepository",
+  stockCount: "createStockCountRepository",
+  location: "createLocationRepository",
+  productionRun: "createProductionRunRepository",
+  breakdown: "createBreakdownRepository",
+  saleReturn: "createSaleReturnRepository",
+  customer: "createCustomerRepository",
+  supplier: "createSupplierRepository",
+  user: "createUserRepository",
+  auditLog: "createAuditLogRepository",
+};
+
 /**
  * Factory class for managing and initializing
  * different providers and repositories
@@ -21,6 +37,17 @@ class ProviderFactory {
         sales: null,
         purchase: null,
         asset: null,
+        pricingRule: null,
+        inventoryMovement: null,
+        stockCount: null,
+        location: null,
+        productionRun: null,
+        breakdown: null,
+        saleReturn: null,
+        customer: null,
+        supplier: null,
+        user: null,
+        auditLog: null,
       },
       transactionProvider: null,
     };
@@ -52,10 +79,11 @@ class ProviderFactory {
 
   /**
    * Initialize the database provider
+   * @param {string} [dbProviderName] Provider to use, defaults to the
+   *   configured one
    * @private
    */
-  async initializeDatabaseProvider() {
-    const dbProviderName = config.DB_PROVIDER;
+  async initializeDatabaseProvider(dbProviderName = config.DB_PROVIDER) {
     const dbProvider = registry.getProvider("database", dbProviderName);
 
     if (!dbProvider) {
@@ -126,6 +154,14 @@ class ProviderFactory {
       this.instances.repositories.asset =
         this.instances.database.createAssetRepository();
 
+      // Create optional repositories only when the provider supports them
+      Object.entries(OPTIONAL_REPOSITORIES).forEach(([type, method]) => {
+        if (this.instances.database.supportsRepository(type)) {
+          this.instances.repositories[type] =
+            this.instances.database[method]();
+        }
+      });
+
       // Set up cross-repository references
       this.linkRepositories();
 
@@ -182,6 +218,36 @@ class ProviderFactory {
           this.instances.repositories.item;
       }
     }
+
+    // Link pricing rules so purchases can apply automatic pricing
+    if (this.instances.repositories.purchase &&
+        this.instances.repositories.pricingRule &&
+        this.instances.repositories.purchase.setPricingRuleRepository) {
+      this.instances.repositories.purchase.
+          setPricingRuleRepository(this.instances.repositories.pricingRule);
+    }
+
+    // Link the movement ledger to every repository that changes stock
+    if (this.instances.repositories.inventoryMovement) {
+      ["item", "sales", "purchase"].forEach((type) => {
+        const repository = this.instances.repositories[type];
+        if (repository && repository.setMovementRepository) {
+          repository.setMovementRepository(
+              this.instances.repositories.inventoryMovement);
+        }
+      });
+    }
+
+    // Link locations so sales and purchases can fall back to the default
+    if (this.instances.repositories.location) {
+      ["sales", "purchase"].forEach((type) => {
+        const repository = this.instances.repositories[type];
+        if (repository && repository.setLocationRepository) {
+          repository.setLocationRepository(
+              this.instances.repositories.location);
+        }
+      });
+    }
   }
 
   /**
@@ -217,6 +283,15 @@ class ProviderFactory {
     return this.instances.transactionProvider;
   }
 
+  /**
+   * Check whether a repository was initialized for the current provider
+   * @param {string} repositoryType Repository type (e.g. 'pricingRule')
+   * @return {boolean} True if the repository is available
+   */
+  hasRepository(repositoryType) {
+    return !!this.instances.repositories[repositoryType];
+  }
+
   /**
    * Get the item repository
    * @return {Object} Item repository instance
@@ -261,6 +336,127 @@ class ProviderFactory {
     return this.instances.repositories.asset;
   }
 
+  /**
+   * Get the pricing rule repository
+   * @return {Object} Pricing rule repository instance
+   */
+  getPricingRuleRepository() {
+    if (!this.instances.repositories.pricingRule) {
+      throw new Error("Pricing rule repository has not been initialized");
+    }
+    return this.instances.repositories.pricingRule;
+  }
+
+  /**
+   * Get the inventory movement repository
+   * @return {Object} Inventory movement repository instance
+   */
+  getInventoryMovementRepository() {
+    if (!this.instances.repositories.inventoryMovement) {
+      throw new Error("Inventory movement repository has not been initialized");
+    }
+    return this.instances.repositories.inventoryMovement;
+  }
+
+  /**
+   * Get the stock count repository
+   * @return {Object} Stock count repository instance
+   */
+  getStockCountRepository() {
+    if (!this.instances.repositories.stockCount) {
+      throw new Error("Stock count repository has not been initialized");
+    }
+    return this.instances.repositories.stockCount;
+  }
+
+  /**
+   * Get the location repository
+   * @return {Object} Location repository instance
+   */
+  getLocationRepository() {
+    if (!this.instances.repositories.location) {
+      throw new Error("Location repository has not been initialized");
+    }
+    return this.instances.repositories.location;
+  }
+
+  /**
+   * Get the production run repository
+   * @return {Object} Production run repository instance
+   */
+  getProductionRunRepository() {
+    if (!this.instances.repositories.productionRun) {
+      throw new Error("Production run repository has not been initialized");
+    }
+    return this.instances.repositories.productionRun;
+  }
+
+  /**
+   * Get the breakdown repository
+   * @return {Object} Breakdown repository instance
+   */
+  getBreakdownRepository() {
+    if (!this.instances.repositories.breakdown) {
+      throw new Error("Breakdown repository has not been initialized");
+    }
+    return this.instances.repositories.breakdown;
+  }
+
+  /**
+   * Get the sale return repository
+   * @return {Object} Sale return repository instance
+   */
+  getSaleReturnRepository() {
+    if (!this.instances.repositories.saleReturn) {
+      throw new Error("Sale return repository has not been initialized");
+    }
+    return this.instances.repositories.saleReturn;
+  }
+
+  /**
+   * Get the customer repository
+   * @return {Object} Customer repository instance
+   */
+  getCustomerRepository() {
+    if (!this.instances.repositories.customer) {
+      throw new Error("Customer repository has not been initialized");
+    }
+    return this.instances.repositories.customer;
+  }
+
+  /**
+   * Get the supplier repository
+   * @return {Object} Supplier repository instance
+   */
+  getSupplierRepository() {
+    if (!this.instances.repositories.supplier) {
+      throw new Error("Supplier repository has not been initialized");
+    }
+    return this.instances.repositories.supplier;
+  }
+
+  /**
+   * Get the user repository
+   * @return {Object} User repository instance
+   */
+  getUserRepository() {
+    if (!this.instances.repositories.user) {
+      throw new Error("User repository has not been initialized");
+    }
+    return this.instances.repositories.user;
+  }
+
+  /**
+   * Get the audit log repository
+   * @return {Object} Audit log repository instance
+   */
+  getAuditLogRepository() {
+    if (!this.instances.repositories.auditLog) {
+      throw new Error("Audit log repository has not been initialized");
+    }
+    return this.instances.repositories.auditLog;
+  }
+
   /**
    * Shutdown all providers gracefully
    * @return {Promise<void>}
@@ -1,7 +1,9 @@
 const {FirebaseStorageProvider} = require("./firebase/provider");
 const {S3StorageProvider} = require("./s3/provider");
+const LocalStorageProvider = require("./local/provider");
 
 module.exports = {
   FirebaseStorageProvider,
   S3StorageProvider,
+  LocalStorageProvider,
 };
@@ -0,0 +1,179 @@
+const {BaseStorageProvider} = require("../../base");
+const ProviderRegistry = require("../../registry");
+const config = require("../../config");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local filesystem implementation of StorageProvider. Files are written
+ * under a single directory and served back through the /files route, so
+ * images work without a cloud bucket
+ * @extends BaseStorageProvider
+ */
+class LocalStorageProvider extends BaseStorageProvider {
+  /**
+   * Create a new LocalStorageProvider
+   * @param {Object} config - Configuration settings
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = "local";
+    this.type = "storage";
+    this.rootDir = path.resolve(config.LOCAL_STORAGE_DIR || "uploads");
+    this.baseUrl = (config.LOCAL_STORAGE_URL || "/files").replace(/\/+$/, "");
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the storage provider, creating the storage directory
+   * @param {Object} [config] Configuration options
+   * @return {Promise<void>}
+   */
+  async initialize(config = {}) {
+    if (this.initialized) return;
+
+    if (config.rootDir) this.rootDir = path.resolve(config.rootDir);
+    if (config.baseUrl) this.baseUrl = config.baseUrl.replace(/\/+$/, "");
+
+    await fs.promises.mkdir(this.rootDir, {recursive: true});
+    this.initialized = true;
+    console.log(`Local storage provider initialized in ${this.rootDir}`);
+  }
+
+  /**
+   * Resolve a storage path to a file on disk, refusing anything that
+   * would end up outside the storage directory
+   * @param {string} filePath Path relative to the storage directory
+   * @return {string} Absolute path of the file
+   */
+  resolvePath(filePath) {
+    const absolutePath = path.resolve(this.rootDir, filePath || "");
+    if (!absolutePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Path is outside the storage directory: ${filePath}`);
+    }
+    return absolutePath;
+  }
+
+  /**
+   * Upload a file to the storage directory
+   * @param {Buffer|Uint8Array} fileBuffer File data buffer
+   * @param {string} fileName Original filename
+   * @param {string} mimeType File MIME type
+   * @param {Object} options Additional options
+   * @return {Promise<string>} URL the file is served from
+   */
+  async uploadFile(fileBuffer, fileName, mimeType, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const safeFileName = this.generateSafeFileName(fileName);
+      const folderPath = options.folder || "uploads";
+      const filePath = `${folderPath}/${safeFileName}`;
+      const absolutePath = this.resolvePath(filePath);
+
+      await fs.promises.mkdir(path.dirname(absolutePath), {recursive: true});
+      await fs.promises.writeFile(absolutePath, fileBuffer);
+
+      return this.buildUrl(filePath);
+    } catch (error) {
+      console.error("Local storage upload error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file from the storage directory
+   * @param {string} url URL of file to delete
+   * @return {Promise<boolean>} True if deleted successfully
+   */
+  async deleteFile(url) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      const filePath = this.getPathFromUrl(url);
+      await fs.promises.unlink(this.resolvePath(filePath));
+      return true;
+    } catch (error) {
+      console.error("Local storage delete error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the URL for a stored file
+   * @param {string} filePath Path of file
+   * @return {Promise<string>} URL the file is served from
+   */
+  async getUrl(filePath) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      await fs.promises.access(this.resolvePath(filePath));
+    } catch (error) {
+      console.error("Local storage getUrl error:", error);
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+
+    return this.buildUrl(filePath);
+  }
+
+  /**
+   * Build the URL a storage path is served from
+   * @param {string} filePath Path relative to the storage directory
+   * @return {string} URL
+   * @private
+   */
+  buildUrl(filePath) {
+    const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+    return `${this.baseUrl}/${encodedPath}`;
+  }
+
+  /**
+   * Extract the storage path from a URL built by this provider
+   * @param {string} url File URL
+   * @return {string} Storage path
+   */
+  getPathFromUrl(url) {
+    const prefix = `${this.baseUrl}/`;
+    let pathname = url;
+
+    if (!url.startsWith(prefix)) {
+      // Also accept the path part alone, e.g. when the base URL is absolute
+      const basePath = new URL(prefix, "http://localhost").pathname;
+      pathname = new URL(url, "http://localhost").pathname;
+      if (!pathname.startsWith(basePath)) {
+        throw new Error("Could not extract path from URL");
+      }
+      return decodeURIComponent(pathname.substring(basePath.length));
+    }
+
+    return decodeURIComponent(pathname.substring(prefix.length));
+  }
+
+  /**
+   * Check if local storage is properly configured
+   * @return {boolean} True if configured correctly
+   */
+  isConfigured() {
+    return this.initialized;
+  }
+
+  /**
+   * Get provider name
+   * @return {string} Provider name
+   */
+  getProviderName() {
+    return "local";
+  }
+}
+
+// Self-registration with the provider registry
+ProviderRegistry.register("storage", "local", new LocalStorageProvider(config));
+
+module.exports = LocalStorageProvider;
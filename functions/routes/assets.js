@@ -4,11 +4,20 @@ const router = express.Router();
 const {upload, uploadErrorHandler, uploadToStorage} =
   require("../utils/fileUpload");
 const handlerFactory = require("../utils/handlerFactory");
-const {processFileUpload} = require("../middleware");
+const {processFileUpload, requirePermission} = require("../middleware");
 const {getProviderFactory} = require("../providers");
 // const {withTransaction} = require("../utils/transactionUtils");
-const {getAssetRepository} = require("../utils/repositoryUtils");
-const Asset = require("../models/asset"); // Add this import statement
+const {
+  getAssetRepository,
+  getPurchaseRepository,
+} = require("../utils/repositoryUtils");
+const {recordAudit} = require("../utils/auditUtils");
+
+// Permissions the routes need
+const canRead = requirePermission("assets:read");
+const canCreate = requirePermission("assets:create");
+const canUpdate = requirePermission("assets:update");
+const canDelete = requirePermission("assets:delete");
 
 // Create handlers using factory
 const getAllAssets = handlerFactory.getAll("Asset");
@@ -21,10 +30,10 @@ const deleteAsset = handlerFactory.deleteOne("Asset", "Asset");
 const assetRepository = getProviderFactory().getAssetRepository();
 
 // Get all assets
-router.get("/", getAllAssets);
+router.get("/", canRead, getAllAssets);
 
 // Get all categories
-router.get("/categories", async (req, res, next) => {
+router.get("/categories", canRead, async (req, res, next) => {
   try {
     const categories = await assetRepository.getCategories();
     res.json(categories);
@@ -34,7 +43,7 @@ router.get("/categories", async (req, res, next) => {
 });
 
 // Get all tags
-router.get("/tags", async (req, res, next) => {
+router.get("/tags", canRead, async (req, res, next) => {
   try {
     const tags = await assetRepository.getTags();
     res.json(tags);
@@ -45,6 +54,7 @@ router.get("/tags", async (req, res, next) => {
 
 // Create new asset
 router.post("/",
+    canCreate,
     upload.single("image"),
     uploadErrorHandler,
     uploadToStorage,
@@ -53,10 +63,10 @@ router.post("/",
 );
 
 // Get one asset
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", canRead, async (req, res, next) => {
   try {
     const {id} = req.params;
-    const asset = await Asset.findById(id);
+    const asset = await assetRepository.findById(id);
 
     if (!asset) {
       console.log(`Asset ${id} not found`);
@@ -72,6 +82,7 @@ router.get("/:id", async (req, res, next) => {
 
 // Update asset
 router.patch("/:id",
+    canUpdate,
     upload.single("image"),
     uploadErrorHandler,
     uploadToStorage,
@@ -81,6 +92,7 @@ router.patch("/:id",
 
 // Upload image for an asset
 router.patch("/:id/image",
+    canUpdate,
     upload.single("image"),
     uploadErrorHandler,
     uploadToStorage,
@@ -90,12 +102,20 @@ router.patch("/:id/image",
           return res.status(400).json({message: "No image uploaded"});
         }
 
-        const asset =
+        const before = await assetRepository.findById(req.params.id);
+        const asset = before &&
           await assetRepository.updateImage(req.params.id, req.file.storageUrl);
         if (!asset) {
           return res.status(404).json({message: "Asset not found"});
         }
 
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Asset",
+          before,
+          after: asset,
+        });
+
         res.json(asset);
       } catch (err) {
         next(err);
@@ -105,14 +125,14 @@ router.patch("/:id/image",
 
 
 // Delete asset
-router.delete("/:id", deleteAsset);
+router.delete("/:id", canDelete, deleteAsset);
 
 // Add asset from a purchase
-router.post("/from-purchase", async (req, res, next) => {
+router.post("/from-purchase", canCreate, async (req, res, next) => {
   try {
     const {purchaseId, itemIndex, assetData} = req.body;
 
-    const purchaseRepository = getAssetRepository().getPurchaseRepository();
+    const purchaseRepository = getPurchaseRepository();
     const assetRepository = getAssetRepository();
 
     // Get the purchase
@@ -135,6 +155,12 @@ router.post("/from-purchase", async (req, res, next) => {
       isInventoryItem: false,
     });
 
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Asset",
+      after: newAsset,
+    });
+
     res.status(201).json(newAsset);
   } catch (err) {
     next(err);
@@ -142,7 +168,7 @@ router.post("/from-purchase", async (req, res, next) => {
 });
 
 // Add maintenance record to asset
-router.post("/:id/maintenance", async (req, res, next) => {
+router.post("/:id/maintenance", canUpdate, async (req, res, next) => {
   try {
     const {id} = req.params;
     const maintenanceData = req.body;
@@ -160,13 +186,21 @@ router.post("/:id/maintenance", async (req, res, next) => {
     maintenanceData.cost = parseFloat(maintenanceData.cost);
 
     const assetRepository = getAssetRepository();
-    const updatedAsset =
+    const before = await assetRepository.findById(id);
+    const updatedAsset = before &&
       await assetRepository.addMaintenanceRecord(id, maintenanceData);
 
     if (!updatedAsset) {
       return res.status(404).json({message: "Asset not found"});
     }
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Asset",
+      before,
+      after: updatedAsset,
+    });
+
     res.json(updatedAsset);
   } catch (err) {
     next(err);
@@ -174,7 +208,7 @@ router.post("/:id/maintenance", async (req, res, next) => {
 });
 
 // Get assets for a specific purchase
-router.get("/purchase/:purchaseId", async (req, res, next) => {
+router.get("/purchase/:purchaseId", canRead, async (req, res, next) => {
   try {
     const {purchaseId} = req.params;
     const assetRepository = getAssetRepository();
@@ -0,0 +1,57 @@
+/**
+ * Audit Routes - who created, changed or deleted what, and when
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {AppError, ValidationError} = require("../utils/errors");
+const {requirePermission} = require("../middleware");
+const {getProviderFactory} = require("../providers");
+
+/**
+ * Get the audit log repository, failing if it isn't supported
+ * @return {Object} Audit log repository
+ */
+const getAuditLogRepository = () => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("auditLog")) {
+    throw new AppError(`The audit log is not supported
+      by the current database provider`, 501);
+  }
+  return providerFactory.getAuditLogRepository();
+};
+
+/**
+ * Check that a query parameter, when given, is a date
+ * @param {string} [value] Query parameter
+ * @param {string} name Parameter name for the error
+ * @throws {ValidationError} When the value isn't a date
+ */
+const assertDate = (value, name) => {
+  if (value !== undefined && isNaN(new Date(value).getTime())) {
+    throw new ValidationError(`${name} must be a date`);
+  }
+};
+
+// Get audit entries, newest first, filtered by entity type (entity),
+// entity ID (id), user (actor) and date range (from, to)
+router.get("/", requirePermission("audit:read"), async (req, res, next) => {
+  try {
+    const {entity, id, actor, from, to} = req.query;
+    assertDate(from, "from");
+    assertDate(to, "to");
+
+    const entries = await getAuditLogRepository().search({
+      entityType: entity,
+      entityId: id,
+      actor,
+      startDate: from,
+      endDate: to,
+    });
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+/**
+ * Customer Routes - the people a business sells to and what they buy
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const {getProviderFactory} = require("../providers");
+const {requirePermission} = require("../middleware");
+const {withTransaction} = require("../utils/transactionUtils");
+const {recordAudit} = require("../utils/auditUtils");
+const {
+  normalizeEmail,
+  summarizeCustomerSales,
+  mergeCustomers,
+  backfillSaleCustomers,
+} = require("../utils/customerUtils");
+
+// Permissions the routes need
+const canRead = requirePermission("customers:read");
+const canCreate = requirePermission("customers:create");
+const canUpdate = requirePermission("customers:update");
+const canDelete = requirePermission("customers:delete");
+const canMaintain = requirePermission("customers:maintain");
+
+// Fields a customer can be created or updated with
+const CUSTOMER_FIELDS = ["name", "email", "phone", "address", "tags", "notes"];
+
+/**
+ * Get the repositories customer routes need, failing if customers
+ * aren't supported
+ * @return {Object} Provider instances
+ */
+const getCustomerProviders = () => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("customer")) {
+    throw new AppError(`Customers are not supported
+      by the current database provider`, 501);
+  }
+  return {
+    customerRepository: providerFactory.getCustomerRepository(),
+    salesRepository: providerFactory.getSalesRepository(),
+  };
+};
+
+/**
+ * Keep only the fields a customer can be given
+ * @param {Object} body Request body
+ * @return {Object} Customer data
+ */
+const pickCustomerFields = (body) => {
+  const data = {};
+  CUSTOMER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.email !== undefined) {
+    data.email = normalizeEmail(data.email);
+  }
+  if (data.name !== undefined && !(data.name || "").toString().trim()) {
+    throw new ValidationError("name can't be empty");
+  }
+  return data;
+};
+
+/**
+ * Get a customer, failing if there's no such customer
+ * @param {Object} repository Customer repository
+ * @param {string} id Customer ID
+ * @return {Promise<Object>} Customer
+ */
+const findCustomer = async (repository, id) => {
+  const customer = await repository.findById(id);
+  if (!customer) {
+    throw new NotFoundError("Customer", id);
+  }
+  return customer;
+};
+
+// Get all customers, or those matching ?q= on name, email or phone
+router.get("/", canRead, async (req, res, next) => {
+  try {
+    const {customerRepository} = getCustomerProviders();
+    const customers = req.query.q ?
+      await customerRepository.search(req.query.q) :
+      await customerRepository.findAll();
+    res.json(customers);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Link sales made before customers existed to customers by email or
+// phone. Nothing is saved unless dryRun is false
+router.post("/backfill", canMaintain, async (req, res, next) => {
+  try {
+    const customerProviders = getCustomerProviders();
+    const options = {
+      apply: req.body.dryRun === false,
+      createMissing: req.body.createMissing !== false,
+    };
+
+    const result = options.apply ?
+      await withTransaction((transaction) =>
+        backfillSaleCustomers(customerProviders, options, transaction)) :
+      await backfillSaleCustomers(customerProviders, options);
+
+    if (options.apply) {
+      for (const customer of result.customers) {
+        await recordAudit(req, {
+          action: "create",
+          entityType: "Customer",
+          after: customer,
+        });
+      }
+      for (const linked of result.sales) {
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Sale",
+          entityId: linked.sale,
+          before: {customer: null},
+          after: {customer: linked.customer},
+        });
+      }
+    }
+
+    res.json({dryRun: !options.apply, ...result});
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one customer
+router.get("/:id", canRead, async (req, res, next) => {
+  try {
+    const {customerRepository} = getCustomerProviders();
+    res.json(await findCustomer(customerRepository, req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a customer's sales
+router.get("/:id/sales", canRead, async (req, res, next) => {
+  try {
+    const {customerRepository, salesRepository} = getCustomerProviders();
+    await findCustomer(customerRepository, req.params.id);
+    res.json(await salesRepository.findAll({customer: req.params.id}));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get what a customer has spent, how often they buy and their favorite
+// items
+router.get("/:id/summary", canRead, async (req, res, next) => {
+  try {
+    const {customerRepository, salesRepository} = getCustomerProviders();
+    const customer = await findCustomer(customerRepository, req.params.id);
+    const sales = await salesRepository.findAll({customer: req.params.id});
+    res.json({
+      customer,
+      ...summarizeCustomerSales(sales),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a customer
+router.post("/", canCreate, async (req, res, next) => {
+  try {
+    const data = pickCustomerFields(req.body);
+    if (!data.name) {
+      throw new ValidationError("name is required");
+    }
+
+    const {customerRepository} = getCustomerProviders();
+    const customer = await customerRepository.create(data);
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Customer",
+      after: customer,
+    });
+    res.status(201).json(customer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a customer's details. Sales keep the details they were made with
+router.patch("/:id", canUpdate, async (req, res, next) => {
+  try {
+    const changes = pickCustomerFields(req.body);
+    const {customerRepository} = getCustomerProviders();
+    const customer = await findCustomer(customerRepository, req.params.id);
+
+    const updated = await customerRepository.update(req.params.id, changes);
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Customer",
+      before: customer,
+      after: updated,
+    });
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a customer who has no sales
+router.delete("/:id", canDelete, async (req, res, next) => {
+  try {
+    const {customerRepository, salesRepository} = getCustomerProviders();
+    const customer = await findCustomer(customerRepository, req.params.id);
+
+    const sales = await salesRepository.findAll({customer: req.params.id});
+    if (sales.length > 0) {
+      throw new ConflictError(`The customer has ${sales.length} sales;
+        merge them into another customer instead`);
+    }
+
+    await customerRepository.delete(req.params.id);
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Customer",
+      before: customer,
+    });
+    res.json({
+      status: "success",
+      message: "Customer deleted successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Merge duplicate customers into this one, moving their sales to it
+router.post("/:id/merge", canMaintain, async (req, res, next) => {
+  try {
+    const customerProviders = getCustomerProviders();
+    const before = await findCustomer(
+        customerProviders.customerRepository, req.params.id);
+
+    const result = await withTransaction((transaction) =>
+      mergeCustomers(customerProviders, req.params.id, req.body.duplicates,
+          transaction));
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Customer",
+      before,
+      after: result.customer,
+    });
+    for (const duplicate of result.merged) {
+      await recordAudit(req, {
+        action: "delete",
+        entityType: "Customer",
+        before: duplicate,
+      });
+    }
+    for (const moved of result.sales) {
+      await recordAudit(req, {
+        action: "update",
+        entityType: "Sale",
+        entityId: moved.sale,
+        before: {customer: moved.from},
+        after: {customer: req.params.id},
+      });
+    }
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * File Routes - serves files uploaded to the local storage provider
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {AppError, ValidationError} = require("../utils/errors");
+const {getProviderFactory} = require("../providers");
+
+// Serve an uploaded file, e.g. /files/uploads/image-123.png
+router.get("/*", (req, res, next) => {
+  try {
+    const storageProvider = getProviderFactory().getStorageProvider();
+    if (storageProvider.getProviderName() !== "local") {
+      throw new AppError(`Files are only served
+        by the local storage provider`, 404);
+    }
+
+    let filePath;
+    try {
+      filePath = storageProvider.resolvePath(req.params[0]);
+    } catch (error) {
+      throw new ValidationError("Invalid file path");
+    }
+
+    res.sendFile(filePath, {dotfiles: "deny"}, (err) => {
+      if (!err) return;
+      if (res.headersSent) return next(err);
+      res.status(404).json({message: "File not found"});
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+/**
+ * Inventory Routes - manual adjustments, transfers, stock counts
+ * and lot expiry
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {requirePermission} = require("../middleware");
+const {getProviderFactory} = require("../providers");
+const {withTransaction} = require("../utils/transactionUtils");
+const {AppError, ValidationError} = require("../utils/errors");
+const {
+  ADJUSTMENT_REASONS,
+  adjustItemStock,
+  openStockCount,
+  recordCounts,
+  getStockCountVariances,
+  postStockCount,
+  cancelStockCount,
+} = require("../utils/stockAdjustmentUtils");
+const {transferStock} = require("../utils/locationUtils");
+const {getExpiringLots} = require("../utils/lotUtils");
+const {getItemRefId} = require("../utils/unitConversion");
+const {auditItemChanges} = require("../utils/auditUtils");
+
+// Permissions the routes need
+const canRead = requirePermission("inventory:read");
+const canAdjust = requirePermission("inventory:adjust");
+
+/**
+ * Get the repositories inventory operations need. Optional repositories
+ * are null when the current database provider doesn't support them
+ * @return {Object} Provider instances
+ */
+const getInventoryProviders = () => {
+  const providerFactory = getProviderFactory();
+  return {
+    itemRepository: providerFactory.getItemRepository(),
+    inventoryMovementRepository:
+      providerFactory.hasRepository("inventoryMovement") ?
+        providerFactory.getInventoryMovementRepository() : null,
+    stockCountRepository: providerFactory.hasRepository("stockCount") ?
+      providerFactory.getStockCountRepository() : null,
+    locationRepository: providerFactory.hasRepository("location") ?
+      providerFactory.getLocationRepository() : null,
+  };
+};
+
+/**
+ * Get inventory providers, failing if stock counts aren't supported
+ * @return {Object} Provider instances
+ */
+const getStockCountProviders = () => {
+  const providers = getInventoryProviders();
+  if (!providers.stockCountRepository) {
+    throw new AppError(`Stock counts are not supported
+      by the current database provider`, 501);
+  }
+  return providers;
+};
+
+/**
+ * Get the ID of the user making the request, if known
+ * @param {Object} req Express request object
+ * @return {string|null} User ID
+ */
+const getUserId = (req) => (req.user ? req.user.id : null);
+
+// Get the reason codes accepted for adjustments
+router.get("/adjustments/reasons", canRead, (req, res) => {
+  res.json(ADJUSTMENT_REASONS);
+});
+
+// Get adjustment history
+router.get("/adjustments", canRead, async (req, res, next) => {
+  try {
+    const {inventoryMovementRepository} = getInventoryProviders();
+    if (!inventoryMovementRepository) {
+      throw new AppError(`Inventory movements are not supported
+        by the current database provider`, 501);
+    }
+
+    const filter = {type: "adjustment"};
+    if (req.query.reason) {
+      filter.reason = req.query.reason;
+    }
+    res.json(await inventoryMovementRepository.findAll(filter));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Adjust stock for one item, or several at once with an adjustments
+// array. All adjustments in a request succeed or fail together
+router.post("/adjustments", canAdjust, async (req, res, next) => {
+  try {
+    const adjustments = Array.isArray(req.body.adjustments) ?
+      req.body.adjustments : [req.body];
+    if (adjustments.length === 0) {
+      throw new ValidationError("At least one adjustment is required");
+    }
+
+    const providers = getInventoryProviders();
+    const user = getUserId(req);
+
+    const results = await auditItemChanges(req, providers.itemRepository,
+        adjustments.map((adjustment) => adjustment.itemId), () =>
+          withTransaction(async (transaction) => {
+            const applied = [];
+            for (const adjustment of adjustments) {
+              applied.push(await adjustItemStock(providers,
+                  {...adjustment, user}, transaction));
+            }
+            return applied;
+          }));
+
+    res.status(201).json(Array.isArray(req.body.adjustments) ?
+      results : results[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move stock between locations, or several moves at once with a
+// transfers array. All transfers in a request succeed or fail together
+router.post("/transfers", canAdjust, async (req, res, next) => {
+  try {
+    const transfers = Array.isArray(req.body.transfers) ?
+      req.body.transfers : [req.body];
+    if (transfers.length === 0) {
+      throw new ValidationError("At least one transfer is required");
+    }
+
+    const providers = getInventoryProviders();
+    if (!providers.locationRepository) {
+      throw new AppError(`Locations are not supported
+        by the current database provider`, 501);
+    }
+    const user = getUserId(req);
+
+    const results = await auditItemChanges(req, providers.itemRepository,
+        transfers.map((transfer) => transfer.itemId), () =>
+          withTransaction(async (transaction) => {
+            const applied = [];
+            for (const transfer of transfers) {
+              applied.push(await transferStock(providers,
+                  {...transfer, user}, transaction));
+            }
+            return applied;
+          }));
+
+    res.status(201).json(Array.isArray(req.body.transfers) ?
+      results : results[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get lots with stock left that expire within withinDays (default 30),
+// including lots that have already expired
+router.get("/expiring", canRead, async (req, res, next) => {
+  try {
+    const withinDays = req.query.withinDays === undefined ?
+      30 : Number(req.query.withinDays);
+    if (!Number.isInteger(withinDays) || withinDays < 0) {
+      throw new ValidationError("withinDays must be a whole number of days");
+    }
+
+    const {itemRepository} = getInventoryProviders();
+    const lots = getExpiringLots(await itemRepository.findAll({}),
+        withinDays);
+
+    res.json({
+      withinDays,
+      count: lots.length,
+      expired: lots.filter((lot) => lot.expired).length,
+      lots,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get stock count sessions, optionally filtered by status
+router.get("/counts", canRead, async (req, res, next) => {
+  try {
+    const {stockCountRepository} = getStockCountProviders();
+    const filter = req.query.status ? {status: req.query.status} : {};
+    res.json(await stockCountRepository.findAll(filter));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Open a stock count session for a category or tag
+router.post("/counts", canAdjust, async (req, res, next) => {
+  try {
+    const {category, tag, name, notes} = req.body;
+    const count = await openStockCount(getStockCountProviders(),
+        {category, tag, name, notes, user: getUserId(req)});
+    res.status(201).json(count);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one stock count session
+router.get("/counts/:id", canRead, async (req, res, next) => {
+  try {
+    const {stockCountRepository} = getStockCountProviders();
+    const count = await stockCountRepository.findById(req.params.id);
+    if (!count) {
+      return res.status(404).json({message: "Stock count not found"});
+    }
+    res.json(count);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Submit counted values for items in the session
+router.patch("/counts/:id/lines", canAdjust, async (req, res, next) => {
+  try {
+    const count = await recordCounts(getStockCountProviders(),
+        req.params.id, req.body.counts, getUserId(req));
+    res.json(count);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Review variances between counted and system values
+router.get("/counts/:id/variances", canRead, async (req, res, next) => {
+  try {
+    const report = await getStockCountVariances(getStockCountProviders(),
+        req.params.id);
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Post the session, adjusting inventory for every variance
+router.post("/counts/:id/post", canAdjust, async (req, res, next) => {
+  try {
+    const providers = getStockCountProviders();
+    const count = await providers.stockCountRepository.findById(req.params.id);
+    const itemIds = count ?
+      (count.lines || []).map((line) => getItemRefId(line.item)) : [];
+
+    const result = await auditItemChanges(req, providers.itemRepository,
+        itemIds, () => withTransaction((transaction) =>
+          postStockCount(providers, req.params.id, getUserId(req),
+              transaction)));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Cancel the session without changing inventory
+router.post("/counts/:id/cancel", canAdjust, async (req, res, next) => {
+  try {
+    const count = await cancelStockCount(getStockCountProviders(),
+        req.params.id);
+    res.json(count);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
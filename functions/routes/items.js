@@ -7,15 +7,47 @@ const router = express.Router();
 const {upload, uploadErrorHandler, uploadToStorage} =
   require("../utils/fileUpload");
 const handlerFactory = require("../utils/handlerFactory");
-const {processFileUpload} = require("../middleware");
+const {processFileUpload, requirePermission} = require("../middleware");
 const {getProviderFactory} = require("../providers");
 const {withTransaction} = require("../utils/transactionUtils");
 const {getItemRepository} = require("../utils/repositoryUtils");
 const {rebuildRelationships} = require("../utils/itemRelationships");
-const {rebuildInventory, rebuildItemInventory} =
-  require("../utils/inventoryUtils");
+const {
+  rebuildInventory,
+  rebuildItemInventory,
+} = require("../utils/inventoryUtils");
+const {resolveCostingMethod} = require("../utils/costingUtils");
+const {repriceItems} = require("../utils/pricingUtils");
+const {getUnassignedStock} = require("../utils/locationUtils");
+const {
+  getTrackingMeasurement,
+  getItemRefId,
+} = require("../utils/unitConversion");
+const {
+  findOpenPurchases,
+  findPreferredSuppliers,
+  getLowStockItems,
+} = require("../utils/reorderUtils");
+const {
+  calculateBuildable,
+  buildProduct,
+} = require("../utils/productionUtils");
+const {
+  breakdownItem,
+  reverseBreakdown,
+} = require("../utils/breakdownUtils");
+const {AppError, ValidationError} = require("../utils/errors");
+const {recordAudit, auditItemChanges} = require("../utils/auditUtils");
 const Item = require("../models/item"); // Add this import statement
 
+// Permissions the routes need
+const canRead = requirePermission("items:read");
+const canCreate = requirePermission("items:create");
+const canUpdate = requirePermission("items:update");
+const canDelete = requirePermission("items:delete");
+const canAdjust = requirePermission("inventory:adjust");
+const canMaintain = requirePermission("items:maintain");
+
 // Create handlers using factory
 const getAllItems = handlerFactory.getAll("Item");
 const getItem = handlerFactory.getOne("Item", "Item");
@@ -26,11 +58,44 @@ const deleteItem = handlerFactory.deleteOne("Item", "Item");
 // Get repository for special operations
 const itemRepository = getProviderFactory().getItemRepository();
 
+/**
+ * Check the supplier an item names as its preferred supplier exists. An
+ * empty value clears it
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {Function} next Next middleware
+ * @return {Promise<void>}
+ */
+const validatePreferredSupplier = async (req, res, next) => {
+  try {
+    const {preferredSupplier} = req.body;
+    if (preferredSupplier === undefined) return next();
+    if (!preferredSupplier || preferredSupplier === "null") {
+      req.body.preferredSupplier = null;
+      return next();
+    }
+
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("supplier")) {
+      throw new AppError(`Suppliers are not supported
+        by the current database provider`, 501);
+    }
+    const supplier = await providerFactory.getSupplierRepository()
+        .findById(preferredSupplier);
+    if (!supplier) {
+      throw new ValidationError(`Supplier ${preferredSupplier} not found`);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Get all items
-router.get("/", getAllItems);
+router.get("/", canRead, getAllItems);
 
 // Get the next available SKU number
-router.get("/nextsku", async (req, res, next) => {
+router.get("/nextsku", canRead, async (req, res, next) => {
   try {
     const nextSku = await itemRepository.getNextSku();
     res.json({nextSku});
@@ -40,7 +105,7 @@ router.get("/nextsku", async (req, res, next) => {
 });
 
 // Get all categories
-router.get("/categories", async (req, res, next) => {
+router.get("/categories", canRead, async (req, res, next) => {
   try {
     const categories = await itemRepository.getCategories();
     res.json(categories);
@@ -50,7 +115,7 @@ router.get("/categories", async (req, res, next) => {
 });
 
 // Get all tags
-router.get("/tags", async (req, res, next) => {
+router.get("/tags", canRead, async (req, res, next) => {
   try {
     const tags = await itemRepository.getTags();
     res.json(tags);
@@ -59,17 +124,97 @@ router.get("/tags", async (req, res, next) => {
   }
 });
 
+// Get items at or below their reorder point, with stock already on order
+router.get("/low-stock", canRead, async (req, res, next) => {
+  try {
+    const filter = req.query.category ? {category: req.query.category} : {};
+    const items = await itemRepository.findAll(filter);
+    const providerFactory = getProviderFactory();
+    const pendingPurchases = await findOpenPurchases(
+        providerFactory.getPurchaseRepository());
+    const suppliers = providerFactory.hasRepository("supplier") ?
+      await findPreferredSuppliers(
+          providerFactory.getSupplierRepository(), items) : {};
+
+    const lowStock = getLowStockItems(items, pendingPurchases, suppliers);
+    res.json({
+      count: lowStock.length,
+      items: lowStock,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the lifecycle of a serial numbered unit: where it came from,
+// who bought it and the asset it became, if any
+router.get("/serials/:serial", canRead, async (req, res, next) => {
+  try {
+    const serialNumber = req.params.serial;
+    const item = await itemRepository.findBySerial(serialNumber);
+    if (!item) {
+      return res.status(404).json({message: "Serial number not found"});
+    }
+
+    const serial = item.serials.find((s) => s.serialNumber === serialNumber);
+    const providerFactory = getProviderFactory();
+
+    const purchase = serial.purchase ?
+      await providerFactory.getPurchaseRepository()
+          .findById(serial.purchase) : null;
+    const sale = serial.sale ?
+      await providerFactory.getSalesRepository().findById(serial.sale) : null;
+    const assets = await providerFactory.getAssetRepository()
+        .findAll({serialNumber});
+
+    res.json({
+      serialNumber,
+      status: serial.status,
+      location: serial.location || null,
+      item: {
+        itemId: item._id,
+        name: item.name,
+        sku: item.sku,
+      },
+      purchase: purchase ? {
+        purchaseId: purchase._id || purchase.id,
+        purchaseDate: purchase.purchaseDate,
+        invoiceNumber: purchase.invoiceNumber,
+        supplier: purchase.supplier,
+        status: purchase.status,
+      } : null,
+      sale: sale && serial.status === "sold" ? {
+        saleId: sale._id || sale.id,
+        date: sale.createdAt,
+        status: sale.status,
+        total: sale.total,
+      } : null,
+      customer: sale && serial.status === "sold" ? {
+        name: sale.customerName,
+        email: sale.customerEmail,
+        phone: sale.customerPhone,
+      } : null,
+      asset: assets[0] || null,
+      history: serial.history || [],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Create new item
 router.post("/",
+    canCreate,
     upload.single("image"),
     uploadErrorHandler,
     uploadToStorage,
     processFileUpload,
+    validatePreferredSupplier,
     createItem,
 );
 
 // Get one item
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", canRead, async (req, res, next) => {
   try {
     const {id} = req.params;
     const {populate = "false"} = req.query;
@@ -109,10 +254,12 @@ router.get("/:id", async (req, res, next) => {
 
 // Update item
 router.patch("/:id",
+    canUpdate,
     upload.single("image"),
     uploadErrorHandler,
     uploadToStorage,
     processFileUpload,
+    validatePreferredSupplier,
     updateItem,
 );
 
@@ -141,7 +288,7 @@ router.patch("/:id",
 //     },
 // );
 
-router.patch("/:id/image", async (req, res) => {
+router.patch("/:id/image", canUpdate, async (req, res) => {
   try {
     const {id} = req.params;
     const {image, filename, contentType} = req.body;
@@ -174,12 +321,21 @@ router.patch("/:id/image", async (req, res) => {
     console.log("Image uploaded successfully. URL:", imageUrl);
 
     // Update the item with the new image URL
-    const updatedItem = await itemRepository.updateImage(id, imageUrl);
+    const before = await itemRepository.findById(id);
+    const updatedItem = before &&
+      await itemRepository.updateImage(id, imageUrl);
 
     if (!updatedItem) {
       return res.status(404).json({message: "Item not found"});
     }
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Item",
+      before,
+      after: updatedItem,
+    });
+
     res.json({imageUrl});
   } catch (error) {
     console.error("Error uploading image:", error);
@@ -191,10 +347,10 @@ router.patch("/:id/image", async (req, res) => {
 });
 
 // Delete item
-router.delete("/:id", deleteItem);
+router.delete("/:id", canDelete, deleteItem);
 
 // Rebuild all item relationships
-router.post("/rebuild-relationships", async (req, res, next) => {
+router.post("/rebuild-relationships", canMaintain, async (req, res, next) => {
   try {
     const result = await itemRepository.rebuildRelationships();
     res.json(result);
@@ -204,7 +360,7 @@ router.post("/rebuild-relationships", async (req, res, next) => {
 });
 
 // Get item relationships
-router.get("/:id/relationships", async (req, res, next) => {
+router.get("/:id/relationships", canRead, async (req, res, next) => {
   try {
     const relationships =
       await itemRepository.getItemRelationships(req.params.id);
@@ -214,80 +370,287 @@ router.get("/:id/relationships", async (req, res, next) => {
   }
 });
 
-// NEW ENDPOINTS FOR INVENTORY BREAKDOWN
-
-// Break down an item into derived items
-router.post("/:id/breakdown", async (req, res, next) => {
+// Get the open cost layers for an item
+router.get("/:id/cost-layers", canRead, async (req, res, next) => {
   try {
-    const sourceItemId = req.params.id;
-    const {derivedItems} = req.body;
+    const item = await itemRepository.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({message: "Item not found"});
+    }
 
-    // Debug: Log the request parameters
-    console.log(`Creating breakdown items for source
-      ${sourceItemId} with ${derivedItems && derivedItems.length || 0} items`);
+    const layers = item.costLayers || [];
+    const remainingQuantity = layers.reduce((total, layer) =>
+      total + (layer.remaining || 0), 0);
+    const inventoryValue = layers.reduce((total, layer) =>
+      total + (layer.remaining || 0) * (layer.costPerUnit || 0), 0);
+
+    res.json({
+      itemId: item._id,
+      name: item.name,
+      sku: item.sku,
+      trackingType: item.trackingType,
+      costingMethod: resolveCostingMethod(item),
+      cost: item.cost || 0,
+      costOfGoodsSold: item.costOfGoodsSold || 0,
+      remainingQuantity,
+      inventoryValue,
+      layers,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!sourceItemId) {
-      return res.status(400).json({message: "Source item ID is required"});
+// Get the stock movement history for an item, newest first
+router.get("/:id/movements", canRead, async (req, res, next) => {
+  try {
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("inventoryMovement")) {
+      throw new AppError(`Inventory movements are not supported
+        by the current database provider`, 501);
     }
 
-    if (!derivedItems || !Array.isArray(derivedItems) ||
-        derivedItems.length === 0) {
-      return res.status(400).json({message: "Derived items are required"});
+    const item = await itemRepository.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({message: "Item not found"});
     }
 
-    // Validate that each derived item has the necessary data
-    // based on whether it's new or existing
-    for (const item of derivedItems) {
-      if (item.itemId) {
-        // Existing item - must have valid measurement values
-        if (item.quantity === undefined &&
-            item.weight === undefined &&
-            item.length === undefined &&
-            item.area === undefined &&
-            item.volume === undefined) {
-          return res.status(400).json({
-            message: `Each allocation must include a valid measurement
-              value (quantity, weight, length, area, or volume)`,
-          });
-        }
-      } else {
-        // New item - must have name, sku and measurement values
-        if (!item.name || !item.sku) {
-          return res.status(400).json({
-            message: "Each new derived item must have a name and SKU",
-          });
-        }
-        if (item.quantity === undefined &&
-            item.weight === undefined &&
-            item.length === undefined &&
-            item.area === undefined &&
-            item.volume === undefined) {
-          return res.status(400).json({
-            message: `Each derived item must include a valid measurement
-              value (quantity, weight, length, area, or volume)`,
-          });
-        }
-      }
+    const {startDate, endDate, type} = req.query;
+    if ((startDate && isNaN(Date.parse(startDate))) ||
+        (endDate && isNaN(Date.parse(endDate)))) {
+      throw new ValidationError("startDate and endDate must be valid dates");
     }
 
-    // Use transaction to ensure all operations succeed or fail together
-    const result = await withTransaction(async (transaction) => {
-      const itemRepo = getItemRepository();
-      return await itemRepo.createDerivedItems(sourceItemId,
-          derivedItems, transaction);
+    const movements = await providerFactory
+        .getInventoryMovementRepository()
+        .findByItem(req.params.id, {startDate, endDate, type});
+
+    res.json({
+      itemId: item._id,
+      name: item.name,
+      sku: item.sku,
+      trackingType: item.trackingType,
+      count: movements.length,
+      movements,
     });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Debug: Log the result
-    console.log(`Successfully created
-      ${result.derivedItems.length} derived items`);
+// Get an item's stock at each location. The item's own totals are the
+// roll-up; stock not yet assigned to a location is reported separately
+router.get("/:id/locations", canRead, async (req, res, next) => {
+  try {
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("location")) {
+      throw new AppError(`Locations are not supported
+        by the current database provider`, 501);
+    }
 
-    // Check each derived item for proper derivedFrom
-    result.derivedItems.forEach((item, idx) => {
-      console.log(`Derived item ${idx + 1}: ${item._id}`, {
-        name: item.name,
-        hasDerivedFrom: !!item.derivedFrom,
-        derivedFromItem: item.derivedFrom && item.derivedFrom.item,
+    const item = await itemRepository.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({message: "Item not found"});
+    }
+
+    const locationRepository = providerFactory.getLocationRepository();
+    const measurement = getTrackingMeasurement(item);
+    const locations = [];
+
+    for (const entry of item.stockByLocation || []) {
+      const location = await locationRepository.findById(entry.location);
+      locations.push({
+        location: entry.location,
+        name: location ? location.name : null,
+        code: location ? location.code : null,
+        [measurement]: entry[measurement] || 0,
       });
+    }
+
+    res.json({
+      itemId: item._id,
+      name: item.name,
+      sku: item.sku,
+      trackingType: measurement,
+      total: item[measurement] || 0,
+      unassigned: getUnassignedStock(item),
+      locations,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get how many units of a product the current component stock can build
+router.get("/:id/buildable", canRead, async (req, res, next) => {
+  try {
+    const item = await itemRepository.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({message: "Item not found"});
+    }
+
+    res.json(await calculateBuildable(itemRepository, item));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Build units of a product, consuming its components in one transaction
+router.post("/:id/build", canAdjust, async (req, res, next) => {
+  try {
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("productionRun")) {
+      throw new AppError(`Production runs are not supported
+        by the current database provider`, 501);
+    }
+
+    const providers = {
+      itemRepository: providerFactory.getItemRepository(),
+      productionRunRepository: providerFactory.getProductionRunRepository(),
+      pricingRuleRepository: providerFactory.hasRepository("pricingRule") ?
+        providerFactory.getPricingRuleRepository() : null,
+      inventoryMovementRepository:
+        providerFactory.hasRepository("inventoryMovement") ?
+          providerFactory.getInventoryMovementRepository() : null,
+    };
+    const {quantity, laborCost, overheadCost, location, notes} = req.body;
+
+    const result = await withTransaction((transaction) =>
+      buildProduct(providers, {
+        productId: req.params.id,
+        quantity,
+        laborCost,
+        overheadCost,
+        location,
+        notes,
+        user: req.user ? req.user.id : null,
+      }, transaction));
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "ProductionRun",
+      after: result.run,
+    });
+
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the production runs that built an item or consumed it
+router.get("/:id/production-runs", canRead, async (req, res, next) => {
+  try {
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("productionRun")) {
+      throw new AppError(`Production runs are not supported
+        by the current database provider`, 501);
+    }
+
+    const runs = await providerFactory.getProductionRunRepository()
+        .findByItem(req.params.id);
+    res.json(runs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// NEW ENDPOINTS FOR INVENTORY BREAKDOWN
+
+/**
+ * Get the repositories breakdowns need. Breakdowns are only recorded,
+ * and so can only be reversed, when the provider supports them
+ * @return {Object} Provider instances
+ */
+const getBreakdownProviders = () => {
+  const providerFactory = getProviderFactory();
+  return {
+    itemRepository: getItemRepository(),
+    breakdownRepository: providerFactory.hasRepository("breakdown") ?
+      providerFactory.getBreakdownRepository() : null,
+    inventoryMovementRepository:
+      providerFactory.hasRepository("inventoryMovement") ?
+        providerFactory.getInventoryMovementRepository() : null,
+    locationRepository: providerFactory.hasRepository("location") ?
+      providerFactory.getLocationRepository() : null,
+  };
+};
+
+/**
+ * Get breakdown providers, failing if breakdowns aren't recorded
+ * @return {Object} Provider instances
+ */
+const getRecordedBreakdownProviders = () => {
+  const providers = getBreakdownProviders();
+  if (!providers.breakdownRepository) {
+    throw new AppError(`Breakdown records are not supported
+      by the current database provider`, 501);
+  }
+  return providers;
+};
+
+// Reverse a breakdown, returning the derived stock and waste to the source
+router.post("/breakdowns/:breakdownId/reverse", canUpdate,
+    async (req, res, next) => {
+      try {
+        const providers = getRecordedBreakdownProviders();
+        const before = await providers.breakdownRepository
+            .findById(req.params.breakdownId);
+        const result = await withTransaction((transaction) =>
+          reverseBreakdown(providers, req.params.breakdownId, {
+            user: req.user ? req.user.id : null,
+            notes: req.body.notes,
+          }, transaction));
+
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Breakdown",
+          before,
+          after: result.breakdown,
+        });
+
+        res.json(result);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+// Get one breakdown with its allocations, waste and yield
+router.get("/breakdowns/:breakdownId", canRead, async (req, res, next) => {
+  try {
+    const {breakdownRepository} = getRecordedBreakdownProviders();
+    const breakdown =
+      await breakdownRepository.findById(req.params.breakdownId);
+    if (!breakdown) {
+      return res.status(404).json({message: "Breakdown not found"});
+    }
+    res.json(breakdown);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Break down an item into derived items
+router.post("/:id/breakdown", canUpdate, async (req, res, next) => {
+  try {
+    const sourceItemId = req.params.id;
+    const {derivedItems, waste, location, notes} = req.body;
+
+    // Use transaction to ensure all operations succeed or fail together
+    const result = await withTransaction((transaction) =>
+      breakdownItem(getBreakdownProviders(), {
+        sourceItemId,
+        derivedItems,
+        waste,
+        location,
+        notes,
+        user: req.user ? req.user.id : null,
+      }, transaction));
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Breakdown",
+      after: result.breakdown,
     });
 
     res.json(result);
@@ -297,8 +660,18 @@ router.post("/:id/breakdown", async (req, res, next) => {
   }
 });
 
+// Get the breakdowns of a source item, newest first
+router.get("/:id/breakdowns", canRead, async (req, res, next) => {
+  try {
+    const {breakdownRepository} = getRecordedBreakdownProviders();
+    res.json(await breakdownRepository.findBySourceItem(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get all derived items for a source item
-router.get("/:id/derived", async (req, res, next) => {
+router.get("/:id/derived", canRead, async (req, res, next) => {
   try {
     const sourceItemId = req.params.id;
     const derivedItems = await itemRepository.getDerivedItems(sourceItemId);
@@ -309,7 +682,7 @@ router.get("/:id/derived", async (req, res, next) => {
 });
 
 // Get the parent item for a derived item
-router.get("/:id/parent", async (req, res, next) => {
+router.get("/:id/parent", canRead, async (req, res, next) => {
   try {
     const derivedItemId = req.params.id;
     const parentItem = await itemRepository.getParentItem(derivedItemId);
@@ -324,11 +697,16 @@ router.get("/:id/parent", async (req, res, next) => {
   }
 });
 
+// Utilities that rewrite stock and relationships across items
+router.use("/utility", canMaintain);
+
 // Rebuild item relationships (materials and products)
 router.post("/utility/rebuild-relationships", async (req, res, next) => {
   try {
     const {itemRepository} = req.providers;
-    const results = await rebuildRelationships(itemRepository);
+    const itemIds = (await itemRepository.findAll()).map(getItemRefId);
+    const results = await auditItemChanges(req, itemRepository, itemIds,
+        () => rebuildRelationships(itemRepository));
     res.json(results);
   } catch (error) {
     next(error);
@@ -348,16 +726,71 @@ router.post("/utility/rebuild-inventory", async (req, res, next) => {
       itemRepository: providerFactory.getItemRepository(),
       purchaseRepository: providerFactory.getPurchaseRepository(),
       salesRepository: providerFactory.getSalesRepository(),
+      pricingRuleRepository: providerFactory.hasRepository("pricingRule") ?
+        providerFactory.getPricingRuleRepository() : null,
+      inventoryMovementRepository:
+        providerFactory.hasRepository("inventoryMovement") ?
+          providerFactory.getInventoryMovementRepository() : null,
+      productionRunRepository:
+        providerFactory.hasRepository("productionRun") ?
+          providerFactory.getProductionRunRepository() : null,
+      saleReturnRepository: providerFactory.hasRepository("saleReturn") ?
+        providerFactory.getSaleReturnRepository() : null,
+      breakdownRepository: providerFactory.hasRepository("breakdown") ?
+        providerFactory.getBreakdownRepository() : null,
     };
 
     // Process items in smaller batches to avoid timeouts
-    const results = await rebuildInventory(providers);
+    const {itemRepository} = providers;
+    const itemIds = (await itemRepository.findAll()).map(getItemRefId);
+    const results = await auditItemChanges(req, itemRepository, itemIds,
+        () => rebuildInventory(providers));
     res.json(results);
   } catch (error) {
     next(error);
   }
 });
 
+// Recalculate prices from pricing rules. Defaults to a dry run that
+// only reports the diff; pass dryRun: false to save the new prices
+router.post("/utility/reprice", async (req, res, next) => {
+  try {
+    const {dryRun = true, itemIds, category} = req.body;
+    const providerFactory = getProviderFactory();
+    if (!providerFactory.hasRepository("pricingRule")) {
+      throw new AppError(`Pricing rules are not supported
+        by the current database provider`, 501);
+    }
+
+    const providers = {
+      itemRepository: providerFactory.getItemRepository(),
+      pricingRuleRepository: providerFactory.getPricingRuleRepository(),
+    };
+    const options = {apply: dryRun === false, itemIds, category};
+
+    const result = options.apply ?
+      await withTransaction((transaction) =>
+        repriceItems(providers, options, transaction)) :
+      await repriceItems(providers, options);
+
+    if (options.apply) {
+      for (const change of result.diff) {
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Item",
+          entityId: change.itemId,
+          before: {price: change.oldPrice},
+          after: {price: change.newPrice},
+        });
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // NEW ENDPOINT: Rebuild inventory for a specific item
 router.post("/utility/rebuild-inventory/:id", async (req, res, next) => {
   try {
@@ -367,9 +800,22 @@ router.post("/utility/rebuild-inventory/:id", async (req, res, next) => {
       itemRepository: providerFactory.getItemRepository(),
       purchaseRepository: providerFactory.getPurchaseRepository(),
       salesRepository: providerFactory.getSalesRepository(),
+      pricingRuleRepository: providerFactory.hasRepository("pricingRule") ?
+        providerFactory.getPricingRuleRepository() : null,
+      inventoryMovementRepository:
+        providerFactory.hasRepository("inventoryMovement") ?
+          providerFactory.getInventoryMovementRepository() : null,
+      productionRunRepository:
+        providerFactory.hasRepository("productionRun") ?
+          providerFactory.getProductionRunRepository() : null,
+      saleReturnRepository: providerFactory.hasRepository("saleReturn") ?
+        providerFactory.getSaleReturnRepository() : null,
+      breakdownRepository: providerFactory.hasRepository("breakdown") ?
+        providerFactory.getBreakdownRepository() : null,
     };
 
-    const result = await rebuildItemInventory(req.params.id, providers);
+    const result = await auditItemChanges(req, providers.itemRepository,
+        [req.params.id], () => rebuildItemInventory(req.params.id, providers));
     res.json(result);
   } catch (error) {
     next(error);
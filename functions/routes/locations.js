@@ -0,0 +1,114 @@
+/**
+ * Location Routes - warehouses, shops and bins stock is kept at
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const handlerFactory = require("../utils/handlerFactory");
+const {AppError, ConflictError} = require("../utils/errors");
+const {requirePermission} = require("../middleware");
+const {getProviderFactory} = require("../providers");
+const {getItemRepository} = require("../utils/repositoryUtils");
+const {getLocationStock} = require("../utils/locationUtils");
+const {getTrackingMeasurement} = require("../utils/unitConversion");
+
+// Permissions the routes need
+const canRead = requirePermission("locations:read");
+const canCreate = requirePermission("locations:create");
+const canUpdate = requirePermission("locations:update");
+const canDelete = requirePermission("locations:delete");
+
+// Create handlers using factory
+const getAllLocations = handlerFactory.getAll("Location");
+const getLocation = handlerFactory.getOne("Location", "Location");
+const createLocation = handlerFactory.createOne("Location");
+const updateLocation = handlerFactory.updateOne("Location", "Location");
+const deleteLocation = handlerFactory.deleteOne("Location", "Location");
+
+/**
+ * Get the location repository, failing if it isn't supported
+ * @return {Object} Location repository
+ */
+const getLocationRepository = () => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("location")) {
+    throw new AppError(`Locations are not supported
+      by the current database provider`, 501);
+  }
+  return providerFactory.getLocationRepository();
+};
+
+/**
+ * Get every item holding stock at a location
+ * @param {string} locationId Location ID
+ * @return {Promise<Array>} Items with their stock at the location
+ */
+const getStockAtLocation = async (locationId) => {
+  const items = await getItemRepository().findAll({});
+  const stock = [];
+
+  for (const item of items) {
+    const measurement = getTrackingMeasurement(item);
+    const value = getLocationStock(item, locationId)[measurement];
+    if (value === 0) continue;
+
+    stock.push({
+      itemId: item._id || item.id,
+      name: item.name,
+      sku: item.sku,
+      trackingType: measurement,
+      [measurement]: value,
+    });
+  }
+
+  return stock;
+};
+
+// Get all locations
+router.get("/", canRead, getAllLocations);
+
+// Get one location
+router.get("/:id", canRead, getLocation);
+
+// Get the items stocked at a location
+router.get("/:id/stock", canRead, async (req, res, next) => {
+  try {
+    const location = await getLocationRepository().findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({message: "Location not found"});
+    }
+
+    const items = await getStockAtLocation(req.params.id);
+    res.json({
+      locationId: location._id || location.id,
+      name: location.name,
+      code: location.code,
+      count: items.length,
+      items,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create new location
+router.post("/", canCreate, createLocation);
+
+// Update location
+router.patch("/:id", canUpdate, updateLocation);
+
+// Delete location, as long as no stock is left there
+router.delete("/:id", canDelete, async (req, res, next) => {
+  try {
+    const stock = await getStockAtLocation(req.params.id);
+    if (stock.length > 0) {
+      throw new ConflictError(`Location still holds stock of
+        ${stock.length} items; transfer it out first`);
+    }
+    return deleteLocation(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Pricing Rule Routes
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const handlerFactory = require("../utils/handlerFactory");
+const {ValidationError} = require("../utils/errors");
+const {getPricingRuleRepository} = require("../utils/repositoryUtils");
+const {requirePermission} = require("../middleware");
+
+// Permissions the routes need
+const canRead = requirePermission("pricingRules:read");
+const canCreate = requirePermission("pricingRules:create");
+const canUpdate = requirePermission("pricingRules:update");
+const canDelete = requirePermission("pricingRules:delete");
+
+// Create handlers using factory
+const getAllRules = handlerFactory.getAll("PricingRule");
+const getRule = handlerFactory.getOne("PricingRule", "Pricing rule");
+const createRule = handlerFactory.createOne("PricingRule");
+const updateRule = handlerFactory.updateOne("PricingRule", "Pricing rule");
+const deleteRule = handlerFactory.deleteOne("PricingRule", "Pricing rule");
+
+/**
+ * Validate that a pricing rule targets what its scope requires
+ * @param {Object} rule Pricing rule data
+ * @throws {ValidationError} When the rule is incomplete
+ */
+const validateRule = (rule) => {
+  if (rule.scope === "item" && !rule.item) {
+    throw new ValidationError("Item pricing rules must reference an item");
+  }
+  if (rule.scope === "category" && !rule.category) {
+    throw new ValidationError("Category pricing rules must name a category");
+  }
+  if (rule.strategy === "margin" && rule.percentage >= 100) {
+    throw new ValidationError("Target margin must be below 100%");
+  }
+};
+
+// Get all pricing rules
+router.get("/", canRead, getAllRules);
+
+// Get one pricing rule
+router.get("/:id", canRead, getRule);
+
+// Create new pricing rule
+router.post("/", canCreate, (req, res, next) => {
+  try {
+    validateRule(req.body);
+    return createRule(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update pricing rule
+router.patch("/:id", canUpdate, async (req, res, next) => {
+  try {
+    const existing = await getPricingRuleRepository().findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({message: "Pricing rule not found"});
+    }
+
+    validateRule({
+      scope: req.body.scope || existing.scope,
+      item: req.body.item !== undefined ? req.body.item : existing.item,
+      category: req.body.category !== undefined ?
+        req.body.category : existing.category,
+      strategy: req.body.strategy || existing.strategy,
+      percentage: req.body.percentage !== undefined ?
+        req.body.percentage : existing.percentage,
+    });
+    return updateRule(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete pricing rule
+router.delete("/:id", canDelete, deleteRule);
+
+module.exports = router;
@@ -1,16 +1,142 @@
 const express = require("express");
 // eslint-disable-next-line new-cap
 const router = express.Router();
+const {validateRequiredFields, requirePermission} = require("../middleware");
 const {getProviderFactory} = require("../providers");
 const {getPurchaseRepository} = require("../utils/repositoryUtils");
 const {getAssetRepository} = require("../utils/repositoryUtils");
 const {withTransaction} = require("../utils/transactionUtils");
+const {createPurchaseSuggestions} = require("../utils/reorderUtils");
+const {recordAudit} = require("../utils/auditUtils");
+const {
+  AppError,
+  ConflictError,
+  ValidationError,
+} = require("../utils/errors");
+const {getSupplierSnapshot} = require("../utils/supplierUtils");
+const {
+  hasReceipts,
+  getReceiptLines,
+} = require("../utils/inventoryEffectsUtils");
+const {
+  getPurchaseLineProgress,
+  recordPurchaseReceipt,
+} = require("../utils/receivingUtils");
+
+// Permissions the routes need
+const canRead = requirePermission("purchases:read");
+const canCreate = requirePermission("purchases:create");
+const canUpdate = requirePermission("purchases:update");
+const canDelete = requirePermission("purchases:delete");
+const canReport = requirePermission("reports:read");
 
 // Get repository for special operations
 const purchaseRepository = getProviderFactory().getPurchaseRepository();
 
+/**
+ * Fill in a purchase's supplier details from the supplier it's linked to.
+ * Details the request gives win, since a purchase keeps the details as
+ * they were when it was made
+ * @param {Object} purchaseData Purchase fields from the request
+ * @return {Promise<Object>} Purchase fields with the supplier details
+ * @throws {ValidationError} When the supplier doesn't exist
+ */
+const withSupplierDetails = async (purchaseData) => {
+  if (!purchaseData.supplierId) return purchaseData;
+
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("supplier")) {
+    throw new AppError(`Suppliers are not supported
+      by the current database provider`, 501);
+  }
+  const supplier = await providerFactory.getSupplierRepository()
+      .findById(purchaseData.supplierId);
+  if (!supplier) {
+    throw new ValidationError(
+        `Supplier ${purchaseData.supplierId} not found`);
+  }
+  return {
+    ...purchaseData,
+    supplier: {...getSupplierSnapshot(supplier), ...purchaseData.supplier},
+  };
+};
+
+/**
+ * Keep a purchase's received date in step with its status. It's set when
+ * the purchase is marked received, unless the request gives one, and
+ * cleared when the purchase moves back to another status
+ * @param {Object|null} purchase Purchase before the change, null for a
+ * new one
+ * @param {Object} purchaseData Purchase fields from the request
+ * @return {Object} Purchase fields with receivedAt set or cleared
+ */
+const withReceivedDate = (purchase, purchaseData) => {
+  const wasReceived = Boolean(purchase) && purchase.status === "received";
+  const {status} = purchaseData;
+
+  if (status === "received" && !wasReceived && !purchaseData.receivedAt) {
+    return {...purchaseData, receivedAt: new Date()};
+  }
+  if (wasReceived && status !== undefined && status !== "received") {
+    return {...purchaseData, receivedAt: null};
+  }
+  return purchaseData;
+};
+
+/**
+ * Get the repositories receiving a purchase needs
+ * @return {Object} Provider instances
+ */
+const getReceivingProviders = () => {
+  const providerFactory = getProviderFactory();
+  return {
+    purchaseRepository: getPurchaseRepository(),
+    locationRepository: providerFactory.hasRepository("location") ?
+      providerFactory.getLocationRepository() : null,
+  };
+};
+
+/**
+ * Drop receipts from purchase fields. They're only recorded through
+ * POST /purchases/:id/receipts, which checks them against the order
+ * @param {Object} purchaseData Purchase fields from the request
+ * @return {Object} Purchase fields without receipts
+ */
+const withoutReceipts = (purchaseData) => {
+  const data = {...purchaseData};
+  delete data.receipts;
+  return data;
+};
+
+/**
+ * Check a change to a purchase that has receipts. What arrived is
+ * recorded against its lines, so its lines and location can't change,
+ * and its status follows the receipts: it can only be marked received,
+ * which receives everything still outstanding, or cancelled, which keeps
+ * what already arrived
+ * @param {Object} purchase Purchase before the change
+ * @param {Object} purchaseData Purchase fields from the request
+ * @return {boolean} True if the rest of the purchase is to be received
+ * @throws {ConflictError} When the change can't be made
+ */
+const checkReceivedChange = (purchase, purchaseData) => {
+  if (purchaseData.items !== undefined ||
+      purchaseData.location !== undefined) {
+    throw new ConflictError(`The purchase has receipts;
+      its items and location can't change`);
+  }
+
+  const {status} = purchaseData;
+  if (status === undefined || status === purchase.status) return false;
+  if (!["received", "cancelled"].includes(status)) {
+    throw new ConflictError(`The purchase has receipts; its status follows
+      them and can only be changed to received or cancelled`);
+  }
+  return status === "received";
+};
+
 // Get all purchases
-router.get("/", async (req, res, next) => {
+router.get("/", canRead, async (req, res, next) => {
   try {
     const purchaseRepository = getPurchaseRepository();
     const purchases = await purchaseRepository.findAll();
@@ -21,7 +147,7 @@ router.get("/", async (req, res, next) => {
 });
 
 // Get single purchase
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", canRead, async (req, res, next) => {
   try {
     const {id} = req.params;
     const purchaseRepository = getPurchaseRepository();
@@ -38,9 +164,10 @@ router.get("/:id", async (req, res, next) => {
 });
 
 // Create new purchase
-router.post("/", async (req, res, next) => {
+router.post("/", canCreate, async (req, res, next) => {
   try {
-    const purchaseData = req.body;
+    const purchaseData = withReceivedDate(null,
+        await withSupplierDetails(withoutReceipts(req.body)));
     const purchaseRepository = getPurchaseRepository();
 
     console.log(`Creating purchase with ${(purchaseData.items &&
@@ -54,8 +181,8 @@ router.post("/", async (req, res, next) => {
       console.log(`Starting transaction for purchase creation`);
 
       // Create the purchase with transaction
-      const purchase =
-        await purchaseRepository.create(purchaseData, transaction);
+      const purchase = await purchaseRepository.create(purchaseData,
+          transaction, {user: req.user ? req.user.id : null});
       console.log(`Purchase created with ID: ${purchase._id},
         updating inventory for ${purchase.items.length} items`);
 
@@ -68,6 +195,11 @@ router.post("/", async (req, res, next) => {
     });
 
     console.log(`Purchase creation transaction completed successfully`);
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Purchase",
+      after: newPurchase,
+    });
     res.status(201).json(newPurchase);
   } catch (err) {
     console.error("Error creating purchase:", err);
@@ -75,11 +207,47 @@ router.post("/", async (req, res, next) => {
   }
 });
 
+// Create draft purchases, one per supplier, for items at or below their
+// reorder point. Pass dryRun to preview the drafts without saving them
+router.post("/suggestions", canCreate, async (req, res, next) => {
+  try {
+    const providerFactory = getProviderFactory();
+    const providers = {
+      itemRepository: providerFactory.getItemRepository(),
+      purchaseRepository: getPurchaseRepository(),
+      supplierRepository: providerFactory.hasRepository("supplier") ?
+        providerFactory.getSupplierRepository() : null,
+    };
+    const options = {
+      dryRun: req.body.dryRun === true,
+      itemIds: req.body.itemIds,
+    };
+
+    const result = options.dryRun ?
+      await createPurchaseSuggestions(providers, options) :
+      await withTransaction((transaction) =>
+        createPurchaseSuggestions(providers, options, transaction));
+
+    if (!options.dryRun) {
+      for (const purchase of result.purchases) {
+        await recordAudit(req, {
+          action: "create",
+          entityType: "Purchase",
+          after: purchase,
+        });
+      }
+    }
+
+    res.status(options.dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Update purchase
-router.patch("/:id", async (req, res, next) => {
+router.patch("/:id", canUpdate, async (req, res, next) => {
   try {
     const {id} = req.params;
-    const purchaseData = req.body;
     const purchaseRepository = getPurchaseRepository();
 
     // Check if the purchase is being marked as received
@@ -87,14 +255,35 @@ router.patch("/:id", async (req, res, next) => {
     if (!purchase) {
       return res.status(404).json({message: "Purchase not found"});
     }
+    const user = req.user ? req.user.id : null;
+
+    // A purchase with receipts is received through them; marking it
+    // received receives whatever is still outstanding
+    const received = hasReceipts(purchase);
+    const receiveRest = received &&
+      checkReceivedChange(purchase, req.body);
+    let purchaseData = await withSupplierDetails(withoutReceipts(req.body));
+    if (receiveRest) {
+      delete purchaseData.status;
+    } else if (!received) {
+      purchaseData = withReceivedDate(purchase, purchaseData);
+    }
 
-    const isNewlyReceived =
+    const isNewlyReceived = !received &&
       purchase.status !== "received" &&
       purchaseData.status === "received";
 
     const updatedPurchase = await withTransaction(async (transaction) => {
-      const updated =
-        await purchaseRepository.update(id, purchaseData, transaction);
+      if (receiveRest) {
+        const rest = await recordPurchaseReceipt(getReceivingProviders(),
+            id, {rest: true, changes: purchaseData, user}, transaction);
+        await createAssetsFromPurchase(id, transaction,
+            getReceiptLines(rest.purchase, rest.receipt));
+        return rest.purchase;
+      }
+
+      const updated = await purchaseRepository.update(id, purchaseData,
+          transaction, {user});
 
       // If purchase is newly marked as received
       // and has asset items, create assets
@@ -109,24 +298,97 @@ router.patch("/:id", async (req, res, next) => {
       return res.status(404).json({message: "Purchase not found"});
     }
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Purchase",
+      before: purchase,
+      after: updatedPurchase,
+    });
+
     res.json(updatedPurchase);
   } catch (err) {
     next(err);
   }
 });
 
+// Get a purchase's receipts and how much of each line has arrived
+router.get("/:id/receipts", canRead, async (req, res, next) => {
+  try {
+    const purchase = await getPurchaseRepository().findById(req.params.id);
+    if (!purchase) {
+      return res.status(404).json({message: "Purchase not found"});
+    }
+
+    res.json({
+      receipts: purchase.receipts || [],
+      lines: getPurchaseLineProgress(purchase),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Receive part or all of a purchase. Only what arrived goes into stock,
+// and the purchase becomes partially_received or, once every line is in,
+// received
+router.post("/:id/receipts",
+    canUpdate,
+    validateRequiredFields(["items"]),
+    async (req, res, next) => {
+      try {
+        const {id} = req.params;
+        const receivingProviders = getReceivingProviders();
+        const purchase =
+          await receivingProviders.purchaseRepository.findById(id);
+        if (!purchase) {
+          return res.status(404).json({message: "Purchase not found"});
+        }
+
+        const result = await withTransaction(async (transaction) => {
+          const received = await recordPurchaseReceipt(receivingProviders,
+              id, {...req.body, user: req.user ? req.user.id : null},
+              transaction);
+          await createAssetsFromPurchase(id, transaction,
+              getReceiptLines(received.purchase, received.receipt));
+          return received;
+        });
+
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Purchase",
+          before: purchase,
+          after: result.purchase,
+        });
+
+        res.status(201).json(result);
+      } catch (err) {
+        next(err);
+      }
+    });
+
 // Delete purchase
-router.delete("/:id", async (req, res, next) => {
+router.delete("/:id", canDelete, async (req, res, next) => {
   try {
     const {id} = req.params;
     const purchaseRepository = getPurchaseRepository();
 
-    const result = await purchaseRepository.delete(id);
+    // Deleting a received purchase takes its items back out of stock
+    const purchase = await purchaseRepository.findById(id);
+    const result = purchase && await withTransaction((transaction) =>
+      purchaseRepository.delete(id, transaction, {
+        user: req.user ? req.user.id : null,
+      }));
 
     if (!result) {
       return res.status(404).json({message: "Purchase not found"});
     }
 
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Purchase",
+      before: purchase,
+    });
+
     res.status(204).send();
   } catch (err) {
     next(err);
@@ -134,7 +396,7 @@ router.delete("/:id", async (req, res, next) => {
 });
 
 // Get purchases report by date range
-router.get("/reports/by-date", async (req, res, next) => {
+router.get("/reports/by-date", canReport, async (req, res, next) => {
   try {
     const {startDate, endDate} = req.query;
     const filter = {};
@@ -148,7 +410,7 @@ router.get("/reports/by-date", async (req, res, next) => {
 });
 
 // Get purchase trends
-router.get("/trends", async (req, res, next) => {
+router.get("/trends", canReport, async (req, res, next) => {
   try {
     const {startDate, endDate} = req.query;
     const filter = {};
@@ -167,7 +429,7 @@ router.get("/trends", async (req, res, next) => {
 });
 
 // Get purchases for a specific item
-router.get("/item/:itemId", async (req, res, next) => {
+router.get("/item/:itemId", canRead, async (req, res, next) => {
   try {
     const {itemId} = req.params;
     const purchaseRepository = getProviderFactory().getPurchaseRepository();
@@ -182,38 +444,50 @@ router.get("/item/:itemId", async (req, res, next) => {
  * Creates asset records for items marked as assets in a purchase
  * @param {string} purchaseId - The ID of the purchase containing asset items
  * @param {Object} transaction - The database transaction object
+ * @param {Array<Object>} [lines] - Lines that arrived, when only part of
+ * the purchase was received; all its lines by default
  * @return {Promise<void>}
  */
-async function createAssetsFromPurchase(purchaseId, transaction) {
+async function createAssetsFromPurchase(purchaseId, transaction,
+    lines = null) {
   const purchaseRepository = getPurchaseRepository();
   const assetRepository = getAssetRepository();
 
   // Get the purchase with its items
-  const purchase = await purchaseRepository.findById(purchaseId);
+  const purchase = await purchaseRepository.findForUpdate(purchaseId,
+      transaction);
   if (!purchase) return;
 
   // Find items marked as assets
-  const assetItems = purchase.items.filter((item) => item.isAsset);
+  const assetItems = (lines || purchase.items).filter((item) =>
+    item.isAsset);
   if (assetItems.length === 0) return;
 
-  // Create an asset for each asset item
+  // Create an asset for each asset item, or for each unit
+  // when the line lists serial numbers
   for (const [index, item] of assetItems.entries()) {
     const itemObj = typeof item.item === "object" ?
       item.item :
       {name: `Item ${index + 1}`};
-
-    await assetRepository.create({
-      name: (item.assetInfo && item.assetInfo.name) || itemObj.name,
-      category: (item.assetInfo && item.assetInfo.category) || "Equipment",
-      initialCost: item.totalCost,
-      currentValue: item.totalCost,
-      purchaseId: purchaseId,
-      purchaseDate: purchase.purchaseDate,
-      status: "active",
-      location: item.assetInfo ? item.assetInfo.location : undefined,
-      assignedTo: item.assetInfo ? item.assetInfo.assignedTo : undefined,
-      isInventoryItem: false,
-    }, transaction);
+    const serialNumbers = item.serialNumbers && item.serialNumbers.length ?
+      item.serialNumbers : [undefined];
+    const cost = item.totalCost / serialNumbers.length;
+
+    for (const serialNumber of serialNumbers) {
+      await assetRepository.create({
+        name: (item.assetInfo && item.assetInfo.name) || itemObj.name,
+        category: (item.assetInfo && item.assetInfo.category) || "Equipment",
+        initialCost: cost,
+        currentValue: cost,
+        purchaseId: purchaseId,
+        purchaseDate: purchase.purchaseDate,
+        serialNumber,
+        status: "active",
+        location: item.assetInfo ? item.assetInfo.location : undefined,
+        assignedTo: item.assetInfo ? item.assetInfo.assignedTo : undefined,
+        isInventoryItem: false,
+      }, transaction);
+    }
   }
 }
 
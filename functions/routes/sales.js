@@ -1,23 +1,93 @@
 const express = require("express");
 // eslint-disable-next-line new-cap
 const router = express.Router();
-const handlerFactory = require("../utils/handlerFactory");
-const {validateRequiredFields} = require("../middleware");
+const {validateRequiredFields, requirePermission} = require("../middleware");
 // Import providers module but don't immediately call getProviderFactory()
 const providers = require("../providers");
 const {withTransaction} = require("../utils/transactionUtils");
+const {recordAudit} = require("../utils/auditUtils");
+const {
+  AppError,
+  ConflictError,
+  ValidationError,
+} = require("../utils/errors");
+const {recordSaleReturn} = require("../utils/returnUtils");
+const {getCustomerSnapshot} = require("../utils/customerUtils");
 
-// Create handlers using factory
-const createSale = handlerFactory.createOne("Sales");
-const updateSale = handlerFactory.updateOne("Sales", "Sale");
-// const deleteOne = handlerFactory.deleteOne("Sales", "Sale");
+// Permissions the routes need
+const canRead = requirePermission("sales:read");
+const canCreate = requirePermission("sales:create");
+const canUpdate = requirePermission("sales:update");
+const canDelete = requirePermission("sales:delete");
+const canRefund = requirePermission("sales:refund");
+const canReport = requirePermission("reports:read");
 
 // Define a function to get repository (don't call it immediately)
 const getSalesRepository = () =>
   providers.getProviderFactory().getSalesRepository();
 
+/**
+ * Get the repositories returns need, failing if returns aren't supported
+ * @return {Object} Provider instances
+ */
+const getReturnProviders = () => {
+  const providerFactory = providers.getProviderFactory();
+  if (!providerFactory.hasRepository("saleReturn")) {
+    throw new AppError(`Sale returns are not supported
+      by the current database provider`, 501);
+  }
+  return {
+    salesRepository: providerFactory.getSalesRepository(),
+    saleReturnRepository: providerFactory.getSaleReturnRepository(),
+    locationRepository: providerFactory.hasRepository("location") ?
+      providerFactory.getLocationRepository() : null,
+  };
+};
+
+/**
+ * Make sure a sale has no returns. Its returns put part of its stock
+ * back, so its lines can't change and it can't be deleted once it has any
+ * @param {string} saleId Sale ID
+ * @param {string} message Error message
+ * @throws {ConflictError} When the sale has returns
+ */
+const assertNoReturns = async (saleId, message) => {
+  const providerFactory = providers.getProviderFactory();
+  if (!providerFactory.hasRepository("saleReturn")) return;
+
+  const returns = await providerFactory.getSaleReturnRepository()
+      .findBySale(saleId);
+  if (returns.length > 0) {
+    throw new ConflictError(message);
+  }
+};
+
+/**
+ * Fill in a sale's customer details from the customer it's linked to.
+ * Details the request gives win, since a sale keeps the details as they
+ * were when it was made
+ * @param {Object} saleData Sale fields from the request
+ * @return {Promise<Object>} Sale fields with the customer details
+ * @throws {ValidationError} When the customer doesn't exist
+ */
+const withCustomerDetails = async (saleData) => {
+  if (!saleData.customer) return saleData;
+
+  const providerFactory = providers.getProviderFactory();
+  if (!providerFactory.hasRepository("customer")) {
+    throw new AppError(`Customers are not supported
+      by the current database provider`, 501);
+  }
+  const customer = await providerFactory.getCustomerRepository()
+      .findById(saleData.customer);
+  if (!customer) {
+    throw new ValidationError(`Customer ${saleData.customer} not found`);
+  }
+  return {...getCustomerSnapshot(customer), ...saleData};
+};
+
 // Get all sales
-router.get("/", async (req, res, next) => {
+router.get("/", canRead, async (req, res, next) => {
   try {
     const repository = providers.getProviderFactory().getSalesRepository();
     const sales = await repository.findAll();
@@ -28,7 +98,7 @@ router.get("/", async (req, res, next) => {
 });
 
 // Get single sale
-router.get("/:id", async (req, res, next) => {
+router.get("/:id", canRead, async (req, res, next) => {
   try {
     const repository = providers.getProviderFactory().getSalesRepository();
     const sale = await repository.findById(req.params.id);
@@ -46,17 +116,72 @@ router.get("/:id", async (req, res, next) => {
   }
 });
 
-// Create new sale
+// Create new sale, taking its items out of stock
 router.post("/",
+    canCreate,
     validateRequiredFields(["items", "subtotal", "total"]),
-    createSale,
+    async (req, res, next) => {
+      try {
+        const salesRepository = getSalesRepository();
+        const saleData = await withCustomerDetails(req.body);
+        const sale = await withTransaction((transaction) =>
+          salesRepository.create(saleData, transaction, {
+            user: req.user ? req.user.id : null,
+          }));
+
+        await recordAudit(req, {
+          action: "create",
+          entityType: "Sale",
+          after: sale,
+        });
+
+        res.status(201).json(sale);
+      } catch (err) {
+        next(err);
+      }
+    },
 );
 
-// Update sale
-router.patch("/:id", updateSale);
+// Update sale. Stock follows any change to its items or location
+router.patch("/:id", canUpdate, async (req, res, next) => {
+  try {
+    const {id} = req.params;
+    const salesRepository = getSalesRepository();
+    const sale = await salesRepository.findById(id);
+
+    if (!sale) {
+      return res.status(404).json({
+        status: "error",
+        message: "Sale not found",
+      });
+    }
+
+    if (req.body.items !== undefined || req.body.location !== undefined) {
+      await assertNoReturns(id,
+          "The sale has returns, so its lines can't be changed");
+    }
+
+    const changes = await withCustomerDetails(req.body);
+    const updatedSale = await withTransaction((transaction) =>
+      salesRepository.update(id, changes, transaction, {
+        user: req.user ? req.user.id : null,
+      }));
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Sale",
+      before: sale,
+      after: updatedSale,
+    });
+
+    res.json(updatedSale);
+  } catch (err) {
+    next(err);
+  }
+});
 
 // Custom delete handler with explicit error handling
-router.delete("/:id", async (req, res, next) => {
+router.delete("/:id", canDelete, async (req, res, next) => {
   try {
     const {id} = req.params;
     const salesRepository = getSalesRepository();
@@ -69,12 +194,18 @@ router.delete("/:id", async (req, res, next) => {
       });
     }
 
-    await withTransaction(async (transaction) => {
-      // Restore inventory quantities
-      await salesRepository.restoreInventoryForSale(sale.items, transaction);
+    await assertNoReturns(id, "The sale has returns and can't be deleted");
+
+    // Deleting the sale puts its items back in stock
+    await withTransaction((transaction) =>
+      salesRepository.delete(id, transaction, {
+        user: req.user ? req.user.id : null,
+      }));
 
-      // Delete the sale
-      await salesRepository.delete(id, transaction);
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Sale",
+      before: sale,
     });
 
     res.json({
@@ -86,11 +217,56 @@ router.delete("/:id", async (req, res, next) => {
   }
 });
 
+// Get the returns made against a sale
+router.get("/:id/returns", canRead, async (req, res, next) => {
+  try {
+    const {saleReturnRepository} = getReturnProviders();
+    res.json(await saleReturnRepository.findBySale(req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Return part or all of a sale, restocking the items unless restock is
+// false, and refund it
+router.post("/:id/returns",
+    canRefund,
+    validateRequiredFields(["items", "reason"]),
+    async (req, res, next) => {
+      try {
+        const returnProviders = getReturnProviders();
+        const sale =
+          await returnProviders.salesRepository.findById(req.params.id);
+        const result = await withTransaction((transaction) =>
+          recordSaleReturn(returnProviders, req.params.id, {
+            ...req.body,
+            user: req.user ? req.user.id : null,
+          }, transaction));
+
+        await recordAudit(req, {
+          action: "create",
+          entityType: "SaleReturn",
+          after: result.saleReturn,
+        });
+        await recordAudit(req, {
+          action: "update",
+          entityType: "Sale",
+          before: sale,
+          after: result.sale,
+        });
+
+        res.status(201).json(result);
+      } catch (err) {
+        next(err);
+      }
+    },
+);
+
 // Get sales report by date range
-router.get("/reports/by-date", async (req, res, next) => {
+router.get("/reports/by-date", canReport, async (req, res, next) => {
   try {
     const {startDate, endDate} = req.query;
-    const filter = {businessId: req.user.businessId};
+    const filter = {};
     const salesRepository = getSalesRepository();
 
     const report = await salesRepository.getReport(filter, startDate, endDate);
@@ -101,10 +277,10 @@ router.get("/reports/by-date", async (req, res, next) => {
 });
 
 // Get sales trends
-router.get("/trends", async (req, res, next) => {
+router.get("/trends", canReport, async (req, res, next) => {
   try {
     const {startDate, endDate} = req.query;
-    const filter = {businessId: req.user.businessId};
+    const filter = {};
     const salesRepository = getSalesRepository();
 
     if (!startDate || !endDate) {
@@ -120,7 +296,7 @@ router.get("/trends", async (req, res, next) => {
 });
 
 // Get sales for a specific item
-router.get("/item/:itemId", async (req, res, next) => {
+router.get("/item/:itemId", canRead, async (req, res, next) => {
   try {
     const {itemId} = req.params;
     const salesRepository = getSalesRepository();
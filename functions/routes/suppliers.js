@@ -0,0 +1,310 @@
+/**
+ * Supplier Routes - the vendors a business buys from and how they compare
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const {getProviderFactory} = require("../providers");
+const {requirePermission} = require("../middleware");
+const {recordAudit} = require("../utils/auditUtils");
+const {getItemRefId} = require("../utils/unitConversion");
+const {
+  getPriceHistory,
+  getSupplierMetrics,
+} = require("../utils/supplierUtils");
+
+// Permissions the routes need
+const canRead = requirePermission("suppliers:read");
+const canCreate = requirePermission("suppliers:create");
+const canUpdate = requirePermission("suppliers:update");
+const canDelete = requirePermission("suppliers:delete");
+const canReport = requirePermission("reports:read");
+
+// Fields a supplier can be created or updated with
+const SUPPLIER_FIELDS = [
+  "name",
+  "contactName",
+  "email",
+  "phone",
+  "address",
+  "website",
+  "notes",
+  "isActive",
+];
+
+/**
+ * Get the repositories supplier routes need, failing if suppliers
+ * aren't supported
+ * @return {Object} Provider instances
+ */
+const getSupplierProviders = () => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("supplier")) {
+    throw new AppError(`Suppliers are not supported
+      by the current database provider`, 501);
+  }
+  return {
+    supplierRepository: providerFactory.getSupplierRepository(),
+    purchaseRepository: providerFactory.getPurchaseRepository(),
+    itemRepository: providerFactory.getItemRepository(),
+  };
+};
+
+/**
+ * Keep only the fields a supplier can be given
+ * @param {Object} body Request body
+ * @return {Object} Supplier data
+ */
+const pickSupplierFields = (body) => {
+  const data = {};
+  SUPPLIER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.name !== undefined && !(data.name || "").toString().trim()) {
+    throw new ValidationError("name can't be empty");
+  }
+  return data;
+};
+
+/**
+ * Get a supplier, failing if there's no such supplier
+ * @param {Object} repository Supplier repository
+ * @param {string} id Supplier ID
+ * @return {Promise<Object>} Supplier
+ */
+const findSupplier = async (repository, id) => {
+  const supplier = await repository.findById(id);
+  if (!supplier) {
+    throw new NotFoundError("Supplier", id);
+  }
+  return supplier;
+};
+
+/**
+ * Make sure no other supplier has a name
+ * @param {Object} repository Supplier repository
+ * @param {string} name Supplier name
+ * @param {string} [id] Supplier being renamed
+ * @throws {ConflictError} When another supplier has the name
+ */
+const assertNameFree = async (repository, name, id = null) => {
+  const existing = await repository.findByName(name);
+  if (existing && getItemRefId(existing) !== (id && id.toString())) {
+    throw new ConflictError(`A supplier named ${name} already exists`);
+  }
+};
+
+/**
+ * Load the items on a set of purchases, for names and unit costs
+ * @param {Object} itemRepository Item repository
+ * @param {Array<Object>} purchases Purchases
+ * @return {Promise<Object>} Items by ID
+ */
+const loadPurchasedItems = async (itemRepository, purchases) => {
+  const ids = new Set();
+  purchases.forEach((purchase) => (purchase.items || []).forEach((line) => {
+    const itemId = getItemRefId(line.item);
+    if (itemId) ids.add(itemId);
+  }));
+
+  const items = {};
+  for (const id of ids) {
+    const item = await itemRepository.findById(id);
+    if (item) items[id] = item;
+  }
+  return items;
+};
+
+/**
+ * Build the purchase filter for a supplier and optional date range
+ * @param {string} supplierId Supplier ID
+ * @param {Object} query Request query ({startDate, endDate})
+ * @return {Object} Purchase filter
+ */
+const supplierPurchaseFilter = (supplierId, query) => {
+  const filter = {supplierId};
+  if (query.startDate && query.endDate) {
+    filter.purchaseDate = {
+      $gte: new Date(query.startDate),
+      $lte: new Date(query.endDate),
+    };
+  }
+  return filter;
+};
+
+// Get all suppliers; ?active=true leaves out inactive ones
+router.get("/", canRead, async (req, res, next) => {
+  try {
+    const {supplierRepository} = getSupplierProviders();
+    const suppliers = await supplierRepository.findAll(
+        req.query.active === "true" ? {isActive: true} : {});
+    res.json(suppliers);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Compare what each supplier has charged for an item, cheapest first
+router.get("/prices", canReport, async (req, res, next) => {
+  try {
+    const {item} = req.query;
+    if (!item) {
+      throw new ValidationError("item is required");
+    }
+
+    const {purchaseRepository, itemRepository} = getSupplierProviders();
+    const purchases = await purchaseRepository.getAllByItemId(item);
+    const found = await itemRepository.findById(item);
+    const history = getPriceHistory(purchases, {
+      item,
+      items: found ? {[item]: found} : {},
+    }).sort((a, b) => (a.latestCost === null) - (b.latestCost === null) ||
+      a.latestCost - b.latestCost);
+    res.json(history);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one supplier
+router.get("/:id", canRead, async (req, res, next) => {
+  try {
+    const {supplierRepository} = getSupplierProviders();
+    res.json(await findSupplier(supplierRepository, req.params.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a supplier's purchases
+router.get("/:id/purchases", canRead, async (req, res, next) => {
+  try {
+    const {supplierRepository, purchaseRepository} = getSupplierProviders();
+    await findSupplier(supplierRepository, req.params.id);
+    res.json(await purchaseRepository.findAll(
+        supplierPurchaseFilter(req.params.id, req.query)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get what a supplier has charged for each item over time; ?item= limits
+// it to one item
+router.get("/:id/prices", canReport, async (req, res, next) => {
+  try {
+    const {
+      supplierRepository,
+      purchaseRepository,
+      itemRepository,
+    } = getSupplierProviders();
+    await findSupplier(supplierRepository, req.params.id);
+
+    const purchases = await purchaseRepository.findAll(
+        supplierPurchaseFilter(req.params.id, req.query));
+    const items = await loadPurchasedItems(itemRepository, purchases);
+    res.json(getPriceHistory(purchases, {item: req.query.item, items}));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a supplier's spend by ?period= (day, month or year), average lead
+// time and how many items they supply
+router.get("/:id/metrics", canReport, async (req, res, next) => {
+  try {
+    const {supplierRepository, purchaseRepository} = getSupplierProviders();
+    const supplier = await findSupplier(supplierRepository, req.params.id);
+
+    const purchases = await purchaseRepository.findAll(
+        supplierPurchaseFilter(req.params.id, req.query));
+    res.json({
+      supplier,
+      ...getSupplierMetrics(purchases, req.query.period),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create a supplier
+router.post("/", canCreate, async (req, res, next) => {
+  try {
+    const data = pickSupplierFields(req.body);
+    if (!data.name) {
+      throw new ValidationError("name is required");
+    }
+
+    const {supplierRepository} = getSupplierProviders();
+    await assertNameFree(supplierRepository, data.name);
+
+    const supplier = await supplierRepository.create(data);
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Supplier",
+      after: supplier,
+    });
+    res.status(201).json(supplier);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update a supplier's details. Purchases keep the details they were
+// made with
+router.patch("/:id", canUpdate, async (req, res, next) => {
+  try {
+    const changes = pickSupplierFields(req.body);
+    const {supplierRepository} = getSupplierProviders();
+    const supplier = await findSupplier(supplierRepository, req.params.id);
+    if (changes.name !== undefined) {
+      await assertNameFree(supplierRepository, changes.name, req.params.id);
+    }
+
+    const updated = await supplierRepository.update(req.params.id, changes);
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Supplier",
+      before: supplier,
+      after: updated,
+    });
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a supplier nothing was bought from
+router.delete("/:id", canDelete, async (req, res, next) => {
+  try {
+    const {supplierRepository, purchaseRepository} = getSupplierProviders();
+    const supplier = await findSupplier(supplierRepository, req.params.id);
+
+    const purchases = await purchaseRepository.findAll(
+        {supplierId: req.params.id});
+    if (purchases.length > 0) {
+      throw new ConflictError(`The supplier has ${purchases.length}
+        purchases; mark it inactive instead`);
+    }
+
+    await supplierRepository.delete(req.params.id);
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Supplier",
+      before: supplier,
+    });
+    res.json({
+      status: "success",
+      message: "Supplier deleted successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
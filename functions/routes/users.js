@@ -0,0 +1,210 @@
+/**
+ * User Routes - the members of a business and their roles
+ */
+const express = require("express");
+// eslint-disable-next-line new-cap
+const router = express.Router();
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const {getProviderFactory} = require("../providers");
+const {requirePermission} = require("../middleware");
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  isRole,
+  getPermissions,
+} = require("../utils/permissions");
+const {recordAudit} = require("../utils/auditUtils");
+
+// Fields a user record can be created or updated with
+const USER_FIELDS = ["uid", "email", "name", "role", "isActive"];
+
+/**
+ * Get the user repository, failing if it isn't supported
+ * @return {Object} User repository
+ */
+const getUserRepository = () => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("user")) {
+    throw new AppError(`User management is not supported
+      by the current database provider`, 501);
+  }
+  return providerFactory.getUserRepository();
+};
+
+/**
+ * Keep only the fields a user record can be given
+ * @param {Object} body Request body
+ * @return {Object} User data
+ */
+const pickUserFields = (body) => {
+  const data = {};
+  USER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * Check whether a user counts as an active owner
+ * @param {Object} user User record
+ * @return {boolean} True for an active owner
+ */
+const isActiveOwner = (user) => user.role === "owner" &&
+  user.isActive !== false;
+
+/**
+ * Make sure a change doesn't leave the business without an active owner
+ * @param {Object} repository User repository
+ * @param {Object} user User about to change
+ * @param {Object|null} changes Fields being set, or null when deleting
+ * @throws {ConflictError} When the user is the last active owner
+ */
+const assertOwnerRemains = async (repository, user, changes) => {
+  if (!isActiveOwner(user)) return;
+  if (changes && isActiveOwner({
+    role: user.role,
+    isActive: user.isActive,
+    ...changes,
+  })) return;
+
+  const owners = (await repository.findAll({role: "owner"}))
+      .filter(isActiveOwner);
+  if (owners.length <= 1) {
+    throw new ConflictError("A business needs at least one active owner");
+  }
+};
+
+// Get the signed-in user and what they may do
+router.get("/me", (req, res) => {
+  const {id, userId, email, name, businessId, role} = req.user;
+  res.json({
+    id,
+    userId: userId || null,
+    email,
+    name,
+    businessId,
+    role,
+    permissions: getPermissions(role),
+  });
+});
+
+// Get the roles and the permissions each grants
+router.get("/roles", requirePermission("users:read"), (req, res) => {
+  res.json(ROLES.map((role) => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  })));
+});
+
+// Get all users of the business
+router.get("/", requirePermission("users:read"), async (req, res, next) => {
+  try {
+    const users = await getUserRepository().findAll(req.query);
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get one user
+router.get("/:id", requirePermission("users:read"), async (req, res, next) => {
+  try {
+    const user = await getUserRepository().findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError("User", req.params.id);
+    }
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add an auth account to the business with a role
+router.post("/", requirePermission("users:manage"), async (req, res, next) => {
+  try {
+    const data = pickUserFields(req.body);
+    if (!data.uid) {
+      throw new ValidationError("uid is required");
+    }
+    if (data.role !== undefined && !isRole(data.role)) {
+      throw new ValidationError(`role must be one of ${ROLES.join(", ")}`);
+    }
+
+    const repository = getUserRepository();
+    if (await repository.findByUid(data.uid)) {
+      throw new ConflictError(`User ${data.uid} is already a member`);
+    }
+
+    const user = await repository.create(data);
+    await recordAudit(req, {action: "create", entityType: "User", after: user});
+    res.status(201).json(user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a user's role, details or whether they are active
+router.patch("/:id", requirePermission("users:manage"),
+    async (req, res, next) => {
+      try {
+        const {uid, ...changes} = pickUserFields(req.body);
+        if (uid !== undefined) {
+          throw new ValidationError("uid can't be changed");
+        }
+        if (changes.role !== undefined && !isRole(changes.role)) {
+          throw new ValidationError(
+              `role must be one of ${ROLES.join(", ")}`);
+        }
+
+        const repository = getUserRepository();
+        const user = await repository.findById(req.params.id);
+        if (!user) {
+          throw new NotFoundError("User", req.params.id);
+        }
+        await assertOwnerRemains(repository, user, changes);
+
+        const updated = await repository.update(req.params.id, changes);
+        await recordAudit(req, {
+          action: "update",
+          entityType: "User",
+          before: user,
+          after: updated,
+        });
+        res.json(updated);
+      } catch (err) {
+        next(err);
+      }
+    });
+
+// Remove a user from the business
+router.delete("/:id", requirePermission("users:manage"),
+    async (req, res, next) => {
+      try {
+        const repository = getUserRepository();
+        const user = await repository.findById(req.params.id);
+        if (!user) {
+          throw new NotFoundError("User", req.params.id);
+        }
+        await assertOwnerRemains(repository, user, null);
+
+        await repository.delete(req.params.id);
+        await recordAudit(req, {
+          action: "delete",
+          entityType: "User",
+          before: user,
+        });
+        res.json({
+          status: "success",
+          message: "User deleted successfully",
+        });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Move a MongoDB database from before businesses into one business.
+ *
+ * Documents written before tenancy have no businessId, so every scoped
+ * query leaves them out, and the old global sku_1 index still stops two
+ * businesses from sharing a SKU. This gives every document without a
+ * business the one named, drops sku_1 and builds the per-business indexes.
+ * It's safe to run more than once.
+ *
+ * Usage: node scripts/migrateToBusinesses.js [businessId]
+ * The business defaults to DEFAULT_BUSINESS_ID, and DB_URI names the
+ * database
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const config = require("../providers/config");
+const {connectToMongo} = require("../providers/database/mongodb/connection");
+
+// Every model the businessScope plugin scopes
+const MODELS = [
+  "asset",
+  "auditLog",
+  "breakdown",
+  "customer",
+  "inventoryMovement",
+  "item",
+  "location",
+  "pricingRule",
+  "productionRun",
+  "purchase",
+  "sale",
+  "saleReturn",
+  "stockCount",
+  "supplier",
+  "user",
+].map((name) => require(`../models/${name}`));
+
+// Global unique indexes replaced by per-business ones, by model
+const LEGACY_INDEXES = {
+  Item: ["sku_1"],
+};
+
+/**
+ * Give documents without a business the one named. Writes go straight to
+ * the collections, since the models only write inside a business context
+ * @param {string} businessId Business the documents move into
+ * @return {Promise<Object>} Documents moved by model name
+ */
+const backfillBusinessIds = async (businessId) => {
+  const moved = {};
+  for (const Model of MODELS) {
+    const result = await Model.collection.updateMany(
+        {$or: [{businessId: {$exists: false}}, {businessId: null}]},
+        {$set: {businessId}},
+    );
+    moved[Model.modelName] = result.modifiedCount;
+  }
+  return moved;
+};
+
+/**
+ * Drop the global unique indexes tenancy replaced and build every index
+ * the models declare
+ * @return {Promise<Array<string>>} Names of the indexes dropped
+ */
+const replaceLegacyIndexes = async () => {
+  const dropped = [];
+  for (const Model of MODELS) {
+    const legacy = LEGACY_INDEXES[Model.modelName] || [];
+    const existing = legacy.length > 0 ?
+      (await Model.collection.indexes()).map((index) => index.name) : [];
+
+    for (const name of legacy.filter((index) => existing.includes(index))) {
+      await Model.collection.dropIndex(name);
+      dropped.push(`${Model.modelName}.${name}`);
+    }
+    await Model.createIndexes();
+  }
+  return dropped;
+};
+
+/**
+ * Run the migration
+ * @param {string} [businessId] Business the existing data belongs to
+ * @return {Promise<Object>} {moved, dropped}
+ */
+const migrate = async (businessId = config.DEFAULT_BUSINESS_ID) => {
+  const moved = await backfillBusinessIds(businessId);
+  const dropped = await replaceLegacyIndexes();
+  return {moved, dropped};
+};
+
+if (require.main === module) {
+  const businessId = process.argv[2] || config.DEFAULT_BUSINESS_ID;
+  connectToMongo()
+      .then(() => migrate(businessId))
+      .then(({moved, dropped}) => {
+        Object.entries(moved).forEach(([model, count]) =>
+          console.log(`${model}: ${count} moved into ${businessId}`));
+        console.log(`Dropped indexes: ${dropped.join(", ") || "none"}`);
+      })
+      .catch((error) => {
+        console.error("Migration failed:", error);
+        process.exitCode = 1;
+      })
+      .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+  migrate,
+};
@@ -0,0 +1,131 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  purchaseData,
+} = require("./fixtures");
+
+/**
+ * Build asset data
+ * @param {Object} [overrides] Fields to set
+ * @return {Object} Asset data
+ */
+const assetData = (overrides = {}) => ({
+  name: uniqueToken("asset"),
+  category: uniqueToken("category"),
+  initialCost: 500,
+  currentValue: 450,
+  tags: [],
+  ...overrides,
+});
+
+describeProviders("Asset repository", (context) => {
+  let assets;
+
+  before(() => {
+    assets = context.factory.getAssetRepository();
+  });
+
+  describe("create and find", () => {
+    it("returns the created asset with an ID", async () => {
+      const data = assetData();
+      const asset = await assets.create(data);
+
+      assert.ok(asset._id || asset.id, "created asset has no ID");
+      assert.strictEqual(asset.name, data.name);
+      assert.strictEqual(asset.currentValue, data.currentValue);
+    });
+
+    it("finds an asset by ID", async () => {
+      const created = await assets.create(assetData());
+      const found = await assets.findById(idOf(created));
+
+      assert.ok(found);
+      assert.strictEqual(idOf(found), idOf(created));
+    });
+
+    it("returns null for an unknown ID", async () => {
+      assert.strictEqual(await assets.findById(MISSING_ID), null);
+    });
+
+    it("filters findAll by field equality", async () => {
+      const category = uniqueToken("category");
+      await assets.create(assetData({category}));
+      await assets.create(assetData());
+
+      const found = await assets.findAll({category});
+      assert.strictEqual(found.length, 1);
+      assert.strictEqual(found[0].category, category);
+    });
+
+    it("finds the assets bought in a purchase", async () => {
+      const item = await context.factory.getItemRepository()
+          .create(itemData());
+      const purchase = await context.factory.getPurchaseRepository()
+          .create(purchaseData(item, 1));
+      const created = await assets.create(assetData({
+        purchaseId: idOf(purchase),
+      }));
+
+      const found = await assets.getAssetsByPurchase(idOf(purchase));
+      assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+    });
+
+    it("lists categories and tags in use", async () => {
+      const tag = uniqueToken("tag");
+      const created = await assets.create(assetData({tags: [tag]}));
+
+      assert.ok((await assets.getCategories()).includes(created.category));
+      assert.ok((await assets.getTags()).includes(tag));
+    });
+  });
+
+  describe("update and delete", () => {
+    it("returns the updated asset", async () => {
+      const created = await assets.create(assetData());
+      const updated = await assets.update(idOf(created), {currentValue: 300});
+
+      assert.strictEqual(idOf(updated), idOf(created));
+      assert.strictEqual(updated.currentValue, 300);
+      assert.strictEqual(updated.name, created.name);
+    });
+
+    it("returns null when updating an unknown ID", async () => {
+      assert.strictEqual(await assets.update(MISSING_ID, {notes: "x"}),
+          null);
+    });
+
+    it("sets the image URL", async () => {
+      const created = await assets.create(assetData());
+      const url = `https://example.com/${uniqueToken("image")}.png`;
+      const updated = await assets.updateImage(idOf(created), url);
+
+      assert.strictEqual(updated.imageUrl, url);
+    });
+
+    it("adds maintenance records to the history", async () => {
+      const created = await assets.create(assetData());
+      const updated = await assets.addMaintenanceRecord(idOf(created), {
+        date: new Date().toISOString(),
+        description: "Service",
+        cost: 25,
+        performedBy: "Technician",
+      });
+
+      assert.strictEqual(updated.maintenanceHistory.length, 1);
+      assert.strictEqual(updated.maintenanceHistory[0].description,
+          "Service");
+    });
+
+    it("returns true when deleting and false once gone", async () => {
+      const created = await assets.create(assetData());
+
+      assert.strictEqual(await assets.delete(idOf(created)), true);
+      assert.strictEqual(await assets.findById(idOf(created)), null);
+      assert.strictEqual(await assets.delete(idOf(created)), false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Test data shared by the conformance specs. Backends other than memory
+ * are not cleared between runs, so every spec tags what it creates with a
+ * unique token and only looks at its own documents
+ */
+
+// An ID in a format every provider accepts that no document will have
+const MISSING_ID = "0123456789abcdef01234567";
+
+let counter = 0;
+
+/**
+ * Get a token no other test has used
+ * @param {string} [prefix] Prefix for the token
+ * @return {string} Unique token
+ */
+const uniqueToken = (prefix = "test") => {
+  counter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${counter}`;
+};
+
+/**
+ * Get the ID of a document, whichever of _id and id the provider sets
+ * @param {Object} doc Document
+ * @return {string} Document ID
+ */
+const idOf = (doc) => String(doc._id || doc.id);
+
+/**
+ * Build item data
+ * @param {Object} [overrides] Fields to set
+ * @return {Object} Item data
+ */
+const itemData = (overrides = {}) => ({
+  name: uniqueToken("item"),
+  sku: String(Math.floor(Math.random() * 1e9)).padStart(10, "0"),
+  category: uniqueToken("category"),
+  trackingType: "quantity",
+  itemType: "material",
+  price: 10,
+  cost: 4,
+  quantity: 0,
+  tags: [],
+  ...overrides,
+});
+
+/**
+ * Build sale data for one line of an item
+ * @param {Object} item Item sold
+ * @param {number} quantity Quantity sold
+ * @param {Object} [overrides] Fields to set
+ * @return {Object} Sale data
+ */
+const saleData = (item, quantity, overrides = {}) => ({
+  customerName: uniqueToken("customer"),
+  items: [{
+    item: idOf(item),
+    name: item.name,
+    quantity,
+    soldBy: "quantity",
+    priceAtSale: item.price,
+  }],
+  subtotal: item.price * quantity,
+  total: item.price * quantity,
+  ...overrides,
+});
+
+/**
+ * Build purchase data for one line of an item
+ * @param {Object} item Item purchased
+ * @param {number} quantity Quantity purchased
+ * @param {Object} [overrides] Fields to set
+ * @return {Object} Purchase data
+ */
+const purchaseData = (item, quantity, overrides = {}) => ({
+  supplier: {name: uniqueToken("supplier")},
+  items: [{
+    item: idOf(item),
+    name: item.name,
+    quantity,
+    purchasedBy: "quantity",
+    costPerUnit: item.cost,
+    totalCost: item.cost * quantity,
+  }],
+  subtotal: item.cost * quantity,
+  total: item.cost * quantity,
+  status: "pending",
+  ...overrides,
+});
+
+module.exports = {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+  purchaseData,
+};
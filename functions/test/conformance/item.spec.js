@@ -0,0 +1,184 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {MISSING_ID, uniqueToken, idOf, itemData} = require("./fixtures");
+
+describeProviders("Item repository", (context) => {
+  let items;
+
+  before(() => {
+    items = context.factory.getItemRepository();
+  });
+
+  describe("create and find", () => {
+    it("returns the created item with an ID", async () => {
+      const data = itemData();
+      const item = await items.create(data);
+
+      assert.ok(item._id || item.id, "created item has no ID");
+      assert.strictEqual(item.name, data.name);
+      assert.strictEqual(item.sku, data.sku);
+      assert.strictEqual(item.category, data.category);
+    });
+
+    it("finds an item by ID", async () => {
+      const created = await items.create(itemData());
+      const found = await items.findById(idOf(created));
+
+      assert.ok(found);
+      assert.strictEqual(idOf(found), idOf(created));
+      assert.strictEqual(found.name, created.name);
+    });
+
+    it("returns null for an unknown ID", async () => {
+      assert.strictEqual(await items.findById(MISSING_ID), null);
+    });
+
+    it("filters findAll by field equality", async () => {
+      const category = uniqueToken("category");
+      await items.create(itemData({category}));
+      await items.create(itemData({category}));
+      await items.create(itemData());
+
+      const found = await items.findAll({category});
+      assert.strictEqual(found.length, 2);
+      found.forEach((item) => assert.strictEqual(item.category, category));
+    });
+
+    it("filters findByQuery by field equality", async () => {
+      const created = await items.create(itemData());
+      const found = await items.findByQuery({category: created.category});
+
+      assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+    });
+  });
+
+  describe("update and delete", () => {
+    it("returns the updated item", async () => {
+      const created = await items.create(itemData());
+      const updated = await items.update(idOf(created), {price: 25});
+
+      assert.strictEqual(idOf(updated), idOf(created));
+      assert.strictEqual(updated.price, 25);
+      assert.strictEqual(updated.name, created.name);
+      assert.strictEqual((await items.findById(idOf(created))).price, 25);
+    });
+
+    it("returns null when updating an unknown ID", async () => {
+      assert.strictEqual(await items.update(MISSING_ID, {price: 1}), null);
+    });
+
+    it("sets the image URL", async () => {
+      const created = await items.create(itemData());
+      const url = `https://example.com/${uniqueToken("image")}.png`;
+      const updated = await items.updateImage(idOf(created), url);
+
+      assert.strictEqual(updated.imageUrl, url);
+    });
+
+    it("returns true when deleting and false once gone", async () => {
+      const created = await items.create(itemData());
+
+      assert.strictEqual(await items.delete(idOf(created)), true);
+      assert.strictEqual(await items.findById(idOf(created)), null);
+      assert.strictEqual(await items.delete(idOf(created)), false);
+    });
+  });
+
+  describe("lookups", () => {
+    it("generates a 10 digit SKU past the highest numeric SKU", async () => {
+      const created = await items.create(itemData());
+      const sku = await items.getNextSku();
+
+      assert.match(sku, /^\d{10}$/);
+      assert.ok(parseInt(sku, 10) > parseInt(created.sku, 10));
+    });
+
+    it("lists categories and tags in use", async () => {
+      const tag = uniqueToken("tag");
+      const created = await items.create(itemData({tags: [tag]}));
+
+      const categories = await items.getCategories();
+      const tags = await items.getTags();
+      assert.ok(Array.isArray(categories) && Array.isArray(tags));
+      assert.ok(categories.includes(created.category));
+      assert.ok(tags.includes(tag));
+    });
+
+    it("finds an item by a unit's serial number", async () => {
+      const serialNumber = uniqueToken("serial");
+      const created = await items.create(itemData({
+        trackSerials: true,
+        serials: [{serialNumber, status: "in_stock"}],
+      }));
+
+      const found = await items.findBySerial(serialNumber);
+      assert.ok(found);
+      assert.strictEqual(idOf(found), idOf(created));
+      assert.strictEqual(await items.findBySerial(uniqueToken("serial")),
+          null);
+    });
+  });
+
+  describe("relationships", () => {
+    it("reports the products an item is a component of", async () => {
+      const component = await items.create(itemData());
+      const product = await items.create(itemData({
+        itemType: "product",
+        components: [{item: idOf(component), quantity: 2}],
+      }));
+
+      const relationships = await items.getItemRelationships(idOf(component));
+      assert.strictEqual(relationships.isUsedInProducts, true);
+      const entry = relationships.products.find((p) =>
+        idOf(p) === idOf(product));
+      assert.ok(entry, "product missing from relationships");
+      assert.strictEqual(entry.quantity, 2);
+    });
+
+    it("rebuilds relationships and returns a summary", async () => {
+      const result = await items.rebuildRelationships();
+
+      assert.ok(result && typeof result === "object");
+    });
+
+    it("sets the products an item is used in", async () => {
+      const component = await items.create(itemData());
+      const product = await items.create(itemData({itemType: "product"}));
+
+      const updated = await items.updateRelationships(idOf(component),
+          [idOf(product)], "usedIn");
+      assert.deepStrictEqual((updated.usedInProducts || []).map(String),
+          [idOf(product)]);
+    });
+  });
+
+  describe("derived items", () => {
+    it("moves stock from the source into new derived items", async () => {
+      const source = await items.create(itemData({quantity: 10}));
+      const result = await items.createDerivedItems(idOf(source), [
+        {name: uniqueToken("cut"), sku: uniqueToken("sku"), quantity: 4},
+      ]);
+
+      assert.strictEqual(result.sourceItem.quantity, 6);
+      assert.strictEqual(result.derivedItems.length, 1);
+      assert.strictEqual(result.derivedItems[0].quantity, 4);
+
+      const derived = await items.getDerivedItems(idOf(source));
+      assert.deepStrictEqual(derived.map(idOf),
+          [idOf(result.derivedItems[0])]);
+
+      const parent = await items.getParentItem(idOf(derived[0]));
+      assert.strictEqual(idOf(parent), idOf(source));
+      assert.strictEqual(await items.getParentItem(idOf(source)), null);
+    });
+
+    it("refuses to allocate more than the source holds", async () => {
+      const source = await items.create(itemData({quantity: 3}));
+
+      await assert.rejects(items.createDerivedItems(idOf(source), [
+        {name: uniqueToken("cut"), sku: uniqueToken("sku"), quantity: 4},
+      ]));
+      assert.strictEqual((await items.findById(idOf(source))).quantity, 3);
+    });
+  });
+});
@@ -0,0 +1,452 @@
+const assert = require("assert");
+const {describeProviders, requireRepository} = require("./targets");
+const {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+} = require("./fixtures");
+
+describeProviders("Pricing rule repository", (context) => {
+  let items;
+  let rules;
+
+  before(function() {
+    requireRepository(context, "pricingRule", this);
+    items = context.factory.getItemRepository();
+    rules = context.factory.getPricingRuleRepository();
+  });
+
+  /**
+   * Build an item pricing rule
+   * @param {Object} item Item the rule applies to
+   * @param {Object} [overrides] Fields to set
+   * @return {Object} Pricing rule data
+   */
+  const itemRule = (item, overrides = {}) => ({
+    name: uniqueToken("rule"),
+    scope: "item",
+    item: idOf(item),
+    strategy: "markup",
+    percentage: 50,
+    ...overrides,
+  });
+
+  it("creates, finds, updates and deletes a rule", async () => {
+    const item = await items.create(itemData());
+    const created = await rules.create(itemRule(item));
+    assert.ok(created._id || created.id, "created rule has no ID");
+    assert.strictEqual(created.isActive, true);
+
+    const found = await rules.findById(idOf(created));
+    assert.strictEqual(idOf(found), idOf(created));
+
+    const updated = await rules.update(idOf(created), {percentage: 75});
+    assert.strictEqual(updated.percentage, 75);
+
+    assert.strictEqual(await rules.delete(idOf(created)), true);
+    assert.strictEqual(await rules.findById(idOf(created)), null);
+    assert.strictEqual(await rules.delete(idOf(created)), false);
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await rules.findById(MISSING_ID), null);
+    assert.strictEqual(await rules.update(MISSING_ID, {percentage: 1}), null);
+  });
+
+  it("only treats active rules as applicable", async () => {
+    const item = await items.create(itemData());
+    const active = await rules.create(itemRule(item));
+    const inactive = await rules.create(itemRule(item, {isActive: false}));
+
+    const activeIds = (await rules.findActiveRules()).map(idOf);
+    assert.ok(activeIds.includes(idOf(active)));
+    assert.ok(!activeIds.includes(idOf(inactive)));
+
+    const rule = await rules.findRuleForItem(item);
+    assert.strictEqual(idOf(rule), idOf(active));
+  });
+});
+
+describeProviders("Inventory movement repository", (context) => {
+  let items;
+  let movements;
+
+  before(function() {
+    requireRepository(context, "inventoryMovement", this);
+    items = context.factory.getItemRepository();
+    movements = context.factory.getInventoryMovementRepository();
+  });
+
+  it("records the change an update makes to stock", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+    const movement = await movements.recordChange(item, {quantity: 4},
+        "adjustment", {reason: "damaged"});
+
+    assert.ok(movement._id || movement.id, "created movement has no ID");
+    assert.strictEqual(String(movement.item), idOf(item));
+    assert.strictEqual(movement.type, "adjustment");
+    assert.strictEqual(movement.delta.quantity, -6);
+    assert.strictEqual(movement.balance.quantity, 4);
+  });
+
+  it("records nothing when stock doesn't change", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+
+    assert.strictEqual(await movements.recordChange(item, {price: 20},
+        "adjustment"), null);
+  });
+
+  it("finds an item's movements, optionally by type", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+    await movements.recordChange(item, {quantity: 12}, "adjustment");
+    await movements.recordChange({...item, quantity: 12}, {quantity: 9},
+        "count");
+
+    const all = await movements.findByItem(idOf(item));
+    assert.strictEqual(all.length, 2);
+
+    const counts = await movements.findByItem(idOf(item), {type: "count"});
+    assert.strictEqual(counts.length, 1);
+    assert.strictEqual(counts[0].delta.quantity, -3);
+
+    const filtered = await movements.findAll({item: idOf(item)});
+    assert.strictEqual(filtered.length, 2);
+  });
+});
+
+describeProviders("Stock count repository", (context) => {
+  let items;
+  let counts;
+
+  before(function() {
+    requireRepository(context, "stockCount", this);
+    items = context.factory.getItemRepository();
+    counts = context.factory.getStockCountRepository();
+  });
+
+  it("opens, finds and closes a count", async () => {
+    const item = await items.create(itemData({quantity: 5}));
+    const created = await counts.create({
+      name: uniqueToken("count"),
+      lines: [{item: idOf(item), name: item.name, systemValue: 5}],
+    });
+    assert.ok(created._id || created.id, "created count has no ID");
+    assert.strictEqual(created.status, "open");
+
+    const found = await counts.findById(idOf(created));
+    assert.strictEqual(idOf(found), idOf(created));
+    assert.ok((await counts.findOpen()).map(idOf).includes(idOf(created)));
+
+    const updated = await counts.update(idOf(created), {status: "posted"});
+    assert.strictEqual(updated.status, "posted");
+    assert.ok(!(await counts.findOpen()).map(idOf).includes(idOf(created)));
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await counts.findById(MISSING_ID), null);
+    assert.strictEqual(await counts.update(MISSING_ID, {status: "posted"}),
+        null);
+  });
+});
+
+describeProviders("Location repository", (context) => {
+  let locations;
+
+  before(function() {
+    requireRepository(context, "location", this);
+    locations = context.factory.getLocationRepository();
+  });
+
+  it("creates, finds, updates and deletes a location", async () => {
+    const created = await locations.create({name: uniqueToken("location")});
+    assert.ok(created._id || created.id, "created location has no ID");
+    assert.strictEqual(created.isActive, true);
+    assert.strictEqual(created.isDefault, false);
+
+    const found = await locations.findAll({name: created.name});
+    assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+
+    const updated = await locations.update(idOf(created), {type: "shop"});
+    assert.strictEqual(updated.type, "shop");
+
+    assert.strictEqual(await locations.delete(idOf(created)), true);
+    assert.strictEqual(await locations.findById(idOf(created)), null);
+    assert.strictEqual(await locations.delete(idOf(created)), false);
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await locations.findById(MISSING_ID), null);
+    assert.strictEqual(await locations.update(MISSING_ID, {type: "shop"}),
+        null);
+  });
+
+  it("keeps a single default location", async () => {
+    const first = await locations.create({
+      name: uniqueToken("location"),
+      isDefault: true,
+    });
+    assert.strictEqual(idOf(await locations.findDefault()), idOf(first));
+
+    const second = await locations.create({
+      name: uniqueToken("location"),
+      isDefault: true,
+    });
+    assert.strictEqual(idOf(await locations.findDefault()), idOf(second));
+    assert.strictEqual((await locations.findById(idOf(first))).isDefault,
+        false);
+  });
+});
+
+describeProviders("Production run repository", (context) => {
+  let items;
+  let runs;
+
+  before(function() {
+    requireRepository(context, "productionRun", this);
+    items = context.factory.getItemRepository();
+    runs = context.factory.getProductionRunRepository();
+  });
+
+  it("records a run and finds it by product or component", async () => {
+    const component = await items.create(itemData({quantity: 10}));
+    const product = await items.create(itemData({itemType: "product"}));
+    const created = await runs.create({
+      product: idOf(product),
+      quantity: 2,
+      components: [{item: idOf(component), name: component.name, amount: 4}],
+    });
+    assert.ok(created._id || created.id, "created run has no ID");
+
+    const found = await runs.findById(idOf(created));
+    assert.strictEqual(idOf(found), idOf(created));
+    assert.strictEqual(found.quantity, 2);
+
+    assert.deepStrictEqual((await runs.findByItem(idOf(product))).map(idOf),
+        [idOf(created)]);
+    assert.deepStrictEqual((await runs.findByItem(idOf(component)))
+        .map(idOf), [idOf(created)]);
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await runs.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("Breakdown repository", (context) => {
+  let items;
+  let breakdowns;
+
+  before(function() {
+    requireRepository(context, "breakdown", this);
+    items = context.factory.getItemRepository();
+    breakdowns = context.factory.getBreakdownRepository();
+  });
+
+  it("records a breakdown, finds it and marks it reversed", async () => {
+    const source = await items.create(itemData({quantity: 10}));
+    const derived = await items.create(itemData());
+    const created = await breakdowns.create({
+      sourceItem: idOf(source),
+      allocations: [{item: idOf(derived), name: derived.name, amount: 4}],
+      allocatedAmount: 4,
+    });
+    assert.ok(created._id || created.id, "created breakdown has no ID");
+    assert.strictEqual(created.status, "completed");
+
+    const found = await breakdowns.findBySourceItem(idOf(source));
+    assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+
+    const updated = await breakdowns.update(idOf(created),
+        {status: "reversed"});
+    assert.strictEqual(updated.status, "reversed");
+    assert.strictEqual((await breakdowns.findById(idOf(created))).status,
+        "reversed");
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await breakdowns.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("Sale return repository", (context) => {
+  let items;
+  let sales;
+  let saleReturns;
+
+  before(function() {
+    requireRepository(context, "saleReturn", this);
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+    saleReturns = context.factory.getSaleReturnRepository();
+  });
+
+  it("records a return and finds it by sale and by item", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+    const sale = await sales.create(saleData(item, 2));
+    const created = await saleReturns.create({
+      sale: idOf(sale),
+      items: [{line: 0, item: idOf(item), name: item.name, quantity: 1}],
+      reason: "wrong size",
+    });
+    assert.ok(created._id || created.id, "created return has no ID");
+    assert.strictEqual(created.restocked, true);
+
+    assert.deepStrictEqual((await saleReturns.findBySale(idOf(sale)))
+        .map(idOf), [idOf(created)]);
+    assert.deepStrictEqual((await saleReturns.findByItem(idOf(item)))
+        .map(idOf), [idOf(created)]);
+    assert.strictEqual(await saleReturns.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("Customer repository", (context) => {
+  let customers;
+
+  before(function() {
+    requireRepository(context, "customer", this);
+    customers = context.factory.getCustomerRepository();
+  });
+
+  it("creates, finds, searches, updates and deletes a customer", async () => {
+    const name = uniqueToken("Customer");
+    const created = await customers.create({
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+      phone: "(555) 010-2030",
+    });
+    assert.ok(created._id || created.id, "created customer has no ID");
+    assert.deepStrictEqual([...created.tags], []);
+
+    const found = await customers.findById(idOf(created));
+    assert.strictEqual(found.name, name);
+
+    const byName = await customers.search(name.toUpperCase());
+    assert.deepStrictEqual(byName.map(idOf), [idOf(created)]);
+    const byPhone = await customers.search("555-010-2030");
+    assert.ok(byPhone.map(idOf).includes(idOf(created)));
+
+    const updated = await customers.update(idOf(created), {notes: "VIP"});
+    assert.strictEqual(updated.notes, "VIP");
+
+    assert.strictEqual(await customers.delete(idOf(created)), true);
+    assert.strictEqual(await customers.findById(idOf(created)), null);
+    assert.strictEqual(await customers.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("Supplier repository", (context) => {
+  let suppliers;
+
+  before(function() {
+    requireRepository(context, "supplier", this);
+    suppliers = context.factory.getSupplierRepository();
+  });
+
+  it("creates, finds, updates and deletes a supplier", async () => {
+    const name = uniqueToken("Supplier");
+    const created = await suppliers.create({name, contactName: "Pat"});
+    assert.ok(created._id || created.id, "created supplier has no ID");
+    assert.strictEqual(created.isActive, true);
+
+    const found = await suppliers.findById(idOf(created));
+    assert.strictEqual(found.contactName, "Pat");
+    const byName = await suppliers.findByName(` ${name.toUpperCase()} `);
+    assert.strictEqual(idOf(byName), idOf(created));
+    assert.strictEqual(await suppliers.findByName(uniqueToken("none")), null);
+
+    const updated = await suppliers.update(idOf(created), {isActive: false});
+    assert.strictEqual(updated.isActive, false);
+
+    assert.strictEqual(await suppliers.delete(idOf(created)), true);
+    assert.strictEqual(await suppliers.findById(idOf(created)), null);
+    assert.strictEqual(await suppliers.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("User repository", (context) => {
+  let users;
+
+  before(function() {
+    requireRepository(context, "user", this);
+    users = context.factory.getUserRepository();
+  });
+
+  it("adds, finds, changes and removes a user", async () => {
+    const uid = uniqueToken("uid");
+    const created = await users.create({uid, email: "staff@example.com"});
+    assert.ok(created._id || created.id, "created user has no ID");
+    assert.strictEqual(created.role, "viewer");
+    assert.strictEqual(created.isActive, true);
+
+    assert.strictEqual(idOf(await users.findByUid(uid)), idOf(created));
+    assert.strictEqual(await users.findByUid(uniqueToken("uid")), null);
+
+    const updated = await users.update(idOf(created), {role: "clerk"});
+    assert.strictEqual(updated.role, "clerk");
+
+    assert.strictEqual(await users.delete(idOf(created)), true);
+    assert.strictEqual(await users.findById(idOf(created)), null);
+  });
+
+  it("returns null for an unknown ID", async () => {
+    assert.strictEqual(await users.findById(MISSING_ID), null);
+  });
+});
+
+describeProviders("Audit log repository", (context) => {
+  let audit;
+
+  before(function() {
+    requireRepository(context, "auditLog", this);
+    audit = context.factory.getAuditLogRepository();
+  });
+
+  it("records the fields an update changed", async () => {
+    const entityId = uniqueToken("sale");
+    const entry = await audit.recordChange({
+      action: "update",
+      entityType: "Sale",
+      before: {_id: entityId, total: 10, notes: "a", updatedAt: new Date(1)},
+      after: {_id: entityId, total: 12, notes: "a", updatedAt: new Date(2)},
+    }, {actor: "user-1", method: "PATCH", path: `/sales/${entityId}`});
+
+    assert.strictEqual(entry.entityId, entityId);
+    assert.strictEqual(entry.actor, "user-1");
+    assert.deepStrictEqual(entry.changes.map((change) => ({
+      field: change.field,
+      before: change.before,
+      after: change.after,
+    })), [{field: "total", before: 10, after: 12}]);
+  });
+
+  it("skips an update that changed nothing", async () => {
+    const doc = {_id: uniqueToken("item"), price: 5};
+    assert.strictEqual(await audit.recordChange({
+      action: "update",
+      entityType: "Item",
+      before: doc,
+      after: {...doc},
+    }), null);
+  });
+
+  it("finds entries by entity and actor, newest first", async () => {
+    const entityId = uniqueToken("purchase");
+    const actor = uniqueToken("user");
+    await audit.recordChange({action: "create", entityType: "Purchase",
+      after: {_id: entityId, total: 5}}, {actor});
+    // Entries are ordered by time, so keep the two apart
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await audit.recordChange({action: "delete", entityType: "Purchase",
+      before: {_id: entityId, total: 5}}, {actor});
+
+    const entries = await audit.search({entityType: "Purchase", entityId});
+    assert.deepStrictEqual(entries.map((entry) => entry.action),
+        ["delete", "create"]);
+    assert.strictEqual(entries[1].changes[0].after, 5);
+    assert.strictEqual((await audit.search({actor})).length, 2);
+    assert.strictEqual((await audit.search({entityId,
+      endDate: "2000-01-01"})).length, 0);
+  });
+});
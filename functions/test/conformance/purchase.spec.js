@@ -0,0 +1,261 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+  purchaseData,
+} = require("./fixtures");
+const {ConflictError, ValidationError} = require("../../utils/errors");
+const {recordPurchaseReceipt} = require("../../utils/receivingUtils");
+
+// A range around now wide enough to hold anything a test creates
+const START = new Date(Date.now() - 86400000).toISOString();
+const END = new Date(Date.now() + 86400000).toISOString();
+
+describeProviders("Purchase repository", (context) => {
+  let items;
+  let purchases;
+  let sales;
+  let transactions;
+
+  before(() => {
+    items = context.factory.getItemRepository();
+    purchases = context.factory.getPurchaseRepository();
+    sales = context.factory.getSalesRepository();
+    transactions = context.factory.getTransactionProvider();
+  });
+
+  describe("create and find", () => {
+    it("returns the created purchase with an ID", async () => {
+      const item = await items.create(itemData());
+      const data = purchaseData(item, 5);
+      const purchase = await purchases.create(data);
+
+      assert.ok(purchase._id || purchase.id, "created purchase has no ID");
+      assert.strictEqual(purchase.total, data.total);
+      assert.strictEqual(purchase.status, "pending");
+      assert.strictEqual(String(purchase.items[0].item), idOf(item));
+    });
+
+    it("finds a purchase by ID", async () => {
+      const item = await items.create(itemData());
+      const created = await purchases.create(purchaseData(item, 1));
+      const found = await purchases.findById(idOf(created));
+
+      assert.ok(found);
+      assert.strictEqual(idOf(found), idOf(created));
+      assert.strictEqual(found.supplier.name, created.supplier.name);
+    });
+
+    it("returns null for an unknown ID", async () => {
+      assert.strictEqual(await purchases.findById(MISSING_ID), null);
+    });
+
+    it("filters findAll by field equality", async () => {
+      const item = await items.create(itemData());
+      const invoiceNumber = uniqueToken("invoice");
+      await purchases.create(purchaseData(item, 1, {invoiceNumber}));
+      await purchases.create(purchaseData(item, 1));
+
+      const found = await purchases.findAll({invoiceNumber});
+      assert.strictEqual(found.length, 1);
+      assert.strictEqual(found[0].invoiceNumber, invoiceNumber);
+    });
+
+    it("finds the purchases containing an item", async () => {
+      const item = await items.create(itemData());
+      const created = await purchases.create(purchaseData(item, 1));
+
+      const found = await purchases.getAllByItemId(idOf(item));
+      assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+    });
+  });
+
+  describe("update and delete", () => {
+    it("returns the updated purchase", async () => {
+      const item = await items.create(itemData());
+      const created = await purchases.create(purchaseData(item, 1));
+      const updated = await purchases.update(idOf(created),
+          {notes: "updated"});
+
+      assert.strictEqual(idOf(updated), idOf(created));
+      assert.strictEqual(updated.notes, "updated");
+      assert.strictEqual(updated.total, created.total);
+    });
+
+    it("returns null when updating an unknown ID", async () => {
+      assert.strictEqual(await purchases.update(MISSING_ID, {notes: "x"}),
+          null);
+    });
+
+    it("returns true when deleting and false once gone", async () => {
+      const item = await items.create(itemData());
+      const created = await purchases.create(purchaseData(item, 1));
+
+      assert.strictEqual(await purchases.delete(idOf(created)), true);
+      assert.strictEqual(await purchases.findById(idOf(created)), null);
+      assert.strictEqual(await purchases.delete(idOf(created)), false);
+    });
+  });
+
+  describe("inventory", () => {
+    it("adds stock for a received purchase", async () => {
+      const item = await items.create(itemData({quantity: 2}));
+      await purchases.create(purchaseData(item, 5, {status: "received"}));
+
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+    });
+
+    it("leaves stock alone for a pending purchase", async () => {
+      const item = await items.create(itemData({quantity: 2}));
+      await purchases.create(purchaseData(item, 5));
+
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 2);
+    });
+
+    it("adds purchased stock and takes reverted stock out", async () => {
+      const item = await items.create(itemData({quantity: 2}));
+      const {items: lines} = purchaseData(item, 5);
+
+      await purchases.updateInventoryForPurchase(lines);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+      await purchases.revertInventoryForPurchase(lines);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 2);
+    });
+
+    it("follows a purchase through receiving and cancelling", async () => {
+      const item = await items.create(itemData({quantity: 2}));
+      const purchase = await purchases.create(purchaseData(item, 5));
+
+      await purchases.update(idOf(purchase), {status: "received"});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+      await purchases.update(idOf(purchase), {notes: "checked"});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+      await purchases.update(idOf(purchase), {status: "cancelled"});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 2);
+    });
+
+    it("rounds the cost it records the way a rebuild does", async () => {
+      const item = await items.create(itemData({quantity: 0}));
+      const data = purchaseData(item, 3, {status: "received"});
+      data.items[0].costPerUnit = 10 / 3;
+
+      await purchases.create(data);
+      assert.strictEqual((await items.findById(idOf(item))).cost, 3.3333);
+    });
+
+    it("takes stock back out when a received purchase is deleted",
+        async () => {
+          const item = await items.create(itemData({quantity: 2}));
+          const purchase = await purchases.create(
+              purchaseData(item, 5, {status: "received"}));
+
+          await purchases.delete(idOf(purchase));
+          assert.strictEqual((await items.findById(idOf(item))).quantity, 2);
+        });
+
+    it("won't delete a received purchase whose stock was sold", async () => {
+      const item = await items.create(itemData({quantity: 0}));
+      const purchase = await purchases.create(
+          purchaseData(item, 5, {status: "received"}));
+      await sales.create(saleData(item, 3));
+
+      await assert.rejects(purchases.delete(idOf(purchase)),
+          ValidationError);
+      assert.ok(await purchases.findById(idOf(purchase)));
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 2);
+    });
+
+    it("changes a received line by the difference after a sale",
+        async () => {
+          const item = await items.create(itemData({quantity: 0}));
+          const data = purchaseData(item, 5, {status: "received"});
+          const purchase = await purchases.create(data);
+          await sales.create(saleData(item, 3));
+
+          await purchases.update(idOf(purchase),
+              {items: [{...data.items[0], quantity: 6, totalCost: 24}]});
+          assert.strictEqual((await items.findById(idOf(item))).quantity, 3);
+        });
+  });
+
+  describe("receiving in a transaction", () => {
+    const receive = (purchase, quantity) =>
+      recordPurchaseReceipt({purchaseRepository: purchases}, idOf(purchase),
+          {items: [{line: 0, quantity}]});
+
+    it("receives the rest with other changes in a transaction",
+        async () => {
+          const item = await items.create(itemData({quantity: 2}));
+          const purchase = await purchases.create(purchaseData(item, 5));
+          await receive(purchase, 2);
+
+          const notes = uniqueToken("notes");
+          const rest = await transactions.withTransaction((transaction) =>
+            recordPurchaseReceipt({purchaseRepository: purchases},
+                idOf(purchase), {rest: true, changes: {notes}}, transaction));
+          assert.strictEqual(rest.purchase.status, "received");
+          assert.strictEqual(rest.receipt.items[0].quantity, 3);
+
+          const found = await purchases.findById(idOf(purchase));
+          assert.strictEqual(found.notes, notes);
+          assert.strictEqual(found.receipts.length, 2);
+          assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+        });
+
+    it("receives the rest only once when two receipts race", async () => {
+      const item = await items.create(itemData({quantity: 0}));
+      const purchase = await purchases.create(purchaseData(item, 5));
+      const receiveRest = () => transactions.withTransaction((transaction) =>
+        recordPurchaseReceipt({purchaseRepository: purchases},
+            idOf(purchase), {rest: true}, transaction));
+
+      const results = await Promise.allSettled([receiveRest(), receiveRest()]);
+      assert.deepStrictEqual(
+          results.map((result) => result.status).sort(),
+          ["fulfilled", "rejected"]);
+      assert.ok(results.find((result) => result.status === "rejected")
+          .reason instanceof ConflictError);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 5);
+    });
+  });
+
+  describe("reporting", () => {
+    it("reports totals for the matching purchases", async () => {
+      const item = await items.create(itemData());
+      const invoiceNumber = uniqueToken("invoice");
+      await purchases.create(purchaseData(item, 1, {invoiceNumber}));
+      await purchases.create(purchaseData(item, 4, {invoiceNumber}));
+
+      const report =
+        await purchases.getReport({invoiceNumber}, START, END);
+      assert.strictEqual(report.totalPurchases, 2);
+      assert.strictEqual(report.totalSpent, 20);
+      assert.strictEqual(report.averagePurchaseValue, 10);
+      assert.strictEqual(report.purchases.length, 2);
+    });
+
+    it("groups purchases by day for trends", async () => {
+      const item = await items.create(itemData());
+      const invoiceNumber = uniqueToken("invoice");
+      await purchases.create(purchaseData(item, 1, {invoiceNumber}));
+      await purchases.create(purchaseData(item, 4, {invoiceNumber}));
+
+      const {trends, summary} =
+        await purchases.getTrends({invoiceNumber}, START, END);
+      assert.strictEqual(trends.length, 1);
+      assert.match(trends[0].date, /^\d{4}-\d{2}-\d{2}$/);
+      assert.strictEqual(trends[0].purchases, 2);
+      assert.strictEqual(trends[0].spent, 20);
+      assert.strictEqual(summary.totalDays, 1);
+      assert.strictEqual(summary.averageDailyPurchases, 2);
+      assert.strictEqual(summary.averageDailySpend, 20);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+} = require("./fixtures");
+
+// A range around now wide enough to hold anything a test creates
+const START = new Date(Date.now() - 86400000).toISOString();
+const END = new Date(Date.now() + 86400000).toISOString();
+
+describeProviders("Sales repository", (context) => {
+  let items;
+  let sales;
+
+  before(() => {
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+  });
+
+  describe("create and find", () => {
+    it("returns the created sale with an ID", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const data = saleData(item, 2);
+      const sale = await sales.create(data);
+
+      assert.ok(sale._id || sale.id, "created sale has no ID");
+      assert.strictEqual(sale.total, data.total);
+      assert.strictEqual(sale.items.length, 1);
+      assert.strictEqual(String(sale.items[0].item), idOf(item));
+    });
+
+    it("finds a sale by ID", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const created = await sales.create(saleData(item, 1));
+      const found = await sales.findById(idOf(created));
+
+      assert.ok(found);
+      assert.strictEqual(idOf(found), idOf(created));
+      assert.strictEqual(found.customerName, created.customerName);
+    });
+
+    it("returns null for an unknown ID", async () => {
+      assert.strictEqual(await sales.findById(MISSING_ID), null);
+    });
+
+    it("filters findAll by field equality", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const customerName = uniqueToken("customer");
+      await sales.create(saleData(item, 1, {customerName}));
+      await sales.create(saleData(item, 1));
+
+      const found = await sales.findAll({customerName});
+      assert.strictEqual(found.length, 1);
+      assert.strictEqual(found[0].customerName, customerName);
+    });
+
+    it("finds the sales containing an item", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const created = await sales.create(saleData(item, 1));
+
+      const found = await sales.getAllByItemId(idOf(item));
+      assert.deepStrictEqual(found.map(idOf), [idOf(created)]);
+    });
+  });
+
+  describe("update and delete", () => {
+    it("returns the updated sale", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const created = await sales.create(saleData(item, 1));
+      const updated = await sales.update(idOf(created), {notes: "updated"});
+
+      assert.strictEqual(idOf(updated), idOf(created));
+      assert.strictEqual(updated.notes, "updated");
+      assert.strictEqual(updated.total, created.total);
+    });
+
+    it("returns null when updating an unknown ID", async () => {
+      assert.strictEqual(await sales.update(MISSING_ID, {notes: "x"}), null);
+    });
+
+    it("returns true when deleting and false once gone", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const created = await sales.create(saleData(item, 1));
+
+      assert.strictEqual(await sales.delete(idOf(created)), true);
+      assert.strictEqual(await sales.findById(idOf(created)), null);
+      assert.strictEqual(await sales.delete(idOf(created)), false);
+    });
+  });
+
+  describe("inventory", () => {
+    it("takes sold stock out and puts restored stock back", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const {items: lines} = saleData(item, 3);
+
+      await sales.updateInventoryForSale(lines);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+      await sales.restoreInventoryForSale(lines);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 10);
+    });
+
+    it("takes stock on create and restores it on delete", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const sale = await sales.create(saleData(item, 4));
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 6);
+
+      await sales.delete(idOf(sale));
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 10);
+    });
+
+    it("moves only the difference when a sale's lines change", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const sale = await sales.create(saleData(item, 2));
+
+      await sales.update(idOf(sale), {items: saleData(item, 5).items});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 5);
+
+      await sales.update(idOf(sale), {notes: "no stock change"});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 5);
+    });
+
+    it("leaves stock to returns when a sale is refunded", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const sale = await sales.create(saleData(item, 3));
+
+      await sales.update(idOf(sale), {status: "refunded"});
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+    });
+  });
+
+  describe("reporting", () => {
+    it("reports totals for the matching sales", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const customerName = uniqueToken("customer");
+      await sales.create(saleData(item, 1, {customerName}));
+      await sales.create(saleData(item, 2, {customerName}));
+
+      const report = await sales.getReport({customerName}, START, END);
+      assert.strictEqual(report.totalSales, 2);
+      assert.strictEqual(report.totalRevenue, 30);
+      assert.strictEqual(report.averageOrderValue, 15);
+      assert.strictEqual(report.totalRefunds, 0);
+      assert.strictEqual(report.netRevenue, 30);
+      assert.strictEqual(report.sales.length, 2);
+    });
+
+    it("groups sales by day for trends", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const customerName = uniqueToken("customer");
+      await sales.create(saleData(item, 1, {customerName}));
+      await sales.create(saleData(item, 2, {customerName}));
+
+      const {trends, summary} =
+        await sales.getTrends({customerName}, START, END);
+      assert.strictEqual(trends.length, 1);
+      assert.match(trends[0].date, /^\d{4}-\d{2}-\d{2}$/);
+      assert.strictEqual(trends[0].sales, 2);
+      assert.strictEqual(trends[0].revenue, 30);
+      assert.strictEqual(summary.totalDays, 1);
+      assert.strictEqual(summary.averageDailySales, 2);
+      assert.strictEqual(summary.averageDailyRevenue, 30);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Database providers the conformance suite runs against.
+ *
+ * CONFORMANCE_PROVIDERS lists them, comma separated, and defaults to the
+ * in-memory provider. The others only run against scratch backends named
+ * by their own variables, so a DB_URI left in .env is never touched:
+ *
+ * - mongodb: CONFORMANCE_MONGODB_URI, a replica set so transactions work
+ * - firestore: FIRESTORE_EMULATOR_HOST, e.g. localhost:8080
+ * - dynamodb: DYNAMODB_ENDPOINT, a DynamoDB Local endpoint
+ */
+
+// Variables each provider needs before the suite will run against it
+const REQUIRED_ENV = {
+  memory: [],
+  mongodb: ["CONFORMANCE_MONGODB_URI"],
+  firestore: ["FIRESTORE_EMULATOR_HOST"],
+  dynamodb: ["DYNAMODB_ENDPOINT"],
+};
+
+// Wired provider factories by provider name, created on first use
+const factories = new Map();
+
+/**
+ * Get the providers to run the suite against
+ * @return {Array<string>} Provider names
+ */
+const getTargetNames = () => {
+  return (process.env.CONFORMANCE_PROVIDERS || "memory")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+};
+
+/**
+ * Check every target can run and point its config at the scratch backend.
+ * Must run before providers/config.js is first required
+ * @param {Array<string>} names Provider names
+ */
+const prepareEnvironment = (names) => {
+  for (const name of names) {
+    if (!REQUIRED_ENV[name]) {
+      throw new Error(`Unknown conformance provider '${name}'`);
+    }
+
+    const missing = REQUIRED_ENV[name].filter((key) => !process.env[key]);
+    if (missing.length > 0) {
+      throw new Error(`Conformance provider '${name}'
+        needs ${missing.join(", ")}`);
+    }
+  }
+
+  if (names.includes("mongodb")) {
+    process.env.DB_URI = process.env.CONFORMANCE_MONGODB_URI;
+  }
+  if (names.includes("dynamodb")) {
+    process.env.DYNAMODB_LOCAL = "true";
+  }
+};
+
+/**
+ * Get a provider factory connected to a provider, with its repositories
+ * created and linked the same way the API does it
+ * @param {string} name Provider name
+ * @return {Promise<ProviderFactory>} Provider factory
+ */
+const getFactory = (name) => {
+  if (!factories.has(name)) {
+    // Loaded here rather than up top since they read config on load
+    const ProviderFactory = require("../../providers/providerFactory");
+    // Loading the provider registers it
+    require(`../../providers/database/${name}`);
+
+    const factory = new ProviderFactory();
+    factories.set(name, factory.initializeDatabaseProvider(name)
+        .then(() => {
+          factory.initializeRepositories();
+          return factory;
+        }));
+  }
+  return factories.get(name);
+};
+
+/**
+ * Disconnect every provider the suite connected to
+ * @return {Promise<void>}
+ */
+const shutdownTargets = async () => {
+  for (const factory of factories.values()) {
+    await (await factory).shutdown();
+  }
+  factories.clear();
+};
+
+/**
+ * Define a group of tests once per target provider. The tests get a
+ * context whose factory is connected before they run
+ * @param {string} title Title of the group
+ * @param {Function} defineTests Called with the context to define the tests
+ */
+const describeProviders = (title, defineTests) => {
+  for (const name of getTargetNames()) {
+    describe(`${title} (${name})`, () => {
+      const context = {name, factory: null};
+
+      before(async () => {
+        context.factory = await getFactory(name);
+      });
+
+      defineTests(context);
+    });
+  }
+};
+
+/**
+ * Skip a group of tests when the provider doesn't support a repository
+ * @param {Object} context Test context
+ * @param {string} repositoryType Repository type (e.g. 'location')
+ * @param {Object} suite Mocha context of the before hook
+ */
+const requireRepository = (context, repositoryType, suite) => {
+  const supported = context.factory.getDatabaseProvider()
+      .supportsRepository(repositoryType);
+  if (context.factory.hasRepository(repositoryType) !== supported) {
+    throw new Error(`The factory and provider disagree on whether
+      ${repositoryType} is supported`);
+  }
+  if (!supported) suite.skip();
+};
+
+module.exports = {
+  getTargetNames,
+  prepareEnvironment,
+  getFactory,
+  shutdownTargets,
+  describeProviders,
+  requireRepository,
+};
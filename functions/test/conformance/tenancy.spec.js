@@ -0,0 +1,143 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+  purchaseData,
+} = require("./fixtures");
+const {runWithBusiness} = require("../../utils/tenantContext");
+const {NotFoundError} = require("../../utils/errors");
+
+describeProviders("Business isolation", (context) => {
+  let items;
+  let ownBusiness;
+  let otherBusiness;
+
+  /**
+   * Run a repository call as the test's own business
+   * @param {Function} callback Repository call
+   * @return {Promise<*>} Result of the call
+   */
+  const asOwner = (callback) => runWithBusiness(ownBusiness, callback);
+
+  /**
+   * Run a repository call as another business
+   * @param {Function} callback Repository call
+   * @return {Promise<*>} Result of the call
+   */
+  const asOther = (callback) => runWithBusiness(otherBusiness, callback);
+
+  before(() => {
+    items = context.factory.getItemRepository();
+  });
+
+  beforeEach(() => {
+    ownBusiness = uniqueToken("business");
+    otherBusiness = uniqueToken("business");
+  });
+
+  /**
+   * Check that another business can't read, change or remove a document
+   * @param {Object} repository Repository holding the document
+   * @param {Object} doc Document created by the test's own business
+   * @param {Object} changes Update to attempt
+   */
+  const assertHidden = async (repository, doc, changes) => {
+    const id = idOf(doc);
+    assert.strictEqual(await asOther(() => repository.findById(id)), null);
+    assert.strictEqual(await asOther(() => repository.update(id, changes)),
+        null);
+    assert.strictEqual(await asOther(() => repository.delete(id)), false);
+    assert.ok(await asOwner(() => repository.findById(id)),
+        "the owner lost the document");
+  };
+
+  it("stamps the caller's business on new documents", async () => {
+    const item = await asOwner(() => items.create(itemData()));
+
+    assert.strictEqual(item.businessId, ownBusiness);
+  });
+
+  it("keeps items to their business", async () => {
+    const item = await asOwner(() => items.create(itemData()));
+
+    await assertHidden(items, item, {price: 1});
+    assert.strictEqual((await asOwner(() => items.findById(idOf(item))))
+        .price, item.price);
+  });
+
+  it("keeps sales, purchases and assets to their business", async () => {
+    const sales = context.factory.getSalesRepository();
+    const purchases = context.factory.getPurchaseRepository();
+    const assets = context.factory.getAssetRepository();
+    const item = await asOwner(() => items.create(itemData({quantity: 10})));
+
+    const sale = await asOwner(() => sales.create(saleData(item, 1)));
+    await assertHidden(sales, sale, {notes: "changed"});
+
+    const purchase = await asOwner(() =>
+      purchases.create(purchaseData(item, 1)));
+    await assertHidden(purchases, purchase, {notes: "changed"});
+
+    const asset = await asOwner(() => assets.create({
+      name: uniqueToken("asset"),
+      category: uniqueToken("category"),
+      tags: [],
+    }));
+    await assertHidden(assets, asset, {notes: "changed"});
+  });
+
+  it("won't sell or buy another business's items", async () => {
+    const sales = context.factory.getSalesRepository();
+    const purchases = context.factory.getPurchaseRepository();
+    const own = await asOwner(() => items.create(itemData({quantity: 10})));
+    const other = await asOther(() => items.create(itemData({quantity: 10})));
+
+    // A line for the other business's item fails the whole document
+    const sale = saleData(own, 1);
+    sale.items.push(saleData(other, 1).items[0]);
+    await assert.rejects(asOwner(() => sales.create(sale)), NotFoundError);
+    assert.deepStrictEqual(await asOwner(() =>
+      sales.findAll({customerName: sale.customerName})), []);
+
+    const purchase = purchaseData(other, 5, {status: "received"});
+    await assert.rejects(asOwner(() => purchases.create(purchase)),
+        NotFoundError);
+
+    assert.strictEqual((await asOwner(() => items.findById(idOf(own))))
+        .quantity, 10);
+    assert.strictEqual((await asOther(() => items.findById(idOf(other))))
+        .quantity, 10);
+  });
+
+  it("limits findAll to the caller's business", async () => {
+    const category = uniqueToken("category");
+    const own = await asOwner(() => items.create(itemData({category})));
+    const other = await asOther(() => items.create(itemData({category})));
+
+    assert.deepStrictEqual(
+        (await asOwner(() => items.findAll({category}))).map(idOf),
+        [idOf(own)]);
+    assert.deepStrictEqual(
+        (await asOther(() => items.findAll({category}))).map(idOf),
+        [idOf(other)]);
+  });
+
+  it("numbers SKUs per business", async () => {
+    await asOwner(() => items.create(itemData({sku: "0000000500"})));
+
+    assert.strictEqual(await asOwner(() => items.getNextSku()), "0000000501");
+    assert.strictEqual(await asOther(() => items.getNextSku()), "0000000001");
+  });
+
+  it("lets two businesses use the same SKU", async () => {
+    const sku = String(Math.floor(Math.random() * 1e9)).padStart(10, "0");
+    const own = await asOwner(() => items.create(itemData({sku})));
+    const other = await asOther(() => items.create(itemData({sku})));
+
+    assert.notStrictEqual(idOf(own), idOf(other));
+    assert.strictEqual(other.sku, sku);
+  });
+});
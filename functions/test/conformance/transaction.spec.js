@@ -0,0 +1,101 @@
+const assert = require("assert");
+const {describeProviders} = require("./targets");
+const {uniqueToken, idOf, itemData, saleData} = require("./fixtures");
+
+describeProviders("Transaction provider", (context) => {
+  let transactions;
+  let items;
+  let sales;
+
+  before(() => {
+    transactions = context.factory.getTransactionProvider();
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+  });
+
+  /**
+   * Record a sale inside a transaction. Creating it takes its stock too
+   * @param {Object} data Sale data
+   * @param {Object} transaction Transaction object
+   * @return {Promise<Object>} Created sale
+   */
+  const recordSale = (data, transaction) => sales.create(data, transaction);
+
+  describe("withTransaction", () => {
+    it("commits the writes and returns the callback's result", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const data = saleData(item, 3);
+
+      const sale = await transactions.withTransaction((transaction) =>
+        recordSale(data, transaction));
+
+      assert.ok(sale._id || sale.id, "transaction result has no ID");
+      assert.strictEqual(
+          (await sales.findAll({customerName: data.customerName})).length, 1);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+    });
+
+    it("moves the stock of every line on a sale of two items", async () => {
+      const first = await items.create(itemData({quantity: 10}));
+      const second = await items.create(itemData({quantity: 10}));
+      const data = saleData(first, 3);
+      data.items.push(saleData(second, 4).items[0]);
+
+      const sale = await transactions.withTransaction((transaction) =>
+        recordSale(data, transaction));
+      assert.strictEqual((await items.findById(idOf(first))).quantity, 7);
+      assert.strictEqual((await items.findById(idOf(second))).quantity, 6);
+
+      // Changing both lines puts the old amounts back and takes the new
+      const changed = [saleData(first, 1).items[0],
+        saleData(second, 2).items[0]];
+      await transactions.withTransaction((transaction) =>
+        sales.update(idOf(sale), {items: changed}, transaction));
+      assert.strictEqual((await items.findById(idOf(first))).quantity, 9);
+      assert.strictEqual((await items.findById(idOf(second))).quantity, 8);
+    });
+
+    it("rolls back every write when the callback throws", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const data = saleData(item, 3);
+      const failure = new Error(uniqueToken("failure"));
+
+      await assert.rejects(transactions.withTransaction(async (transaction) => {
+        await recordSale(data, transaction);
+        throw failure;
+      }), failure);
+
+      assert.strictEqual(
+          (await sales.findAll({customerName: data.customerName})).length, 0);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 10);
+    });
+  });
+
+  describe("explicit transactions", () => {
+    it("keeps the writes of a committed transaction", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const data = saleData(item, 2);
+
+      const transaction = await transactions.startTransaction();
+      await recordSale(data, transaction);
+      await transactions.commitTransaction(transaction);
+
+      assert.strictEqual(
+          (await sales.findAll({customerName: data.customerName})).length, 1);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 8);
+    });
+
+    it("discards the writes of a rolled back transaction", async () => {
+      const item = await items.create(itemData({quantity: 10}));
+      const data = saleData(item, 2);
+
+      const transaction = await transactions.startTransaction();
+      await recordSale(data, transaction);
+      await transactions.rollbackTransaction(transaction);
+
+      assert.strictEqual(
+          (await sales.findAll({customerName: data.customerName})).length, 0);
+      assert.strictEqual((await items.findById(idOf(item))).quantity, 10);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require("assert");
+const jwt = require("jsonwebtoken");
+const config = require("../../providers/config");
+const {authenticate} = require("../../middleware/auth");
+const {UnauthorizedError} = require("../../utils/errors");
+
+const SECRET = "test-secret";
+
+/**
+ * Run the middleware against a request with the given Authorization header
+ * @param {string} [authorization] Authorization header
+ * @return {Promise<Object>} The request and whatever was passed to next
+ */
+const run = (authorization) => new Promise((resolve) => {
+  const req = {headers: authorization ? {authorization} : {}};
+  authenticate(req, {}, (error) => resolve({req, error}));
+});
+
+describe("authenticate middleware", () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ["SKIP_AUTH", "AUTH_PROVIDER", "JWT_SECRET", "JWT_ISSUER"]
+        .forEach((key) => saved[key] = config[key]);
+    config.SKIP_AUTH = false;
+    config.AUTH_PROVIDER = "jwt";
+    config.JWT_SECRET = SECRET;
+    config.JWT_ISSUER = undefined;
+  });
+
+  afterEach(() => {
+    Object.assign(config, saved);
+  });
+
+  it("sets the user from a valid token", async () => {
+    const token = jwt.sign({sub: "user-1", email: "a@example.com",
+      businessId: "biz-1"}, SECRET);
+    const {req, error} = await run(`Bearer ${token}`);
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(req.user.id, "user-1");
+    assert.strictEqual(req.user.email, "a@example.com");
+    assert.strictEqual(req.user.businessId, "biz-1");
+  });
+
+  it("rejects a request without a bearer token", async () => {
+    const {req, error} = await run();
+
+    assert.ok(error instanceof UnauthorizedError);
+    assert.strictEqual(error.statusCode, 401);
+    assert.strictEqual(req.user, undefined);
+  });
+
+  it("rejects a token signed with another secret", async () => {
+    const token = jwt.sign({sub: "user-1"}, "another-secret");
+    const {error} = await run(`Bearer ${token}`);
+
+    assert.ok(error instanceof UnauthorizedError);
+    assert.strictEqual(error.message, "Invalid token");
+  });
+
+  it("rejects an expired token", async () => {
+    const token = jwt.sign({sub: "user-1"}, SECRET, {expiresIn: -10});
+    const {error} = await run(`Bearer ${token}`);
+
+    assert.ok(error instanceof UnauthorizedError);
+    assert.strictEqual(error.message, "Token expired");
+  });
+
+  it("rejects a token from another issuer", async () => {
+    config.JWT_ISSUER = "biz-tracker";
+    const token = jwt.sign({sub: "user-1"}, SECRET, {issuer: "elsewhere"});
+    const {error} = await run(`Bearer ${token}`);
+
+    assert.ok(error instanceof UnauthorizedError);
+  });
+
+  it("runs as the development user with SKIP_AUTH", async () => {
+    config.SKIP_AUTH = true;
+    const {req, error} = await run();
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(req.user.id, "dev-user");
+    assert.strictEqual(req.user.businessId, config.DEFAULT_BUSINESS_ID);
+  });
+});
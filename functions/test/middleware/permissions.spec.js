@@ -0,0 +1,52 @@
+const assert = require("assert");
+const {requirePermission} = require("../../middleware/permissions");
+const {hasPermission} = require("../../utils/permissions");
+const {ForbiddenError, UnauthorizedError} = require("../../utils/errors");
+
+/**
+ * Run requirePermission for a permission against a request user
+ * @param {string} permission Permission the route needs
+ * @param {Object} [user] Request user
+ * @return {*} Whatever was passed to next
+ */
+const run = (permission, user) => {
+  let passed;
+  requirePermission(permission)({user}, {}, (error) => passed = error);
+  return passed;
+};
+
+describe("requirePermission middleware", () => {
+  it("lets through a role that grants the permission", () => {
+    assert.strictEqual(run("sales:create", {id: "u", role: "clerk"}),
+        undefined);
+  });
+
+  it("names the missing permission", () => {
+    const error = run("sales:delete", {id: "u", role: "clerk"});
+
+    assert.ok(error instanceof ForbiddenError);
+    assert.strictEqual(error.statusCode, 403);
+    assert.strictEqual(error.message, "Missing permission: sales:delete");
+  });
+
+  it("rejects an unknown role", () => {
+    assert.ok(run("items:read", {id: "u", role: "admin"}) instanceof
+        ForbiddenError);
+  });
+
+  it("rejects a request without a user", () => {
+    assert.ok(run("items:read") instanceof UnauthorizedError);
+  });
+});
+
+describe("role permissions", () => {
+  it("gives each role everything the role below it has", () => {
+    assert.ok(hasPermission("viewer", "items:read"));
+    assert.ok(!hasPermission("viewer", "sales:create"));
+    assert.ok(hasPermission("clerk", "sales:create"));
+    assert.ok(!hasPermission("clerk", "items:delete"));
+    assert.ok(hasPermission("manager", "items:delete"));
+    assert.ok(!hasPermission("manager", "users:manage"));
+    assert.ok(hasPermission("owner", "users:manage"));
+  });
+});
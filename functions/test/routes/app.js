@@ -0,0 +1,121 @@
+/**
+ * Route-level test harness. Mounts routers behind the same middleware the
+ * API uses, on the in-memory provider, and sends real HTTP requests as
+ * users of whichever business and role a test picks
+ */
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const config = require("../../providers/config");
+const {initializeProviders} = require("../../providers");
+
+const SECRET = "route-test-secret";
+
+// Routers keep the repositories they get on load, so the providers are
+// set up once for every spec
+let providers = null;
+
+/**
+ * Set up the API's providers, once
+ * @return {Promise<ProviderFactory>} Provider factory
+ */
+const setupProviders = () => {
+  if (!providers) {
+    providers = initializeProviders();
+  }
+  return providers;
+};
+
+/**
+ * Start an API with the given routers
+ * @param {Object} routes Router module paths by mount path, e.g.
+ * {"/items": "../../routes/items"}
+ * @return {Promise<Object>} {request, stop}
+ */
+const startApp = async (routes) => {
+  await setupProviders();
+
+  // Loaded here since they need the providers
+  const {
+    errorHandler,
+    authenticate,
+    setBusinessId,
+    loadRole,
+  } = require("../../middleware");
+
+  const saved = {};
+  ["SKIP_AUTH", "AUTH_PROVIDER", "JWT_SECRET", "JWT_ISSUER", "JWT_AUDIENCE"]
+      .forEach((key) => saved[key] = config[key]);
+  Object.assign(config, {
+    SKIP_AUTH: false,
+    AUTH_PROVIDER: "jwt",
+    JWT_SECRET: SECRET,
+    JWT_ISSUER: undefined,
+    JWT_AUDIENCE: undefined,
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use(setBusinessId);
+  app.use(loadRole);
+  Object.entries(routes).forEach(([path, modulePath]) => {
+    app.use(path, require(modulePath));
+  });
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request as a user
+   * @param {string} method HTTP method
+   * @param {string} path Request path
+   * @param {Object} [options] Request options
+   * @param {string} options.businessId Business the user belongs to
+   * @param {string} [options.role="owner"] User's role
+   * @param {Object} [options.body] JSON body
+   * @param {Object} [options.form] Multipart form fields
+   * @return {Promise<Object>} {status, body}
+   */
+  const request = async (method, path, options = {}) => {
+    const {businessId, role = "owner", body, form} = options;
+    const token = jwt.sign({sub: `${role}-${businessId}`, businessId, role},
+        SECRET);
+    const headers = {authorization: `Bearer ${token}`};
+
+    let payload;
+    if (form) {
+      payload = new FormData();
+      Object.entries(form).forEach(([key, value]) =>
+        payload.append(key, String(value)));
+    } else if (body !== undefined) {
+      headers["content-type"] = "application/json";
+      payload = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`,
+        {method, headers, body: payload});
+    const text = await response.text();
+    return {
+      status: response.status,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  /**
+   * Stop the API and restore the auth config
+   * @return {Promise<void>}
+   */
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    Object.assign(config, saved);
+  };
+
+  return {request, stop};
+};
+
+module.exports = {
+  startApp,
+};
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {getProviderFactory} = require("../../providers");
+const {uniqueToken, idOf, itemData} = require("../conformance/fixtures");
+
+describe("audited stock routes", () => {
+  let api;
+  let businessId;
+
+  before(async () => {
+    api = await startApp({
+      "/items": "../../routes/items",
+      "/inventory": "../../routes/inventory",
+    });
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    businessId = uniqueToken("business");
+  });
+
+  /**
+   * Create an item through the API
+   * @param {Object} [overrides] Item fields
+   * @return {Promise<string>} Item ID
+   */
+  const createItem = async (overrides) => {
+    const created = await api.request("POST", "/items",
+        {businessId, body: itemData(overrides)});
+    return idOf(created.body);
+  };
+
+  /**
+   * Get the fields each update of an item changed, oldest first
+   * @param {string} itemId Item ID
+   * @return {Promise<Array<Object>>} Changes by field, per update
+   */
+  const getUpdates = async (itemId) => {
+    const entries = await getProviderFactory().getAuditLogRepository()
+        .search({entityType: "Item", entityId: itemId});
+    return entries.filter((entry) => entry.action === "update").reverse()
+        .map((entry) => {
+          const fields = {};
+          entry.changes.forEach((change) =>
+            fields[change.field] = [change.before, change.after]);
+          return fields;
+        });
+  };
+
+  it("records a manual adjustment", async () => {
+    const itemId = await createItem({quantity: 2});
+
+    const adjusted = await api.request("POST", "/inventory/adjustments", {
+      businessId,
+      body: {itemId, reason: "found", delta: 3},
+    });
+    assert.strictEqual(adjusted.status, 201);
+
+    const updates = await getUpdates(itemId);
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].quantity, [2, 5]);
+  });
+
+  it("records what a rebuild changed", async () => {
+    const itemId = await createItem({quantity: 4});
+
+    const rebuilt = await api.request("POST",
+        `/items/utility/rebuild-inventory/${itemId}`, {businessId});
+    assert.strictEqual(rebuilt.status, 200);
+
+    const updates = await getUpdates(itemId);
+    assert.strictEqual(updates.length, 1);
+    assert.deepStrictEqual(updates[0].quantity, [4, 0]);
+  });
+
+  it("leaves items a rebuild didn't change out of the log", async () => {
+    const itemId = await createItem({quantity: 0});
+
+    await api.request("POST", `/items/utility/rebuild-inventory/${itemId}`,
+        {businessId});
+    assert.deepStrictEqual(await getUpdates(itemId), []);
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {uniqueToken, idOf} = require("../conformance/fixtures");
+
+describe("customer routes", () => {
+  let api;
+  let businessId;
+
+  before(async () => {
+    api = await startApp({"/customers": "../../routes/customers"});
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    businessId = uniqueToken("business");
+  });
+
+  it("lets clerks but not viewers add customers", async () => {
+    const body = {name: uniqueToken("customer")};
+
+    const refused = await api.request("POST", "/customers",
+        {businessId, role: "viewer", body});
+    assert.strictEqual(refused.status, 403);
+
+    const created = await api.request("POST", "/customers",
+        {businessId, role: "clerk", body});
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.name, body.name);
+  });
+
+  it("needs a name to add a customer", async () => {
+    const created = await api.request("POST", "/customers",
+        {businessId, body: {email: "someone@example.com"}});
+    assert.strictEqual(created.status, 400);
+    assert.strictEqual(created.body.message, "name is required");
+  });
+
+  it("only lets managers merge customers", async () => {
+    const [into, duplicate] = await Promise.all([1, 2].map(async () => {
+      const created = await api.request("POST", "/customers",
+          {businessId, body: {name: uniqueToken("customer")}});
+      return idOf(created.body);
+    }));
+    const body = {duplicates: [duplicate]};
+
+    const refused = await api.request("POST", `/customers/${into}/merge`,
+        {businessId, role: "clerk", body});
+    assert.strictEqual(refused.status, 403);
+
+    const merged = await api.request("POST", `/customers/${into}/merge`,
+        {businessId, role: "manager", body});
+    assert.strictEqual(merged.status, 200);
+
+    const found = await api.request("GET", `/customers/${duplicate}`,
+        {businessId});
+    assert.strictEqual(found.status, 404);
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {
+  MISSING_ID,
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+  purchaseData,
+} = require("../conformance/fixtures");
+
+describe("purchase routes", () => {
+  let api;
+  let businessId;
+
+  before(async () => {
+    api = await startApp({
+      "/items": "../../routes/items",
+      "/sales": "../../routes/sales",
+      "/purchases": "../../routes/purchases",
+    });
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    businessId = uniqueToken("business");
+  });
+
+  /**
+   * Create an item and a purchase of it through the API
+   * @param {number} quantity Quantity purchased
+   * @param {Object} [overrides] Purchase fields
+   * @return {Promise<Object>} {item, purchase}
+   */
+  const buy = async (quantity, overrides) => {
+    const item = (await api.request("POST", "/items",
+        {businessId, body: itemData()})).body;
+    const created = await api.request("POST", "/purchases", {
+      businessId,
+      role: "clerk",
+      body: purchaseData(item, quantity, overrides),
+    });
+    assert.strictEqual(created.status, 201);
+    return {item, purchase: created.body};
+  };
+
+  /**
+   * Get an item's quantity through the API
+   * @param {Object} item Item
+   * @return {Promise<number>} Quantity in stock
+   */
+  const quantityOf = async (item) => (await api.request("GET",
+      `/items/${idOf(item)}`, {businessId})).body.quantity;
+
+  it("receives part of a purchase", async () => {
+    const {item, purchase} = await buy(5);
+
+    const received = await api.request("POST",
+        `/purchases/${idOf(purchase)}/receipts`, {
+          businessId,
+          role: "clerk",
+          body: {items: [{line: 0, quantity: 2}]},
+        });
+    assert.strictEqual(received.status, 201);
+    assert.strictEqual(received.body.purchase.status, "partially_received");
+    assert.strictEqual(await quantityOf(item), 2);
+  });
+
+  it("won't let viewers receive a purchase", async () => {
+    const {purchase} = await buy(5);
+
+    const received = await api.request("POST",
+        `/purchases/${idOf(purchase)}/receipts`, {
+          businessId,
+          role: "viewer",
+          body: {items: [{line: 0, quantity: 2}]},
+        });
+    assert.strictEqual(received.status, 403);
+  });
+
+  it("checks what a receipt receives", async () => {
+    const {item, purchase} = await buy(5);
+    const path = `/purchases/${idOf(purchase)}/receipts`;
+
+    const empty = await api.request("POST", path, {businessId, body: {}});
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual(empty.body.message, "items is required");
+
+    const tooMany = await api.request("POST", path,
+        {businessId, body: {items: [{line: 0, quantity: 6}]}});
+    assert.strictEqual(tooMany.status, 400);
+    assert.strictEqual(await quantityOf(item), 0);
+
+    const missing = await api.request("POST",
+        `/purchases/${MISSING_ID}/receipts`,
+        {businessId, body: {items: [{line: 0, quantity: 1}]}});
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it("receives the rest when marked received", async () => {
+    const {item, purchase} = await buy(5);
+    const id = idOf(purchase);
+    await api.request("POST", `/purchases/${id}/receipts`,
+        {businessId, body: {items: [{line: 0, quantity: 2}]}});
+
+    const updated = await api.request("PATCH", `/purchases/${id}`,
+        {businessId, role: "clerk", body: {status: "received"}});
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.status, "received");
+    assert.strictEqual(await quantityOf(item), 5);
+  });
+
+  it("won't delete a received purchase whose stock was sold", async () => {
+    const {item, purchase} = await buy(5, {status: "received"});
+    await api.request("POST", "/sales",
+        {businessId, body: saleData(item, 3)});
+
+    const refused = await api.request("DELETE",
+        `/purchases/${idOf(purchase)}`, {businessId, role: "clerk"});
+    assert.strictEqual(refused.status, 403);
+
+    const deleted = await api.request("DELETE",
+        `/purchases/${idOf(purchase)}`, {businessId, role: "manager"});
+    assert.strictEqual(deleted.status, 400);
+    assert.strictEqual(await quantityOf(item), 2);
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {uniqueToken, idOf, itemData, saleData} =
+  require("../conformance/fixtures");
+
+describe("sale routes", () => {
+  let api;
+  let businessId;
+
+  before(async () => {
+    api = await startApp({
+      "/items": "../../routes/items",
+      "/sales": "../../routes/sales",
+    });
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    businessId = uniqueToken("business");
+  });
+
+  /**
+   * Create an item and sell some of it through the API
+   * @param {number} quantity Quantity sold
+   * @return {Promise<Object>} {item, sale}
+   */
+  const sell = async (quantity) => {
+    const item = (await api.request("POST", "/items",
+        {businessId, body: itemData({quantity: 10})})).body;
+    const sold = await api.request("POST", "/sales",
+        {businessId, role: "clerk", body: saleData(item, quantity)});
+    assert.strictEqual(sold.status, 201);
+    return {item, sale: sold.body};
+  };
+
+  it("needs the items, subtotal and total to make a sale", async () => {
+    const created = await api.request("POST", "/sales",
+        {businessId, role: "clerk", body: {items: []}});
+    assert.strictEqual(created.status, 400);
+  });
+
+  it("only lets managers refund a sale", async () => {
+    const {sale} = await sell(2);
+    const body = {items: [{line: 0, quantity: 1}], reason: "damaged"};
+
+    const refused = await api.request("POST",
+        `/sales/${idOf(sale)}/returns`, {businessId, role: "clerk", body});
+    assert.strictEqual(refused.status, 403);
+
+    const returned = await api.request("POST",
+        `/sales/${idOf(sale)}/returns`, {businessId, role: "manager", body});
+    assert.strictEqual(returned.status, 201);
+    assert.strictEqual(returned.body.sale.status, "partially_refunded");
+  });
+
+  it("needs a reason to return a sale", async () => {
+    const {sale} = await sell(2);
+
+    const returned = await api.request("POST",
+        `/sales/${idOf(sale)}/returns`,
+        {businessId, body: {items: [{line: 0, quantity: 1}]}});
+    assert.strictEqual(returned.status, 400);
+    assert.strictEqual(returned.body.message, "reason is required");
+  });
+
+  it("won't take back more than was sold", async () => {
+    const {item, sale} = await sell(2);
+
+    const returned = await api.request("POST",
+        `/sales/${idOf(sale)}/returns`, {
+          businessId,
+          body: {items: [{line: 0, quantity: 3}], reason: "damaged"},
+        });
+    assert.strictEqual(returned.status, 400);
+
+    const found = await api.request("GET", `/items/${idOf(item)}`,
+        {businessId});
+    assert.strictEqual(found.body.quantity, 8);
+  });
+});
@@ -0,0 +1,46 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {uniqueToken} = require("../conformance/fixtures");
+
+describe("supplier routes", () => {
+  let api;
+  let businessId;
+
+  before(async () => {
+    api = await startApp({"/suppliers": "../../routes/suppliers"});
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    businessId = uniqueToken("business");
+  });
+
+  it("only lets managers add suppliers", async () => {
+    const body = {name: uniqueToken("supplier")};
+
+    const refused = await api.request("POST", "/suppliers",
+        {businessId, role: "clerk", body});
+    assert.strictEqual(refused.status, 403);
+
+    const created = await api.request("POST", "/suppliers",
+        {businessId, role: "manager", body});
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.name, body.name);
+  });
+
+  it("needs a name to add a supplier", async () => {
+    const created = await api.request("POST", "/suppliers",
+        {businessId, body: {email: "orders@example.com"}});
+    assert.strictEqual(created.status, 400);
+    assert.strictEqual(created.body.message, "name is required");
+  });
+
+  it("won't add two suppliers with the same name", async () => {
+    const body = {name: uniqueToken("supplier")};
+    await api.request("POST", "/suppliers", {businessId, body});
+
+    const again = await api.request("POST", "/suppliers", {businessId, body});
+    assert.strictEqual(again.status, 409);
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const {startApp} = require("./app");
+const {uniqueToken, idOf, itemData} = require("../conformance/fixtures");
+
+describe("multipart item and asset routes", () => {
+  let api;
+  let ownBusiness;
+  let otherBusiness;
+
+  before(async () => {
+    api = await startApp({
+      "/items": "../../routes/items",
+      "/assets": "../../routes/assets",
+    });
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    ownBusiness = uniqueToken("business");
+    otherBusiness = uniqueToken("business");
+  });
+
+  it("creates an item in the caller's business", async () => {
+    const created = await api.request("POST", "/items", {
+      businessId: ownBusiness,
+      form: itemData(),
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.businessId, ownBusiness);
+
+    const id = idOf(created.body);
+    const own = await api.request("GET", `/items/${id}`,
+        {businessId: ownBusiness});
+    assert.strictEqual(own.status, 200);
+    const other = await api.request("GET", `/items/${id}`,
+        {businessId: otherBusiness});
+    assert.strictEqual(other.status, 404);
+  });
+
+  it("won't change another business's item", async () => {
+    const created = await api.request("POST", "/items", {
+      businessId: ownBusiness,
+      body: itemData(),
+    });
+    const id = idOf(created.body);
+
+    const patched = await api.request("PATCH", `/items/${id}`, {
+      businessId: otherBusiness,
+      form: {name: "Hacked"},
+    });
+    assert.strictEqual(patched.status, 404);
+
+    const own = await api.request("GET", `/items/${id}`,
+        {businessId: ownBusiness});
+    assert.strictEqual(own.body.name, created.body.name);
+  });
+
+  it("won't change another business's asset", async () => {
+    const created = await api.request("POST", "/assets", {
+      businessId: ownBusiness,
+      form: {name: uniqueToken("asset"), category: "tools", status: "active"},
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.businessId, ownBusiness);
+    const id = idOf(created.body);
+
+    const patched = await api.request("PATCH", `/assets/${id}`, {
+      businessId: otherBusiness,
+      form: {name: "Hacked"},
+    });
+    assert.strictEqual(patched.status, 404);
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Test setup, loaded by mocha before any spec (see .mocharc.js).
+ * Provider config is read from the environment when it's first required,
+ * so everything it needs has to be in place before a spec loads it
+ */
+const os = require("os");
+const path = require("path");
+const {
+  getTargetNames,
+  prepareEnvironment,
+  shutdownTargets,
+} = require("./conformance/targets");
+const {runWithoutBusiness} = require("../utils/tenantContext");
+
+// Specs pick their own database providers; these only satisfy the
+// variables config.js insists on
+process.env.DB_PROVIDER = "memory";
+process.env.STORAGE_PROVIDER = "local";
+process.env.LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR ||
+  path.join(os.tmpdir(), "biz-tracker-test-uploads");
+
+prepareEnvironment(getTargetNames());
+
+// Providers log every connection and query; keep the test output readable
+if (process.env.TEST_VERBOSE !== "true") {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+}
+
+exports.mochaHooks = {
+  // Specs use repositories directly, as trusted jobs do, so they run
+  // across every business unless they pick one with runWithBusiness
+  beforeAll(done) {
+    runWithoutBusiness(done);
+  },
+  afterAll: shutdownTargets,
+};
@@ -0,0 +1,113 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {
+  uniqueToken,
+  idOf,
+  itemData,
+  purchaseData,
+} = require("../conformance/fixtures");
+const {
+  breakdownItem,
+  reverseBreakdown,
+} = require("../../utils/breakdownUtils");
+const {rebuildItemInventory} = require("../../utils/inventoryUtils");
+
+describeProviders("Breakdowns", (context) => {
+  let items;
+  let breakdowns;
+
+  before(function() {
+    requireRepository(context, "breakdown", this);
+    items = context.factory.getItemRepository();
+    breakdowns = context.factory.getBreakdownRepository();
+  });
+
+  it("needs a name, SKU and amount for each derived item", async () => {
+    const source = await items.create(itemData({quantity: 10}));
+    const breakDown = (derivedItems) => breakdownItem(
+        {itemRepository: items, breakdownRepository: breakdowns},
+        {sourceItemId: idOf(source), derivedItems});
+
+    await assert.rejects(breakDown([]), {name: "ValidationError"});
+    await assert.rejects(breakDown([{name: uniqueToken("derived"),
+      quantity: 2}]), {name: "ValidationError"});
+    await assert.rejects(breakDown([{name: uniqueToken("derived"),
+      sku: uniqueToken("sku")}]), {name: "ValidationError"});
+    assert.strictEqual((await items.findById(idOf(source))).quantity, 10);
+  });
+
+  it("replays breakdowns that still stand when rebuilding", async () => {
+    const providers = {
+      itemRepository: items,
+      breakdownRepository: breakdowns,
+      purchaseRepository: context.factory.getPurchaseRepository(),
+      salesRepository: context.factory.getSalesRepository(),
+    };
+    const source = await items.create(itemData({quantity: 0}));
+    await providers.purchaseRepository.create(
+        purchaseData(source, 100, {status: "received"}));
+
+    const result = await breakdownItem(providers, {
+      sourceItemId: idOf(source),
+      derivedItems: [{
+        name: uniqueToken("derived"),
+        sku: uniqueToken("sku"),
+        quantity: 40,
+      }],
+      waste: 10,
+    });
+    const derivedId = idOf(result.derivedItems[0]);
+
+    await items.update(idOf(source), {quantity: 0});
+    await items.update(derivedId, {quantity: 0});
+    const rebuilt = await rebuildItemInventory(idOf(source), providers);
+    assert.strictEqual(rebuilt.changes.quantity.brokenDownQuantity, 50);
+    assert.strictEqual((await items.findById(idOf(source))).quantity, 50);
+    await rebuildItemInventory(derivedId, providers);
+    assert.strictEqual((await items.findById(derivedId)).quantity, 40);
+
+    await reverseBreakdown(providers, idOf(result.breakdown));
+    await rebuildItemInventory(idOf(source), providers);
+    await rebuildItemInventory(derivedId, providers);
+    assert.strictEqual((await items.findById(idOf(source))).quantity, 100);
+    assert.strictEqual((await items.findById(derivedId)).quantity, 0);
+  });
+
+  it("reverses into each item's own unit at the breakdown's location",
+      async function() {
+        if (!context.factory.hasRepository("location")) this.skip();
+        const providers = {
+          itemRepository: items,
+          breakdownRepository: breakdowns,
+          locationRepository: context.factory.getLocationRepository(),
+        };
+        const location = await providers.locationRepository.create(
+            {name: uniqueToken("location")});
+        const source = await items.create(itemData({trackingType: "weight",
+          weight: 10, weightUnit: "kg", stockByLocation: [
+            {location: idOf(location), weight: 10}]}));
+        const derived = await items.create(itemData({trackingType: "weight",
+          weight: 0, weightUnit: "g"}));
+
+        const result = await breakdownItem(providers, {
+          sourceItemId: idOf(source),
+          derivedItems: [{itemId: idOf(derived), weight: 2}],
+          location: idOf(location),
+        });
+        assert.strictEqual(String(result.breakdown.location), idOf(location));
+        let held = await items.findById(idOf(derived));
+        assert.strictEqual(held.weight, 2000);
+        assert.strictEqual(held.stockByLocation[0].weight, 2000);
+
+        await reverseBreakdown(providers, idOf(result.breakdown));
+        held = await items.findById(idOf(derived));
+        assert.strictEqual(held.weight, 0);
+        assert.strictEqual(held.stockByLocation[0].weight, 0);
+        const restored = await items.findById(idOf(source));
+        assert.strictEqual(restored.weight, 10);
+        assert.strictEqual(restored.stockByLocation[0].weight, 10);
+      });
+});
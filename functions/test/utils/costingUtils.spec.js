@@ -0,0 +1,98 @@
+const assert = require("assert");
+const {describeProviders} = require("../conformance/targets");
+const {
+  idOf,
+  itemData,
+  saleData,
+  purchaseData,
+} = require("../conformance/fixtures");
+const {
+  calculateCostLayers,
+  issueCost,
+  receiveCost,
+} = require("../../utils/costingUtils");
+
+describe("cost layers", () => {
+  it("keeps what's left of a layer free of float noise", () => {
+    const costing = calculateCostLayers("fifo",
+        [{date: "2026-01-01", amount: 0.3, costPerUnit: 2}],
+        [{date: "2026-01-02", amount: 0.1}]);
+
+    assert.strictEqual(costing.layers[0].remaining, 0.2);
+    assert.strictEqual(costing.remainingQuantity, 0.2);
+  });
+
+  it("costs stock from before layers were kept at the item's cost", () => {
+    const item = {quantity: 4, cost: 1, costingMethod: "fifo"};
+    const received = receiveCost(item,
+        [{date: "2026-01-01", amount: 4, costPerUnit: 3}]);
+    assert.strictEqual(received.cost, 2);
+
+    const issued = issueCost({...item, ...received, quantity: 8}, 6);
+    assert.strictEqual(issued.issuedCost, 10);
+    assert.strictEqual(issued.costOfGoodsSold, 10);
+    assert.strictEqual(issued.cost, 3);
+  });
+});
+
+describeProviders("Incremental costing", (context) => {
+  let items;
+  let sales;
+  let purchases;
+
+  before(() => {
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+    purchases = context.factory.getPurchaseRepository();
+  });
+
+  /**
+   * Receive a purchase of an item at a unit cost
+   * @param {Object} item Item bought
+   * @param {number} quantity Quantity bought
+   * @param {number} cost Cost per unit
+   * @return {Promise<Object>} Purchase
+   */
+  const buy = (item, quantity, cost) =>
+    purchases.create(purchaseData({...item, cost}, quantity,
+        {status: "received"}));
+
+  it("costs receipts, sales and returns by the item's method", async () => {
+    const item = await items.create(itemData({costingMethod: "fifo"}));
+    const id = idOf(item);
+
+    await buy(item, 10, 2);
+    await buy(item, 10, 4);
+    let found = await items.findById(id);
+    assert.strictEqual(found.cost, 3);
+    assert.strictEqual(found.costLayers.length, 2);
+
+    const sale = await sales.create(saleData(item, 15));
+    found = await items.findById(id);
+    assert.strictEqual(found.costOfGoodsSold, 40);
+    assert.strictEqual(found.cost, 4);
+    assert.deepStrictEqual(found.costLayers.map((layer) =>
+      [layer.remaining, layer.costPerUnit]), [[5, 4]]);
+
+    // What comes back goes in at what it cost when it went out
+    await sales.delete(idOf(sale));
+    found = await items.findById(id);
+    assert.strictEqual(found.quantity, 20);
+    assert.strictEqual(found.costOfGoodsSold, 0);
+    assert.strictEqual(found.cost, 3);
+  });
+
+  it("averages receipts for weighted average items", async () => {
+    const item = await items.create(
+        itemData({costingMethod: "weighted_average"}));
+
+    await buy(item, 10, 2);
+    await buy(item, 30, 4);
+    await sales.create(saleData(item, 20));
+
+    const found = await items.findById(idOf(item));
+    assert.strictEqual(found.cost, 3.5);
+    assert.strictEqual(found.costOfGoodsSold, 70);
+    assert.strictEqual(found.costLayers[0].remaining, 20);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {
+  uniqueToken,
+  idOf,
+  itemData,
+  saleData,
+} = require("../conformance/fixtures");
+const {
+  summarizeCustomerSales,
+  mergeCustomers,
+  backfillSaleCustomers,
+} = require("../../utils/customerUtils");
+
+describeProviders("Customer history", (context) => {
+  let items;
+  let sales;
+  let customers;
+
+  before(function() {
+    requireRepository(context, "customer", this);
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+    customers = context.factory.getCustomerRepository();
+  });
+
+  /**
+   * Get the repositories the customer helpers need
+   * @return {Object} Provider instances
+   */
+  const customerProviders = () => ({
+    customerRepository: customers,
+    salesRepository: sales,
+  });
+
+  it("backfills sales by email and phone and summarizes them", async () => {
+    const token = uniqueToken("buyer").toLowerCase();
+    const email = `${token}@example.com`;
+    const item = await items.create(itemData({quantity: 10}));
+    const first = await sales.create(saleData(item, 1,
+        {customerName: token, customerEmail: email.toUpperCase()}));
+    const second = await sales.create(saleData(item, 2,
+        {customerName: token, customerEmail: ` ${email}`}));
+
+    const preview = await backfillSaleCustomers(customerProviders());
+    const planned = preview.sales.filter((linked) => linked.name === token);
+    assert.strictEqual(planned.length, 2);
+    assert.strictEqual((await sales.findById(idOf(first))).customer, null);
+
+    const result = await backfillSaleCustomers(customerProviders(),
+        {apply: true});
+    const created = result.customers.filter((customer) =>
+      customer.email === email);
+    assert.strictEqual(created.length, 1);
+    const customerId = idOf(created[0]);
+    for (const sale of [first, second]) {
+      const linked = await sales.findById(idOf(sale));
+      assert.strictEqual(linked.customer.toString(), customerId);
+    }
+
+    const summary = summarizeCustomerSales(
+        await sales.findAll({customer: customerId}));
+    assert.strictEqual(summary.orderCount, 2);
+    assert.strictEqual(summary.lifetimeSpend, item.price * 3);
+    assert.strictEqual(summary.favoriteItems[0].item, idOf(item));
+    assert.strictEqual(summary.favoriteItems[0].orders, 2);
+  });
+
+  it("merges duplicates, moving their sales", async () => {
+    const name = uniqueToken("Customer");
+    const kept = await customers.create({name, tags: ["wholesale"]});
+    const duplicate = await customers.create({
+      name,
+      phone: "555 123 4567",
+      tags: ["wholesale", "local"],
+    });
+    const item = await items.create(itemData({quantity: 10}));
+    const sale = await sales.create(saleData(item, 1,
+        {customer: idOf(duplicate)}));
+
+    const result = await mergeCustomers(customerProviders(), idOf(kept),
+        [idOf(duplicate)]);
+    assert.strictEqual(result.customer.phone, "555 123 4567");
+    assert.deepStrictEqual([...result.customer.tags], ["wholesale", "local"]);
+    assert.deepStrictEqual(result.sales.map((moved) => moved.sale),
+        [idOf(sale)]);
+    assert.strictEqual(
+        (await sales.findById(idOf(sale))).customer.toString(), idOf(kept));
+    assert.strictEqual(await customers.findById(idOf(duplicate)), null);
+
+    await assert.rejects(
+        mergeCustomers(customerProviders(), idOf(kept), [idOf(kept)]),
+        {name: "ValidationError"});
+  });
+});
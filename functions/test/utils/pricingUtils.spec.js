@@ -0,0 +1,55 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {uniqueToken, idOf, itemData} = require("../conformance/fixtures");
+const {calculatePrice, repriceItems} = require("../../utils/pricingUtils");
+
+describeProviders("Repricing", (context) => {
+  let items;
+  let rules;
+
+  before(function() {
+    requireRepository(context, "pricingRule", this);
+    items = context.factory.getItemRepository();
+    rules = context.factory.getPricingRuleRepository();
+  });
+
+  /**
+   * Build an item pricing rule
+   * @param {Object} item Item the rule applies to
+   * @param {Object} [overrides] Fields to set
+   * @return {Object} Pricing rule data
+   */
+  const itemRule = (item, overrides = {}) => ({
+    name: uniqueToken("rule"),
+    scope: "item",
+    item: idOf(item),
+    strategy: "markup",
+    percentage: 50,
+    ...overrides,
+  });
+
+  it("reprices only the given items, down to a price ending in .99",
+      async () => {
+        const item = await items.create(itemData({cost: 4, price: 1}));
+        const other = await items.create(itemData({cost: 4, price: 1}));
+        await rules.create(itemRule(item,
+            {percentage: 25, roundToNinetyNine: true}));
+        await rules.create(itemRule(other, {percentage: 25}));
+
+        const result = await repriceItems(
+            {itemRepository: items, pricingRuleRepository: rules},
+            {apply: true, itemIds: [idOf(item)]});
+        assert.deepStrictEqual(result.diff.map((change) => change.itemId),
+            [idOf(item)]);
+        assert.strictEqual((await items.findById(idOf(item))).price, 4.99);
+        assert.strictEqual((await items.findById(idOf(other))).price, 1);
+
+        const rule = {strategy: "markup", percentage: 0,
+          roundToNinetyNine: true};
+        assert.strictEqual(calculatePrice(5.99, rule), 5.99);
+        assert.strictEqual(calculatePrice(0.5, rule), 0.5);
+      });
+});
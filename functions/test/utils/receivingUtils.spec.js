@@ -0,0 +1,63 @@
+const assert = require("assert");
+const {describeProviders} = require("../conformance/targets");
+const {idOf, itemData, purchaseData} = require("../conformance/fixtures");
+const {ValidationError} = require("../../utils/errors");
+const {
+  getPurchaseLineProgress,
+  recordPurchaseReceipt,
+} = require("../../utils/receivingUtils");
+
+describeProviders("Purchase receiving", (context) => {
+  let items;
+  let purchases;
+
+  before(() => {
+    items = context.factory.getItemRepository();
+    purchases = context.factory.getPurchaseRepository();
+  });
+
+  const receive = (purchase, quantity) =>
+    recordPurchaseReceipt({purchaseRepository: purchases}, idOf(purchase),
+        {items: [{line: 0, quantity}]});
+
+  it("stocks each delivery and is received once all has arrived",
+      async () => {
+        const item = await items.create(itemData({quantity: 2}));
+        const purchase = await purchases.create(purchaseData(item, 5));
+
+        const first = await receive(purchase, 2);
+        assert.strictEqual(first.purchase.status, "partially_received");
+        assert.strictEqual(first.purchase.receivedAt, null);
+        assert.deepStrictEqual(
+            [first.lines[0].received, first.lines[0].outstanding], [2, 3]);
+        assert.strictEqual((await items.findById(idOf(item))).quantity, 4);
+
+        const second = await receive(purchase, 3);
+        assert.strictEqual(second.purchase.status, "received");
+        assert.ok(second.purchase.receivedAt);
+        assert.strictEqual(second.purchase.receipts.length, 2);
+        assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+      });
+
+  it("refuses to receive more than is outstanding", async () => {
+    const item = await items.create(itemData({quantity: 2}));
+    const purchase = await purchases.create(purchaseData(item, 5));
+    await receive(purchase, 4);
+
+    await assert.rejects(receive(purchase, 2), ValidationError);
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 6);
+  });
+
+  it("keeps what arrived when a partly received purchase is cancelled",
+      async () => {
+        const item = await items.create(itemData({quantity: 2}));
+        const purchase = await purchases.create(purchaseData(item, 5));
+        await receive(purchase, 2);
+
+        const cancelled = await purchases.update(idOf(purchase),
+            {status: "cancelled"});
+        assert.strictEqual(getPurchaseLineProgress(cancelled)[0].outstanding,
+            0);
+        assert.strictEqual((await items.findById(idOf(item))).quantity, 4);
+      });
+});
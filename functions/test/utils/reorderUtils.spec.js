@@ -0,0 +1,57 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {uniqueToken, idOf, itemData} = require("../conformance/fixtures");
+const {
+  findPreferredSuppliers,
+  getLowStockItems,
+  createPurchaseSuggestions,
+} = require("../../utils/reorderUtils");
+
+describeProviders("Reorder suggestions", (context) => {
+  let items;
+  let purchases;
+  let suppliers;
+
+  before(function() {
+    requireRepository(context, "supplier", this);
+    items = context.factory.getItemRepository();
+    purchases = context.factory.getPurchaseRepository();
+    suppliers = context.factory.getSupplierRepository();
+  });
+
+  it("suggests reorders from an item's preferred supplier", async () => {
+    const supplier = await suppliers.create({name: uniqueToken("Supplier")});
+    const supplierId = idOf(supplier);
+    const low = () => items.create(itemData({
+      quantity: 1,
+      reorderPoint: 5,
+      preferredSupplier: supplierId,
+    }));
+    const first = await low();
+    const second = await low();
+
+    const found = await items.findById(idOf(first));
+    assert.strictEqual(String(found.preferredSupplier), supplierId);
+
+    const [entry] = getLowStockItems([found], [],
+        await findPreferredSuppliers(suppliers, [found]));
+    assert.strictEqual(entry.preferredSupplier, supplierId);
+    assert.strictEqual(entry.supplier.name, supplier.name);
+
+    const result = await createPurchaseSuggestions({
+      itemRepository: items,
+      purchaseRepository: purchases,
+      supplierRepository: suppliers,
+    }, {dryRun: true, itemIds: [idOf(first), idOf(second)]});
+    assert.strictEqual(result.purchases.length, 1);
+    const [draft] = result.purchases;
+    assert.strictEqual(draft.supplierId, supplierId);
+    assert.strictEqual(draft.supplier.name, supplier.name);
+    assert.deepStrictEqual(
+        draft.items.map((line) => String(line.item)).sort(),
+        [idOf(first), idOf(second)].sort());
+  });
+});
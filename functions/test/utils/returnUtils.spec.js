@@ -0,0 +1,63 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {idOf, itemData, saleData} = require("../conformance/fixtures");
+const {recordSaleReturn} = require("../../utils/returnUtils");
+
+describeProviders("Sale returns", (context) => {
+  let items;
+  let sales;
+  let saleReturns;
+
+  before(function() {
+    requireRepository(context, "saleReturn", this);
+    items = context.factory.getItemRepository();
+    sales = context.factory.getSalesRepository();
+    saleReturns = context.factory.getSaleReturnRepository();
+  });
+
+  /**
+   * Record a return against a sale the way the returns route does
+   * @param {Object} sale Sale
+   * @param {Object} request Return details
+   * @return {Promise<Object>} {saleReturn, sale}
+   */
+  const returnSale = (sale, request) => recordSaleReturn(
+      {salesRepository: sales, saleReturnRepository: saleReturns},
+      idOf(sale), {reason: "damaged", ...request});
+
+  it("restocks returned lines and refunds the sale", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+    const sale = await sales.create(saleData(item, 4));
+
+    const first = await returnSale(sale, {items: [{line: 0, quantity: 1}]});
+    assert.strictEqual(first.sale.status, "partially_refunded");
+    assert.strictEqual(first.sale.refundedTotal, 10);
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+    const second = await returnSale(sale, {
+      items: [{item: idOf(item), quantity: 3}],
+      restock: false,
+    });
+    assert.strictEqual(second.sale.status, "refunded");
+    assert.strictEqual(second.sale.refundedTotal, 40);
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+    const report = await sales.getReport(
+        {customerName: sale.customerName});
+    assert.strictEqual(report.totalRefunds, 40);
+    assert.strictEqual(report.netRevenue, 0);
+  });
+
+  it("won't take back more than was sold", async () => {
+    const item = await items.create(itemData({quantity: 10}));
+    const sale = await sales.create(saleData(item, 2));
+    await returnSale(sale, {items: [{line: 0, quantity: 2}]});
+
+    await assert.rejects(returnSale(sale, {items: [{line: 0, quantity: 1}]}),
+        {name: "ValidationError"});
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 10);
+  });
+});
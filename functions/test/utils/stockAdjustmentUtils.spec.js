@@ -0,0 +1,64 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {idOf, itemData, purchaseData} = require("../conformance/fixtures");
+const {adjustItemStock} = require("../../utils/stockAdjustmentUtils");
+const {rebuildItemInventory} = require("../../utils/inventoryUtils");
+const {ValidationError} = require("../../utils/errors");
+
+describeProviders("Stock adjustments", (context) => {
+  let items;
+  let movements;
+
+  before(function() {
+    requireRepository(context, "inventoryMovement", this);
+    items = context.factory.getItemRepository();
+    movements = context.factory.getInventoryMovementRepository();
+  });
+
+  it("converts adjustments into the unit the item is tracked in",
+      async () => {
+        const providers = {
+          itemRepository: items,
+          inventoryMovementRepository: movements,
+        };
+        const counted = await items.create(itemData({quantity: 10}));
+        const weighed = await items.create(itemData({trackingType: "weight",
+          weight: 3, weightUnit: "kg"}));
+
+        await assert.rejects(adjustItemStock(providers, {itemId: idOf(counted),
+          reason: "shrinkage", delta: -2, unit: "kg"}), ValidationError);
+        assert.strictEqual((await items.findById(idOf(counted))).quantity, 10);
+
+        await adjustItemStock(providers, {itemId: idOf(weighed),
+          reason: "shrinkage", delta: -500, unit: "g"});
+        assert.strictEqual((await items.findById(idOf(weighed))).weight, 2.5);
+        await assert.rejects(adjustItemStock(providers, {itemId: idOf(weighed),
+          reason: "shrinkage", delta: -1, unit: "m"}), ValidationError);
+      });
+
+  it("keeps adjustments and counts through a rebuild", async () => {
+    const providers = {
+      itemRepository: items,
+      purchaseRepository: context.factory.getPurchaseRepository(),
+      salesRepository: context.factory.getSalesRepository(),
+      inventoryMovementRepository: movements,
+    };
+    const item = await items.create(itemData({quantity: 0}));
+    await providers.purchaseRepository.create(
+        purchaseData(item, 10, {status: "received"}));
+
+    await adjustItemStock(providers, {itemId: idOf(item),
+      reason: "shrinkage", delta: -2});
+    await adjustItemStock(providers, {itemId: idOf(item), reason: "count",
+      newValue: 7, movementType: "count"});
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+
+    await items.update(idOf(item), {quantity: 0});
+    const result = await rebuildItemInventory(idOf(item), providers);
+    assert.strictEqual(result.changes.quantity.adjustedQuantity, -3);
+    assert.strictEqual((await items.findById(idOf(item))).quantity, 7);
+  });
+});
@@ -0,0 +1,75 @@
+const assert = require("assert");
+const {
+  describeProviders,
+  requireRepository,
+} = require("../conformance/targets");
+const {
+  uniqueToken,
+  idOf,
+  itemData,
+  purchaseData,
+} = require("../conformance/fixtures");
+const {
+  getPriceHistory,
+  getSupplierMetrics,
+} = require("../../utils/supplierUtils");
+
+describeProviders("Supplier metrics", (context) => {
+  let items;
+  let purchases;
+  let suppliers;
+
+  before(function() {
+    requireRepository(context, "supplier", this);
+    items = context.factory.getItemRepository();
+    purchases = context.factory.getPurchaseRepository();
+    suppliers = context.factory.getSupplierRepository();
+  });
+
+  it("tracks prices and lead times across received purchases", async () => {
+    const supplier = await suppliers.create({name: uniqueToken("Supplier")});
+    const supplierId = idOf(supplier);
+    const item = await items.create(itemData({cost: 2}));
+    const buy = (cost, purchaseDate, receivedAt, status = "received") =>
+      purchases.create(purchaseData(item, 10, {
+        supplierId,
+        supplier: {name: supplier.name},
+        items: [{
+          item: idOf(item),
+          quantity: 10,
+          purchasedBy: "quantity",
+          costPerUnit: cost,
+          totalCost: cost * 10,
+        }],
+        subtotal: cost * 10,
+        total: cost * 10,
+        status,
+        purchaseDate,
+        receivedAt,
+      }));
+
+    await buy(2, new Date("2026-01-10"), new Date("2026-01-14"));
+    await buy(2.5, new Date("2026-02-03"), new Date("2026-02-05"));
+    await buy(3, new Date("2026-02-20"), null, "pending");
+    await buy(9, new Date("2026-02-21"), null, "cancelled");
+
+    const supplied = await purchases.findAll({supplierId});
+    assert.strictEqual(supplied.length, 4);
+
+    const [history] = getPriceHistory(supplied,
+        {items: {[idOf(item)]: item}});
+    assert.strictEqual(history.supplierId, supplierId);
+    assert.deepStrictEqual(history.history.map((entry) => entry.unitCost),
+        [2, 2.5]);
+    assert.strictEqual(history.latestCost, 2.5);
+    assert.strictEqual(history.change, 0.5);
+
+    const metrics = getSupplierMetrics(supplied);
+    assert.strictEqual(metrics.purchaseCount, 3);
+    assert.strictEqual(metrics.totalSpend, 75);
+    assert.deepStrictEqual(metrics.spendByPeriod.map((period) =>
+      [period.period, period.spend]), [["2026-01", 20], ["2026-02", 55]]);
+    assert.strictEqual(metrics.averageLeadTimeDays, 3);
+    assert.strictEqual(metrics.itemCount, 1);
+  });
+});
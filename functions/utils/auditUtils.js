@@ -0,0 +1,76 @@
+/**
+ * Audit log helpers for route handlers. Entries are written once a write
+ * has gone through, so they never hold changes that were rolled back
+ */
+const {getProviderFactory} = require("../providers");
+
+/**
+ * Record a create, update or delete in the audit log, as the request's
+ * user. Does nothing when the database provider has no audit log. A
+ * failure to record is logged rather than thrown, since the write it
+ * describes has already been made
+ * @param {Object} req Express request that made the change
+ * @param {Object} change The write ({action, entityType, entityId,
+ * before, after})
+ * @return {Promise<Object|null>} Created entry, or null if none was made
+ */
+const recordAudit = async (req, change) => {
+  const providerFactory = getProviderFactory();
+  if (!providerFactory.hasRepository("auditLog")) {
+    return null;
+  }
+
+  try {
+    return await providerFactory.getAuditLogRepository().recordChange(change, {
+      actor: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+    });
+  } catch (error) {
+    console.error(`Failed to record ${change.action} of ${change.entityType}
+      in the audit log:`, error);
+    return null;
+  }
+};
+
+/**
+ * Make a write that changes items and record an update for each item it
+ * changed, with the item as it was before and after. Items it left alone
+ * get no entry. Nothing extra is read when the provider has no audit log
+ * @param {Object} req Express request making the change
+ * @param {Object} itemRepository Item repository
+ * @param {Array<string>} itemIds Items the write may change
+ * @param {Function} write Makes the change; called with no arguments
+ * @return {Promise<*>} Whatever the write returns
+ */
+const auditItemChanges = async (req, itemRepository, itemIds, write) => {
+  if (!getProviderFactory().hasRepository("auditLog")) {
+    return await write();
+  }
+
+  const ids = [...new Set(itemIds.filter(Boolean).map(String))];
+  const before = new Map();
+  for (const id of ids) {
+    before.set(id, await itemRepository.findById(id));
+  }
+
+  const result = await write();
+
+  for (const [id, item] of before) {
+    if (!item) continue;
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Item",
+      entityId: id,
+      before: item,
+      after: await itemRepository.findById(id),
+    });
+  }
+  return result;
+};
+
+module.exports = {
+  recordAudit,
+  auditItemChanges,
+};
@@ -0,0 +1,341 @@
+const {ConflictError, NotFoundError, ValidationError} = require("./errors");
+const {
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toItemAmount,
+  roundMeasurement,
+  roundMoney,
+  toPlain,
+  getItemRefId,
+} = require("./unitConversion");
+const {
+  planStockChange,
+  getDocumentLocation,
+  getActiveLocation,
+} = require("./locationUtils");
+const {roundCost} = require("./costingUtils");
+
+// Fields an allocation can give its amount in
+const MEASUREMENT_FIELDS = ["quantity", "weight", "length", "area", "volume"];
+
+/**
+ * Check a breakdown's allocations: there must be some, each must give an
+ * amount and new items need a name and SKU
+ * @param {Array<Object>} derivedItems - Allocations to new or existing items
+ */
+function validateDerivedItems(derivedItems) {
+  if (!Array.isArray(derivedItems) || derivedItems.length === 0) {
+    throw new ValidationError("Derived items are required");
+  }
+
+  for (const itemData of derivedItems) {
+    if (!itemData.itemId && (!itemData.name || !itemData.sku)) {
+      throw new ValidationError(
+          "Each new derived item must have a name and SKU");
+    }
+    if (MEASUREMENT_FIELDS.every((field) => itemData[field] === undefined)) {
+      throw new ValidationError(`Each derived item must include a valid
+        measurement value (quantity, weight, length, area, or volume)`);
+    }
+  }
+}
+
+/**
+ * Break a source item down into derived items, recording the breakdown
+ * so it can be reversed later. Waste is taken out of the source along
+ * with the allocations and its cost is spread over the derived stock
+ * @param {Object} providers - Provider instances ({itemRepository,
+ * breakdownRepository, inventoryMovementRepository, locationRepository})
+ * @param {Object} request - Breakdown details
+ * @param {string} request.sourceItemId - Item being broken down
+ * @param {Array<Object>} request.derivedItems - Allocations to new or
+ * existing items, in the source item's tracking unit
+ * @param {number} [request.waste] - Offcuts and scrap lost, in the
+ * source item's tracking unit
+ * @param {string} [request.location] - Location the stock is broken
+ * down at; defaults to the default location
+ * @param {string} [request.notes] - Free-text notes
+ * @param {string} [request.user] - User making the breakdown
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - {sourceItem, derivedItems, breakdown}
+ */
+async function breakdownItem(providers, request, transaction = null) {
+  const {
+    itemRepository,
+    breakdownRepository,
+    inventoryMovementRepository,
+    locationRepository,
+  } = providers;
+  const {sourceItemId, derivedItems, notes, user} = request;
+  validateDerivedItems(derivedItems);
+
+  const waste = request.waste === undefined || request.waste === null ?
+    0 : parseFloat(request.waste);
+  if (isNaN(waste) || waste < 0) {
+    throw new ValidationError("waste must be zero or more");
+  }
+
+  const source = await itemRepository.findById(sourceItemId);
+  if (!source) {
+    throw new NotFoundError("Item", sourceItemId);
+  }
+
+  const measurement = getTrackingMeasurement(source);
+  const amounts = derivedItems.map((itemData) =>
+    parseFloat(itemData[measurement] || 0));
+  const allocatedAmount = roundMeasurement(
+      amounts.reduce((total, amount) => total + amount, 0));
+  const consumedAmount = roundMeasurement(allocatedAmount + waste);
+  const available = parseFloat(source[measurement] || 0);
+
+  if (consumedAmount > available) {
+    throw new ValidationError(`Not enough ${measurement} in ${source.name}.
+      Available: ${available}, allocated plus waste: ${consumedAmount}`);
+  }
+
+  if (request.location && locationRepository) {
+    await getActiveLocation(locationRepository, request.location);
+  }
+  const location = await getDocumentLocation(request, locationRepository);
+
+  const result = await itemRepository.createDerivedItems(sourceItemId,
+      derivedItems, transaction, {user, location});
+
+  // Take the waste out of the source after the allocations
+  let sourceItem = result.sourceItem;
+  if (waste > 0) {
+    const {updateData, steps} = planStockChange(sourceItem,
+        [{location, amount: -waste}]);
+    updateData.lastUpdated = new Date();
+    await itemRepository.update(sourceItemId, updateData, transaction);
+
+    if (inventoryMovementRepository) {
+      for (const step of steps) {
+        await inventoryMovementRepository.recordChange(step.before,
+            step.updateData, "breakdown", {
+              sourceType: "Item",
+              sourceId: getItemRefId(source),
+              notes: notes || "Breakdown waste",
+              user,
+              location: step.location,
+            }, transaction);
+      }
+    }
+    sourceItem = {...toPlain(sourceItem), ...updateData};
+  }
+
+  // Derived stock carries the cost of everything consumed, waste included
+  const sourceCostPerUnit = parseFloat(source.cost || 0);
+  const totalCost = roundMoney(sourceCostPerUnit * consumedAmount);
+  const costPerUnit = allocatedAmount > 0 ?
+    roundCost(totalCost / allocatedAmount) : 0;
+  const yieldPercentage = consumedAmount > 0 ?
+    Math.round(allocatedAmount / consumedAmount * 10000) / 100 : 100;
+
+  const allocations = [];
+  for (let i = 0; i < result.derivedItems.length; i++) {
+    const item = result.derivedItems[i];
+    const created = !derivedItems[i].itemId;
+
+    // New items take the true cost unless the request set one
+    if (created && derivedItems[i].cost === undefined &&
+        item.cost !== costPerUnit) {
+      await itemRepository.update(getItemRefId(item),
+          {cost: costPerUnit}, transaction);
+      item.cost = costPerUnit;
+    }
+
+    allocations.push({
+      item: getItemRefId(item),
+      name: item.name,
+      created,
+      amount: amounts[i],
+      costPerUnit,
+      totalCost: roundMoney(costPerUnit * amounts[i]),
+    });
+  }
+
+  const breakdownData = {
+    sourceItem: getItemRefId(source),
+    status: "completed",
+    trackingType: measurement,
+    unit: getTrackingUnit(source),
+    location,
+    allocations,
+    allocatedAmount,
+    waste,
+    consumedAmount,
+    yieldPercentage,
+    sourceCostPerUnit,
+    totalCost,
+    user,
+    notes,
+  };
+
+  return {
+    sourceItem,
+    derivedItems: result.derivedItems,
+    breakdown: breakdownRepository ?
+      await breakdownRepository.create(breakdownData, transaction) :
+      breakdownData,
+  };
+}
+
+/**
+ * Undo a breakdown: the allocations come back out of the derived items
+ * and the source gets back everything it gave up, waste included, at
+ * the location the breakdown was made. Fails if a derived item no
+ * longer holds the stock it was given
+ * @param {Object} providers - Provider instances ({itemRepository,
+ * breakdownRepository, inventoryMovementRepository})
+ * @param {string} breakdownId - Breakdown to reverse
+ * @param {Object} [options] - Reversal details ({user, notes})
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - The reversed breakdown and new balances
+ */
+async function reverseBreakdown(providers, breakdownId, options = {},
+    transaction = null) {
+  const {
+    itemRepository,
+    breakdownRepository,
+    inventoryMovementRepository,
+  } = providers;
+  const {user = null, notes} = options;
+
+  const breakdown = await breakdownRepository.findById(breakdownId);
+  if (!breakdown) {
+    throw new NotFoundError("Breakdown", breakdownId);
+  }
+  if (breakdown.status === "reversed") {
+    throw new ConflictError("Breakdown has already been reversed");
+  }
+
+  const measurement = breakdown.trackingType;
+  const location = breakdown.location ?
+    getItemRefId(breakdown.location) : null;
+  const sourceId = getItemRefId(breakdown.sourceItem);
+  const context = {
+    sourceType: "Breakdown",
+    sourceId: getItemRefId(breakdown),
+    notes,
+    user,
+  };
+
+  // Every item is read before any is written, since Firestore can't read
+  // in a transaction after writing
+  const source = await itemRepository.findForUpdate(sourceId, transaction);
+  if (!source) {
+    throw new NotFoundError("Item", sourceId);
+  }
+  if (getTrackingMeasurement(source) !== measurement) {
+    throw new ValidationError(`${source.name} is no longer tracked by
+      ${measurement}; the breakdown can't be reversed`);
+  }
+
+  // Total up each derived item in the unit it's tracked in, then check
+  // they all still hold the stock before anything changes
+  const totals = [];
+  for (const allocation of breakdown.allocations || []) {
+    const itemId = getItemRefId(allocation.item);
+    const existing = totals.find((t) => t.itemId === itemId);
+    if (existing) {
+      existing.amount = roundMeasurement(existing.amount + allocation.amount);
+    } else {
+      totals.push({itemId, amount: allocation.amount});
+    }
+  }
+
+  for (const total of totals) {
+    total.item = await itemRepository.findForUpdate(total.itemId,
+        transaction);
+    if (!total.item) {
+      throw new NotFoundError("Derived item", total.itemId);
+    }
+
+    total.measurement = getTrackingMeasurement(total.item);
+    total.itemAmount = toItemAmount(total.amount, measurement,
+        breakdown.unit, total.item);
+
+    const held = parseFloat(total.item[total.measurement] || 0);
+    if (total.itemAmount > held) {
+      throw new ValidationError(`${total.item.name} only has ${held}
+        ${total.measurement} left; ${total.itemAmount} is needed to reverse
+        the breakdown`);
+    }
+  }
+
+  const derivedItems = [];
+  for (const total of totals) {
+    const {item, itemId, amount} = total;
+    const {updateData, steps} = planStockChange(item,
+        [{location, amount: -total.itemAmount}]);
+    updateData.lastUpdated = new Date();
+    if (item.derivedFrom && getItemRefId(item.derivedFrom.item) === sourceId) {
+      const derivedFrom = toPlain(item.derivedFrom);
+      derivedFrom[measurement] = Math.max(0,
+          roundMeasurement((derivedFrom[measurement] || 0) - amount));
+      updateData.derivedFrom = derivedFrom;
+    }
+
+    await itemRepository.update(itemId, updateData, transaction);
+    if (inventoryMovementRepository) {
+      for (const step of steps) {
+        await inventoryMovementRepository.recordChange(step.before,
+            step.updateData, "breakdown_reversal",
+            {...context, location: step.location}, transaction);
+      }
+    }
+    derivedItems.push({
+      itemId,
+      name: item.name,
+      [total.measurement]: updateData[total.measurement],
+    });
+  }
+
+  // Return the allocations and the waste to the source
+  const {updateData, steps} = planStockChange(source,
+      [{location, amount: toItemAmount(breakdown.consumedAmount,
+          measurement, breakdown.unit, source)}]);
+
+  const refs = (source.derivedItems || []).map(toPlain);
+  for (const allocation of breakdown.allocations || []) {
+    const index = refs.findIndex((ref) =>
+      getItemRefId(ref.item) === getItemRefId(allocation.item) &&
+      parseFloat(ref[measurement] || 0) === allocation.amount);
+    if (index !== -1) {
+      refs.splice(index, 1);
+    }
+  }
+  updateData.derivedItems = refs;
+  updateData.lastUpdated = new Date();
+
+  await itemRepository.update(sourceId, updateData, transaction);
+  if (inventoryMovementRepository) {
+    for (const step of steps) {
+      await inventoryMovementRepository.recordChange(step.before,
+          step.updateData, "breakdown_reversal",
+          {...context, location: step.location}, transaction);
+    }
+  }
+
+  const reversed = await breakdownRepository.update(breakdownId, {
+    status: "reversed",
+    reversedAt: new Date(),
+    reversedBy: user,
+  }, transaction);
+
+  return {
+    breakdown: reversed,
+    sourceItem: {
+      itemId: sourceId,
+      name: source.name,
+      [measurement]: updateData[measurement],
+    },
+    derivedItems,
+  };
+}
+
+module.exports = {
+  breakdownItem,
+  reverseBreakdown,
+};
@@ -0,0 +1,405 @@
+const config = require("../providers/config");
+const {ValidationError} = require("./errors");
+const {
+  getTrackingMeasurement,
+  roundMeasurement,
+} = require("./unitConversion");
+
+/**
+ * Round a cost value to avoid floating point noise
+ * @param {number} value - Value to round
+ * @return {number} - Rounded value
+ */
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Consume an amount from cost layers in the order given by the comparator
+ * @param {Array<Object>} layers - Open cost layers (mutated)
+ * @param {number} amount - Amount to consume
+ * @param {Function} compare - Comparator deciding which layer goes first
+ * @return {Object} - Consumed amount and its cost
+ */
+function consumeLayers(layers, amount, compare) {
+  const ordered = [...layers].sort(compare);
+  let outstanding = amount;
+  let cost = 0;
+
+  for (const layer of ordered) {
+    if (outstanding <= 0) break;
+
+    const taken = Math.min(layer.remaining, outstanding);
+    layer.remaining = roundMeasurement(layer.remaining - taken);
+    outstanding = roundMeasurement(outstanding - taken);
+    cost += taken * layer.costPerUnit;
+  }
+
+  return {consumed: roundMeasurement(amount - outstanding), cost};
+}
+
+// Built-in costing methods, keyed by the name stored on items and config
+const costingMethods = {
+  fifo: {
+    receive: (layers, layer) => layers.push(layer),
+    consume: (layers, amount) => consumeLayers(layers, amount,
+        (a, b) => new Date(a.receivedAt) - new Date(b.receivedAt)),
+  },
+  lifo: {
+    receive: (layers, layer) => layers.push(layer),
+    consume: (layers, amount) => consumeLayers(layers, amount,
+        (a, b) => new Date(b.receivedAt) - new Date(a.receivedAt)),
+  },
+  weighted_average: {
+    // A moving average keeps a single pooled layer whose cost is
+    // re-averaged on every receipt
+    receive: (layers, layer) => {
+      if (layers.length === 0) {
+        layers.push({...layer, purchase: null});
+        return;
+      }
+
+      const pool = layers[0];
+      const total = roundMeasurement(pool.remaining + layer.remaining);
+      pool.costPerUnit = total > 0 ?
+        (pool.remaining * pool.costPerUnit +
+          layer.remaining * layer.costPerUnit) / total :
+        layer.costPerUnit;
+      pool.quantity = roundMeasurement(pool.quantity + layer.quantity);
+      pool.remaining = total;
+      pool.receivedAt = layer.receivedAt;
+    },
+    consume: (layers, amount) => consumeLayers(layers, amount, () => 0),
+    // Taking a receipt back out takes its cost out of the pool with it
+    revert: (layers, layer) => {
+      const pool = layers[0];
+      if (!pool) return 0;
+
+      const taken = Math.min(pool.remaining, layer.remaining);
+      const remaining = roundMeasurement(pool.remaining - taken);
+      const value = pool.remaining * pool.costPerUnit -
+        taken * layer.costPerUnit;
+      pool.costPerUnit = remaining > 0 ? Math.max(0, value / remaining) :
+        pool.costPerUnit;
+      pool.remaining = remaining;
+      return taken;
+    },
+  },
+};
+
+/**
+ * Register an additional costing method
+ * @param {string} name - Method name
+ * @param {Object} method - Object with receive(layers, layer)
+ * and consume(layers, amount) functions, and optionally
+ * revert(layers, layer) returning how much of the layer it took back out
+ */
+function registerCostingMethod(name, method) {
+  if (!method || typeof method.receive !== "function" ||
+      typeof method.consume !== "function") {
+    throw new Error(`Costing method ${name} must implement
+      receive and consume`);
+  }
+  costingMethods[name] = method;
+}
+
+/**
+ * Get the names of all available costing methods
+ * @return {Array<string>} - Costing method names
+ */
+function getCostingMethods() {
+  return Object.keys(costingMethods);
+}
+
+/**
+ * Resolve the costing method for an item, falling back to the
+ * configured default when the item has no override
+ * @param {Object} item - Item document
+ * @return {string} - Costing method name
+ */
+function resolveCostingMethod(item) {
+  const method = (item && item.costingMethod) ||
+    config.DEFAULT_COSTING_METHOD;
+
+  if (!costingMethods[method]) {
+    throw new ValidationError(`Unknown costing method "${method}".
+      Expected one of: ${getCostingMethods().join(", ")}`);
+  }
+
+  return method;
+}
+
+/**
+ * Build cost layers from receipts and consume them against issues
+ * in chronological order
+ * @param {string} methodName - Costing method to apply
+ * @param {Array<Object>} receipts - Received stock
+ * ({purchase, date, amount, costPerUnit})
+ * @param {Array<Object>} issues - Stock leaving inventory
+ * ({sale, date, amount})
+ * @return {Object} - Remaining layers, COGS and resulting unit cost
+ */
+function calculateCostLayers(methodName, receipts, issues) {
+  const method = costingMethods[methodName];
+  if (!method) {
+    throw new ValidationError(`Unknown costing method "${methodName}"`);
+  }
+
+  // Receipts are processed before issues that happen at the same time
+  const events = [
+    ...receipts.map((receipt) => ({...receipt, type: "receipt"})),
+    ...issues.map((issue) => ({...issue, type: "issue"})),
+  ].sort((a, b) => {
+    const diff = new Date(a.date) - new Date(b.date);
+    if (diff !== 0) return diff;
+    return a.type === b.type ? 0 : a.type === "receipt" ? -1 : 1;
+  });
+
+  const layers = [];
+  let costOfGoodsSold = 0;
+  let consumedQuantity = 0;
+  let unmatchedQuantity = 0;
+  let lastCostPerUnit = 0;
+
+  for (const event of events) {
+    if (!(event.amount > 0)) continue;
+
+    if (event.type === "receipt") {
+      lastCostPerUnit = event.costPerUnit || 0;
+      method.receive(layers, {
+        purchase: event.purchase || null,
+        receivedAt: new Date(event.date),
+        quantity: event.amount,
+        remaining: event.amount,
+        costPerUnit: event.costPerUnit || 0,
+      });
+      continue;
+    }
+
+    const {consumed, cost} = method.consume(layers, event.amount);
+    const shortfall = roundMeasurement(event.amount - consumed);
+
+    // Stock sold without a matching receipt is costed at the latest cost
+    costOfGoodsSold += cost + shortfall * lastCostPerUnit;
+    consumedQuantity += event.amount;
+    unmatchedQuantity += shortfall;
+
+    // Drop exhausted layers so only open layers are kept
+    for (let i = layers.length - 1; i >= 0; i--) {
+      if (layers[i].remaining <= 0) layers.splice(i, 1);
+    }
+  }
+
+  const remainingQuantity = roundMeasurement(layers.reduce((total, layer) =>
+    total + layer.remaining, 0));
+  const inventoryValue = layers.reduce((total, layer) =>
+    total + layer.remaining * layer.costPerUnit, 0);
+
+  return {
+    method: methodName,
+    layers: finishLayers(layers),
+    unitCost: roundCost(remainingQuantity > 0 ?
+      inventoryValue / remainingQuantity : lastCostPerUnit),
+    costOfGoodsSold: roundCost(costOfGoodsSold),
+    inventoryValue: roundCost(inventoryValue),
+    remainingQuantity,
+    consumedQuantity: roundMeasurement(consumedQuantity),
+    unmatchedQuantity: roundMeasurement(unmatchedQuantity),
+  };
+}
+
+/**
+ * Round what's left of open cost layers and drop exhausted ones
+ * @param {Array<Object>} layers - Cost layers
+ * @return {Array<Object>} - Open layers, rounded
+ */
+function finishLayers(layers) {
+  return layers
+      .map((layer) => ({
+        ...layer,
+        quantity: roundMeasurement(layer.quantity),
+        remaining: roundMeasurement(layer.remaining),
+        costPerUnit: roundCost(layer.costPerUnit),
+      }))
+      .filter((layer) => layer.remaining > 0);
+}
+
+/**
+ * Copy an item's open cost layers so they can be changed, matched to the
+ * stock the item holds. Stock the layers don't cover, such as stock from
+ * before they were kept, gets an opening layer at the item's cost, and
+ * layers left over after stock went out some other way, such as an
+ * adjustment, are used up by the costing method
+ * @param {Object} item - Item document
+ * @param {Object} method - Item's costing method
+ * @return {Array<Object>} - Plain copies of the layers
+ */
+function openCostLayers(item, method) {
+  const layers = [];
+  for (const layer of item.costLayers || []) {
+    const plain = layer.toObject ? layer.toObject() : {...layer};
+    layers.push({...plain, receivedAt: new Date(plain.receivedAt)});
+  }
+
+  const stock = parseFloat(item[getTrackingMeasurement(item)] || 0);
+  const covered = layers.reduce((total, layer) => total + layer.remaining, 0);
+  const uncovered = roundMeasurement(stock - covered);
+  if (uncovered > 0) {
+    const opening = {
+      purchase: null,
+      receivedAt: new Date(0),
+      quantity: uncovered,
+      remaining: uncovered,
+      costPerUnit: item.cost || 0,
+    };
+    if (layers.length === 0) {
+      layers.push(opening);
+    } else {
+      method.receive(layers, opening);
+    }
+  } else if (uncovered < 0) {
+    method.consume(layers, -uncovered);
+  }
+  return layers;
+}
+
+/**
+ * Get an item's unit cost from its open layers
+ * @param {Array<Object>} layers - Open cost layers
+ * @param {number} fallback - Cost to use when no stock is left
+ * @return {number} - Unit cost
+ */
+function getLayerUnitCost(layers, fallback) {
+  const remaining = layers.reduce((total, layer) =>
+    total + layer.remaining, 0);
+  const value = layers.reduce((total, layer) =>
+    total + layer.remaining * layer.costPerUnit, 0);
+  return roundCost(remaining > 0 ? value / remaining : fallback || 0);
+}
+
+/**
+ * Receive stock into an item's cost layers using its costing method
+ * @param {Object} item - Item as it was before the receipt
+ * @param {Array<Object>} receipts - Stock received
+ * ({purchase, date, amount, costPerUnit})
+ * @return {Object} - Fields to write to the item ({costLayers, cost})
+ */
+function receiveCost(item, receipts) {
+  const method = costingMethods[resolveCostingMethod(item)];
+  const layers = openCostLayers(item, method);
+  let lastCostPerUnit = item.cost || 0;
+
+  for (const receipt of receipts) {
+    if (!(receipt.amount > 0)) continue;
+    lastCostPerUnit = receipt.costPerUnit || 0;
+    method.receive(layers, {
+      purchase: receipt.purchase || null,
+      receivedAt: new Date(receipt.date || Date.now()),
+      quantity: receipt.amount,
+      remaining: receipt.amount,
+      costPerUnit: receipt.costPerUnit || 0,
+    });
+  }
+
+  const costLayers = finishLayers(layers);
+  return {costLayers, cost: getLayerUnitCost(costLayers, lastCostPerUnit)};
+}
+
+/**
+ * Take stock out of an item's cost layers using its costing method, as a
+ * sale does. Stock the layers don't cover is costed at the item's cost
+ * @param {Object} item - Item as it was before the issue
+ * @param {number} amount - Amount issued, in the item's tracking unit
+ * @return {Object} - Fields to write to the item ({costLayers, cost,
+ * costOfGoodsSold}) and the cost of what was issued (issuedCost)
+ */
+function issueCost(item, amount) {
+  const method = costingMethods[resolveCostingMethod(item)];
+  const layers = openCostLayers(item, method);
+  const {consumed, cost} = amount > 0 ?
+    method.consume(layers, amount) : {consumed: 0, cost: 0};
+  const issuedCost = roundCost(cost +
+    roundMeasurement(Math.max(0, amount - consumed)) * (item.cost || 0));
+
+  const costLayers = finishLayers(layers);
+  return {
+    costLayers,
+    cost: getLayerUnitCost(costLayers, item.cost),
+    costOfGoodsSold: roundCost((item.costOfGoodsSold || 0) + issuedCost),
+    issuedCost,
+  };
+}
+
+/**
+ * Put issued stock back into an item's cost layers at what it cost when
+ * it went out, as a return does, and take that cost back off its cost of
+ * goods sold
+ * @param {Object} item - Item as it was before the return
+ * @param {number} amount - Amount returned, in the item's tracking unit
+ * @param {number} costPerUnit - What each unit cost when it was issued
+ * @return {Object} - Fields to write to the item ({costLayers, cost,
+ * costOfGoodsSold})
+ */
+function returnCost(item, amount, costPerUnit) {
+  const {costLayers, cost} = receiveCost(item,
+      [{amount, costPerUnit, date: new Date()}]);
+  return {
+    costLayers,
+    cost,
+    costOfGoodsSold: roundCost(Math.max(0,
+        (item.costOfGoodsSold || 0) - amount * costPerUnit)),
+  };
+}
+
+/**
+ * Take received stock back out of an item's cost layers, as deleting a
+ * purchase does. The purchase's own layers are used up first; the
+ * costing method takes anything already sold from them out of the rest
+ * @param {Object} item - Item as it was before the reversal
+ * @param {Array<Object>} receipts - Stock to take back out
+ * ({purchase, amount, costPerUnit})
+ * @return {Object} - Fields to write to the item ({costLayers, cost})
+ */
+function reverseReceiptCost(item, receipts) {
+  const method = costingMethods[resolveCostingMethod(item)];
+  const layers = openCostLayers(item, method);
+
+  for (const receipt of receipts) {
+    if (!(receipt.amount > 0)) continue;
+
+    let outstanding = receipt.amount;
+    const purchaseId = receipt.purchase ? receipt.purchase.toString() : null;
+    for (const layer of layers) {
+      if (outstanding <= 0 || !purchaseId || !layer.purchase ||
+          layer.purchase.toString() !== purchaseId) {
+        continue;
+      }
+      const taken = Math.min(layer.remaining, outstanding);
+      layer.remaining = roundMeasurement(layer.remaining - taken);
+      outstanding = roundMeasurement(outstanding - taken);
+    }
+
+    if (outstanding > 0 && method.revert) {
+      outstanding = roundMeasurement(outstanding - method.revert(layers,
+          {remaining: outstanding, costPerUnit: receipt.costPerUnit || 0}));
+    }
+    if (outstanding > 0) {
+      method.consume(layers, outstanding);
+    }
+  }
+
+  const costLayers = finishLayers(layers);
+  return {costLayers, cost: getLayerUnitCost(costLayers, item.cost)};
+}
+
+module.exports = {
+  roundCost,
+  registerCostingMethod,
+  getCostingMethods,
+  resolveCostingMethod,
+  calculateCostLayers,
+  receiveCost,
+  issueCost,
+  returnCost,
+  reverseReceiptCost,
+};
@@ -0,0 +1,256 @@
+const {NotFoundError, ValidationError} = require("./errors");
+const {roundMoney, getItemRefId} = require("./unitConversion");
+
+// Contact details a merge fills in on the customer that's kept
+const CONTACT_FIELDS = ["email", "phone", "address"];
+
+/**
+ * Normalize an email address for matching
+ * @param {string} email - Email address
+ * @return {string|null} - Trimmed, lower case address, or null if empty
+ */
+function normalizeEmail(email) {
+  const value = (email || "").toString().trim().toLowerCase();
+  return value || null;
+}
+
+/**
+ * Normalize a phone number for matching, so the same number written
+ * with different spacing or punctuation matches
+ * @param {string} phone - Phone number
+ * @return {string|null} - Digits of the number, or null if it has none
+ */
+function normalizePhone(phone) {
+  const digits = (phone || "").toString().replace(/\D/g, "");
+  return digits || null;
+}
+
+/**
+ * Get the customer details a sale keeps as a snapshot
+ * @param {Object} customer - Customer
+ * @return {Object} - {customerName, customerEmail, customerPhone}
+ */
+function getCustomerSnapshot(customer) {
+  const snapshot = {customerName: customer.name};
+  if (customer.email) snapshot.customerEmail = customer.email;
+  if (customer.phone) snapshot.customerPhone = customer.phone;
+  return snapshot;
+}
+
+/**
+ * Summarize a customer's sales: what they've spent, net of refunds, how
+ * often and how recently they buy, and the items they buy most often
+ * @param {Array<Object>} sales - The customer's sales
+ * @param {number} [favoriteLimit] - Most favorite items to list
+ * @return {Object} - Summary
+ */
+function summarizeCustomerSales(sales, favoriteLimit = 5) {
+  const favorites = {};
+  let grossSpend = 0;
+  let totalRefunds = 0;
+  let firstPurchase = null;
+  let lastPurchase = null;
+
+  for (const sale of sales) {
+    grossSpend += sale.total || 0;
+    totalRefunds += sale.refundedTotal || 0;
+
+    const date = new Date(sale.createdAt);
+    if (!firstPurchase || date < firstPurchase) firstPurchase = date;
+    if (!lastPurchase || date > lastPurchase) lastPurchase = date;
+
+    const counted = new Set();
+    for (const line of sale.items || []) {
+      const itemId = getItemRefId(line.item);
+      if (!itemId) continue;
+
+      if (!favorites[itemId]) {
+        favorites[itemId] = {item: itemId, name: line.name, orders: 0,
+          spent: 0};
+      }
+      const favorite = favorites[itemId];
+      if (!counted.has(itemId)) {
+        favorite.orders += 1;
+        counted.add(itemId);
+      }
+      favorite.spent = roundMoney(favorite.spent + (line.priceAtSale || 0) *
+        parseFloat(line[line.soldBy || "quantity"] || 0));
+    }
+  }
+
+  const orderCount = sales.length;
+  const lifetimeSpend = roundMoney(grossSpend - totalRefunds);
+  return {
+    orderCount,
+    lifetimeSpend,
+    totalRefunds: roundMoney(totalRefunds),
+    averageOrderValue: orderCount > 0 ?
+      roundMoney(lifetimeSpend / orderCount) : 0,
+    firstPurchase,
+    lastPurchase,
+    favoriteItems: Object.values(favorites)
+        .sort((a, b) => b.orders - a.orders || b.spent - a.spent)
+        .slice(0, favoriteLimit),
+  };
+}
+
+/**
+ * Merge duplicate customers into one. The duplicates' sales are moved to
+ * the customer that's kept, which takes any contact details it's missing
+ * and their tags, and the duplicates are deleted. Sales keep the customer
+ * details they were made with
+ * @param {Object} providers - Provider instances ({customerRepository,
+ * salesRepository})
+ * @param {string} targetId - Customer to keep
+ * @param {Array<string>} duplicateIds - Customers to merge into it
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - {customer, merged, sales}, where merged
+ * lists the duplicates removed and sales the sales moved ({sale, from})
+ */
+async function mergeCustomers(providers, targetId, duplicateIds,
+    transaction = null) {
+  const {customerRepository, salesRepository} = providers;
+  const ids = [...new Set((duplicateIds || []).map(String))];
+
+  if (ids.length === 0) {
+    throw new ValidationError("duplicates must list the customers to merge");
+  }
+  if (ids.includes(String(targetId))) {
+    throw new ValidationError("A customer can't be merged into itself");
+  }
+
+  const target = await customerRepository.findById(targetId);
+  if (!target) {
+    throw new NotFoundError("Customer", targetId);
+  }
+  const duplicates = [];
+  for (const id of ids) {
+    const duplicate = await customerRepository.findById(id);
+    if (!duplicate) {
+      throw new NotFoundError("Customer", id);
+    }
+    duplicates.push(duplicate);
+  }
+
+  const changes = {};
+  for (const field of CONTACT_FIELDS) {
+    if (target[field]) continue;
+    const source = duplicates.find((duplicate) => duplicate[field]);
+    if (source) changes[field] = source[field];
+  }
+  const tags = [...new Set(duplicates.reduce((all, duplicate) =>
+    all.concat(duplicate.tags || []), [...(target.tags || [])]))];
+  if (tags.length !== (target.tags || []).length) {
+    changes.tags = tags;
+  }
+
+  const movedSales = [];
+  for (const duplicate of duplicates) {
+    const sales = await salesRepository.findAll(
+        {customer: getItemRefId(duplicate)});
+    for (const sale of sales) {
+      await salesRepository.update(getItemRefId(sale),
+          {customer: getItemRefId(target)}, transaction);
+      movedSales.push({
+        sale: getItemRefId(sale),
+        from: getItemRefId(duplicate),
+      });
+    }
+    await customerRepository.delete(getItemRefId(duplicate), transaction);
+  }
+
+  const customer = Object.keys(changes).length > 0 ?
+    await customerRepository.update(targetId, changes, transaction) :
+    target;
+
+  return {customer, merged: duplicates, sales: movedSales};
+}
+
+/**
+ * Link sales made before customers existed to customer records, matching
+ * on email and then phone. Sales with contact details that match no one
+ * get a new customer made from their details unless createMissing is
+ * false, and sales without contact details are skipped. Without apply
+ * nothing is saved and the result shows what would happen
+ * @param {Object} providers - Provider instances ({customerRepository,
+ * salesRepository})
+ * @param {Object} [options] - Backfill options
+ * @param {boolean} [options.apply] - Save the links and new customers
+ * @param {boolean} [options.createMissing] - Make customers for sales
+ * that match no one
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - {matched, created, skipped, sales,
+ * customers}, where sales lists each sale linked and customers the new
+ * customers
+ */
+async function backfillSaleCustomers(providers, options = {},
+    transaction = null) {
+  const {customerRepository, salesRepository} = providers;
+  const {apply = false, createMissing = true} = options;
+
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const addToIndex = (customer) => {
+    const email = normalizeEmail(customer.email);
+    const phone = normalizePhone(customer.phone);
+    if (email && !byEmail.has(email)) byEmail.set(email, customer);
+    if (phone && !byPhone.has(phone)) byPhone.set(phone, customer);
+  };
+  (await customerRepository.findAll({})).forEach(addToIndex);
+
+  const result = {matched: 0, created: 0, skipped: 0, sales: [],
+    customers: []};
+  const sales = (await salesRepository.findAll({}))
+      .filter((sale) => !sale.customer);
+
+  for (const sale of sales) {
+    const email = normalizeEmail(sale.customerEmail);
+    const phone = normalizePhone(sale.customerPhone);
+    let customer = (email && byEmail.get(email)) ||
+      (phone && byPhone.get(phone));
+    const created = !customer;
+
+    if (created) {
+      if ((!email && !phone) || !createMissing) {
+        result.skipped++;
+        continue;
+      }
+
+      const customerData = {
+        name: (sale.customerName || "").trim() || email || sale.customerPhone,
+        email,
+        phone: sale.customerPhone || null,
+      };
+      customer = apply ?
+        await customerRepository.create(customerData, transaction) :
+        customerData;
+      addToIndex(customer);
+      result.customers.push(customer);
+      result.created++;
+    } else {
+      result.matched++;
+    }
+
+    if (apply) {
+      await salesRepository.update(getItemRefId(sale),
+          {customer: getItemRefId(customer)}, transaction);
+    }
+    result.sales.push({
+      sale: getItemRefId(sale),
+      customer: getItemRefId(customer),
+      name: customer.name,
+      created,
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  getCustomerSnapshot,
+  summarizeCustomerSales,
+  mergeCustomers,
+  backfillSaleCustomers,
+};
@@ -1,11 +1,13 @@
 /**
  * File Upload Middleware
  */
+const {AsyncResource} = require("async_hooks");
 const multer = require("multer");
 const {getProviderFactory} = require("../providers");
+const {AppError} = require("./errors");
 
 // Configure multer for memory storage
-const upload = multer({
+const multerUpload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
@@ -23,8 +25,28 @@ const upload = multer({
   },
 });
 
+/**
+ * Multer calls next from the request stream's events, outside the async
+ * context the request runs in, which would drop the caller's business.
+ * Bind next to the context the middleware was called in
+ * @param {Function} middleware Multer middleware
+ * @return {Function} Express middleware
+ */
+const keepContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+// Upload middleware for a single file field
+const upload = {
+  single: (fieldName) => keepContext(multerUpload.single(fieldName)),
+};
+
 // Handle potential file upload errors
 const uploadErrorHandler = (err, req, res, next) => {
+  // Errors from earlier in the chain, like a failed permission check,
+  // aren't upload errors
+  if (err instanceof AppError) {
+    return next(err);
+  }
   if (err instanceof multer.MulterError) {
     console.error("Multer error:", err);
     if (err.code === "LIMIT_FILE_SIZE") {
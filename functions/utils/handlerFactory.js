@@ -4,6 +4,18 @@
  */
 const {getProviderFactory} = require("../providers");
 const {NotFoundError} = require("./errors");
+const {recordAudit} = require("./auditUtils");
+
+// Entity type each model's writes are recorded under in the audit log
+const ENTITY_TYPES = {
+  item: "Item",
+  sales: "Sale",
+  purchase: "Purchase",
+  asset: "Asset",
+  assets: "Asset",
+  pricingrule: "PricingRule",
+  location: "Location",
+};
 
 /**
  * Get the repository for a given model name
@@ -24,6 +36,10 @@ const getRepositoryForModel = (modelName) => {
     case "asset":
     case "assets":
       return providerFactory.getAssetRepository();
+    case "pricingrule":
+      return providerFactory.getPricingRuleRepository();
+    case "location":
+      return providerFactory.getLocationRepository();
     default:
       throw new Error(`Repository not found for model: ${modelName}`);
   }
@@ -37,13 +53,9 @@ const handlerFactory = {
    */
   getAll: (modelName) => async (req, res, next) => {
     try {
-      // Get filter from query
-      const filter = Object.assign({},
-          req.query,
-          // Add business ID if available
-          // req.user && req.user.businessId ?
-          //     {businessId: req.user.businessId} : {},
-      );
+      // Get filter from query. Repositories limit it to the caller's
+      // business
+      const filter = Object.assign({}, req.query);
 
       // Get repository and find all matching items
       const repository = getRepositoryForModel(modelName);
@@ -107,14 +119,15 @@ const handlerFactory = {
    */
   createOne: (modelName) => async (req, res, next) => {
     try {
-      // Add business ID if available
-      // if (req.user && req.user.businessId) {
-      //   req.body.businessId = req.user.businessId;
-      // }
-
       const repository = getRepositoryForModel(modelName);
       const document = await repository.create(req.body);
 
+      await recordAudit(req, {
+        action: "create",
+        entityType: ENTITY_TYPES[modelName.toLowerCase()],
+        after: document,
+      });
+
       res.status(201).json(document);
     } catch (err) {
       next(err);
@@ -130,12 +143,21 @@ const handlerFactory = {
   updateOne: (modelName, entityName) => async (req, res, next) => {
     try {
       const repository = getRepositoryForModel(modelName);
-      const document = await repository.update(req.params.id, req.body);
+      const before = await repository.findById(req.params.id);
+      const document = before &&
+        await repository.update(req.params.id, req.body);
 
       if (!document) {
         return next(new NotFoundError(entityName, req.params.id));
       }
 
+      await recordAudit(req, {
+        action: "update",
+        entityType: ENTITY_TYPES[modelName.toLowerCase()],
+        before,
+        after: document,
+      });
+
       res.json(document);
     } catch (err) {
       next(err);
@@ -151,12 +173,19 @@ const handlerFactory = {
   deleteOne: (modelName, entityName) => async (req, res, next) => {
     try {
       const repository = getRepositoryForModel(modelName);
-      const result = await repository.delete(req.params.id);
+      const before = await repository.findById(req.params.id);
+      const result = before && await repository.delete(req.params.id);
 
       if (!result) {
         return next(new NotFoundError(entityName, req.params.id));
       }
 
+      await recordAudit(req, {
+        action: "delete",
+        entityType: ENTITY_TYPES[modelName.toLowerCase()],
+        before,
+      });
+
       res.json({
         status: "success",
         message: `${entityName} deleted successfully`,
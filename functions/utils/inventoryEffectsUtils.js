@@ -0,0 +1,353 @@
+/**
+ * Inventory effects of sales and purchases. A document holds stock while
+ * it's in a state that moved stock: a sale for as long as it exists, a
+ * purchase for what its receipts brought in, or all of it once it's
+ * marked received. Repositories compare a document's state before and
+ * after every create, update and delete, and move only the stock that
+ * changed, so stock follows the documents without a rebuild
+ */
+const {NotFoundError} = require("./errors");
+const {MEASUREMENTS, roundMeasurement, toPlain} = require("./unitConversion");
+
+// Purchase statuses whose lines have been added to stock
+const RECEIVED_STATUSES = ["received", "partially_received"];
+
+/**
+ * Check whether a purchase has recorded receipts
+ * @param {Object|null} purchase - Purchase
+ * @return {boolean} - True if any of it was received through receipts
+ */
+function hasReceipts(purchase) {
+  return Boolean(purchase) && Array.isArray(purchase.receipts) &&
+    purchase.receipts.length > 0;
+}
+
+/**
+ * Check whether a sale has taken its lines out of stock. Refunds don't
+ * change this: stock comes back through the sale's returns, which move
+ * only what was brought back
+ * @param {Object|null} sale - Sale
+ * @return {boolean} - True if the sale holds stock
+ */
+function saleHoldsStock(sale) {
+  return Boolean(sale);
+}
+
+/**
+ * Check whether a purchase has added any of its lines to stock: through
+ * its receipts, or by being marked received without any
+ * @param {Object|null} purchase - Purchase
+ * @return {boolean} - True if the purchase holds stock
+ */
+function purchaseHoldsStock(purchase) {
+  return hasReceipts(purchase) ||
+    (Boolean(purchase) && RECEIVED_STATUSES.includes(purchase.status));
+}
+
+/**
+ * Scale a purchase line down to part of what was ordered. Every measure
+ * on it and its total cost shrink in proportion, so its unit cost stays
+ * the same
+ * @param {Object} line - Plain purchase line
+ * @param {number} amount - Amount, in the measurement it was purchased by
+ * @return {Object} - Scaled copy of the line
+ */
+function scalePurchaseLine(line, amount) {
+  const measurement = line.purchasedBy || "quantity";
+  const ordered = parseFloat(line[measurement] || 0);
+  const ratio = ordered > 0 ? amount / ordered : 0;
+
+  const scaled = {...line};
+  MEASUREMENTS.forEach((field) => {
+    if (scaled[field]) {
+      scaled[field] = roundMeasurement(parseFloat(scaled[field]) * ratio);
+    }
+  });
+  scaled[measurement] = amount;
+  if (scaled.totalCost) {
+    scaled.totalCost = Math.round(scaled.totalCost * ratio * 100) / 100;
+  }
+  return scaled;
+}
+
+/**
+ * Total up how much of each purchase line its receipts brought in, in the
+ * measurement the line was purchased by
+ * @param {Object} purchase - Purchase
+ * @return {Object} - {amount, serialNumbers} keyed by line position
+ */
+function getReceivedAmounts(purchase) {
+  const received = {};
+  for (const receipt of (purchase && purchase.receipts) || []) {
+    for (const line of receipt.items || []) {
+      const current = received[line.line] || {amount: 0, serialNumbers: []};
+      received[line.line] = {
+        amount: roundMeasurement(current.amount +
+          parseFloat(line[line.purchasedBy || "quantity"] || 0)),
+        serialNumbers: [
+          ...current.serialNumbers,
+          ...(line.serialNumbers || []),
+        ],
+      };
+    }
+  }
+  return received;
+}
+
+/**
+ * Get the stock lines a receipt brought in: each purchase line it
+ * received, scaled to what arrived, at the location, lot and serial
+ * numbers it arrived with
+ * @param {Object} purchase - Purchase
+ * @param {Object} receipt - One of the purchase's receipts
+ * @return {Array<Object>} - Plain lines
+ */
+function getReceiptLines(purchase, receipt) {
+  const lines = [];
+  for (const received of receipt.items || []) {
+    const ordered = (purchase.items || [])[received.line];
+    if (!ordered) continue;
+
+    const measurement = received.purchasedBy || "quantity";
+    const line = scalePurchaseLine(toPlain(ordered),
+        parseFloat(received[measurement] || 0));
+    line.location = received.location || receipt.location ||
+      line.location || null;
+    if (received.lotNumber) {
+      line.lotNumber = received.lotNumber;
+      line.expirationDate = received.expirationDate || null;
+    }
+    line.serialNumbers = [...(received.serialNumbers || [])];
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Get the lines a purchase has added to stock: what each of its receipts
+ * brought in, all its lines when it was marked received without
+ * receipts, and none otherwise
+ * @param {Object|null} purchase - Purchase
+ * @return {Array<Object>} - Plain lines
+ */
+function getReceivedPurchaseLines(purchase) {
+  if (!purchaseHoldsStock(purchase)) return [];
+  if (!hasReceipts(purchase)) {
+    return (purchase.items || []).map(toPlain);
+  }
+
+  return purchase.receipts.reduce((lines, receipt) =>
+    lines.concat(getReceiptLines(purchase, receipt)), []);
+}
+
+/**
+ * Get what's still to arrive on a purchase, each line scaled to its
+ * outstanding amount. Nothing is outstanding on a cancelled purchase or
+ * one marked received without receipts
+ * @param {Object} purchase - Purchase
+ * @return {Array<Object>} - Plain lines with something left to arrive
+ */
+function getOutstandingPurchaseLines(purchase) {
+  if (!purchase || purchase.status === "cancelled" ||
+      (!hasReceipts(purchase) && purchaseHoldsStock(purchase))) {
+    return [];
+  }
+
+  const received = getReceivedAmounts(purchase);
+  const lines = [];
+  (purchase.items || []).forEach((ordered, index) => {
+    const line = toPlain(ordered);
+    const measurement = line.purchasedBy || "quantity";
+    const outstanding = roundMeasurement(parseFloat(line[measurement] || 0) -
+      (received[index] ? received[index].amount : 0));
+    if (outstanding > 0) {
+      lines.push(scalePurchaseLine(line, outstanding));
+    }
+  });
+  return lines;
+}
+
+/**
+ * Get the stock a document holds: its lines and where they were moved
+ * @param {Object|null} doc - Sale or purchase
+ * @param {Function} holdsStock - Whether a document of its kind holds stock
+ * @param {Function} getLines - Gets the lines a document holds
+ * @return {Object|null} - {sourceId, location, lines}, or null if the
+ * document holds no stock
+ */
+function getStockState(doc, holdsStock, getLines) {
+  if (!holdsStock(doc)) return null;
+
+  const lines = getLines(doc) || [];
+  if (lines.length === 0) return null;
+  return {
+    sourceId: doc._id || doc.id,
+    location: doc.location || null,
+    lines,
+  };
+}
+
+/**
+ * Get a comparable key for the stock a document holds. Line IDs are left
+ * out since rewriting the same lines gives them new ones
+ * @param {Object|null} state - Stock state
+ * @return {string} - Key, equal for states that hold the same stock
+ */
+function getStateKey(state) {
+  if (!state) return "null";
+  return JSON.stringify({
+    location: getLocationKey(state.location),
+    lines: getLineKeys(state.lines),
+  });
+}
+
+/**
+ * Get a comparable key for a location reference
+ * @param {*} location - Location ID or document
+ * @return {string} - Key, equal for the same location
+ */
+function getLocationKey(location) {
+  return JSON.stringify(location === undefined ? null : location);
+}
+
+/**
+ * Get comparable keys for stock lines, leaving out line IDs
+ * @param {Array<Object>} lines - Stock lines
+ * @return {Array<string>} - One key per line
+ */
+function getLineKeys(lines) {
+  return JSON.parse(JSON.stringify(lines))
+      .map(({_id, ...line}) => JSON.stringify(line));
+}
+
+/**
+ * Work out how stock must move when a document changes from one state to
+ * another. The old state's stock is reverted and the new state's applied,
+ * and nothing moves when the stock they hold is the same. When the new
+ * state only adds lines after the old one's, as a purchase receipt does,
+ * just the added lines are applied
+ * @param {Object|null} before - Document before the write, null on create
+ * @param {Object|null} after - Document after the write, null on delete
+ * @param {Function} holdsStock - Whether a document of its kind holds stock
+ * @param {Function} [getLines] - Gets the lines a document holds, its
+ * items by default
+ * @return {Object} - {revert, apply}, each a stock state or null
+ */
+function planInventoryEffects(before, after, holdsStock,
+    getLines = (doc) => doc.items) {
+  const previous = getStockState(before, holdsStock, getLines);
+  const next = getStockState(after, holdsStock, getLines);
+
+  if (getStateKey(previous) === getStateKey(next)) {
+    return {revert: null, apply: null};
+  }
+
+  if (previous && next && getLocationKey(previous.location) ===
+      getLocationKey(next.location)) {
+    const previousKeys = getLineKeys(previous.lines);
+    const nextKeys = getLineKeys(next.lines);
+    const onlyAdds = previousKeys.every((key, index) =>
+      key === nextKeys[index]);
+    if (onlyAdds) {
+      return {
+        revert: null,
+        apply: {...next, lines: next.lines.slice(previous.lines.length)},
+      };
+    }
+  }
+  return {revert: previous, apply: next};
+}
+
+/**
+ * Read the items a document moves stock of, once each, before anything
+ * is written. Every read has to come first since Firestore can't read in
+ * a transaction after writing. Items already read keep the changes
+ * planned for them so far, so a revert and an apply can share them.
+ * Items are read in the caller's business, so a line naming another
+ * business's item fails like one naming no item at all
+ * @param {Object} itemRepository - Item repository
+ * @param {Array<string>} itemIds - Items to read
+ * @param {Object} [transaction] - Database transaction/session
+ * @param {Map} [items] - Items read so far by ID, added to
+ * @return {Promise<Map>} - Plain copies of the items by ID
+ * @throws {NotFoundError} When an item doesn't exist for the caller
+ */
+async function readItems(itemRepository, itemIds, transaction,
+    items = new Map()) {
+  for (const itemId of itemIds) {
+    if (items.has(itemId)) continue;
+
+    const item = await itemRepository.findForUpdate(itemId, transaction);
+    if (!item) {
+      throw new NotFoundError("Item", itemId);
+    }
+    items.set(itemId, toPlain(item));
+  }
+  return items;
+}
+
+/**
+ * Total up how much of each sale line its returns brought back, in the
+ * measurement the line was sold by
+ * @param {Array<Object>} returns - Returns made against one sale
+ * @param {boolean} [restockedOnly] - Leave out returns that weren't put
+ * back in stock
+ * @return {Object} - {amount, serialNumbers} keyed by line position
+ */
+function getReturnedAmounts(returns, restockedOnly = false) {
+  const returned = {};
+  for (const saleReturn of returns || []) {
+    if (restockedOnly && saleReturn.restocked === false) continue;
+
+    for (const line of saleReturn.items || []) {
+      const current = returned[line.line] || {amount: 0, serialNumbers: []};
+      returned[line.line] = {
+        amount: roundMeasurement(current.amount +
+          parseFloat(line[line.soldBy || "quantity"] || 0)),
+        serialNumbers: [
+          ...current.serialNumbers,
+          ...(line.serialNumbers || []),
+        ],
+      };
+    }
+  }
+  return returned;
+}
+
+/**
+ * Get a sale's lines less what its returns put back in stock, which is
+ * what the customer kept
+ * @param {Object} sale - Sale
+ * @param {Array<Object>} returns - Returns made against the sale
+ * @return {Array<Object>} - Plain copies of the lines
+ */
+function getNetSaleLines(sale, returns) {
+  const returned = getReturnedAmounts(returns, true);
+
+  return (sale.items || []).map((line, index) => {
+    const plain = line.toObject ? line.toObject() : {...line};
+    if (!returned[index]) return plain;
+
+    const measurement = plain.soldBy || "quantity";
+    plain[measurement] = Math.max(0, roundMeasurement(
+        parseFloat(plain[measurement] || 0) - returned[index].amount));
+    plain.serialNumbers = (plain.serialNumbers || []).filter((serial) =>
+      !returned[index].serialNumbers.includes(serial));
+    return plain;
+  });
+}
+
+module.exports = {
+  RECEIVED_STATUSES,
+  saleHoldsStock,
+  purchaseHoldsStock,
+  hasReceipts,
+  getReceivedAmounts,
+  getReceiptLines,
+  getReceivedPurchaseLines,
+  getOutstandingPurchaseLines,
+  planInventoryEffects,
+  readItems,
+  getReturnedAmounts,
+  getNetSaleLines,
+};
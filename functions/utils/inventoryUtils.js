@@ -1,8 +1,109 @@
 const {NotFoundError} = require("./errors");
+const {calculateCostLayers, resolveCostingMethod} = require("./costingUtils");
+const {getAutoPrice} = require("./pricingUtils");
+const {replayLots, lotsChanged} = require("./lotUtils");
+const {
+  saleHoldsStock,
+  purchaseHoldsStock,
+  getReceivedPurchaseLines,
+  getNetSaleLines,
+} = require("./inventoryEffectsUtils");
+const {
+  getTrackingMeasurement,
+  getTrackingUnit,
+  getUnitField,
+  getLineAmount,
+  getLineUnitCost,
+  roundMeasurement,
+  getItemRefId,
+} = require("./unitConversion");
+
+// Movement types that are only recorded in the ledger, with no document
+// of their own for a rebuild to read
+const LEDGER_ONLY_MOVEMENTS = ["adjustment", "count"];
 
 /**
- * Rebuilds inventory quantities, costs and prices
- * based on purchase and sales history
+ * Group sale or purchase lines by the item they refer to
+ * @param {Array<Object>} lines - Line items
+ * @return {Object} - Lines keyed by item ID
+ */
+function groupLinesByItem(lines) {
+  const groups = {};
+  for (const line of lines || []) {
+    const itemId = getItemRefId(line.item);
+    if (!itemId) {
+      console.warn("Skipping line item with no item reference");
+      continue;
+    }
+    if (!groups[itemId]) {
+      groups[itemId] = [];
+    }
+    groups[itemId].push(line);
+  }
+  return groups;
+}
+
+/**
+ * Find all lines in a sale or purchase that reference the given item
+ * @param {Object} document - Sale or purchase document
+ * @param {string} itemId - ID of the item
+ * @return {Array<Object>} - Matching line items
+ */
+function getMatchingLines(document, itemId) {
+  return (document.items || []).filter((i) =>
+    getItemRefId(i.item) === itemId.toString());
+}
+
+/**
+ * Express an amount from a production run as a line, so it can be
+ * converted like a sale or purchase line
+ * @param {string} trackingType - Measurement the amount is in
+ * @param {string} unit - Unit the amount is in
+ * @param {number} amount - Amount
+ * @return {Object} - Line
+ */
+function getRunLine(trackingType, unit, amount) {
+  const line = {[trackingType]: amount};
+  const unitField = getUnitField(trackingType);
+  if (unitField && unit) {
+    line[unitField] = unit;
+  }
+  return line;
+}
+
+/**
+ * Get the change a ledger movement made to an item, in the unit the item
+ * is tracked in now
+ * @param {Object} movement - Inventory movement
+ * @param {Object} item - Item document
+ * @return {number} - Signed change in the item's tracking unit
+ */
+function getMovementAmount(movement, item) {
+  const trackingType = movement.trackingType || "quantity";
+  const delta = parseFloat((movement.delta || {})[trackingType] || 0);
+  const amount = getLineAmount(
+      getRunLine(trackingType, movement.unit, Math.abs(delta)), item);
+  return delta < 0 ? -amount : amount;
+}
+
+/**
+ * Check whether stored cost layers differ from newly calculated ones
+ * @param {Array<Object>} current - Layers stored on the item
+ * @param {Array<Object>} next - Newly calculated layers
+ * @return {boolean} - True if the layers differ
+ */
+function layersChanged(current, next) {
+  const normalize = (layers) => JSON.stringify((layers || []).map((l) => [
+    l.purchase ? l.purchase.toString() : null,
+    l.remaining,
+    l.costPerUnit,
+  ]));
+  return normalize(current) !== normalize(next);
+}
+
+/**
+ * Rebuilds inventory quantities and costs
+ * based on purchase, sales and return history
  * @param {Object} providers - Provider instances
  * @param {Object} options - Options for rebuilding (batchSize, etc.)
  * @return {Promise<Object>} - Results of the rebuild operation
@@ -65,13 +166,26 @@ async function rebuildInventory(providers, options = {}) {
 }
 
 /**
- * Rebuild inventory for a specific item
+ * Rebuild inventory for a specific item from its purchases, sales,
+ * production runs, breakdowns and the adjustments and counts in its
+ * ledger. The
+ * selling price is left untouched unless an automatic pricing rule
+ * applies to the item
  * @param {string} itemId - ID of the item to rebuild
  * @param {Object} providers - Provider instances
  * @return {Promise<Object>} - Results of the rebuild operation
  */
 async function rebuildItemInventory(itemId, providers) {
-  const {itemRepository, purchaseRepository, salesRepository} = providers;
+  const {
+    itemRepository,
+    purchaseRepository,
+    salesRepository,
+    pricingRuleRepository,
+    inventoryMovementRepository,
+    productionRunRepository,
+    saleReturnRepository,
+    breakdownRepository,
+  } = providers;
 
   console.log(`Rebuilding inventory for item: ${itemId}`);
 
@@ -91,11 +205,8 @@ async function rebuildItemInventory(itemId, providers) {
   };
 
   // Store original values for comparison later
-  const originalQuantity = item.trackingType === "quantity" ? item.quantity :
-                          item.trackingType === "weight" ? item.weight :
-                          item.trackingType === "length" ? item.length :
-                          item.trackingType === "area" ? item.area :
-                          item.trackingType === "volume" ? item.volume : 0;
+  const measurement = getTrackingMeasurement(item);
+  const originalQuantity = item[measurement] || 0;
   const originalCost = item.cost || 0;
   const originalPrice = item.price || 0;
 
@@ -103,371 +214,290 @@ async function rebuildItemInventory(itemId, providers) {
   const purchases = await purchaseRepository.getAllByItemId(itemId);
   console.log(`Found ${purchases.length} purchases for item ${itemId}`);
 
-  // Filter to only include received purchases
-  const receivedPurchases = purchases.filter((p) => p.status === "received");
+  // Only what purchases received has added stock, the same as when
+  // they're saved, so partly received purchases count what arrived
+  const receivedPurchases = purchases.filter(purchaseHoldsStock)
+      .map((purchase) => ({
+        _id: purchase._id,
+        purchaseDate: purchase.purchaseDate,
+        createdAt: purchase.createdAt,
+        items: getReceivedPurchaseLines(purchase),
+      }));
   console.log(`Found ${receivedPurchases.length}
     received purchases for item ${itemId}`);
 
   // 2. Get all sales for this item
   const sales = await salesRepository.getAllByItemId(itemId);
-  // Filter to only include completed sales
-  const completedSales = sales.filter((s) => s.status === "completed");
-
-  // 3. Calculate inventory quantity based on tracking type
-  let newQuantity = 0;
-
-  // Handle different tracking types
-  switch (item.trackingType) {
-    case "quantity": {
-      // Collect ALL matching purchase items across all purchases
-      let allPurchaseItems = [];
-      for (const purchase of receivedPurchases) {
-        // Find ALL matching items in this purchase (there could be multiple)
-        const matchingItems = purchase.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          console.log(`Found ${matchingItems.length}
-            matching items in purchase ${purchase._id}`);
-          allPurchaseItems = [...allPurchaseItems, ...matchingItems];
-        }
-      }
-
-      // Calculate total purchased quantity from all matching items
-      const purchasedQuantity = allPurchaseItems.reduce((total, item) =>
-        total + (item.quantity || 0), 0);
-
-      console.log(`Total purchased quantity for item
-        ${itemId}: ${purchasedQuantity}`);
-
-      // Collect ALL matching sale items across all sales
-      let allSaleItems = [];
-      for (const sale of completedSales) {
-        const matchingItems = sale.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allSaleItems = [...allSaleItems, ...matchingItems];
-        }
-      }
-
-      // Calculate total sold quantity from all matching items
-      const soldQuantity = allSaleItems.reduce((total, item) =>
-        total + (item.quantity || 0), 0);
-
-      newQuantity = Math.max(0, purchasedQuantity - soldQuantity);
-      console.log(`Calculated new quantity: ${newQuantity}
-        (purchased: ${purchasedQuantity}, sold: ${soldQuantity})`);
-
-      // Update if quantity changed
-      if (item.quantity !== newQuantity) {
-        item.quantity = newQuantity;
-        result.updated = true;
-        result.changes.quantity = {
-          from: originalQuantity,
-          to: newQuantity,
-          purchasedQuantity,
-          soldQuantity,
-        };
-      }
-      break;
+  // Stock a sale's returns put back is on hand again, so each sale counts
+  // only what its customer kept
+  const saleReturns = saleReturnRepository ?
+    await saleReturnRepository.findByItem(itemId) : [];
+  const activeSales = sales.filter(saleHoldsStock).map((sale) => ({
+    _id: sale._id,
+    createdAt: sale.createdAt,
+    items: getNetSaleLines(sale, saleReturns.filter((saleReturn) =>
+      getItemRefId(saleReturn.sale) === getItemRefId(sale))),
+  }));
+
+  // Production runs that built this item or used it as a component
+  const runs = productionRunRepository ?
+    await productionRunRepository.findByItem(itemId) : [];
+  const builds = [];
+  const consumptions = [];
+  for (const run of runs) {
+    if (getItemRefId(run.product) === itemId.toString()) {
+      builds.push({
+        run,
+        line: getRunLine(measurement, getTrackingUnit(item), run.quantity),
+      });
     }
-    case "weight": {
-      // Use the same pattern for weight-tracked items
-      let allPurchaseItems = [];
-      for (const purchase of receivedPurchases) {
-        const matchingItems = purchase.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allPurchaseItems = [...allPurchaseItems, ...matchingItems];
-        }
-      }
-
-      const purchasedWeight = allPurchaseItems.reduce((total, item) =>
-        total + (item.weight || 0), 0);
-
-      let allSaleItems = [];
-      for (const sale of completedSales) {
-        const matchingItems = sale.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allSaleItems = [...allSaleItems, ...matchingItems];
-        }
-      }
-
-      const soldWeight = allSaleItems.reduce((total, item) =>
-        total + (item.weight || 0), 0);
-
-      newQuantity = Math.max(0, purchasedWeight - soldWeight);
-
-      // Update if weight changed
-      if (item.weight !== newQuantity) {
-        item.weight = newQuantity;
-        result.updated = true;
-        result.changes.weight = {
-          from: originalQuantity,
-          to: newQuantity,
-          purchasedWeight,
-          soldWeight,
-        };
-      }
-      break;
+    for (const component of run.components || []) {
+      if (getItemRefId(component.item) !== itemId.toString()) continue;
+      consumptions.push({
+        run,
+        line: getRunLine(component.trackingType, component.unit,
+            component.amount),
+      });
     }
+  }
 
-    // Apply the same pattern to the other tracking types
-    case "length": {
-      // Handle length using same approach as quantity and weight
-      let allPurchaseItems = [];
-      for (const purchase of receivedPurchases) {
-        const matchingItems = purchase.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allPurchaseItems = [...allPurchaseItems, ...matchingItems];
-        }
-      }
-
-      const purchasedLength = allPurchaseItems.reduce((total, item) =>
-        total + (item.length || 0), 0);
-
-      let allSaleItems = [];
-      for (const sale of completedSales) {
-        const matchingItems = sale.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allSaleItems = [...allSaleItems, ...matchingItems];
-        }
-      }
-
-      const soldLength = allSaleItems.reduce((total, item) =>
-        total + (item.length || 0), 0);
-
-      newQuantity = Math.max(0, purchasedLength - soldLength);
-      console.log(`Calculated new length: ${newQuantity}
-        (purchased: ${purchasedLength}, sold: ${soldLength})`);
-
-      if (item.length !== newQuantity) {
-        item.length = newQuantity;
-        result.updated = true;
-        result.changes.length = {
-          from: originalQuantity,
-          to: newQuantity,
-          purchasedLength,
-          soldLength,
-        };
-      }
-      break;
+  // Breakdowns that still stand took stock out of this item, waste
+  // included, or put an allocation into it
+  const breakdowns = breakdownRepository ?
+    (await breakdownRepository.findByItem(itemId))
+        .filter((breakdown) => breakdown.status !== "reversed") :
+    [];
+  const breakdownIssues = [];
+  const breakdownReceipts = [];
+  for (const breakdown of breakdowns) {
+    if (getItemRefId(breakdown.sourceItem) === itemId.toString()) {
+      breakdownIssues.push({
+        breakdown,
+        line: getRunLine(breakdown.trackingType, breakdown.unit,
+            breakdown.consumedAmount),
+      });
+    }
+    for (const allocation of breakdown.allocations || []) {
+      if (getItemRefId(allocation.item) !== itemId.toString()) continue;
+      breakdownReceipts.push({
+        breakdown,
+        allocation,
+        line: getRunLine(breakdown.trackingType, breakdown.unit,
+            allocation.amount),
+      });
     }
+  }
 
-    case "area": {
-      // Handle area using same approach
-      let allPurchaseItems = [];
-      for (const purchase of receivedPurchases) {
-        const matchingItems = purchase.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allPurchaseItems = [...allPurchaseItems, ...matchingItems];
-        }
-      }
+  // Manual adjustments and stock counts only live in the ledger, so they
+  // are replayed from it
+  const adjustments = inventoryMovementRepository ?
+    (await inventoryMovementRepository.findByItem(itemId))
+        .filter((movement) => LEDGER_ONLY_MOVEMENTS.includes(movement.type)) :
+    [];
+
+  // 3. Calculate inventory based on tracking type, converting every
+  // line into the unit the item is tracked in
+  const purchasedAmount = roundMeasurement(receivedPurchases.reduce(
+      (total, purchase) => total + getMatchingLines(purchase, itemId)
+          .reduce((sum, line) => sum + getLineAmount(line, item), 0), 0));
+  const soldAmount = roundMeasurement(activeSales.reduce(
+      (total, sale) => total + getMatchingLines(sale, itemId)
+          .reduce((sum, line) => sum + getLineAmount(line, item), 0), 0));
+  const builtAmount = roundMeasurement(builds.reduce(
+      (total, build) => total + getLineAmount(build.line, item), 0));
+  const consumedAmount = roundMeasurement(consumptions.reduce(
+      (total, consumption) =>
+        total + getLineAmount(consumption.line, item), 0));
+  const brokenDownAmount = roundMeasurement(breakdownIssues.reduce(
+      (total, issue) => total + getLineAmount(issue.line, item), 0));
+  const derivedAmount = roundMeasurement(breakdownReceipts.reduce(
+      (total, receipt) => total + getLineAmount(receipt.line, item), 0));
+
+  const adjustedAmount = roundMeasurement(adjustments.reduce(
+      (total, movement) => total + getMovementAmount(movement, item), 0));
+
+  const newQuantity = Math.max(0, roundMeasurement(purchasedAmount +
+    builtAmount + derivedAmount - soldAmount - consumedAmount -
+    brokenDownAmount + adjustedAmount));
+  console.log(`Calculated new ${measurement}: ${newQuantity}
+    (purchased: ${purchasedAmount}, sold: ${soldAmount},
+    built: ${builtAmount}, consumed: ${consumedAmount},
+    broken down: ${brokenDownAmount}, derived: ${derivedAmount},
+    adjusted: ${adjustedAmount})`);
+
+  // Update if the tracked measurement changed
+  if (item[measurement] !== newQuantity) {
+    const label = measurement.charAt(0).toUpperCase() + measurement.slice(1);
+    item[measurement] = newQuantity;
+    result.updated = true;
+    result.changes[measurement] = {
+      from: originalQuantity,
+      to: newQuantity,
+      [`purchased${label}`]: purchasedAmount,
+      [`sold${label}`]: soldAmount,
+    };
+    if (runs.length > 0) {
+      result.changes[measurement][`built${label}`] = builtAmount;
+      result.changes[measurement][`consumed${label}`] = consumedAmount;
+    }
+    if (breakdowns.length > 0) {
+      result.changes[measurement][`brokenDown${label}`] = brokenDownAmount;
+      result.changes[measurement][`derived${label}`] = derivedAmount;
+    }
+    if (adjustments.length > 0) {
+      result.changes[measurement][`adjusted${label}`] = adjustedAmount;
+    }
+  }
 
-      const purchasedArea = allPurchaseItems.reduce((total, item) =>
-        total + (item.area || 0), 0);
+  // 4. Calculate cost from cost layers using the item's costing method
+  const receipts = [];
+  for (const purchase of receivedPurchases) {
+    for (const purchaseItem of getMatchingLines(purchase, itemId)) {
+      const costPerUnit = getLineUnitCost(purchaseItem, item);
+      receipts.push({
+        purchase: purchase._id,
+        date: purchase.purchaseDate || purchase.createdAt,
+        amount: getLineAmount(purchaseItem, item),
+        costPerUnit: costPerUnit === null ? 0 : costPerUnit,
+      });
+    }
+  }
 
-      let allSaleItems = [];
-      for (const sale of completedSales) {
-        const matchingItems = sale.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
+  for (const build of builds) {
+    receipts.push({
+      date: build.run.createdAt,
+      amount: getLineAmount(build.line, item),
+      costPerUnit: build.run.unitCost || 0,
+    });
+  }
+  for (const receipt of breakdownReceipts) {
+    const amount = getLineAmount(receipt.line, item);
+    receipts.push({
+      date: receipt.breakdown.createdAt,
+      amount,
+      costPerUnit: amount > 0 ?
+        (receipt.allocation.totalCost || 0) / amount : 0,
+    });
+  }
 
-        if (matchingItems.length > 0) {
-          allSaleItems = [...allSaleItems, ...matchingItems];
-        }
-      }
+  const issues = [];
+  for (const sale of activeSales) {
+    for (const saleItem of getMatchingLines(sale, itemId)) {
+      issues.push({
+        sale: sale._id,
+        date: sale.createdAt,
+        amount: getLineAmount(saleItem, item),
+      });
+    }
+  }
+  for (const consumption of consumptions) {
+    issues.push({
+      date: consumption.run.createdAt,
+      amount: getLineAmount(consumption.line, item),
+    });
+  }
+  for (const issue of breakdownIssues) {
+    issues.push({
+      date: issue.breakdown.createdAt,
+      amount: getLineAmount(issue.line, item),
+    });
+  }
 
-      const soldArea = allSaleItems.reduce((total, item) =>
-        total + (item.area || 0), 0);
-
-      newQuantity = Math.max(0, purchasedArea - soldArea);
-      console.log(`Calculated new area: ${newQuantity}
-        (purchased: ${purchasedArea}, sold: ${soldArea})`);
-
-      if (item.area !== newQuantity) {
-        item.area = newQuantity;
-        result.updated = true;
-        result.changes.area = {
-          from: originalQuantity,
-          to: newQuantity,
-          purchasedArea,
-          soldArea,
+  if (receipts.length > 0) {
+    const costing = calculateCostLayers(
+        resolveCostingMethod(item), receipts, issues);
+    console.log(`Costed item ${itemId} using ${costing.method}:
+      unit cost ${costing.unitCost}, COGS ${costing.costOfGoodsSold}`);
+
+    if (item.cost !== costing.unitCost) {
+      item.cost = costing.unitCost;
+      result.updated = true;
+      result.changes.cost = {
+        from: originalCost,
+        to: costing.unitCost,
+        method: costing.method,
+      };
+
+      // Only reprice when an automatic pricing rule applies to the item
+      const rule = pricingRuleRepository ?
+        await pricingRuleRepository.findRuleForItem(item) : null;
+      const newPrice = getAutoPrice(costing.unitCost, rule);
+      if (newPrice !== null && item.price !== newPrice) {
+        item.price = newPrice;
+        result.changes.price = {
+          from: originalPrice,
+          to: newPrice,
+          rule: rule._id || rule.id,
         };
       }
-      break;
     }
 
-    case "volume": {
-      // Handle volume using same approach
-      let allPurchaseItems = [];
-      for (const purchase of receivedPurchases) {
-        const matchingItems = purchase.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allPurchaseItems = [...allPurchaseItems, ...matchingItems];
-        }
-      }
-
-      const purchasedVolume = allPurchaseItems.reduce((total, item) =>
-        total + (item.volume || 0), 0);
-
-      let allSaleItems = [];
-      for (const sale of completedSales) {
-        const matchingItems = sale.items.filter((i) =>
-          (i.item && typeof i.item === "object" &&
-            i.item._id && i.item._id.toString() === itemId) ||
-          (i.item && typeof i.item === "string" && i.item === itemId),
-        );
-
-        if (matchingItems.length > 0) {
-          allSaleItems = [...allSaleItems, ...matchingItems];
-        }
-      }
-
-      const soldVolume = allSaleItems.reduce((total, item) =>
-        total + (item.volume || 0), 0);
-
-      newQuantity = Math.max(0, purchasedVolume - soldVolume);
-      console.log(`Calculated new volume: ${newQuantity}
-        (purchased: ${purchasedVolume}, sold: ${soldVolume})`);
-
-      if (item.volume !== newQuantity) {
-        item.volume = newQuantity;
-        result.updated = true;
-        result.changes.volume = {
-          from: originalQuantity,
-          to: newQuantity,
-          purchasedVolume,
-          soldVolume,
-        };
-      }
-      break;
+    if (item.costOfGoodsSold !== costing.costOfGoodsSold ||
+        layersChanged(item.costLayers, costing.layers)) {
+      item.costOfGoodsSold = costing.costOfGoodsSold;
+      item.costLayers = costing.layers;
+      result.updated = true;
+      result.changes.costLayers = {
+        method: costing.method,
+        layers: costing.layers.length,
+        remainingQuantity: costing.remainingQuantity,
+        inventoryValue: costing.inventoryValue,
+        costOfGoodsSold: costing.costOfGoodsSold,
+        unmatchedQuantity: costing.unmatchedQuantity,
+      };
     }
   }
 
-  // 4. Calculate cost and price based on most recent purchase
-  if (receivedPurchases.length > 0) {
-    // Sort purchases by date, most recent first
-    const sortedPurchases = [...receivedPurchases].sort((a, b) =>
-      new Date(b.purchaseDate) - new Date(a.purchaseDate),
-    );
-
-    // Get the most recent purchase
-    const latestPurchase = sortedPurchases[0];
-
-    // Find ALL matching items in the purchase (there could be multiple)
-    const purchaseItems = latestPurchase.items.filter((i) =>
-      (i.item && typeof i.item === "object" && i.item._id &&
-        i.item._id.toString() === itemId) ||
-      (i.item && typeof i.item === "string" && i.item === itemId),
-    );
-
-    if (purchaseItems.length > 0) {
-      console.log(`Found ${purchaseItems.length} matching items
-        in latest purchase ${latestPurchase._id}`);
-
-      // Calculate cost per unit for each matching item
-      const itemCosts = purchaseItems.map((purchaseItem) => {
-        let costPerUnit = null;
-
-        if (purchaseItem.costPerUnit) {
-          // Use the cost per unit directly if available
-          costPerUnit = purchaseItem.costPerUnit;
-        } else if (purchaseItem.totalCost &&
-                 (purchaseItem.quantity || purchaseItem.weight ||
-                  purchaseItem.length || purchaseItem.area ||
-                  purchaseItem.volume)) {
-          // Calculate cost per unit based on tracking type
-          const divisor =
-            item.trackingType === "quantity" ? purchaseItem.quantity :
-            item.trackingType === "weight" ? purchaseItem.weight :
-            item.trackingType === "length" ? purchaseItem.length :
-            item.trackingType === "area" ? purchaseItem.area :
-            item.trackingType === "volume" ? purchaseItem.volume : 1;
-
-          if (divisor > 0) {
-            costPerUnit = purchaseItem.totalCost / divisor;
-          }
-        }
+  // 5. Replay lots so batches and what's left of them match the history
+  const lotReceipts = [];
+  for (const purchase of receivedPurchases) {
+    for (const purchaseItem of getMatchingLines(purchase, itemId)) {
+      lotReceipts.push({
+        line: purchaseItem,
+        date: purchase.purchaseDate || purchase.createdAt,
+      });
+    }
+  }
 
-        return costPerUnit;
-      }).filter((cost) => cost !== null);
-
-      // Find the maximum cost among all matching items
-      if (itemCosts.length > 0) {
-        const maxCostPerUnit = Math.max(...itemCosts);
-        console.log(`Calculated costs: [${itemCosts.join(", ")}],
-         using maximum: ${maxCostPerUnit}`);
-
-        // Update cost if we have a valid value and it's changed
-        if (item.cost !== maxCostPerUnit) {
-          item.cost = maxCostPerUnit;
-          result.updated = true;
-          result.changes.cost = {
-            from: originalCost,
-            to: maxCostPerUnit,
-            source: `Maximum cost from purchase ${latestPurchase._id}
-              (${new Date(latestPurchase.purchaseDate).toLocaleDateString()})`,
-            allCosts: itemCosts,
-          };
-
-          // Also update the selling price to match the cost
-          if (item.price !== maxCostPerUnit) {
-            item.price = maxCostPerUnit;
-            result.changes.price = {
-              from: originalPrice,
-              to: maxCostPerUnit,
-            };
-          }
-        }
+  if (item.trackLots || (item.lots || []).length > 0 ||
+      lotReceipts.some((receipt) => receipt.line.lotNumber)) {
+    const lotIssues = [];
+    for (const sale of activeSales) {
+      for (const saleItem of getMatchingLines(sale, itemId)) {
+        lotIssues.push({line: saleItem, date: sale.createdAt});
       }
     }
+    for (const consumption of consumptions) {
+      lotIssues.push({line: consumption.line, date: consumption.run.createdAt});
+    }
+
+    const lots = replayLots(item, lotReceipts, lotIssues);
+    if (lotsChanged(item.lots, lots)) {
+      item.lots = lots;
+      result.updated = true;
+      result.changes.lots = {
+        lots: lots.length,
+        remaining: roundMeasurement(lots.reduce((total, lot) =>
+          total + lot.remaining, 0)),
+      };
+    }
   }
 
-  // 5. Save the updated item if there were changes
+  // 6. Save the updated item if there were changes
   if (result.updated) {
     console.log(`Updating item ${itemId} with new values`);
     // Mark item as last updated now
     item.lastUpdated = new Date();
     await itemRepository.update(itemId, item);
+
+    // Log the correction so the movement history still adds up
+    if (inventoryMovementRepository && result.changes[measurement]) {
+      const before = item.toObject ? item.toObject() : {...item};
+      before[measurement] = originalQuantity;
+      await inventoryMovementRepository.recordChange(before,
+          {[measurement]: item[measurement]}, "rebuild",
+          {notes: "Inventory rebuilt from its history"});
+    }
   } else {
     console.log(`No changes needed for item ${itemId}`);
   }
@@ -478,4 +508,5 @@ async function rebuildItemInventory(itemId, providers) {
 module.exports = {
   rebuildInventory,
   rebuildItemInventory,
+  groupLinesByItem,
 };
@@ -20,12 +20,13 @@ const extractComponentIds = (components) => {
  * @param {Array} newIds - Array of new component IDs
  * @param {string} productId - ID of the product being updated
  * @param {Object} [transaction] - Optional database transaction
+ * @param {Object} [itemRepository] - Item repository to update, defaults
+ *   to the current provider's
  * @return {Promise<void>}
  */
 const updateItemRelationships = async (oldIds,
-    newIds, productId, transaction = null) => {
-  const itemRepository = getProviderFactory().getItemRepository();
-
+    newIds, productId, transaction = null,
+    itemRepository = getProviderFactory().getItemRepository()) => {
   // Materials to remove this product from
   const removedComponentIds = oldIds.filter((id) => !newIds.includes(id));
 
@@ -66,11 +67,13 @@ const updateItemRelationships = async (oldIds,
 
 /**
  * Rebuilds all relationships between products and materials in the database
+ * @param {Object} [itemRepository] - Item repository to rebuild, defaults
+ *   to the current provider's
  * @return {Promise<{productsProcessed: number, materialsUpdated: number}>}
  */
-const rebuildAllRelationships = async () => {
+const rebuildAllRelationships = async (
+    itemRepository = getProviderFactory().getItemRepository()) => {
   console.log("Rebuilding all product-material relationships");
-  const itemRepository = getProviderFactory().getItemRepository();
 
   // Find all products (items that are products or both)
   const products = await itemRepository.findAll({
@@ -0,0 +1,266 @@
+const {NotFoundError, ValidationError} = require("./errors");
+const {
+  MEASUREMENTS,
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toTrackingUnit,
+  roundMeasurement,
+  toPlain,
+  getItemRefId,
+} = require("./unitConversion");
+
+/**
+ * Get the stock an item holds at a location
+ * @param {Object} item - Item document
+ * @param {string|Object} location - Location ID or document
+ * @return {Object} - Value of every measurement at the location
+ */
+function getLocationStock(item, location) {
+  const locationId = getItemRefId(location);
+  const entry = (item.stockByLocation || []).find((e) =>
+    getItemRefId(e.location) === locationId);
+
+  return MEASUREMENTS.reduce((stock, measurement) => {
+    stock[measurement] = entry ? parseFloat(entry[measurement] || 0) : 0;
+    return stock;
+  }, {});
+}
+
+/**
+ * Get the part of an item's total stock not assigned to any location,
+ * such as stock recorded before locations were set up
+ * @param {Object} item - Item document
+ * @return {number} - Unassigned stock in the item's tracking unit
+ */
+function getUnassignedStock(item) {
+  const measurement = getTrackingMeasurement(item);
+  const assigned = (item.stockByLocation || []).reduce((total, entry) =>
+    total + parseFloat(entry[measurement] || 0), 0);
+  return roundMeasurement(parseFloat(item[measurement] || 0) - assigned);
+}
+
+/**
+ * Work out the updates needed to apply stock changes at one or more
+ * locations. Item totals are a roll-up and never go below zero unless
+ * the caller checks them itself; a location balance may, which flags
+ * stock sold from the wrong place
+ * @param {Object} item - Item document before the change
+ * @param {Array<Object>} changes - Changes ({location, amount, affectsTotal,
+ * lots}) where a null location changes unassigned stock, affectsTotal=false
+ * moves stock without changing the total and lots lists the lots involved
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowNegative] - Let the total go below zero
+ * @return {Object} - {updateData, steps} where each step holds the
+ * before snapshot, update, location and lots for one ledger movement
+ */
+function planStockChange(item, changes, options = {}) {
+  const measurement = getTrackingMeasurement(item);
+
+  // Merge changes to the same location so each gets one movement
+  const merged = [];
+  for (const change of changes) {
+    const key = getItemRefId(change.location);
+    const affectsTotal = change.affectsTotal !== false;
+    const existing = merged.find((c) =>
+      c.key === key && c.affectsTotal === affectsTotal);
+    if (existing) {
+      existing.amount += change.amount;
+      existing.lots = existing.lots.concat(change.lots || []);
+    } else {
+      merged.push({
+        key,
+        location: change.location || null,
+        amount: change.amount,
+        affectsTotal,
+        lots: change.lots || [],
+      });
+    }
+  }
+
+  let state = {
+    ...toPlain(item),
+    stockByLocation: (item.stockByLocation || []).map(toPlain),
+  };
+  let locationsChanged = false;
+  const steps = [];
+
+  for (const change of merged) {
+    const before = state;
+    const updateData = {};
+
+    if (change.affectsTotal) {
+      const total = roundMeasurement(
+          parseFloat(before[measurement] || 0) + change.amount);
+      updateData[measurement] = options.allowNegative ?
+        total : Math.max(0, total);
+    }
+
+    if (change.key) {
+      const entries = before.stockByLocation.map((e) => ({...e}));
+      let entry = entries.find((e) => getItemRefId(e.location) === change.key);
+      if (!entry) {
+        entry = {location: change.location};
+        MEASUREMENTS.forEach((m) => entry[m] = 0);
+        entries.push(entry);
+      }
+      entry[measurement] = roundMeasurement(
+          parseFloat(entry[measurement] || 0) + change.amount);
+      updateData.stockByLocation = entries;
+      locationsChanged = true;
+    }
+
+    steps.push({
+      before,
+      updateData,
+      location: change.location,
+      lots: change.lots,
+    });
+    state = {...before, ...updateData};
+  }
+
+  const updateData = {[measurement]: state[measurement]};
+  if (locationsChanged) {
+    updateData.stockByLocation = state.stockByLocation;
+  }
+
+  return {updateData, steps};
+}
+
+/**
+ * Resolve the location a sale or purchase moves stock at: the one on the
+ * document, otherwise the default location if one is set up
+ * @param {Object} [context] - Inventory context of the document
+ * @param {Object} [locationRepository] - Location repository
+ * @return {Promise<string|null>} - Location ID, or null for unassigned
+ */
+async function getDocumentLocation(context, locationRepository) {
+  if (context && context.location) {
+    return getItemRefId(context.location);
+  }
+  if (!locationRepository) {
+    return null;
+  }
+
+  const defaultLocation = await locationRepository.findDefault();
+  return defaultLocation ? getItemRefId(defaultLocation) : null;
+}
+
+/**
+ * Load a location and make sure stock can be kept there
+ * @param {Object} locationRepository - Location repository
+ * @param {string} locationId - Location ID
+ * @return {Promise<Object>} - Location
+ */
+async function getActiveLocation(locationRepository, locationId) {
+  const location = await locationRepository.findById(locationId);
+  if (!location) {
+    throw new NotFoundError("Location", locationId);
+  }
+  if (location.isActive === false) {
+    throw new ValidationError(`Location ${location.name} is not active`);
+  }
+  return location;
+}
+
+/**
+ * Move stock of an item between two locations. The item's total does not
+ * change; each side of the move is recorded as a transfer movement
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, locationRepository, inventoryMovementRepository})
+ * @param {Object} transfer - Transfer details
+ * @param {string} transfer.itemId - Item to move
+ * @param {string} [transfer.fromLocation] - Source location, or none
+ * to assign unassigned stock
+ * @param {string} transfer.toLocation - Destination location
+ * @param {number} transfer.amount - Amount to move
+ * @param {string} [transfer.unit] - Unit of amount
+ * @param {string} [transfer.notes] - Free-text notes
+ * @param {string} [transfer.user] - User making the transfer
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - Summary of the transfer
+ */
+async function transferStock(providers, transfer, transaction = null) {
+  const {
+    itemRepository,
+    locationRepository,
+    inventoryMovementRepository,
+  } = providers;
+  const {itemId, fromLocation, toLocation, amount, unit, notes, user} =
+    transfer;
+
+  if (!itemId) {
+    throw new ValidationError("itemId is required");
+  }
+  if (!toLocation) {
+    throw new ValidationError("toLocation is required");
+  }
+  if (fromLocation && fromLocation.toString() === toLocation.toString()) {
+    throw new ValidationError("fromLocation and toLocation must differ");
+  }
+  if (!(parseFloat(amount) > 0)) {
+    throw new ValidationError("amount must be greater than zero");
+  }
+
+  const destination = await getActiveLocation(locationRepository, toLocation);
+  const source = fromLocation ?
+    await getActiveLocation(locationRepository, fromLocation) : null;
+
+  const item = await itemRepository.findById(itemId);
+  if (!item) {
+    throw new NotFoundError("Item", itemId);
+  }
+
+  const measurement = getTrackingMeasurement(item);
+  const moved = roundMeasurement(toTrackingUnit(amount, unit, item));
+  const available = source ?
+    getLocationStock(item, source)[measurement] :
+    getUnassignedStock(item);
+
+  if (moved > available) {
+    throw new ValidationError(`Only ${available} ${measurement} of
+      ${item.name} available at ${source ? source.name : "no location"}`);
+  }
+
+  const changes = [{location: getItemRefId(destination), amount: moved,
+    affectsTotal: false}];
+  if (source) {
+    changes.unshift({location: getItemRefId(source), amount: -moved,
+      affectsTotal: false});
+  }
+
+  const {updateData, steps} = planStockChange(item, changes);
+  updateData.lastUpdated = new Date();
+  await itemRepository.update(itemId, updateData, transaction);
+
+  if (inventoryMovementRepository) {
+    for (const step of steps) {
+      await inventoryMovementRepository.recordChange(step.before,
+          step.updateData, "transfer",
+          {location: step.location, notes, user}, transaction);
+    }
+  }
+
+  return {
+    itemId: itemId.toString(),
+    name: item.name,
+    sku: item.sku,
+    measurement,
+    unit: getTrackingUnit(item),
+    amount: moved,
+    fromLocation: source ? getItemRefId(source) : null,
+    toLocation: getItemRefId(destination),
+    fromBalance: source ?
+      getLocationStock(updateData, source)[measurement] :
+      getUnassignedStock({...toPlain(item), ...updateData}),
+    toBalance: getLocationStock(updateData, destination)[measurement],
+  };
+}
+
+module.exports = {
+  getLocationStock,
+  getUnassignedStock,
+  planStockChange,
+  getDocumentLocation,
+  getActiveLocation,
+  transferStock,
+};
@@ -0,0 +1,306 @@
+const {ValidationError} = require("./errors");
+const {
+  getLineAmount,
+  getLineUnitCost,
+  roundMeasurement,
+} = require("./unitConversion");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy an item's lots into plain objects that can be changed freely
+ * @param {Object} item - Item document
+ * @return {Array<Object>} - Lots
+ */
+function copyLots(item) {
+  return (item.lots || []).map((lot) =>
+    lot.toObject ? lot.toObject() : {...lot});
+}
+
+/**
+ * Check whether a lot has expired
+ * @param {Object} lot - Lot
+ * @param {Date} [asOf] - Date to check against, defaulting to now
+ * @return {boolean} - True if the lot expired before the date
+ */
+function isExpired(lot, asOf = new Date()) {
+  return Boolean(lot.expirationDate) &&
+    new Date(lot.expirationDate) < new Date(asOf);
+}
+
+/**
+ * Sort lots first-expiring-first-out. Lots without an expiry go last
+ * and ties are broken by the order they were received in
+ * @param {Array<Object>} lots - Lots
+ * @return {Array<Object>} - Sorted copy of the lots
+ */
+function sortByExpiry(lots) {
+  const time = (date, fallback) => date ? new Date(date).getTime() : fallback;
+  return [...lots].sort((a, b) =>
+    time(a.expirationDate, Infinity) - time(b.expirationDate, Infinity) ||
+    time(a.receivedAt, 0) - time(b.receivedAt, 0));
+}
+
+/**
+ * Add received stock to a lot, creating the lot if it is new
+ * @param {Array<Object>} lots - Lots, changed in place
+ * @param {Object} receipt - {lotNumber, expirationDate, amount,
+ * costPerUnit, receivedAt}
+ * @return {Array<Object>} - The lots
+ */
+function receiveLot(lots, receipt) {
+  const lot = lots.find((l) => l.lotNumber === receipt.lotNumber);
+  if (lot) {
+    lot.receivedQuantity = roundMeasurement(
+        (lot.receivedQuantity || 0) + receipt.amount);
+    lot.remaining = roundMeasurement((lot.remaining || 0) + receipt.amount);
+    if (!lot.expirationDate && receipt.expirationDate) {
+      lot.expirationDate = receipt.expirationDate;
+    }
+    return lots;
+  }
+
+  lots.push({
+    lotNumber: receipt.lotNumber,
+    expirationDate: receipt.expirationDate || null,
+    receivedQuantity: receipt.amount,
+    remaining: receipt.amount,
+    costPerUnit: receipt.costPerUnit || 0,
+    receivedAt: receipt.receivedAt || new Date(),
+  });
+  return lots;
+}
+
+/**
+ * Take stock out of lots, from the named lot or else the first to expire.
+ * Expired lots are skipped unless named; any amount the lots can't cover
+ * comes from stock that isn't in a lot
+ * @param {Array<Object>} lots - Lots, changed in place
+ * @param {number} amount - Amount to take
+ * @param {Object} [options] - Allocation options
+ * @param {string} [options.lotNumber] - Lot to take the stock from
+ * @param {Date} [options.asOf] - Date used to decide what has expired
+ * @param {string} [options.itemName] - Item name for error messages
+ * @return {Array<Object>} - Allocations ({lotNumber, amount})
+ */
+function allocateLots(lots, amount, options = {}) {
+  const {lotNumber, asOf = new Date(), itemName = ""} = options;
+
+  if (lotNumber) {
+    const lot = lots.find((l) => l.lotNumber === lotNumber);
+    if (!lot) {
+      throw new ValidationError(`Lot ${lotNumber} not found
+        for item ${itemName}`);
+    }
+    if ((lot.remaining || 0) < amount) {
+      throw new ValidationError(`Lot ${lotNumber} of ${itemName} only
+        has ${lot.remaining || 0} remaining`);
+    }
+    lot.remaining = roundMeasurement(lot.remaining - amount);
+    return [{lotNumber, amount}];
+  }
+
+  const allocations = [];
+  let needed = amount;
+  for (const lot of sortByExpiry(lots)) {
+    if (needed <= 0) break;
+    if (!(lot.remaining > 0) || isExpired(lot, asOf)) continue;
+
+    const taken = Math.min(lot.remaining, needed);
+    lot.remaining = roundMeasurement(lot.remaining - taken);
+    needed = roundMeasurement(needed - taken);
+    allocations.push({lotNumber: lot.lotNumber, amount: taken});
+  }
+  return allocations;
+}
+
+/**
+ * Put stock back into the lots it was taken from
+ * @param {Array<Object>} lots - Lots, changed in place
+ * @param {Array<Object>} allocations - Allocations ({lotNumber, amount})
+ * @return {Array<Object>} - Allocations that were returned
+ */
+function returnToLots(lots, allocations) {
+  const returned = [];
+  for (const allocation of allocations) {
+    const lot = lots.find((l) => l.lotNumber === allocation.lotNumber);
+    if (!lot || !(allocation.amount > 0)) continue;
+
+    lot.remaining = roundMeasurement((lot.remaining || 0) + allocation.amount);
+    returned.push({lotNumber: lot.lotNumber, amount: allocation.amount});
+  }
+  return returned;
+}
+
+/**
+ * Cut allocations down to an amount, keeping them in order
+ * @param {Array<Object>} allocations - Allocations ({lotNumber, amount})
+ * @param {number} amount - Most the allocations may add up to
+ * @return {Array<Object>} - Allocations adding up to no more than amount
+ */
+function limitAllocations(allocations, amount) {
+  const limited = [];
+  let left = amount;
+  for (const allocation of allocations) {
+    if (left <= 0) break;
+
+    const taken = Math.min(allocation.amount, left);
+    left = roundMeasurement(left - taken);
+    limited.push({lotNumber: allocation.lotNumber, amount: taken});
+  }
+  return limited;
+}
+
+/**
+ * Remove received stock from a lot when a purchase is reverted.
+ * The lot is dropped once nothing received into it is left
+ * @param {Array<Object>} lots - Lots, changed in place
+ * @param {string} lotNumber - Lot to reduce
+ * @param {number} amount - Amount received into the lot
+ * @return {Array<Object>} - The remaining lots
+ */
+function revertLotReceipt(lots, lotNumber, amount) {
+  const index = lots.findIndex((l) => l.lotNumber === lotNumber);
+  if (index === -1) return lots;
+
+  const lot = lots[index];
+  lot.receivedQuantity = roundMeasurement(
+      (lot.receivedQuantity || 0) - amount);
+  lot.remaining = Math.max(0, roundMeasurement((lot.remaining || 0) - amount));
+  if (lot.receivedQuantity <= 0) {
+    lots.splice(index, 1);
+  }
+  return lots;
+}
+
+/**
+ * Make sure purchase lines for lot tracked items name their lot
+ * @param {Object} item - Item document
+ * @param {Array<Object>} lines - Purchase lines for the item
+ * @throws {ValidationError} When a line has no lot number
+ */
+function validatePurchaseLots(item, lines) {
+  if (!item.trackLots) return;
+  const missing = lines.find((line) => !line.lotNumber);
+  if (missing) {
+    throw new ValidationError(`Item ${item.name} is lot tracked;
+      every purchase line needs a lotNumber`);
+  }
+}
+
+/**
+ * Work out the lots an item holds from its purchase and sales history.
+ * Receipts and sales are replayed in date order, so sales take from
+ * the lots that were first to expire at the time
+ * @param {Object} item - Item document
+ * @param {Array<Object>} receipts - Purchase lines with the purchase
+ * date ({line, date})
+ * @param {Array<Object>} issues - Sale lines with the sale date
+ * ({line, date})
+ * @return {Array<Object>} - Lots
+ */
+function replayLots(item, receipts, issues) {
+  const events = [
+    ...receipts.map((r) => ({...r, receipt: true})),
+    ...issues.map((i) => ({...i, receipt: false})),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date) ||
+    (b.receipt - a.receipt));
+
+  const lots = [];
+  for (const {line, date, receipt} of events) {
+    const amount = getLineAmount(line, item);
+    if (!(amount > 0)) continue;
+
+    if (receipt) {
+      if (!line.lotNumber) continue;
+      receiveLot(lots, {
+        lotNumber: line.lotNumber,
+        expirationDate: line.expirationDate,
+        amount,
+        costPerUnit: getLineUnitCost(line, item),
+        receivedAt: date,
+      });
+      continue;
+    }
+
+    // A named lot that no longer covers the sale is taken as far as it can
+    // go rather than failing the rebuild
+    const named = line.lotNumber &&
+      lots.find((l) => l.lotNumber === line.lotNumber);
+    if (named) {
+      const taken = Math.min(named.remaining, amount);
+      named.remaining = roundMeasurement(named.remaining - taken);
+    } else {
+      allocateLots(lots, amount, {asOf: date});
+    }
+  }
+
+  return lots;
+}
+
+/**
+ * Check whether two sets of lots differ
+ * @param {Array<Object>} current - Lots stored on the item
+ * @param {Array<Object>} next - Newly calculated lots
+ * @return {boolean} - True if the lots differ
+ */
+function lotsChanged(current, next) {
+  const normalize = (lots) => JSON.stringify((lots || []).map((l) => [
+    l.lotNumber,
+    l.receivedQuantity,
+    l.remaining,
+    l.expirationDate ? new Date(l.expirationDate).getTime() : null,
+  ]));
+  return normalize(current) !== normalize(next);
+}
+
+/**
+ * List lots with stock left that expire within a number of days,
+ * including any that have already expired
+ * @param {Array<Object>} items - Items to check
+ * @param {number} withinDays - Days ahead to look
+ * @param {Date} [asOf] - Date to count from, defaulting to now
+ * @return {Array<Object>} - Expiring lots, soonest first
+ */
+function getExpiringLots(items, withinDays, asOf = new Date()) {
+  const now = new Date(asOf);
+  const cutoff = new Date(now.getTime() + withinDays * DAY_MS);
+  const expiring = [];
+
+  for (const item of items) {
+    for (const lot of item.lots || []) {
+      if (!lot.expirationDate || !(lot.remaining > 0)) continue;
+
+      const expirationDate = new Date(lot.expirationDate);
+      if (expirationDate > cutoff) continue;
+
+      expiring.push({
+        itemId: item._id || item.id,
+        name: item.name,
+        sku: item.sku,
+        lotNumber: lot.lotNumber,
+        expirationDate,
+        remaining: lot.remaining,
+        costPerUnit: lot.costPerUnit || 0,
+        daysUntilExpiry: Math.ceil((expirationDate - now) / DAY_MS),
+        expired: expirationDate < now,
+      });
+    }
+  }
+
+  return expiring.sort((a, b) => a.expirationDate - b.expirationDate);
+}
+
+module.exports = {
+  copyLots,
+  isExpired,
+  receiveLot,
+  allocateLots,
+  returnToLots,
+  limitAllocations,
+  revertLotReceipt,
+  validatePurchaseLots,
+  replayLots,
+  lotsChanged,
+  getExpiringLots,
+};
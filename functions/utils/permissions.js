@@ -0,0 +1,102 @@
+/**
+ * Roles and the permissions each one grants. Permissions are named
+ * "<resource>:<action>" and checked per route by requirePermission
+ */
+
+// Roles from least to most privileged
+const ROLES = ["viewer", "clerk", "manager", "owner"];
+
+const VIEWER_PERMISSIONS = [
+  "items:read",
+  "sales:read",
+  "purchases:read",
+  "assets:read",
+  "pricingRules:read",
+  "inventory:read",
+  "locations:read",
+  "reports:read",
+  "customers:read",
+  "suppliers:read",
+];
+
+// Front counter staff: record sales and purchases and keep stock right
+const CLERK_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  "sales:create",
+  "sales:update",
+  "purchases:create",
+  "purchases:update",
+  "inventory:adjust",
+  "customers:create",
+  "customers:update",
+];
+
+const MANAGER_PERMISSIONS = [
+  ...CLERK_PERMISSIONS,
+  "items:create",
+  "items:update",
+  "items:delete",
+  "items:maintain",
+  "sales:delete",
+  "sales:refund",
+  "purchases:delete",
+  "assets:create",
+  "assets:update",
+  "assets:delete",
+  "pricingRules:create",
+  "pricingRules:update",
+  "pricingRules:delete",
+  "locations:create",
+  "locations:update",
+  "locations:delete",
+  "customers:delete",
+  "customers:maintain",
+  "suppliers:create",
+  "suppliers:update",
+  "suppliers:delete",
+  "users:read",
+  "audit:read",
+];
+
+const OWNER_PERMISSIONS = [
+  ...MANAGER_PERMISSIONS,
+  "users:manage",
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  clerk: CLERK_PERMISSIONS,
+  manager: MANAGER_PERMISSIONS,
+  owner: OWNER_PERMISSIONS,
+};
+
+/**
+ * Check whether a value is a known role
+ * @param {*} role Value to check
+ * @return {boolean} True if it names a role
+ */
+const isRole = (role) => ROLES.includes(role);
+
+/**
+ * Get the permissions a role grants
+ * @param {string} role Role name
+ * @return {Array<string>} Permissions, empty for an unknown role
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role Role name
+ * @param {string} permission Permission, e.g. "sales:delete"
+ * @return {boolean} True if the role has the permission
+ */
+const hasPermission = (role, permission) =>
+  getPermissions(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  isRole,
+  getPermissions,
+  hasPermission,
+};
@@ -0,0 +1,176 @@
+const {ValidationError} = require("./errors");
+const {getItemRefId} = require("./unitConversion");
+
+/**
+ * Round a price to whole cents
+ * @param {number} value - Price to round
+ * @return {number} - Rounded price
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Round a price down to the nearest price ending in .99, so 5.00 becomes
+ * 4.99 and 5.99 stays. Prices under 0.99 have no such price below them
+ * and are kept
+ * @param {number} value - Price to round
+ * @return {number} - Price ending in .99
+ */
+function roundToNinetyNine(value) {
+  const cents = Math.round(value * 100);
+  if (cents < 99) return value;
+  return (Math.floor((cents + 1) / 100) * 100 - 1) / 100;
+}
+
+/**
+ * Pick the rule that applies to an item. Item rules win over
+ * category rules, which win over global rules
+ * @param {Object} item - Item document
+ * @param {Array<Object>} rules - Active pricing rules
+ * @return {Object|null} - Applicable rule or null if none
+ */
+function resolvePricingRule(item, rules) {
+  if (!item || !rules || rules.length === 0) return null;
+
+  const itemId = getItemRefId(item._id || item.id);
+  const activeRules = rules.filter((rule) => rule.isActive !== false);
+
+  const itemRule = activeRules.find((rule) =>
+    rule.scope === "item" && getItemRefId(rule.item) === itemId);
+  if (itemRule) return itemRule;
+
+  const categoryRule = activeRules.find((rule) =>
+    rule.scope === "category" && item.category &&
+    rule.category === item.category);
+  if (categoryRule) return categoryRule;
+
+  return activeRules.find((rule) => rule.scope === "global") || null;
+}
+
+/**
+ * Calculate a selling price from cost using a pricing rule
+ * @param {number} cost - Unit cost
+ * @param {Object} rule - Pricing rule
+ * @return {number} - Calculated price
+ */
+function calculatePrice(cost, rule) {
+  const percentage = parseFloat(rule.percentage || 0);
+  const unitCost = parseFloat(cost || 0);
+  let price;
+
+  switch (rule.strategy) {
+    case "margin":
+      if (percentage >= 100) {
+        throw new ValidationError(`Target margin must be below 100%,
+          got ${percentage}%`);
+      }
+      price = unitCost / (1 - percentage / 100);
+      break;
+    case "markup":
+      price = unitCost * (1 + percentage / 100);
+      break;
+    default:
+      throw new ValidationError(`Unknown pricing strategy
+        "${rule.strategy}"`);
+  }
+
+  if (rule.roundToNinetyNine) {
+    price = roundToNinetyNine(price);
+  }
+
+  if (rule.minimumPrice && price < rule.minimumPrice) {
+    price = rule.minimumPrice;
+  }
+
+  return roundPrice(price);
+}
+
+/**
+ * Get the price an item should take when its cost changes, if the
+ * applicable rule is set to apply automatically
+ * @param {number} cost - New unit cost
+ * @param {Object|null} rule - Applicable pricing rule
+ * @return {number|null} - New price, or null if the price should be kept
+ */
+function getAutoPrice(cost, rule) {
+  if (!rule || !rule.autoApply) return null;
+  return calculatePrice(cost, rule);
+}
+
+/**
+ * Recalculate item prices from their pricing rules
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, pricingRuleRepository})
+ * @param {Object} [options] - Reprice options
+ * @param {boolean} [options.apply=false] - Save the new prices
+ * @param {Array<string>} [options.itemIds] - Limit to these items
+ * @param {string} [options.category] - Limit to a category
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - Diff of old and new prices
+ */
+async function repriceItems(providers, options = {}, transaction = null) {
+  const {itemRepository, pricingRuleRepository} = providers;
+  const {apply = false, itemIds, category} = options;
+
+  const rules = await pricingRuleRepository.findActiveRules();
+  let items = await itemRepository.findAll(category ? {category} : {});
+
+  if (itemIds && itemIds.length > 0) {
+    const ids = itemIds.map((id) => id.toString());
+    items = items.filter((item) => ids.includes(getItemRefId(item)));
+  }
+
+  const result = {
+    dryRun: !apply,
+    evaluated: items.length,
+    changed: 0,
+    skipped: 0,
+    diff: [],
+  };
+
+  for (const item of items) {
+    const rule = resolvePricingRule(item, rules);
+    if (!rule) {
+      result.skipped++;
+      continue;
+    }
+
+    const oldPrice = item.price || 0;
+    const newPrice = calculatePrice(item.cost || 0, rule);
+    if (newPrice === oldPrice) continue;
+
+    result.changed++;
+    result.diff.push({
+      itemId: getItemRefId(item),
+      name: item.name,
+      sku: item.sku,
+      cost: item.cost || 0,
+      oldPrice,
+      newPrice,
+      change: roundPrice(newPrice - oldPrice),
+      rule: {
+        id: getItemRefId(rule._id || rule.id),
+        scope: rule.scope,
+        strategy: rule.strategy,
+        percentage: rule.percentage,
+      },
+    });
+
+    if (apply) {
+      await itemRepository.update(getItemRefId(item), {
+        price: newPrice,
+        lastUpdated: new Date(),
+      }, transaction);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  resolvePricingRule,
+  calculatePrice,
+  getAutoPrice,
+  repriceItems,
+};
@@ -0,0 +1,308 @@
+const {NotFoundError, ValidationError} = require("./errors");
+const {
+  getTrackingMeasurement,
+  getTrackingUnit,
+  getLineAmount,
+  roundMeasurement,
+  roundMoney,
+  getItemRefId,
+} = require("./unitConversion");
+const {planStockChange} = require("./locationUtils");
+const {copyLots, allocateLots} = require("./lotUtils");
+const {getAutoPrice} = require("./pricingUtils");
+const {roundCost} = require("./costingUtils");
+
+/**
+ * Load the components a product is built from, with how much of each
+ * one unit of the product uses in the component's tracking unit.
+ * A component listed more than once is merged into one entry
+ * @param {Object} itemRepository - Item repository
+ * @param {Object} product - Product item document
+ * @return {Promise<Array<Object>>} - Components ({item, measurement,
+ * unit, perUnit})
+ */
+async function getBillOfMaterials(itemRepository, product) {
+  const productId = getItemRefId(product);
+  const components = (product.components || []).filter((c) => c.item);
+  if (components.length === 0) {
+    throw new ValidationError(`${product.name} has no components
+      to build from`);
+  }
+
+  const bom = [];
+  for (const component of components) {
+    const componentId = getItemRefId(component.item);
+    if (componentId === productId) {
+      throw new ValidationError(`${product.name} can't be built from itself`);
+    }
+
+    const existing = bom.find((c) => getItemRefId(c.item) === componentId);
+    const item = existing ? existing.item :
+      await itemRepository.findById(componentId);
+    if (!item) {
+      throw new NotFoundError("Component item", componentId);
+    }
+
+    const perUnit = getLineAmount(component, item);
+    if (!(perUnit > 0)) {
+      throw new ValidationError(`Component ${item.name} of ${product.name}
+        has no quantity or measurement`);
+    }
+
+    if (existing) {
+      existing.perUnit = roundMeasurement(existing.perUnit + perUnit);
+      continue;
+    }
+    bom.push({
+      item,
+      measurement: getTrackingMeasurement(item),
+      unit: getTrackingUnit(item),
+      perUnit,
+    });
+  }
+
+  return bom;
+}
+
+/**
+ * Work out how many units of a product the current component stock can
+ * build. Products tracked by quantity can only be built in whole units
+ * @param {Object} itemRepository - Item repository
+ * @param {Object} product - Product item document
+ * @return {Promise<Object>} - {maxBuildable, limitingComponent, components}
+ */
+async function calculateBuildable(itemRepository, product) {
+  const bom = await getBillOfMaterials(itemRepository, product);
+  const wholeUnits = getTrackingMeasurement(product) === "quantity";
+
+  let maxBuildable = Infinity;
+  let limitingComponent = null;
+  const components = bom.map((component) => {
+    const available = parseFloat(
+        component.item[component.measurement] || 0);
+    const raw = available / component.perUnit;
+    const buildable = wholeUnits ? Math.floor(raw) : roundMeasurement(raw);
+
+    if (buildable < maxBuildable) {
+      maxBuildable = buildable;
+      limitingComponent = getItemRefId(component.item);
+    }
+
+    return {
+      itemId: getItemRefId(component.item),
+      name: component.item.name,
+      sku: component.item.sku,
+      trackingType: component.measurement,
+      unit: component.unit,
+      perUnit: component.perUnit,
+      available,
+      buildable,
+    };
+  });
+
+  return {
+    productId: getItemRefId(product),
+    name: product.name,
+    trackingType: getTrackingMeasurement(product),
+    unit: getTrackingUnit(product),
+    maxBuildable,
+    limitingComponent,
+    components,
+  };
+}
+
+/**
+ * Parse an optional non-negative cost
+ * @param {*} value - Cost from the request
+ * @param {string} field - Field name for error messages
+ * @return {number} - Cost, 0 when not given
+ */
+function parseCost(value, field) {
+  if (value === undefined || value === null || value === "") return 0;
+  const cost = parseFloat(value);
+  if (isNaN(cost) || cost < 0) {
+    throw new ValidationError(`${field} must be zero or more`);
+  }
+  return cost;
+}
+
+/**
+ * Build units of a product from its components. Component stock is
+ * consumed (first-expiring lots first), the product's stock goes up and
+ * its cost becomes the consumed component cost plus labor and overhead,
+ * spread over the units built. Every stock change is a build movement
+ * @param {Object} providers - Provider instances ({itemRepository,
+ * productionRunRepository, inventoryMovementRepository,
+ * pricingRuleRepository})
+ * @param {Object} build - Build details
+ * @param {string} build.productId - Product to build
+ * @param {number} build.quantity - Units to build, in the product's
+ * tracking unit
+ * @param {number} [build.laborCost] - Labor cost of the whole run
+ * @param {number} [build.overheadCost] - Overhead cost of the whole run
+ * @param {string} [build.location] - Location the build happens at
+ * @param {string} [build.notes] - Free-text notes
+ * @param {string} [build.user] - User making the build
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - The production run and the product's
+ * new stock and cost
+ */
+async function buildProduct(providers, build, transaction = null) {
+  const {
+    itemRepository,
+    productionRunRepository,
+    inventoryMovementRepository,
+    pricingRuleRepository,
+  } = providers;
+  const {productId, location = null, notes, user} = build;
+  const quantity = parseFloat(build.quantity);
+  const laborCost = parseCost(build.laborCost, "laborCost");
+  const overheadCost = parseCost(build.overheadCost, "overheadCost");
+
+  if (!(quantity > 0)) {
+    throw new ValidationError("quantity must be greater than zero");
+  }
+
+  const product = await itemRepository.findById(productId);
+  if (!product) {
+    throw new NotFoundError("Item", productId);
+  }
+
+  const productMeasurement = getTrackingMeasurement(product);
+  if (productMeasurement === "quantity" && !Number.isInteger(quantity)) {
+    throw new ValidationError(`${product.name} is tracked by quantity;
+      build a whole number of units`);
+  }
+  if (product.trackSerials) {
+    throw new ValidationError(`${product.name} is serial tracked and
+      can't be built without serial numbers`);
+  }
+
+  const bom = await getBillOfMaterials(itemRepository, product);
+
+  // Check every component before changing anything
+  const shortages = [];
+  const consumed = bom.map((component) => {
+    const {item, measurement} = component;
+    if (item.trackSerials) {
+      throw new ValidationError(`Component ${item.name} is serial tracked
+        and can't be consumed by a build`);
+    }
+
+    const amount = roundMeasurement(component.perUnit * quantity);
+    const available = parseFloat(item[measurement] || 0);
+    if (amount > available) {
+      shortages.push(`${item.name} (need ${amount}, have ${available})`);
+    }
+
+    const costPerUnit = parseFloat(item.cost || 0);
+    return {
+      item: getItemRefId(item),
+      name: item.name,
+      trackingType: measurement,
+      unit: component.unit,
+      amount,
+      costPerUnit,
+      totalCost: roundMoney(costPerUnit * amount),
+    };
+  });
+
+  if (shortages.length > 0) {
+    throw new ValidationError(`Not enough stock to build ${quantity}
+      ${product.name}: ${shortages.join(", ")}`);
+  }
+
+  const componentCost = roundMoney(consumed.reduce((total, component) =>
+    total + component.totalCost, 0));
+  const totalCost = roundMoney(componentCost + laborCost + overheadCost);
+  const unitCost = roundCost(totalCost / quantity);
+
+  const run = await productionRunRepository.create({
+    product: getItemRefId(product),
+    quantity,
+    components: consumed,
+    componentCost,
+    laborCost,
+    overheadCost,
+    totalCost,
+    unitCost,
+    location,
+    user,
+    notes,
+  }, transaction);
+  const context = {
+    sourceType: "ProductionRun",
+    sourceId: getItemRefId(run),
+    notes,
+    user,
+  };
+
+  // Consume the components
+  for (let i = 0; i < bom.length; i++) {
+    const {item} = bom[i];
+    const {amount} = consumed[i];
+
+    const lots = item.lots && item.lots.length > 0 ? copyLots(item) : null;
+    const allocations = lots ?
+      allocateLots(lots, amount, {itemName: item.name}) : [];
+
+    const {updateData, steps} = planStockChange(item,
+        [{location, amount: -amount, lots: allocations}]);
+    if (lots) {
+      updateData.lots = lots;
+    }
+    updateData.lastUpdated = new Date();
+    await itemRepository.update(getItemRefId(item), updateData, transaction);
+
+    if (inventoryMovementRepository) {
+      for (const step of steps) {
+        await inventoryMovementRepository.recordChange(step.before,
+            step.updateData, "build",
+            {...context, location: step.location, lots: step.lots},
+            transaction);
+      }
+    }
+  }
+
+  // Add the built units at their rolled-up cost
+  const {updateData, steps} = planStockChange(product,
+      [{location, amount: quantity}]);
+  updateData.cost = unitCost;
+  updateData.lastUpdated = new Date();
+
+  if (pricingRuleRepository) {
+    const rule = await pricingRuleRepository.findRuleForItem(product);
+    const price = getAutoPrice(unitCost, rule);
+    if (price !== null) {
+      updateData.price = price;
+    }
+  }
+
+  await itemRepository.update(getItemRefId(product), updateData, transaction);
+
+  if (inventoryMovementRepository) {
+    for (const step of steps) {
+      await inventoryMovementRepository.recordChange(step.before,
+          step.updateData, "build",
+          {...context, location: step.location}, transaction);
+    }
+  }
+
+  return {
+    run,
+    product: {
+      itemId: getItemRefId(product),
+      name: product.name,
+      trackingType: productMeasurement,
+      unit: getTrackingUnit(product),
+      [productMeasurement]: updateData[productMeasurement],
+      cost: unitCost,
+      price: updateData.price !== undefined ? updateData.price : product.price,
+    },
+  };
+}
+
+module.exports = {
+  calculateBuildable,
+  buildProduct,
+};
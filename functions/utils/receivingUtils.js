@@ -0,0 +1,286 @@
+const {ConflictError, NotFoundError, ValidationError} = require("./errors");
+const {roundMeasurement, toPlain, getItemRefId} = require("./unitConversion");
+const {
+  hasReceipts,
+  purchaseHoldsStock,
+  getReceivedAmounts,
+} = require("./inventoryEffectsUtils");
+
+/**
+ * Check whether a purchase was marked received without receipts, which
+ * received all of it at once
+ * @param {Object} purchase - Purchase
+ * @return {boolean} - True if it was received in full without receipts
+ */
+function receivedWithoutReceipts(purchase) {
+  return !hasReceipts(purchase) && purchaseHoldsStock(purchase);
+}
+
+/**
+ * Get how much of each purchase line was ordered, has arrived and is
+ * still to come, in the measurement the line was purchased by. Nothing
+ * is outstanding on a cancelled purchase
+ * @param {Object} purchase - Purchase
+ * @return {Array<Object>} - {line, item, purchasedBy, ordered, received,
+ * outstanding, serialNumbers} per line
+ */
+function getPurchaseLineProgress(purchase) {
+  const received = getReceivedAmounts(purchase);
+  const inFull = receivedWithoutReceipts(purchase);
+
+  return (purchase.items || []).map((ordered, index) => {
+    const line = toPlain(ordered);
+    const measurement = line.purchasedBy || "quantity";
+    const orderedAmount = parseFloat(line[measurement] || 0);
+    const arrived = received[index] || {amount: 0, serialNumbers: []};
+    const receivedAmount = inFull ? orderedAmount : arrived.amount;
+
+    return {
+      line: index,
+      item: getItemRefId(line.item),
+      purchasedBy: measurement,
+      ordered: orderedAmount,
+      received: receivedAmount,
+      outstanding: purchase.status === "cancelled" ? 0 :
+        Math.max(0, roundMeasurement(orderedAmount - receivedAmount)),
+      serialNumbers: inFull ?
+        [...(line.serialNumbers || [])] : arrived.serialNumbers,
+    };
+  });
+}
+
+/**
+ * Get receipt lines for everything still to arrive on a purchase, e.g.
+ * to receive the rest of it when it's marked received. Lines that list
+ * their serial numbers receive the ones that haven't arrived
+ * @param {Object} purchase - Purchase
+ * @return {Array<Object>} - Requested receipt lines
+ */
+function getOutstandingReceiptItems(purchase) {
+  const progress = getPurchaseLineProgress(purchase);
+  return progress.filter((line) => line.outstanding > 0).map((line) => {
+    const ordered = toPlain(purchase.items[line.line]);
+    const serialNumbers = (ordered.serialNumbers || []).filter((serial) =>
+      !line.serialNumbers.includes(serial));
+    return serialNumbers.length > 0 ?
+      {line: line.line, serialNumbers} :
+      {line: line.line, [line.purchasedBy]: line.outstanding};
+  });
+}
+
+/**
+ * Find the purchase line a received line refers to, by its position on
+ * the purchase or else by its item
+ * @param {Object} purchase - Purchase
+ * @param {Object} requested - Received line ({line} or {item})
+ * @return {number} - Position of the purchase line
+ * @throws {ValidationError} When no single line matches
+ */
+function findPurchaseLine(purchase, requested) {
+  const purchaseLines = purchase.items || [];
+
+  if (requested.line !== undefined && requested.line !== null) {
+    const index = parseInt(requested.line, 10);
+    if (!purchaseLines[index]) {
+      throw new ValidationError(`The purchase has no line ${requested.line}`);
+    }
+    return index;
+  }
+
+  const itemId = getItemRefId(requested.item);
+  if (!itemId) {
+    throw new ValidationError("Each received line needs a line or an item");
+  }
+
+  const matches = [];
+  purchaseLines.forEach((line, index) => {
+    if (getItemRefId(line.item) === itemId) matches.push(index);
+  });
+  if (matches.length === 0) {
+    throw new ValidationError(`Item ${itemId} is not on the purchase`);
+  }
+  if (matches.length > 1) {
+    throw new ValidationError(`Item ${itemId} is on more than one line
+      of the purchase; give the line being received`);
+  }
+  return matches[0];
+}
+
+/**
+ * Build a receipt line from a requested one, checking no more arrives
+ * than is outstanding. Lines received by serial number count one per
+ * serial
+ * @param {Object} purchase - Purchase
+ * @param {Object} requested - Received line from the request
+ * @param {Object} received - Amounts already received per line, updated
+ * in place
+ * @return {Object} - Receipt line
+ * @throws {ValidationError} When the line can't be received
+ */
+function buildReceiptLine(purchase, requested, received) {
+  const index = findPurchaseLine(purchase, requested);
+  const ordered = toPlain(purchase.items[index]);
+  const measurement = ordered.purchasedBy || "quantity";
+  const already = received[index] || {amount: 0, serialNumbers: []};
+  const orderedSerials = ordered.serialNumbers || [];
+
+  const serialNumbers = (requested.serialNumbers || [])
+      .map((serialNumber) => serialNumber.toString().trim());
+  let amount;
+  if (serialNumbers.length > 0) {
+    if (new Set(serialNumbers).size !== serialNumbers.length) {
+      throw new ValidationError(`Duplicate serial numbers for line ${index}`);
+    }
+    for (const serialNumber of serialNumbers) {
+      if (orderedSerials.length > 0 &&
+          !orderedSerials.includes(serialNumber)) {
+        throw new ValidationError(`Serial ${serialNumber} is not on line
+          ${index} of the purchase`);
+      }
+      if (already.serialNumbers.includes(serialNumber)) {
+        throw new ValidationError(`Serial ${serialNumber} has already
+          been received`);
+      }
+    }
+    amount = serialNumbers.length;
+    if (requested[measurement] !== undefined &&
+        parseFloat(requested[measurement]) !== amount) {
+      throw new ValidationError(`${measurement} received on line ${index}
+        doesn't match the serial numbers given`);
+    }
+  } else {
+    amount = parseFloat(requested[measurement]);
+    if (isNaN(amount) || amount <= 0) {
+      throw new ValidationError(`${measurement} received on line ${index}
+        must be more than zero`);
+    }
+  }
+
+  const left = roundMeasurement(
+      parseFloat(ordered[measurement] || 0) - already.amount);
+  if (amount > left) {
+    throw new ValidationError(`Only ${left} ${measurement} of line ${index}
+      is still to arrive`);
+  }
+  received[index] = {
+    amount: roundMeasurement(already.amount + amount),
+    serialNumbers: [...already.serialNumbers, ...serialNumbers],
+  };
+
+  return {
+    line: index,
+    item: getItemRefId(ordered.item),
+    purchasedBy: measurement,
+    [measurement]: amount,
+    location: requested.location || null,
+    lotNumber: requested.lotNumber || null,
+    expirationDate: requested.expirationDate ?
+      new Date(requested.expirationDate) : null,
+    serialNumbers,
+  };
+}
+
+/**
+ * Record a delivery against a purchase. The received lines are checked
+ * against what's outstanding and added to stock at the receipt's
+ * location or else where the lines were to go. The purchase becomes
+ * partially_received, or received once every line has arrived in full,
+ * when its receivedAt is set to the receipt's date
+ *
+ * The purchase is read through the transaction before anything is
+ * written, so two receipts can't both receive what's outstanding
+ * @param {Object} providers - Provider instances ({purchaseRepository,
+ * locationRepository})
+ * @param {string} purchaseId - Purchase being received
+ * @param {Object} request - Receipt details
+ * @param {Array<Object>} [request.items] - Lines received: the purchase
+ * line (line, its position on the purchase, or item) and the amount in
+ * the measurement it was purchased by, or serialNumbers, with an optional
+ * location, lotNumber and expirationDate
+ * @param {boolean} [request.rest] - Receive everything still outstanding
+ * instead of the lines given
+ * @param {Object} [request.changes] - Other purchase fields to write with
+ * the receipt
+ * @param {string|Date} [request.date] - When it arrived, now by default
+ * @param {string} [request.location] - Location it was received into, by
+ * default where each line was to go
+ * @param {string} [request.notes] - Free-text notes
+ * @param {string} [request.user] - User recording the receipt
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - {receipt, purchase, lines}, where lines is
+ * the purchase's progress after the receipt
+ */
+async function recordPurchaseReceipt(providers, purchaseId, request,
+    transaction = null) {
+  const {purchaseRepository, locationRepository} = providers;
+  const {notes, user = null} = request;
+
+  const purchase = await purchaseRepository.findForUpdate(purchaseId,
+      transaction);
+  if (!purchase) {
+    throw new NotFoundError("Purchase", purchaseId);
+  }
+  if (purchase.status === "cancelled") {
+    throw new ConflictError("The purchase is cancelled");
+  }
+  if (receivedWithoutReceipts(purchase)) {
+    throw new ConflictError("The purchase has already been received");
+  }
+
+  const requested = request.rest ?
+    getOutstandingReceiptItems(purchase) : request.items;
+  if (request.rest && requested.length === 0) {
+    throw new ConflictError("The purchase has already been received");
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new ValidationError("items must list the lines received");
+  }
+  const date = request.date ? new Date(request.date) : new Date();
+  if (isNaN(date.getTime())) {
+    throw new ValidationError("date must be a valid date");
+  }
+
+  const received = getReceivedAmounts(purchase);
+  const items = requested.map((line) =>
+    buildReceiptLine(purchase, line, received));
+  const location = request.location || null;
+
+  if (locationRepository) {
+    const locations = new Set([location, ...items.map((line) =>
+      line.location)].filter(Boolean));
+    for (const id of locations) {
+      if (!(await locationRepository.findById(id))) {
+        throw new NotFoundError("Location", id);
+      }
+    }
+  }
+
+  const complete = (purchase.items || []).every((line, index) =>
+    (received[index] ? received[index].amount : 0) >=
+      parseFloat(line[line.purchasedBy || "quantity"] || 0));
+  const changes = {
+    ...request.changes,
+    receipts: [
+      ...(purchase.receipts || []).map(toPlain),
+      {date, location, items, user, notes},
+    ],
+    status: complete ? "received" : "partially_received",
+  };
+  if (complete) {
+    changes.receivedAt = date;
+  }
+
+  const updated = await purchaseRepository.update(purchaseId, changes,
+      transaction, {user});
+  return {
+    receipt: updated.receipts[updated.receipts.length - 1],
+    purchase: updated,
+    lines: getPurchaseLineProgress(updated),
+  };
+}
+
+module.exports = {
+  getPurchaseLineProgress,
+  getOutstandingReceiptItems,
+  recordPurchaseReceipt,
+};
@@ -0,0 +1,276 @@
+const {
+  getTrackingMeasurement,
+  getTrackingUnit,
+  getUnitField,
+  getLineAmount,
+  getLineUnitCost,
+  roundMeasurement,
+  getItemRefId,
+} = require("./unitConversion");
+const {
+  purchaseHoldsStock,
+  getOutstandingPurchaseLines,
+} = require("./inventoryEffectsUtils");
+const {getSupplierSnapshot} = require("./supplierUtils");
+
+// Statuses of purchases with stock still to arrive
+const OPEN_STATUSES = ["pending", "partially_received"];
+
+/**
+ * Check whether an item has a reorder point set
+ * @param {Object} item - Item document
+ * @return {boolean} - True if the item's stock is monitored
+ */
+function hasReorderPoint(item) {
+  return item.reorderPoint !== null && item.reorderPoint !== undefined &&
+    item.reorderPoint >= 0;
+}
+
+/**
+ * Get the purchases that still have stock to arrive
+ * @param {Object} purchaseRepository - Purchase repository
+ * @return {Promise<Array<Object>>} - Pending and partially received
+ * purchases
+ */
+function findOpenPurchases(purchaseRepository) {
+  return purchaseRepository.findAll({status: {$in: OPEN_STATUSES}});
+}
+
+/**
+ * Get how much of an item is already on order: what hasn't arrived yet on
+ * open purchases. Lines that can't be expressed in the item's unit are
+ * ignored
+ * @param {Object} item - Item document
+ * @param {Array<Object>} pendingPurchases - Purchases not yet received
+ * @return {number} - Amount on order in the item's tracking unit
+ */
+function getOnOrderAmount(item, pendingPurchases) {
+  const itemId = getItemRefId(item);
+  let onOrder = 0;
+
+  for (const purchase of pendingPurchases) {
+    for (const line of getOutstandingPurchaseLines(purchase)) {
+      if (getItemRefId(line.item) !== itemId) continue;
+      try {
+        onOrder += getLineAmount(line, item);
+      } catch (error) {
+        console.warn(`Ignoring pending purchase line for ${item.name}:
+          ${error.message}`);
+      }
+    }
+  }
+
+  return roundMeasurement(onOrder);
+}
+
+/**
+ * Get how much of an item to order. The item's reorder quantity is used
+ * when set, otherwise enough to bring stock up to twice the reorder point
+ * @param {Object} item - Item document
+ * @param {number} available - Stock on hand plus stock on order
+ * @return {number} - Amount to order, or 0 if none is needed
+ */
+function getSuggestedAmount(item, available) {
+  if (available > item.reorderPoint) {
+    return 0;
+  }
+
+  const amount = item.reorderQuantity > 0 ?
+    item.reorderQuantity :
+    roundMeasurement(item.reorderPoint * 2 - available);
+
+  return getTrackingMeasurement(item) === "quantity" ?
+    Math.max(1, Math.ceil(amount)) : amount;
+}
+
+/**
+ * Look up the preferred suppliers of items
+ * @param {Object} supplierRepository - Supplier repository
+ * @param {Array<Object>} items - Items
+ * @return {Promise<Object>} - Suppliers by ID. Suppliers that no longer
+ * exist are left out
+ */
+async function findPreferredSuppliers(supplierRepository, items) {
+  const suppliers = {};
+  for (const item of items) {
+    const supplierId = getItemRefId(item.preferredSupplier);
+    if (!supplierId || supplierId in suppliers) continue;
+    suppliers[supplierId] = await supplierRepository.findById(supplierId);
+  }
+
+  Object.keys(suppliers).forEach((supplierId) => {
+    if (!suppliers[supplierId]) delete suppliers[supplierId];
+  });
+  return suppliers;
+}
+
+/**
+ * List items whose stock is at or below their reorder point
+ * @param {Array<Object>} items - Items to check
+ * @param {Array<Object>} [pendingPurchases] - Purchases not yet received
+ * @param {Object} [suppliers] - Preferred suppliers by ID, from
+ * findPreferredSuppliers
+ * @return {Array<Object>} - Low stock items, furthest below first
+ */
+function getLowStockItems(items, pendingPurchases = [], suppliers = {}) {
+  const lowStock = [];
+
+  for (const item of items) {
+    if (!hasReorderPoint(item)) continue;
+
+    const measurement = getTrackingMeasurement(item);
+    const current = parseFloat(item[measurement] || 0);
+    if (current > item.reorderPoint) continue;
+
+    const onOrder = getOnOrderAmount(item, pendingPurchases);
+    const supplierId = getItemRefId(item.preferredSupplier);
+    const supplier = supplierId && suppliers[supplierId];
+    lowStock.push({
+      itemId: item._id || item.id,
+      name: item.name,
+      sku: item.sku,
+      category: item.category,
+      trackingType: measurement,
+      unit: getTrackingUnit(item),
+      current,
+      reorderPoint: item.reorderPoint,
+      reorderQuantity: item.reorderQuantity,
+      onOrder,
+      suggestedAmount: getSuggestedAmount(item, current + onOrder),
+      preferredSupplier: supplierId || null,
+      supplier: supplier ? getSupplierSnapshot(supplier) : null,
+    });
+  }
+
+  return lowStock.sort((a, b) =>
+    (a.current - a.reorderPoint) - (b.current - b.reorderPoint));
+}
+
+/**
+ * Get the most recent received purchase line for an item. Pending
+ * purchases are skipped so earlier suggestions don't set the cost
+ * @param {Object} purchaseRepository - Purchase repository
+ * @param {string} itemId - Item ID
+ * @return {Promise<Object|null>} - {purchase, line} or null
+ */
+async function getLastPurchaseLine(purchaseRepository, itemId) {
+  const purchases = (await purchaseRepository.getAllByItemId(itemId))
+      .filter(purchaseHoldsStock)
+      .sort((a, b) => new Date(b.purchaseDate || b.createdAt) -
+        new Date(a.purchaseDate || a.createdAt));
+
+  for (const purchase of purchases) {
+    const line = (purchase.items || []).find((l) =>
+      getItemRefId(l.item) === itemId.toString());
+    if (line) return {purchase, line};
+  }
+  return null;
+}
+
+/**
+ * Create draft purchases for items below their reorder point, one per
+ * supplier. Items go to their preferred supplier, or whoever supplied
+ * them last. Each line is priced at the item's last purchase cost
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, purchaseRepository, supplierRepository}). Without a
+ * supplier repository, preferred suppliers are ignored
+ * @param {Object} [options] - Generator options
+ * @param {boolean} [options.dryRun=false] - Return the drafts unsaved
+ * @param {Array<string>} [options.itemIds] - Limit to these items
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - Draft purchases created
+ */
+async function createPurchaseSuggestions(providers, options = {},
+    transaction = null) {
+  const {itemRepository, purchaseRepository, supplierRepository} = providers;
+  const {dryRun = false, itemIds} = options;
+
+  let items = await itemRepository.findAll({});
+  if (itemIds && itemIds.length > 0) {
+    const ids = itemIds.map((id) => id.toString());
+    items = items.filter((item) => ids.includes(getItemRefId(item)));
+  }
+
+  const pendingPurchases = await findOpenPurchases(purchaseRepository);
+  const suppliers = supplierRepository ?
+    await findPreferredSuppliers(supplierRepository, items) : {};
+  const toOrder = getLowStockItems(items, pendingPurchases, suppliers)
+      .filter((entry) => entry.suggestedAmount > 0);
+
+  // Group lines by supplier, falling back to whoever supplied it last
+  const drafts = {};
+  for (const entry of toOrder) {
+    const itemId = getItemRefId(entry.itemId);
+    const item = items.find((i) => getItemRefId(i) === itemId);
+    const last = await getLastPurchaseLine(purchaseRepository, itemId);
+
+    let supplierId = null;
+    let supplier = {};
+    if (entry.supplier) {
+      supplierId = entry.preferredSupplier;
+      supplier = entry.supplier;
+    } else if (last) {
+      supplierId = getItemRefId(last.purchase.supplierId) || null;
+      supplier = last.purchase.supplier || {};
+    }
+    // Suppliers on record are told apart by ID, others by name
+    const key = supplierId ? `id:${supplierId}` :
+      `name:${(supplier.name || "").toLowerCase()}`;
+    if (!drafts[key]) {
+      drafts[key] = {supplier, supplierId, items: [], subtotal: 0};
+    }
+
+    const measurement = entry.trackingType;
+    const unitField = getUnitField(measurement);
+    const lastCost = last ? getLineUnitCost(last.line, item) : null;
+    const costPerUnit = lastCost !== null ? lastCost : item.cost || 0;
+    const totalCost = Math.round(costPerUnit * entry.suggestedAmount * 100) /
+      100;
+
+    const line = {
+      item: entry.itemId,
+      purchasedBy: measurement,
+      [measurement]: entry.suggestedAmount,
+      costPerUnit,
+      totalCost,
+    };
+    if (unitField && entry.unit) {
+      line[unitField] = entry.unit;
+    }
+
+    drafts[key].items.push(line);
+    drafts[key].subtotal += totalCost;
+  }
+
+  const purchases = [];
+  for (const draft of Object.values(drafts)) {
+    const subtotal = Math.round(draft.subtotal * 100) / 100;
+    const purchaseData = {
+      supplierId: draft.supplierId,
+      supplier: draft.supplier,
+      items: draft.items,
+      status: "pending",
+      purchaseDate: new Date(),
+      subtotal,
+      total: subtotal,
+      notes: "Suggested reorder for items at or below their reorder point",
+    };
+
+    purchases.push(dryRun ? purchaseData :
+      await purchaseRepository.create(purchaseData, transaction));
+  }
+
+  return {
+    dryRun,
+    items: toOrder.length,
+    created: dryRun ? 0 : purchases.length,
+    purchases,
+  };
+}
+
+module.exports = {
+  findOpenPurchases,
+  findPreferredSuppliers,
+  getLowStockItems,
+  createPurchaseSuggestions,
+};
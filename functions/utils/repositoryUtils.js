@@ -52,6 +52,94 @@ const getAssetRepository = () => {
   return getProviderFactory().getAssetRepository();
 };
 
+/**
+ * Get the pricing rule repository
+ * @return {PricingRuleRepository} Pricing rule repository instance
+ */
+const getPricingRuleRepository = () => {
+  return getProviderFactory().getPricingRuleRepository();
+};
+
+/**
+ * Get the inventory movement repository
+ * @return {InventoryMovementRepository} Inventory movement repository instance
+ */
+const getInventoryMovementRepository = () => {
+  return getProviderFactory().getInventoryMovementRepository();
+};
+
+/**
+ * Get the stock count repository
+ * @return {StockCountRepository} Stock count repository instance
+ */
+const getStockCountRepository = () => {
+  return getProviderFactory().getStockCountRepository();
+};
+
+/**
+ * Get the location repository
+ * @return {LocationRepository} Location repository instance
+ */
+const getLocationRepository = () => {
+  return getProviderFactory().getLocationRepository();
+};
+
+/**
+ * Get the production run repository
+ * @return {ProductionRunRepository} Production run repository instance
+ */
+const getProductionRunRepository = () => {
+  return getProviderFactory().getProductionRunRepository();
+};
+
+/**
+ * Get the breakdown repository
+ * @return {BreakdownRepository} Breakdown repository instance
+ */
+const getBreakdownRepository = () => {
+  return getProviderFactory().getBreakdownRepository();
+};
+
+/**
+ * Get the sale return repository
+ * @return {SaleReturnRepository} Sale return repository instance
+ */
+const getSaleReturnRepository = () => {
+  return getProviderFactory().getSaleReturnRepository();
+};
+
+/**
+ * Get the customer repository
+ * @return {CustomerRepository} Customer repository instance
+ */
+const getCustomerRepository = () => {
+  return getProviderFactory().getCustomerRepository();
+};
+
+/**
+ * Get the supplier repository
+ * @return {SupplierRepository} Supplier repository instance
+ */
+const getSupplierRepository = () => {
+  return getProviderFactory().getSupplierRepository();
+};
+
+/**
+ * Get the user repository
+ * @return {UserRepository} User repository instance
+ */
+const getUserRepository = () => {
+  return getProviderFactory().getUserRepository();
+};
+
+/**
+ * Get the audit log repository
+ * @return {AuditLogRepository} Audit log repository instance
+ */
+const getAuditLogRepository = () => {
+  return getProviderFactory().getAuditLogRepository();
+};
+
 module.exports = {
   getItemRepository,
   getSalesRepository,
@@ -59,4 +147,15 @@ module.exports = {
   getStorageProvider,
   getDatabaseProvider,
   getAssetRepository,
+  getPricingRuleRepository,
+  getInventoryMovementRepository,
+  getStockCountRepository,
+  getLocationRepository,
+  getProductionRunRepository,
+  getBreakdownRepository,
+  getSaleReturnRepository,
+  getCustomerRepository,
+  getSupplierRepository,
+  getUserRepository,
+  getAuditLogRepository,
 };
@@ -0,0 +1,259 @@
+const {NotFoundError, ValidationError} = require("./errors");
+const {
+  getUnitField,
+  roundMeasurement,
+  roundMoney,
+  toPlain,
+  getItemRefId,
+} = require("./unitConversion");
+const {getReturnedAmounts} = require("./inventoryEffectsUtils");
+
+// Ways a refund can be paid back
+const REFUND_METHODS = [
+  "cash",
+  "credit",
+  "debit",
+  "check",
+  "store_credit",
+  "other",
+];
+
+/**
+ * Find the sale line a returned line refers to, by its position on the
+ * sale or else by its item
+ * @param {Object} sale - Sale
+ * @param {Object} requested - Returned line ({line} or {item})
+ * @return {number} - Position of the sale line
+ * @throws {ValidationError} When no single line matches
+ */
+function findSaleLine(sale, requested) {
+  const saleLines = sale.items || [];
+
+  if (requested.line !== undefined && requested.line !== null) {
+    const index = parseInt(requested.line, 10);
+    if (!saleLines[index]) {
+      throw new ValidationError(`The sale has no line ${requested.line}`);
+    }
+    return index;
+  }
+
+  const itemId = getItemRefId(requested.item);
+  if (!itemId) {
+    throw new ValidationError("Each returned line needs a line or an item");
+  }
+
+  const matches = [];
+  saleLines.forEach((line, index) => {
+    if (getItemRefId(line.item) === itemId) matches.push(index);
+  });
+  if (matches.length === 0) {
+    throw new ValidationError(`Item ${itemId} is not on the sale`);
+  }
+  if (matches.length > 1) {
+    throw new ValidationError(`Item ${itemId} is on more than one line
+      of the sale; give the line being returned`);
+  }
+  return matches[0];
+}
+
+/**
+ * Build a return line from a requested one, checking no more comes back
+ * than was sold. Serial tracked lines are returned by serial number
+ * @param {Object} sale - Sale
+ * @param {Object} requested - Returned line from the request
+ * @param {Object} returned - Amounts already returned per line, updated
+ * in place
+ * @return {Object} - Return line
+ * @throws {ValidationError} When the line can't be returned
+ */
+function buildReturnLine(sale, requested, returned) {
+  const index = findSaleLine(sale, requested);
+  const saleLine = toPlain(sale.items[index]);
+  const measurement = saleLine.soldBy || "quantity";
+  const already = returned[index] || {amount: 0, serialNumbers: []};
+  const soldSerials = saleLine.serialNumbers || [];
+
+  let amount;
+  let serialNumbers = [];
+  if (soldSerials.length > 0) {
+    serialNumbers = (requested.serialNumbers || [])
+        .map((serialNumber) => serialNumber.toString().trim());
+    if (serialNumbers.length === 0) {
+      throw new ValidationError(`${saleLine.name} is serial tracked;
+        give the serial numbers being returned`);
+    }
+    if (new Set(serialNumbers).size !== serialNumbers.length) {
+      throw new ValidationError(`Duplicate serial numbers
+        for ${saleLine.name}`);
+    }
+    for (const serialNumber of serialNumbers) {
+      if (!soldSerials.includes(serialNumber)) {
+        throw new ValidationError(`Serial ${serialNumber} was not sold
+          on this line`);
+      }
+      if (already.serialNumbers.includes(serialNumber)) {
+        throw new ValidationError(`Serial ${serialNumber} has already
+          been returned`);
+      }
+    }
+    amount = serialNumbers.length;
+  } else {
+    amount = parseFloat(requested[measurement]);
+    if (isNaN(amount) || amount <= 0) {
+      throw new ValidationError(`${measurement} returned
+        for ${saleLine.name} must be more than zero`);
+    }
+  }
+
+  const left = roundMeasurement(
+      parseFloat(saleLine[measurement] || 0) - already.amount);
+  if (amount > left) {
+    throw new ValidationError(`Only ${left} ${measurement}
+      of ${saleLine.name} is left to return`);
+  }
+  returned[index] = {
+    amount: roundMeasurement(already.amount + amount),
+    serialNumbers: [...already.serialNumbers, ...serialNumbers],
+  };
+
+  const line = {
+    line: index,
+    item: getItemRefId(saleLine.item),
+    name: saleLine.name,
+    soldBy: measurement,
+    [measurement]: amount,
+    priceAtSale: saleLine.priceAtSale || 0,
+    location: getItemRefId(saleLine.location),
+    lotNumber: saleLine.lotNumber || null,
+    serialNumbers,
+  };
+  const unitField = getUnitField(measurement);
+  if (unitField && saleLine[unitField]) {
+    line[unitField] = saleLine[unitField];
+  }
+  return line;
+}
+
+/**
+ * Record a return against a sale. The returned lines are checked
+ * against what is left to return, put back in stock where they were
+ * sold from or at the return's location unless restocking is turned
+ * off, and the sale's status and refunded total are brought up to date.
+ * The refund defaults to the lines' share of the sale total, so tax and
+ * discounts are refunded in proportion
+ * @param {Object} providers - Provider instances ({salesRepository,
+ * saleReturnRepository, locationRepository})
+ * @param {string} saleId - Sale being returned against
+ * @param {Object} request - Return details
+ * @param {Array<Object>} request.items - Lines returned: the sale line
+ * (line, its position on the sale, or item) and the amount in the
+ * measurement it was sold by, or serialNumbers for serial tracked lines
+ * @param {string} request.reason - Why the items came back
+ * @param {string} [request.refundMethod] - How the refund is paid,
+ * the sale's payment method by default
+ * @param {number} [request.refundAmount] - Refund, if not the default
+ * @param {boolean} [request.restock] - False to keep the items out of
+ * stock, e.g. when they're thrown away
+ * @param {string} [request.location] - Location to restock to instead
+ * of where the lines were sold from, e.g. one for damaged goods
+ * @param {string} [request.notes] - Free-text notes
+ * @param {string} [request.user] - User recording the return
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - {saleReturn, sale}
+ */
+async function recordSaleReturn(providers, saleId, request,
+    transaction = null) {
+  const {
+    salesRepository,
+    saleReturnRepository,
+    locationRepository,
+  } = providers;
+  const {reason, notes, user = null} = request;
+
+  const sale = await salesRepository.findById(saleId);
+  if (!sale) {
+    throw new NotFoundError("Sale", saleId);
+  }
+
+  if (!reason || !reason.toString().trim()) {
+    throw new ValidationError("reason is required");
+  }
+  if (!Array.isArray(request.items) || request.items.length === 0) {
+    throw new ValidationError("items must list the lines being returned");
+  }
+
+  const refundMethod = request.refundMethod || sale.paymentMethod || "cash";
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    throw new ValidationError(`refundMethod must be one of
+      ${REFUND_METHODS.join(", ")}`);
+  }
+
+  const location = request.location || null;
+  if (location && locationRepository &&
+      !(await locationRepository.findById(location))) {
+    throw new NotFoundError("Location", location);
+  }
+
+  const returned = getReturnedAmounts(
+      await saleReturnRepository.findBySale(saleId));
+  const lines = request.items.map((requested) =>
+    buildReturnLine(sale, requested, returned));
+
+  const refundedTotal = sale.refundedTotal || 0;
+  const refundable = roundMoney(sale.total - refundedTotal);
+  let refundAmount;
+  if (request.refundAmount !== undefined && request.refundAmount !== null) {
+    refundAmount = parseFloat(request.refundAmount);
+    if (isNaN(refundAmount) || refundAmount < 0) {
+      throw new ValidationError("refundAmount must be zero or more");
+    }
+    if (refundAmount > refundable) {
+      throw new ValidationError(`refundAmount can't be more than the
+        ${refundable} left to refund on the sale`);
+    }
+  } else {
+    const value = lines.reduce((total, line) =>
+      total + line.priceAtSale * line[line.soldBy], 0);
+    refundAmount = Math.min(refundable, roundMoney(sale.subtotal > 0 ?
+      sale.total * value / sale.subtotal : value));
+  }
+
+  const restocked = request.restock !== false;
+  const saleReturn = await saleReturnRepository.create({
+    sale: getItemRefId(sale),
+    items: lines,
+    reason,
+    refundMethod,
+    refundAmount,
+    restocked,
+    location,
+    user,
+    notes,
+  }, transaction);
+
+  if (restocked) {
+    await salesRepository.restoreInventoryForSale(
+        location ? lines.map((line) => ({...line, location})) : lines,
+        transaction, {
+          sourceId: getItemRefId(sale),
+          location: sale.location || null,
+          notes: `Returned: ${reason}`,
+          user,
+        });
+  }
+
+  const fullyReturned = (sale.items || []).every((saleLine, index) =>
+    (returned[index] ? returned[index].amount : 0) >=
+      parseFloat(saleLine[saleLine.soldBy || "quantity"] || 0));
+  const updatedSale = await salesRepository.update(saleId, {
+    status: fullyReturned ? "refunded" : "partially_refunded",
+    refundedTotal: roundMoney(refundedTotal + refundAmount),
+  }, transaction, {user});
+
+  return {saleReturn, sale: updatedSale};
+}
+
+module.exports = {
+  REFUND_METHODS,
+  recordSaleReturn,
+};
@@ -0,0 +1,179 @@
+const {ValidationError} = require("./errors");
+const {getTrackingMeasurement, getLineAmount} = require("./unitConversion");
+
+/**
+ * Copy an item's serials into plain objects that can be changed freely
+ * @param {Object} item - Item document
+ * @return {Array<Object>} - Serials
+ */
+function copySerials(item) {
+  return (item.serials || []).map((serial) => {
+    const plain = serial.toObject ? serial.toObject() : {...serial};
+    return {...plain, history: [...(plain.history || [])]};
+  });
+}
+
+/**
+ * Check whether serial numbers need handling for an item and its lines
+ * @param {Object} item - Item document
+ * @param {Array<Object>} lines - Sale or purchase lines for the item
+ * @return {boolean} - True if the item or any line uses serial numbers
+ */
+function usesSerials(item, lines) {
+  return Boolean(item.trackSerials) || lines.some((line) =>
+    (line.serialNumbers || []).length > 0);
+}
+
+/**
+ * Get the serial numbers on a line, checking there is one per unit
+ * @param {Object} item - Item document
+ * @param {Object} line - Sale or purchase line
+ * @return {Array<string>} - Serial numbers
+ * @throws {ValidationError} When the serial numbers don't match the line
+ */
+function getLineSerials(item, line) {
+  if (getTrackingMeasurement(item) !== "quantity") {
+    throw new ValidationError(`Item ${item.name} must be tracked by
+      quantity to use serial numbers`);
+  }
+
+  const serialNumbers = (line.serialNumbers || [])
+      .map((serialNumber) => serialNumber.toString().trim());
+  const amount = getLineAmount(line, item);
+
+  if (serialNumbers.length !== amount) {
+    throw new ValidationError(`Item ${item.name} is serial tracked;
+      ${amount} serial numbers are needed, got ${serialNumbers.length}`);
+  }
+  if (new Set(serialNumbers).size !== serialNumbers.length) {
+    throw new ValidationError(`Duplicate serial numbers for ${item.name}`);
+  }
+  return serialNumbers;
+}
+
+/**
+ * Find a serial by number
+ * @param {Array<Object>} serials - Serials
+ * @param {string} serialNumber - Serial number
+ * @return {Object|undefined} - Serial
+ */
+function findSerial(serials, serialNumber) {
+  return serials.find((s) => s.serialNumber === serialNumber);
+}
+
+/**
+ * Register the units received on purchase lines. A serial that was
+ * removed by an earlier reverted purchase can be received again
+ * @param {Array<Object>} serials - Serials, changed in place
+ * @param {Object} item - Item document
+ * @param {Array<Object>} lines - Purchase lines for the item
+ * @param {Object} [context] - Purchase and location ({sourceId, location})
+ * @return {Array<Object>} - The serials
+ */
+function receiveSerials(serials, item, lines, context = {}) {
+  for (const line of lines) {
+    for (const serialNumber of getLineSerials(item, line)) {
+      let serial = findSerial(serials, serialNumber);
+      if (serial && serial.status !== "removed") {
+        throw new ValidationError(`Serial ${serialNumber} of ${item.name}
+          is already ${serial.status === "sold" ? "sold" : "in stock"}`);
+      }
+      if (!serial) {
+        serial = {serialNumber, history: []};
+        serials.push(serial);
+      }
+
+      serial.status = "in_stock";
+      serial.purchase = context.sourceId || null;
+      serial.sale = null;
+      serial.location = line.location || context.location || null;
+      serial.history.push({event: "received", sourceType: "Purchase",
+        sourceId: context.sourceId, date: new Date()});
+    }
+  }
+  return serials;
+}
+
+/**
+ * Remove the units received on purchase lines when the purchase is
+ * reverted. Units that have been sold can't be un-received
+ * @param {Array<Object>} serials - Serials, changed in place
+ * @param {Object} item - Item document
+ * @param {Array<Object>} lines - Purchase lines for the item
+ * @param {Object} [context] - Purchase ({sourceId})
+ * @return {Array<Object>} - The serials
+ */
+function revertSerialReceipt(serials, item, lines, context = {}) {
+  for (const line of lines) {
+    for (const serialNumber of line.serialNumbers || []) {
+      const serial = findSerial(serials, serialNumber);
+      if (!serial || serial.status === "removed") continue;
+      if (serial.status === "sold") {
+        throw new ValidationError(`Serial ${serialNumber} of ${item.name}
+          has been sold and can't be removed`);
+      }
+
+      serial.status = "removed";
+      serial.history.push({event: "removed", sourceType: "Purchase",
+        sourceId: context.sourceId, date: new Date()});
+    }
+  }
+  return serials;
+}
+
+/**
+ * Mark the units on sale lines as sold, checking each one is in stock
+ * @param {Array<Object>} serials - Serials, changed in place
+ * @param {Object} item - Item document
+ * @param {Array<Object>} lines - Sale lines for the item
+ * @param {Object} [context] - Sale ({sourceId})
+ * @return {Array<Object>} - The serials
+ */
+function sellSerials(serials, item, lines, context = {}) {
+  for (const line of lines) {
+    for (const serialNumber of getLineSerials(item, line)) {
+      const serial = findSerial(serials, serialNumber);
+      if (!serial || serial.status !== "in_stock") {
+        throw new ValidationError(`Serial ${serialNumber} of ${item.name}
+          is not in stock`);
+      }
+
+      serial.status = "sold";
+      serial.sale = context.sourceId || null;
+      serial.history.push({event: "sold", sourceType: "Sale",
+        sourceId: context.sourceId, date: new Date()});
+    }
+  }
+  return serials;
+}
+
+/**
+ * Put the units on sale lines back in stock when the sale is
+ * refunded, changed or deleted
+ * @param {Array<Object>} serials - Serials, changed in place
+ * @param {Array<Object>} lines - Sale lines for the item
+ * @param {Object} [context] - Sale ({sourceId})
+ * @return {Array<Object>} - The serials
+ */
+function returnSerials(serials, lines, context = {}) {
+  for (const line of lines) {
+    for (const serialNumber of line.serialNumbers || []) {
+      const serial = findSerial(serials, serialNumber);
+      if (!serial || serial.status !== "sold") continue;
+
+      serial.status = "in_stock";
+      serial.history.push({event: "returned", sourceType: "Sale",
+        sourceId: context.sourceId, date: new Date()});
+    }
+  }
+  return serials;
+}
+
+module.exports = {
+  copySerials,
+  usesSerials,
+  receiveSerials,
+  revertSerialReceipt,
+  sellSerials,
+  returnSerials,
+};
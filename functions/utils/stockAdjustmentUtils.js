@@ -0,0 +1,371 @@
+const {NotFoundError, ValidationError, ConflictError} = require("./errors");
+const {
+  convert,
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toTrackingUnit,
+  roundMeasurement,
+} = require("./unitConversion");
+const {getLocationStock, planStockChange} = require("./locationUtils");
+
+// Reason codes accepted for manual stock adjustments
+const ADJUSTMENT_REASONS = [
+  "shrinkage",
+  "damage",
+  "theft",
+  "expired",
+  "found",
+  "correction",
+  "count",
+];
+
+/**
+ * Check that a value is a usable number
+ * @param {*} value - Value to check
+ * @return {boolean} - True if the value is a finite number
+ */
+function isNumeric(value) {
+  return value !== null && value !== "" && isFinite(value);
+}
+
+/**
+ * Adjust the stock of a single item and record why
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, inventoryMovementRepository})
+ * @param {Object} adjustment - Adjustment details
+ * @param {string} adjustment.itemId - Item to adjust
+ * @param {string} adjustment.reason - Reason code
+ * @param {number} [adjustment.delta] - Change to apply
+ * @param {number} [adjustment.newValue] - Absolute value to set
+ * @param {string} [adjustment.unit] - Unit of delta/newValue
+ * @param {string} [adjustment.location] - Location to adjust, in which
+ * case newValue is the stock at that location
+ * @param {string} [adjustment.notes] - Free-text notes
+ * @param {string} [adjustment.user] - User making the adjustment
+ * @param {string} [adjustment.movementType] - Ledger movement type
+ * @param {string} [adjustment.sourceType] - Model of the source document
+ * @param {string} [adjustment.sourceId] - ID of the source document
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - Summary of the adjustment
+ */
+async function adjustItemStock(providers, adjustment, transaction = null) {
+  const {itemRepository, inventoryMovementRepository} = providers;
+  const {
+    itemId,
+    reason,
+    delta,
+    newValue,
+    unit,
+    location = null,
+    notes,
+    user,
+    movementType = "adjustment",
+    sourceType = null,
+    sourceId = null,
+  } = adjustment;
+
+  if (!itemId) {
+    throw new ValidationError("itemId is required");
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    throw new ValidationError(`reason must be one of:
+      ${ADJUSTMENT_REASONS.join(", ")}`);
+  }
+  if (isNumeric(delta) === isNumeric(newValue)) {
+    throw new ValidationError("Provide either delta or newValue");
+  }
+
+  const item = await itemRepository.findById(itemId);
+  if (!item) {
+    throw new NotFoundError("Item", itemId);
+  }
+
+  const measurement = getTrackingMeasurement(item);
+  const current = location ?
+    getLocationStock(item, location)[measurement] :
+    parseFloat(item[measurement] || 0);
+  const target = roundMeasurement(isNumeric(newValue) ?
+    toTrackingUnit(newValue, unit, item) :
+    current + toTrackingUnit(delta, unit, item));
+  const change = roundMeasurement(target - current);
+
+  if (target < 0 ||
+      parseFloat(item[measurement] || 0) + change < 0) {
+    throw new ValidationError(`Adjustment would leave ${item.name}
+      with negative ${measurement} (${target})`);
+  }
+
+  const {updateData, steps} = planStockChange(item, [{location,
+    amount: change}]);
+  updateData.lastUpdated = new Date();
+  await itemRepository.update(itemId, updateData, transaction);
+
+  const movement = inventoryMovementRepository ?
+    await inventoryMovementRepository.recordChange(item, steps[0].updateData,
+        movementType, {reason, notes, user, sourceType, sourceId, location},
+        transaction) :
+    null;
+
+  return {
+    itemId: itemId.toString(),
+    name: item.name,
+    sku: item.sku,
+    measurement,
+    unit: getTrackingUnit(item),
+    location: location ? location.toString() : null,
+    from: current,
+    to: target,
+    delta: change,
+    reason,
+    movementId: movement ? movement._id || movement.id : null,
+  };
+}
+
+/**
+ * Open a stock count session covering every item in a category or tag.
+ * The current stock of each item is captured as its system value
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, stockCountRepository})
+ * @param {Object} options - Session options
+ * @param {string} [options.category] - Count items in this category
+ * @param {string} [options.tag] - Count items with this tag
+ * @param {string} [options.name] - Session name
+ * @param {string} [options.notes] - Free-text notes
+ * @param {string} [options.user] - User opening the session
+ * @return {Promise<Object>} - Created stock count
+ */
+async function openStockCount(providers, options) {
+  const {itemRepository, stockCountRepository} = providers;
+  const {category, tag, name, notes, user} = options;
+
+  if (!category && !tag) {
+    throw new ValidationError("A stock count needs a category or a tag");
+  }
+
+  const items = (await itemRepository.findAll({})).filter((item) =>
+    (!category || item.category === category) &&
+    (!tag || (item.tags || []).includes(tag)));
+
+  if (items.length === 0) {
+    throw new ValidationError("No items match the stock count scope");
+  }
+
+  return await stockCountRepository.create({
+    name: name || `Count of ${[category, tag].filter(Boolean).join(" / ")}`,
+    category: category || null,
+    tag: tag || null,
+    status: "open",
+    openedBy: user || null,
+    notes,
+    lines: items.map((item) => {
+      const measurement = getTrackingMeasurement(item);
+      return {
+        item: item._id || item.id,
+        name: item.name,
+        sku: item.sku,
+        trackingType: measurement,
+        unit: getTrackingUnit(item),
+        systemValue: parseFloat(item[measurement] || 0),
+        countedValue: null,
+        countedAt: null,
+        countedBy: null,
+      };
+    }),
+  });
+}
+
+/**
+ * Load a stock count and make sure it can still be changed
+ * @param {Object} stockCountRepository - Stock count repository
+ * @param {string} countId - Stock count ID
+ * @return {Promise<Object>} - Open stock count
+ */
+async function getOpenStockCount(stockCountRepository, countId) {
+  const count = await stockCountRepository.findById(countId);
+  if (!count) {
+    throw new NotFoundError("Stock count", countId);
+  }
+  if (count.status !== "open") {
+    throw new ConflictError(`Stock count ${countId} is ${count.status}`);
+  }
+  return count;
+}
+
+/**
+ * Get the lines of a stock count as plain objects
+ * @param {Object} count - Stock count
+ * @return {Array<Object>} - Lines
+ */
+function getLines(count) {
+  return (count.lines || []).map((line) =>
+    line.toObject ? line.toObject() : {...line});
+}
+
+/**
+ * Record counted values against an open stock count
+ * @param {Object} providers - Provider instances ({stockCountRepository})
+ * @param {string} countId - Stock count ID
+ * @param {Array<Object>} counts - Counted values ({itemId, countedValue, unit})
+ * @param {string} [user] - User submitting the counts
+ * @return {Promise<Object>} - Updated stock count
+ */
+async function recordCounts(providers, countId, counts, user = null) {
+  const {stockCountRepository} = providers;
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw new ValidationError("counts must be a non-empty array");
+  }
+
+  const count = await getOpenStockCount(stockCountRepository, countId);
+  const lines = getLines(count);
+
+  for (const entry of counts) {
+    const line = lines.find((l) =>
+      entry.itemId && l.item.toString() === entry.itemId.toString());
+    if (!line) {
+      throw new ValidationError(`Item ${entry.itemId} is not part
+        of stock count ${countId}`);
+    }
+    if (!isNumeric(entry.countedValue) || entry.countedValue < 0) {
+      throw new ValidationError(`Counted value for ${line.name}
+        must be a number of zero or more`);
+    }
+
+    line.countedValue = entry.unit && line.unit && entry.unit !== line.unit ?
+      convert(entry.countedValue, entry.unit, line.unit) :
+      parseFloat(entry.countedValue);
+    line.countedAt = new Date();
+    line.countedBy = user;
+  }
+
+  return await stockCountRepository.update(countId, {lines});
+}
+
+/**
+ * Compare counted values with system values for review before posting
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, stockCountRepository})
+ * @param {string} countId - Stock count ID
+ * @return {Promise<Object>} - Variance report
+ */
+async function getStockCountVariances(providers, countId) {
+  const {itemRepository, stockCountRepository} = providers;
+
+  const count = await stockCountRepository.findById(countId);
+  if (!count) {
+    throw new NotFoundError("Stock count", countId);
+  }
+
+  const report = {
+    countId: (count._id || count.id).toString(),
+    name: count.name,
+    status: count.status,
+    counted: 0,
+    uncounted: 0,
+    totalValueImpact: 0,
+    lines: [],
+  };
+
+  for (const line of getLines(count)) {
+    if (line.countedValue === null || line.countedValue === undefined) {
+      report.uncounted++;
+      report.lines.push({...line, variance: null, valueImpact: null});
+      continue;
+    }
+
+    const item = await itemRepository.findById(line.item);
+    const cost = item ? item.cost || 0 : 0;
+    const variance = roundMeasurement(line.countedValue - line.systemValue);
+    const valueImpact = Math.round(variance * cost * 100) / 100;
+
+    report.counted++;
+    report.totalValueImpact += valueImpact;
+    report.lines.push({
+      ...line,
+      currentValue: item ?
+        parseFloat(item[getTrackingMeasurement(item)] || 0) : null,
+      variance,
+      cost,
+      valueImpact,
+    });
+  }
+
+  report.totalValueImpact = Math.round(report.totalValueImpact * 100) / 100;
+  return report;
+}
+
+/**
+ * Post a stock count, adjusting every counted item by its variance.
+ * The variance is applied to the item's current stock so sales and
+ * purchases made while the count was open are not lost
+ * @param {Object} providers - Provider instances
+ * ({itemRepository, stockCountRepository, inventoryMovementRepository})
+ * @param {string} countId - Stock count ID
+ * @param {string} [user] - User posting the count
+ * @param {Object} [transaction] - Database transaction/session
+ * @return {Promise<Object>} - Posted stock count and adjustments made
+ */
+async function postStockCount(providers, countId, user = null,
+    transaction = null) {
+  const {stockCountRepository} = providers;
+
+  const count = await getOpenStockCount(stockCountRepository, countId);
+  const counted = getLines(count).filter((line) =>
+    line.countedValue !== null && line.countedValue !== undefined);
+
+  if (counted.length === 0) {
+    throw new ValidationError("No items have been counted yet");
+  }
+
+  const adjustments = [];
+  for (const line of counted) {
+    const variance = roundMeasurement(line.countedValue - line.systemValue);
+    if (variance === 0) continue;
+
+    adjustments.push(await adjustItemStock(providers, {
+      itemId: line.item.toString(),
+      reason: "count",
+      delta: variance,
+      unit: line.unit,
+      user,
+      movementType: "count",
+      sourceType: "StockCount",
+      sourceId: count._id || count.id,
+    }, transaction));
+  }
+
+  const posted = await stockCountRepository.update(countId, {
+    status: "posted",
+    postedAt: new Date(),
+    postedBy: user,
+  }, transaction);
+
+  return {
+    count: posted,
+    adjusted: adjustments.length,
+    unchanged: counted.length - adjustments.length,
+    adjustments,
+  };
+}
+
+/**
+ * Cancel an open stock count without touching inventory
+ * @param {Object} providers - Provider instances ({stockCountRepository})
+ * @param {string} countId - Stock count ID
+ * @return {Promise<Object>} - Cancelled stock count
+ */
+async function cancelStockCount(providers, countId) {
+  const {stockCountRepository} = providers;
+  await getOpenStockCount(stockCountRepository, countId);
+  return await stockCountRepository.update(countId, {status: "cancelled"});
+}
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  adjustItemStock,
+  openStockCount,
+  recordCounts,
+  getStockCountVariances,
+  postStockCount,
+  cancelStockCount,
+};
@@ -0,0 +1,202 @@
+const {ValidationError} = require("./errors");
+const {
+  getUnitField,
+  getLineUnitCost,
+  roundMoney,
+  getItemRefId,
+} = require("./unitConversion");
+const {purchaseHoldsStock} = require("./inventoryEffectsUtils");
+const {roundCost} = require("./costingUtils");
+
+// Periods spend can be grouped by, with the length of the ISO date prefix
+// that names each one
+const PERIOD_LENGTHS = {
+  day: 10,
+  month: 7,
+  year: 4,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the supplier details a purchase keeps as a snapshot
+ * @param {Object} supplier - Supplier
+ * @return {Object} - {name, contactName, email, phone}
+ */
+function getSupplierSnapshot(supplier) {
+  const snapshot = {name: supplier.name};
+  ["contactName", "email", "phone"].forEach((field) => {
+    if (supplier[field]) snapshot[field] = supplier[field];
+  });
+  return snapshot;
+}
+
+/**
+ * Get what a purchase line cost per unit the item is tracked in, so lines
+ * bought by different measures or units compare. Falls back to the
+ * line's costPerUnit when the item isn't known or the line can't be
+ * converted
+ * @param {Object} line - Purchase line
+ * @param {Object} [item] - Item the line is for
+ * @return {number|null} - Cost per tracking unit
+ */
+function getComparableCost(line, item) {
+  if (!item) return line.costPerUnit;
+  try {
+    const cost = getLineUnitCost(line, item);
+    return cost === null ? null : roundCost(cost);
+  } catch (error) {
+    if (error instanceof ValidationError) return line.costPerUnit;
+    throw error;
+  }
+}
+
+/**
+ * Build the price history of what each supplier charged for each item,
+ * from the costPerUnit of the lines of received purchases. Purchases with
+ * no supplier record are grouped by their supplier's name. Each history
+ * is oldest first, with the latest, lowest, highest and average unit
+ * cost and how far it has moved since the first purchase. Unit costs
+ * are per unit the item is tracked in when the item is given
+ * @param {Array<Object>} purchases - Purchases to read
+ * @param {Object} [options] - History options
+ * @param {string} [options.item] - Only this item's lines
+ * @param {Object} [options.items] - Items by ID, for names and unit costs
+ * @return {Array<Object>} - One entry per supplier and item
+ */
+function getPriceHistory(purchases, options = {}) {
+  const {item: onlyItem, items = {}} = options;
+  const groups = {};
+
+  const received = purchases.filter(purchaseHoldsStock)
+      .sort((a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate));
+
+  for (const purchase of received) {
+    const supplierId = getItemRefId(purchase.supplierId);
+    const supplierName = (purchase.supplier && purchase.supplier.name) ||
+      null;
+
+    for (const line of purchase.items || []) {
+      const itemId = getItemRefId(line.item);
+      if (!itemId || (onlyItem && itemId !== onlyItem.toString())) continue;
+
+      const item = items[itemId];
+      const key = `${supplierId ||
+        (supplierName || "").trim().toLowerCase()}:${itemId}`;
+      if (!groups[key]) {
+        groups[key] = {
+          supplierId,
+          supplierName,
+          item: itemId,
+          name: item ? item.name : null,
+          history: [],
+        };
+      }
+
+      const purchasedBy = line.purchasedBy || "quantity";
+      const unitField = getUnitField(purchasedBy);
+      groups[key].history.push({
+        purchase: getItemRefId(purchase),
+        invoiceNumber: purchase.invoiceNumber || null,
+        date: purchase.purchaseDate,
+        purchasedBy,
+        amount: parseFloat(line[purchasedBy] || 0),
+        unit: unitField ? line[unitField] || null : null,
+        costPerUnit: line.costPerUnit,
+        unitCost: getComparableCost(line, item),
+      });
+    }
+  }
+
+  return Object.values(groups).map((group) => {
+    const costs = group.history.map((entry) => entry.unitCost)
+        .filter((cost) => typeof cost === "number");
+    if (costs.length === 0) {
+      return {...group, latestCost: null, lowestCost: null,
+        highestCost: null, averageCost: null, change: null};
+    }
+
+    const first = costs[0];
+    const latest = costs[costs.length - 1];
+    return {
+      ...group,
+      latestCost: latest,
+      lowestCost: Math.min(...costs),
+      highestCost: Math.max(...costs),
+      averageCost: roundCost(costs.reduce((sum, cost) =>
+        sum + cost, 0) / costs.length),
+      change: roundCost(latest - first),
+    };
+  });
+}
+
+/**
+ * Measure a supplier from their purchases: spend in total and per period,
+ * how long orders take to arrive and how many items they supply.
+ * Cancelled purchases don't count. Lead time runs from the purchase date
+ * to when the purchase was received in full
+ * @param {Array<Object>} purchases - The supplier's purchases
+ * @param {string} [period] - Spend grouping: day, month or year
+ * @return {Object} - Metrics
+ * @throws {ValidationError} When the period is unknown
+ */
+function getSupplierMetrics(purchases, period = "month") {
+  const prefixLength = PERIOD_LENGTHS[period];
+  if (!prefixLength) {
+    throw new ValidationError(`period must be one of
+      ${Object.keys(PERIOD_LENGTHS).join(", ")}`);
+  }
+
+  const counted = purchases.filter((purchase) =>
+    purchase.status !== "cancelled");
+  const byPeriod = {};
+  const items = new Set();
+  const leadTimes = [];
+  let totalSpend = 0;
+  let lastPurchase = null;
+
+  for (const purchase of counted) {
+    const date = new Date(purchase.purchaseDate || purchase.createdAt);
+    const key = date.toISOString().slice(0, prefixLength);
+    if (!byPeriod[key]) {
+      byPeriod[key] = {period: key, purchases: 0, spend: 0};
+    }
+    byPeriod[key].purchases += 1;
+    byPeriod[key].spend = roundMoney(byPeriod[key].spend +
+      (purchase.total || 0));
+    totalSpend += purchase.total || 0;
+    if (!lastPurchase || date > lastPurchase) lastPurchase = date;
+
+    (purchase.items || []).forEach((line) => {
+      const itemId = getItemRefId(line.item);
+      if (itemId) items.add(itemId);
+    });
+
+    if (purchase.receivedAt) {
+      leadTimes.push(Math.max(0,
+          (new Date(purchase.receivedAt) - date) / DAY_MS));
+    }
+  }
+
+  return {
+    purchaseCount: counted.length,
+    receivedCount: counted.filter((purchase) =>
+      purchase.status === "received").length,
+    totalSpend: roundMoney(totalSpend),
+    averagePurchaseValue: counted.length > 0 ?
+      roundMoney(totalSpend / counted.length) : 0,
+    spendByPeriod: Object.values(byPeriod)
+        .sort((a, b) => a.period.localeCompare(b.period)),
+    averageLeadTimeDays: leadTimes.length > 0 ?
+      Math.round(leadTimes.reduce((sum, days) => sum + days, 0) /
+        leadTimes.length * 10) / 10 : null,
+    itemCount: items.size,
+    lastPurchase,
+  };
+}
+
+module.exports = {
+  getSupplierSnapshot,
+  getPriceHistory,
+  getSupplierMetrics,
+};
@@ -0,0 +1,89 @@
+/**
+ * Business (tenant) context for the current request. The setBusinessId
+ * middleware runs the rest of the request inside the caller's business,
+ * and repositories read it from here to scope every query, so route code
+ * never has to pass it around. Data can't be read or written outside a
+ * context; trusted jobs such as migrations that work across businesses
+ * run with runWithoutBusiness
+ */
+const {AsyncLocalStorage} = require("async_hooks");
+const {AppError} = require("./errors");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a business context
+ * @param {string} businessId Business ID
+ * @param {Function} callback Function to run
+ * @return {*} Whatever the callback returns
+ */
+const runWithBusiness = (businessId, callback) => {
+  return storage.run({businessId}, callback);
+};
+
+/**
+ * Run a function across every business. Only for trusted code that isn't
+ * serving a request
+ * @param {Function} callback Function to run
+ * @return {*} Whatever the callback returns
+ */
+const runWithoutBusiness = (callback) => {
+  return storage.run({businessId: null}, callback);
+};
+
+/**
+ * Get the business of the current context
+ * @return {string|null} Business ID, or null when running across every
+ * business
+ * @throws {AppError} Outside any context, so a request that lost its
+ * business can't see every business's data
+ */
+const getBusinessId = () => {
+  const context = storage.getStore();
+  if (!context) {
+    throw new AppError("No business context for this data access");
+  }
+  return context.businessId;
+};
+
+/**
+ * Add the current business to a query filter
+ * @param {Object} [filter] Query filter
+ * @return {Object} Filter limited to the current business
+ */
+const scopeFilter = (filter = {}) => {
+  const businessId = getBusinessId();
+  return businessId ? {...filter, businessId} : {...filter};
+};
+
+/**
+ * Stamp the current business on data about to be written. Any businessId
+ * in the data itself is replaced, so callers can't write into another
+ * business
+ * @param {Object} data Document data
+ * @return {Object} Data with the current business set
+ */
+const withBusinessId = (data) => {
+  const businessId = getBusinessId();
+  return businessId ? {...data, businessId} : data;
+};
+
+/**
+ * Check whether a stored document belongs to the current business.
+ * Running across every business, every document does
+ * @param {Object} doc Stored document
+ * @return {boolean} True if the caller may see the document
+ */
+const belongsToBusiness = (doc) => {
+  const businessId = getBusinessId();
+  return !businessId || Boolean(doc && doc.businessId === businessId);
+};
+
+module.exports = {
+  runWithBusiness,
+  runWithoutBusiness,
+  getBusinessId,
+  scopeFilter,
+  withBusinessId,
+  belongsToBusiness,
+};
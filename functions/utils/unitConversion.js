@@ -0,0 +1,337 @@
+/**
+ * Unit-of-measure conversion shared by items, sales and purchases
+ * All inventory math should convert line measurements through here, and
+ * round with the helpers below
+ */
+const {ValidationError} = require("./errors");
+
+// Conversion factors to the base unit of each dimension
+// (grams, millimetres, square metres and millilitres)
+const UNITS = {
+  weight: {
+    oz: 28.349523125,
+    lb: 453.59237,
+    g: 1,
+    kg: 1000,
+  },
+  length: {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    in: 25.4,
+    ft: 304.8,
+    yd: 914.4,
+  },
+  area: {
+    sqft: 0.09290304,
+    sqm: 1,
+    sqyd: 0.83612736,
+    acre: 4046.8564224,
+    ha: 10000,
+  },
+  volume: {
+    ml: 1,
+    l: 1000,
+    gal: 3785.411784,
+    floz: 29.5735295625,
+    cu_ft: 28316.846592,
+    cu_m: 1000000,
+  },
+};
+
+// Fields that hold the unit for each measurement on items and line items
+const UNIT_FIELDS = {
+  weight: "weightUnit",
+  length: "lengthUnit",
+  area: "areaUnit",
+  volume: "volumeUnit",
+};
+
+// Measurements an item can be tracked by
+const MEASUREMENTS = ["quantity", "weight", "length", "area", "volume"];
+
+/**
+ * Round a converted value to avoid floating point noise
+ * @param {number} value - Value to round
+ * @return {number} - Rounded value
+ */
+function roundMeasurement(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @return {number} - Rounded amount
+ */
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Copy a document or subdocument into a plain object
+ * @param {Object} doc - Document to copy
+ * @return {Object} - Plain copy
+ */
+function toPlain(doc) {
+  return doc && doc.toObject ? doc.toObject() : {...doc};
+}
+
+/**
+ * Get the ID of a referenced document, such as the item on a sale or
+ * purchase line, as a string
+ * @param {Object|string} ref - Populated document or ID
+ * @return {string|null} - ID as a string
+ */
+function getItemRefId(ref) {
+  if (!ref) return null;
+  if (typeof ref === "object") {
+    const id = ref._id || ref.id;
+    return id ? id.toString() : null;
+  }
+  return ref.toString();
+}
+
+/**
+ * Get the dimension (weight, length, area, volume) a unit belongs to
+ * @param {string} unit - Unit of measure
+ * @return {string|null} - Dimension name, or null for unknown units
+ */
+function getDimension(unit) {
+  return Object.keys(UNITS).find((dimension) =>
+    Object.prototype.hasOwnProperty.call(UNITS[dimension], unit)) || null;
+}
+
+/**
+ * Get all units supported for a dimension
+ * @param {string} dimension - Dimension name
+ * @return {Array<string>} - Unit names
+ */
+function getUnits(dimension) {
+  return UNITS[dimension] ? Object.keys(UNITS[dimension]) : [];
+}
+
+/**
+ * Get the field holding the unit for a measurement
+ * @param {string} measurement - Measurement name (e.g. "weight")
+ * @return {string|null} - Unit field name, or null for quantity
+ */
+function getUnitField(measurement) {
+  return UNIT_FIELDS[measurement] || null;
+}
+
+/**
+ * Convert a value between two units of the same dimension
+ * @param {number} value - Value to convert
+ * @param {string} fromUnit - Unit the value is in
+ * @param {string} toUnit - Unit to convert to
+ * @return {number} - Converted value
+ * @throws {ValidationError} When a unit is unknown or dimensions differ
+ */
+function convert(value, fromUnit, toUnit) {
+  const amount = parseFloat(value || 0);
+  if (fromUnit === toUnit) return amount;
+
+  const fromDimension = getDimension(fromUnit);
+  const toDimension = getDimension(toUnit);
+
+  if (!fromDimension) {
+    throw new ValidationError(`Unknown unit of measure "${fromUnit}"`);
+  }
+  if (!toDimension) {
+    throw new ValidationError(`Unknown unit of measure "${toUnit}"`);
+  }
+  if (fromDimension !== toDimension) {
+    throw new ValidationError(`Cannot convert ${fromDimension}
+      (${fromUnit}) to ${toDimension} (${toUnit})`);
+  }
+
+  return roundMeasurement(amount * UNITS[fromDimension][fromUnit] /
+    UNITS[toDimension][toUnit]);
+}
+
+/**
+ * Get the measurement an item is tracked by
+ * @param {Object} item - Item document
+ * @return {string} - Measurement name, defaulting to quantity
+ */
+function getTrackingMeasurement(item) {
+  return item && MEASUREMENTS.includes(item.trackingType) ?
+    item.trackingType : "quantity";
+}
+
+/**
+ * Get the unit an item's stock is kept in
+ * @param {Object} item - Item document
+ * @return {string|null} - Unit, or null for quantity-tracked items
+ */
+function getTrackingUnit(item) {
+  const unitField = getUnitField(getTrackingMeasurement(item));
+  return unitField ? item[unitField] || null : null;
+}
+
+/**
+ * Express a value in the unit an item is tracked in
+ * @param {number} value - Value to convert
+ * @param {string} [unit] - Unit the value is in, if not the item's own
+ * @param {Object} item - Item document
+ * @return {number} - Value in the item's tracking unit
+ * @throws {ValidationError} When the unit doesn't measure what the item
+ * is tracked by
+ */
+function toTrackingUnit(value, unit, item) {
+  const trackingUnit = getTrackingUnit(item);
+  if (!unit || unit === trackingUnit) {
+    return parseFloat(value);
+  }
+
+  const tracking = getTrackingMeasurement(item);
+  const dimension = getDimension(unit);
+  if (!dimension) {
+    throw new ValidationError(`Unknown unit of measure "${unit}"`);
+  }
+  if (dimension !== tracking) {
+    throw new ValidationError(`Item ${item.name || ""} is tracked by
+      ${tracking}, so it can't be changed by ${dimension} (${unit})`);
+  }
+
+  // Items without a stored unit are kept in whatever unit they arrive in
+  return trackingUnit ? convert(value, unit, trackingUnit) :
+    parseFloat(value);
+}
+
+/**
+ * Get the package size of an item as a value and unit, if it has one
+ * @param {Object} item - Item document
+ * @return {Object|null} - {value, unit} or null
+ */
+function getPackageSize(item) {
+  const packageSize = item && item.packageSize;
+  if (!packageSize || !(packageSize.value > 0) || !packageSize.unit) {
+    return null;
+  }
+  return {value: parseFloat(packageSize.value), unit: packageSize.unit};
+}
+
+/**
+ * Get the amount a sale or purchase line represents,
+ * expressed in the unit the item is tracked in
+ * @param {Object} line - Sale or purchase line item
+ * @param {Object} item - Item the line refers to
+ * @return {number} - Amount in the item's tracking unit
+ * @throws {ValidationError} When the line can't be expressed in that unit
+ */
+function getLineAmount(line, item) {
+  const tracking = getTrackingMeasurement(item);
+  const quantity = parseFloat(line.quantity || 0);
+  const packageSize = getPackageSize(item);
+
+  if (tracking === "quantity") {
+    if (quantity > 0) return quantity;
+
+    // A quantity-tracked item sold or bought by measure is
+    // counted in packages of the item's package size
+    const measured = Object.keys(UNIT_FIELDS).find((m) => line[m] > 0);
+    if (!measured) return 0;
+
+    if (!packageSize) {
+      throw new ValidationError(`Item ${item.name || ""} is tracked by
+        quantity but the line is measured by ${measured}`);
+    }
+
+    const lineUnit = line[UNIT_FIELDS[measured]] || packageSize.unit;
+    return roundMeasurement(
+        convert(line[measured], lineUnit, packageSize.unit) /
+        packageSize.value);
+  }
+
+  const unitField = UNIT_FIELDS[tracking];
+  // Items without a stored unit are kept in whatever unit they arrive in
+  const itemUnit = item[unitField] || line[unitField];
+  const measuredValue = parseFloat(line[tracking] || 0);
+
+  if (measuredValue > 0) {
+    return convert(measuredValue, line[unitField] || itemUnit, itemUnit);
+  }
+
+  if (quantity > 0) {
+    // Counted lines can only be converted through the package size
+    if (!packageSize) {
+      throw new ValidationError(`Item ${item.name || ""} is tracked by
+        ${tracking} but the line only has a quantity`);
+    }
+    return convert(quantity * packageSize.value, packageSize.unit, itemUnit);
+  }
+
+  const measured = Object.keys(UNIT_FIELDS).find((m) => line[m] > 0);
+  if (measured) {
+    throw new ValidationError(`Item ${item.name || ""} is tracked by
+      ${tracking} but the line is measured by ${measured}`);
+  }
+
+  return 0;
+}
+
+/**
+ * Express an amount kept in one measurement and unit, such as stock
+ * moved from another item, in the unit an item is tracked in
+ * @param {number} amount - Amount
+ * @param {string} measurement - Measurement the amount is in
+ * @param {string} [unit] - Unit the amount is in
+ * @param {Object} item - Item the amount is for
+ * @return {number} - Amount in the item's tracking unit
+ * @throws {ValidationError} When the amount can't be expressed in that unit
+ */
+function toItemAmount(amount, measurement, unit, item) {
+  const line = {[measurement]: amount};
+  const unitField = getUnitField(measurement);
+  if (unitField && unit) {
+    line[unitField] = unit;
+  }
+  return getLineAmount(line, item);
+}
+
+/**
+ * Get the cost of one tracking unit of an item from a purchase line
+ * @param {Object} line - Purchase line item
+ * @param {Object} item - Item the line refers to
+ * @return {number|null} - Cost per tracking unit, or null if unknown
+ */
+function getLineUnitCost(line, item) {
+  const amount = getLineAmount(line, item);
+  if (!(amount > 0)) {
+    return line.costPerUnit || null;
+  }
+
+  // costPerUnit is expressed per unit of the measurement purchased by
+  const purchasedBy = line.purchasedBy || getTrackingMeasurement(item);
+  const purchasedAmount = parseFloat(line[purchasedBy] || 0);
+
+  if (line.costPerUnit && purchasedAmount > 0) {
+    return line.costPerUnit * purchasedAmount / amount;
+  }
+  if (line.totalCost) {
+    return parseFloat(line.totalCost) / amount;
+  }
+
+  return line.costPerUnit || null;
+}
+
+module.exports = {
+  UNITS,
+  MEASUREMENTS,
+  getDimension,
+  getUnits,
+  getUnitField,
+  convert,
+  getTrackingMeasurement,
+  getTrackingUnit,
+  toTrackingUnit,
+  getLineAmount,
+  toItemAmount,
+  getLineUnitCost,
+  roundMeasurement,
+  roundMoney,
+  toPlain,
+  getItemRefId,
+};